@@ -35,19 +35,723 @@ function toCamelCase(str) {
     .join(''); // Join all words together without hyphens
 }
 
+// Field types accepted by --fields, with their TypeScript, Mongoose and Zod equivalents
+const fieldTypes = {
+  string: { ts: 'string', mongoose: 'String', zod: 'z.string' },
+  number: { ts: 'number', mongoose: 'Number', zod: 'z.number' },
+  integer: { ts: 'number', mongoose: 'Number', zod: 'z.number' },
+  boolean: { ts: 'boolean', mongoose: 'Boolean', zod: 'z.boolean' },
+  date: { ts: 'Date', mongoose: 'Date', zod: 'z.coerce.date' },
+  enum: { ts: null, mongoose: 'String', zod: 'z.enum' },
+  ref: { ts: 'Types.ObjectId', mongoose: 'Schema.Types.ObjectId', zod: null },
+};
+
+// Flags and options accepted after the type, e.g. `title:string:required:max=120`
+const fieldFlags = ['required', 'unique', 'index', 'search', 'lowercase', 'uppercase'];
+const fieldOptions = ['min', 'max', 'default', 'onDelete', 'accept'];
+
+// What deleting a referenced document does to ref fields (see src/utils/mongoose/relations.ts)
+const deletePolicies = ['restrict', 'cascade', 'set-null'];
+
+// Multipliers of the size units accepted by `max` on file fields, e.g. `max=2mb`
+const sizeUnits = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Names the generated code or the plugins already use
+const reservedFieldNames = ['_id', 'id', '__v', 'version', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// Helper function to pluralize an English word, e.g. for the enum values constant
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// Helper function to singularize the name of an array field, e.g. `categories` -> `category`
+function singularize(word) {
+  if (/[^aeiou]ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(s|x|z|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Helper function to turn a field name into a label for messages, e.g. `publishedAt` -> `Published at`
+function toLabel(name) {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  return capitalize(words);
+}
+
+// Helper function to read a size such as `2mb`, `512kb` or `1048576` as bytes
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+  return match ? Math.round(Number(match[1]) * sizeUnits[(match[2] || 'b').toLowerCase()]) : NaN;
+}
+
+// Helper function to split a type such as `string[]`, `enum(draft|live)` or `ref(User)` into its parts
+function parseFieldType(rawType) {
+  const array = rawType.endsWith('[]');
+  const type = array ? rawType.slice(0, -2) : rawType;
+  // Files are uploads of the upload module, attached by ID
+  if (type === 'file') return { type: 'ref', model: 'Upload', file: true, array };
+  const refMatch = /^ref\(([^)]*)\)$/.exec(type);
+  if (refMatch) return { type: 'ref', model: refMatch[1].trim(), array };
+  const enumMatch = /^enum\(([^)]*)\)$/.exec(type);
+  if (!enumMatch) return { type, array };
+  const values = enumMatch[1].split('|').map((value) => value.trim()).filter(Boolean);
+  return { type: 'enum', values, array };
+}
+
+/**
+ * Parses the compact field syntax, e.g. `title:string:required:unique,status:enum(draft|live)`.
+ * Array fields append `[]` to the type, e.g. `tags:string[]`, and ref fields name the
+ * referenced model, e.g. `author:ref(User):onDelete=cascade` or `tags:ref(Tag)[]`. File
+ * fields hold uploads, e.g. `cover:file:accept=jpg|png:max=2mb` or `attachments:file[]`.
+ */
+function parseFieldList(spec) {
+  return spec
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [name, rawType = '', ...modifiers] = part.split(':').map((token) => token.trim());
+      const field = { name, ...parseFieldType(rawType) };
+      for (const modifier of modifiers) {
+        const [key, ...rest] = modifier.split('=');
+        if (rest.length) field[key] = rest.join('=');
+        else field[key] = true;
+      }
+      return field;
+    });
+}
+
+/**
+ * Reads a JSON or YAML spec file. It holds either a list of fields with a `name`, or an
+ * object keyed by field name, optionally under a top-level `fields` key. A field given as
+ * a string uses the compact syntax without its name, e.g. `string:required`.
+ */
+function readFieldFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const spec = /\.ya?ml$/i.test(file) ? require('js-yaml').load(text) : JSON.parse(text);
+  const fields = spec && spec.fields ? spec.fields : spec;
+  if (Array.isArray(fields)) return fields;
+  if (fields && typeof fields === 'object') {
+    return Object.entries(fields).map(([name, field]) =>
+      typeof field === 'string' ? parseFieldList(`${name}:${field}`)[0] : { name, ...field }
+    );
+  }
+  throw new Error('The spec file must hold a list or an object of fields');
+}
+
+/**
+ * Checks and normalizes field definitions, converting option values to the field type.
+ *
+ * @returns {{ fields: object[], errors: string[] }}
+ */
+function normalizeFields(rawFields) {
+  const errors = [];
+  const names = new Set();
+  const fields = rawFields.map((raw) => {
+    const field = { ...raw, array: !!raw.array };
+    const where = `Field "${field.name}"`;
+    if (typeof field.type === 'string') {
+      const { type, values, model, file, array } = parseFieldType(field.type);
+      field.type = type;
+      field.values = field.values || values;
+      field.model = field.model || model;
+      field.file = field.file || file;
+      field.array = field.array || array;
+    }
+    if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(field.name || '')) {
+      errors.push(`${where}: names must start with a letter and contain only letters, digits and _`);
+    } else if (reservedFieldNames.includes(field.name)) {
+      errors.push(`${where}: the name is reserved`);
+    } else if (names.has(field.name)) {
+      errors.push(`${where}: defined twice`);
+    }
+    names.add(field.name);
+    if (!fieldTypes[field.type]) {
+      const types = Object.keys(fieldTypes).filter((type) => type !== 'enum' && type !== 'ref');
+      errors.push(`${where}: unknown type "${field.type}" (use ${types.join(', ')}, file, enum(a|b) or ref(Model))`);
+      return field;
+    }
+    if (field.type === 'enum' && !(Array.isArray(field.values) && field.values.length)) {
+      errors.push(`${where}: enum fields need values, e.g. enum(draft|live)`);
+    }
+    if (field.type === 'ref') {
+      if (!/^[A-Z][a-zA-Z0-9]*$/.test(field.model || '')) {
+        errors.push(`${where}: ref fields need the name of a model, e.g. ref(User)`);
+      }
+      field.onDelete = field.onDelete || 'restrict';
+      if (!deletePolicies.includes(field.onDelete)) {
+        errors.push(`${where}: onDelete must be one of ${deletePolicies.join(', ')}`);
+      } else if (field.onDelete === 'set-null' && field.required && !field.array) {
+        errors.push(`${where}: required fields cannot be cleared, use onDelete=restrict or cascade`);
+      }
+    } else if (field.onDelete !== undefined) {
+      errors.push(`${where}: onDelete only applies to ref fields`);
+    }
+    if (field.file) {
+      // `accept` lists extensions, e.g. jpg|png, and `max` is a size, e.g. 2mb
+      if (field.accept !== undefined) {
+        field.accept = (Array.isArray(field.accept) ? field.accept : String(field.accept).split('|'))
+          .map((extension) => String(extension).trim().replace(/^\./, '').toLowerCase())
+          .filter(Boolean);
+        if (!field.accept.length) errors.push(`${where}: accept needs extensions, e.g. accept=jpg|png`);
+      }
+      if (field.max !== undefined) {
+        field.maxSize = parseSize(field.max);
+        if (!Number.isFinite(field.maxSize)) errors.push(`${where}: max must be a size, e.g. 2mb`);
+        delete field.max;
+      }
+    } else if (field.accept !== undefined) {
+      errors.push(`${where}: accept only applies to file fields`);
+    }
+    for (const key of Object.keys(raw)) {
+      if (!['name', 'type', 'values', 'model', 'file', 'array', ...fieldFlags, ...fieldOptions].includes(key)) {
+        errors.push(`${where}: unknown modifier "${key}"`);
+      }
+    }
+    for (const key of ['min', 'max']) {
+      if (field[key] === undefined) continue;
+      field[key] = Number(field[key]);
+      if (!Number.isFinite(field[key])) errors.push(`${where}: ${key} must be a number`);
+      if (!['string', 'number', 'integer'].includes(field.type) || field.array) {
+        errors.push(`${where}: ${key} only applies to string, number and integer fields`);
+      }
+    }
+    if (field.default !== undefined) {
+      const value = String(field.default);
+      if (field.array) {
+        errors.push(`${where}: array fields always default to an empty array`);
+      } else if (field.type === 'number' || field.type === 'integer') {
+        field.default = Number(value);
+        if (!Number.isFinite(field.default)) errors.push(`${where}: the default must be a number`);
+      } else if (field.type === 'boolean') {
+        if (!['true', 'false'].includes(value)) errors.push(`${where}: the default must be true or false`);
+        field.default = value === 'true';
+      } else if (field.type === 'enum' && !field.values.includes(value)) {
+        errors.push(`${where}: the default must be one of ${field.values.join(', ')}`);
+      } else if (field.type === 'date' || field.type === 'ref') {
+        errors.push(`${where}: ${field.type} fields cannot have a default`);
+      } else {
+        field.default = value;
+      }
+    }
+    if ((field.lowercase || field.uppercase || field.search) && field.type !== 'string') {
+      errors.push(`${where}: lowercase, uppercase and search only apply to string fields`);
+    }
+    if (field.unique && field.array) errors.push(`${where}: array fields cannot be unique`);
+    return field;
+  });
+  return { fields, errors };
+}
+
+/**
+ * Reads the --fields option: a compact field list, or the path of a JSON or YAML spec file.
+ *
+ * @returns {object[] | null} - The normalized fields, or null when the option is absent.
+ */
+function loadFields(option) {
+  if (!option) return null;
+  const isFile = /\.(json|ya?ml)$/i.test(option);
+  let rawFields;
+  try {
+    rawFields = isFile ? readFieldFile(path.resolve(option)) : parseFieldList(option);
+  } catch (error) {
+    console.log(`${RED}Could not read the fields: ${error.message}${RESET}`);
+    process.exit(1);
+  }
+  const { fields, errors } = normalizeFields(rawFields);
+  if (!fields.length) errors.push('No fields were given');
+  if (errors.length) {
+    console.log(`${RED}Invalid fields, no files were created:${RESET}`);
+    errors.forEach((error) => console.log(`  - ${error}`));
+    process.exit(1);
+  }
+  return fields;
+}
+
+// Singular name of the values of a field; array fields usually have a plural name
+function valueName(field) {
+  return field.array ? singularize(field.name) : field.name;
+}
+
+// Name of the constant holding the values of an enum field, e.g. `blogStatuses`
+function enumConstName(resourceName, field) {
+  return `${resourceName}${capitalize(pluralize(valueName(field)))}`;
+}
+
+// Name of the type of an enum field, e.g. `TBlogStatus`
+function enumTypeName(resourceName, field) {
+  return `T${capitalize(resourceName)}${capitalize(valueName(field))}`;
+}
+
+// TypeScript type of a field, e.g. `string[]` or `TBlogStatus`
+function toTsType(resourceName, field) {
+  const type = field.type === 'enum' ? enumTypeName(resourceName, field) : fieldTypes[field.type].ts;
+  return field.array ? `${type}[]` : type;
+}
+
+// A field is always present when it is required, has a default or is an array
+function isAlwaysSet(field) {
+  return !!field.required || field.default !== undefined || field.array;
+}
+
+// Interface members shared by I<Name> and T<Name>
+function renderInterfaceMembers(resourceName, fields, indent) {
+  return fields
+    .map((field) => `${indent}${field.name}${isAlwaysSet(field) ? '' : '?'}: ${toTsType(resourceName, field)};`)
+    .join('\n');
+}
+
+// Enum value constants and types, for the interface file
+function renderEnumDeclarations(resourceName, moduleName, fields) {
+  return fields
+    .filter((field) => field.type === 'enum')
+    .map(
+      (field) => `/**
+ * Allowed values of the ${field.name} of a ${moduleName.toLowerCase()}.
+ */
+export const ${enumConstName(resourceName, field)} = [${field.values.map((value) => `'${value}'`).join(', ')}] as const;
+
+export type ${enumTypeName(resourceName, field)} = (typeof ${enumConstName(resourceName, field)})[number];
+
+`
+    )
+    .join('');
+}
+
+// Import of the enum constants (and types) from the interface file, if any
+function renderEnumImport(resourceName, moduleName, fields, withTypes) {
+  const names = fields
+    .filter((field) => field.type === 'enum')
+    .flatMap((field) => [
+      ...(withTypes ? [enumTypeName(resourceName, field)] : []),
+      enumConstName(resourceName, field),
+    ])
+    .sort((a, b) => a.localeCompare(b));
+  return names.length ? `\nimport { ${names.join(', ')} } from './${moduleName}.interface';` : '';
+}
+
+// Mongoose schema definition of every field
+function renderSchemaFields(resourceName, fields) {
+  return fields
+    .map((field) => {
+      const type = fieldTypes[field.type].mongoose;
+      const isRef = field.type === 'ref';
+      const elementType = isRef ? `{ type: ${type}, ref: '${field.model}' }` : type;
+      const lines = [`type: ${field.array ? `[${elementType}]` : type},`];
+      if (isRef && !field.array) lines.push(`ref: '${field.model}',`);
+      // Checked by the delete services of the referenced model
+      if (isRef) lines.push(`onDelete: '${field.onDelete}',`);
+      if (field.required) lines.push('required: true,');
+      if (field.unique) lines.push('unique: true,');
+      // Delete policies look documents up by their refs
+      if ((field.index || isRef) && !field.unique) lines.push('index: true,');
+      if (field.type === 'enum') lines.push(`enum: ${enumConstName(resourceName, field)},`);
+      if (field.lowercase) lines.push('lowercase: true,');
+      if (field.uppercase) lines.push('uppercase: true,');
+      if (field.type === 'string') lines.push('trim: true,');
+      const isString = field.type === 'string';
+      if (field.min !== undefined) lines.push(`${isString ? 'minlength' : 'min'}: ${field.min},`);
+      if (field.max !== undefined) lines.push(`${isString ? 'maxlength' : 'max'}: ${field.max},`);
+      if (field.array) lines.push('default: [],');
+      else if (field.default !== undefined) lines.push(`default: ${JSON.stringify(field.default).replace(/"/g, "'")},`);
+      return `  ${field.name}: {\n${lines.map((line) => `    ${line}`).join('\n')}\n  },`;
+    })
+    .join('\n');
+}
+
+// Zod schema of a single field, for creation (`create`) or updates
+function renderZodField(resourceName, field, create) {
+  const label = toLabel(field.name);
+  const isString = field.type === 'string';
+  if (field.type === 'ref') {
+    let schema;
+    if (field.file) {
+      // Extensions and size of the uploads the field accepts
+      const rules = [
+        ...(field.accept ? [`extensions: [${field.accept.map((extension) => `'${extension}'`).join(', ')}]`] : []),
+        ...(field.maxSize !== undefined ? [`maxSize: ${field.maxSize}`] : []),
+      ];
+      const rulesArgument = rules.length ? `, { ${rules.join(', ')} }` : '';
+      schema = field.array
+        ? `zodAttachments('${toLabel(valueName(field))}'${rulesArgument})`
+        : `zodAttachment('${label}'${rulesArgument})`;
+    } else {
+      schema = field.array
+        ? `zodReferences('${field.model}', '${toLabel(valueName(field))}')`
+        : `zodReference('${field.model}', '${label}')`;
+    }
+    if (!create) return `${schema}.optional()`;
+    if (field.array) return `${schema}.default([])`;
+    return field.required ? schema : `${schema}.optional()`;
+  }
+  let schema;
+  if (field.type === 'enum') {
+    schema = `z.enum(${enumConstName(resourceName, field)})`;
+  } else {
+    const message = field.required && create && !field.array
+      ? `{ message: '${label} is required' }`
+      : '';
+    schema = `${fieldTypes[field.type].zod}(${message})`;
+  }
+  if (field.type === 'integer') schema += '.int()';
+  if (isString) schema += '.trim()';
+  if (field.lowercase) schema += '.toLowerCase()';
+  if (field.uppercase) schema += '.toUpperCase()';
+  if (field.min !== undefined) {
+    schema += isString
+      ? `.min(${field.min}, '${label} must be at least ${field.min} characters')`
+      : `.min(${field.min}, '${label} must be at least ${field.min}')`;
+  }
+  if (field.max !== undefined) {
+    schema += isString
+      ? `.max(${field.max}, '${label} must be at most ${field.max} characters')`
+      : `.max(${field.max}, '${label} must be at most ${field.max}')`;
+  }
+  if (field.array) schema = `z.array(${schema})`;
+  if (!create) return `${schema}.optional()`;
+  if (field.array) return `${schema}.default([])`;
+  if (field.default !== undefined) return `${schema}.default(${JSON.stringify(field.default).replace(/"/g, "'")})`;
+  return field.required ? schema : `${schema}.optional()`;
+}
+
+// Members of the create or update Zod object
+function renderZodFields(resourceName, fields, create) {
+  return fields
+    .map((field) => `    ${field.name}: ${renderZodField(resourceName, field, create)},`)
+    .join('\n');
+}
+
+// TypeScript expression of a valid value of a field for generated tests, distinct for each `n`
+function renderSampleValue(field) {
+  let value;
+  if (field.type === 'string') {
+    let prefix = field.name;
+    if (field.lowercase) prefix = prefix.toLowerCase();
+    if (field.uppercase) prefix = prefix.toUpperCase();
+    if (field.max !== undefined) prefix = prefix.slice(0, Math.max(field.max - 2, 0));
+    const padding = field.min !== undefined ? 'x'.repeat(Math.max(field.min - prefix.length - 1, 0)) : '';
+    value = `\`${prefix}${padding}\${n}\``;
+  } else if (field.type === 'number' || field.type === 'integer') {
+    const base = field.min ?? (field.max !== undefined ? Math.min(1, field.max) : 1);
+    value = field.unique ? `${base} + n` : `${base}`;
+  } else if (field.type === 'boolean') {
+    value = 'true';
+  } else if (field.type === 'date') {
+    value = 'new Date(Date.UTC(2024, 0, n)).toISOString()';
+  } else if (field.type === 'ref') {
+    // Documents inserted before each test; unique refs need one per sample
+    value = `refs.${field.name}[${field.unique ? 'n' : 0}]`;
+  } else {
+    const values = field.values.map((item) => `'${item}'`);
+    value = field.unique ? `([${values.join(', ')}] as const)[n % ${values.length}]` : values[0];
+  }
+  return field.array ? `[${value}]` : value;
+}
+
+// Object literal of a valid resource for generated tests
+function renderSampleBody(fields) {
+  if (!fields || !fields.length) return '{}';
+  return `{\n${fields.map((field) => `  ${field.name}: ${renderSampleValue(field)},`).join('\n')}\n}`;
+}
+
+// Root of the project and directory holding the modules
+const projectRoot = path.join(__dirname, '..');
+const modulesDir = path.join(projectRoot, 'src', 'modules');
+
+// Function to format file paths relative to project root
+const formatPath = (filePath) => path.relative(projectRoot, filePath);
+
+// Function to generate expected files based on the module name
+function getExpectedFiles(moduleName) {
+  return [
+    `${moduleName}.controller.ts`,
+    `${moduleName}.interface.ts`,
+    `${moduleName}.model.ts`,
+    `${moduleName}.route.ts`,
+    `${moduleName}.service.ts`,
+    `${moduleName}.test.ts`,
+    `${moduleName}.validation.ts`,
+  ];
+}
+
+// Function to ask questions in the command line
+function askQuestion(rl, question) {
+  return new Promise((resolve) => {
+    rl.question(question, resolve);
+  });
+}
+
+/**
+ * Asks a yes/no question, unless `force` answers it. Without a terminal to ask on, the
+ * answer is no.
+ *
+ * @returns {Promise<boolean>} - `true` if the user answered yes (or y).
+ */
+async function confirm(question, force) {
+  if (force) return true;
+  if (!process.stdin.isTTY) {
+    console.log(`${RED}Cannot ask for confirmation without a terminal; pass --force to proceed.${RESET}`);
+    process.exitCode = 1;
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await askQuestion(rl, `${BLUE}${question}${RESET} (yes/no) `);
+    return ['yes', 'y'].includes(answer.trim().toLowerCase());
+  } finally {
+    rl.close();
+  }
+}
+
+// Helper function to list the files below a directory, recursively
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+// Helper function to escape a string for use in a regular expression
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the files outside a module that import from it, e.g. `../blog/blog.model`.
+ *
+ * @returns {string[]} - Paths of the importing files.
+ */
+function findModuleImports(moduleName) {
+  const name = escapeRegExp(moduleName);
+  const importPattern = new RegExp(`['"][^'"]*/${name}/${name}\\.[\\w.]+['"]`);
+  const moduleDir = path.join(modulesDir, moduleName);
+  return listFiles(path.join(projectRoot, 'src')).filter(
+    (file) =>
+      !file.startsWith(`${moduleDir}${path.sep}`) &&
+      /\.ts$/.test(file) &&
+      importPattern.test(fs.readFileSync(file, 'utf8'))
+  );
+}
+
+/**
+ * Finds the files of other modules that refer to a module's model by name, e.g. the ref
+ * fields `ref: 'Blog'` and `zodReference('Blog', ...)` of other resources.
+ *
+ * @returns {string[]} - Paths of the referring files.
+ */
+function findModelReferences(moduleName) {
+  const modelName = escapeRegExp(capitalize(toCamelCase(moduleName)));
+  const refPattern = new RegExp(
+    `ref: ['"]${modelName}['"]|(zodReferences?|createTestReferences)\\(['"]${modelName}['"]`
+  );
+  const moduleDir = path.join(modulesDir, moduleName);
+  return listFiles(modulesDir).filter(
+    (file) =>
+      !file.startsWith(`${moduleDir}${path.sep}`) &&
+      /\.ts$/.test(file) &&
+      refPattern.test(fs.readFileSync(file, 'utf8'))
+  );
+}
+
+// Prints a colored unified diff of a planned change
+function printDiff(change) {
+  const { createTwoFilesPatch } = require('diff');
+  const patch = createTwoFilesPatch(
+    change.action === 'create' ? '/dev/null' : formatPath(change.from || change.path),
+    change.action === 'delete' ? '/dev/null' : formatPath(change.path),
+    change.before || '',
+    change.content || ''
+  );
+  patch
+    .split('\n')
+    .slice(1) // Skip the ==== separator
+    .forEach((line) => {
+      if (/^(\+\+\+|---)/.test(line)) console.log(line);
+      else if (line.startsWith('+')) console.log(`${GREEN}${line}${RESET}`);
+      else if (line.startsWith('-')) console.log(`${RED}${line}${RESET}`);
+      else if (line.startsWith('@@')) console.log(`${BLUE}${line}${RESET}`);
+      else console.log(line);
+    });
+}
+
+/**
+ * Prints planned file changes and, unless `dryRun` is set, applies them in order.
+ *
+ * Each change is `{ action, path, content }`, where `action` is `create`, `update`,
+ * `rename` or `delete`. Renames also carry the old path in `from`; updates, renames and
+ * deletions carry the current content in `before` for the diff.
+ *
+ * @param {object[]} changes - The changes to apply.
+ * @param {{ dryRun?: boolean, diff?: boolean }} options - `diff` prints a unified diff of each change.
+ */
+function applyChanges(changes, { dryRun = false, diff = false } = {}) {
+  const labels = {
+    create: `${GREEN}CREATE`,
+    update: `${BLUE}UPDATE`,
+    rename: `${BLUE}RENAME`,
+    delete: `${RED}DELETE`,
+  };
+  for (const change of changes) {
+    const target =
+      change.action === 'rename'
+        ? `${formatPath(change.from)} -> ${formatPath(change.path)}`
+        : formatPath(change.path);
+    const size =
+      change.content === undefined
+        ? ''
+        : ` ${BLUE}(${Buffer.byteLength(change.content, 'utf8')} bytes)${RESET}`;
+    console.log(`${labels[change.action]} ${RESET}${target}${size}`);
+    if (diff) printDiff(change);
+    if (dryRun) continue;
+
+    if (change.action === 'delete') {
+      fs.unlinkSync(change.path);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(change.path), { recursive: true });
+    fs.writeFileSync(change.path, change.content);
+    if (change.action === 'rename' && change.from !== change.path) fs.unlinkSync(change.from);
+  }
+}
+
+// Message closing the output of a dry run
+const DRY_RUN_NOTICE = `${BLUE}Dry run: no files were changed.${RESET}`;
+
+// Helper function to derive the identifier of a resource from its module name, e.g. `blog-post` -> `blogPost`
+function toResourceName(moduleName) {
+  return !new RegExp(specialCharRegex.source).test(moduleName)
+    ? moduleName.toLowerCase()
+    : toCamelCase(moduleName);
+}
+
+/**
+ * Every spelling of a module name found in generated files: the module name itself (paths,
+ * route paths, permissions), its identifier (`blogPost`), the capitalized identifier
+ * (`BlogPost`, `IBlogPost`) and the capitalized name used in messages.
+ */
+function getNameForms(moduleName) {
+  const resourceName = toResourceName(moduleName);
+  return [
+    moduleName,
+    moduleName.toLowerCase(),
+    resourceName,
+    capitalize(resourceName),
+    moduleName[0].toUpperCase() + moduleName.slice(1).toLowerCase(),
+  ];
+}
+
+/**
+ * Tells whether a position of a source file is inside a string or comment, where a module
+ * name is spelled as is, or in code, where it is spelled as an identifier.
+ *
+ * @returns {'string' | 'comment' | 'code'}
+ */
+function getSourceContext(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  const line = text.slice(lineStart, offset);
+  if (/^\s*(\/\/|\/\*|\*)/.test(line)) return 'comment';
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '/' && line[i + 1] === '/') {
+      return 'comment';
+    }
+  }
+  return quote ? 'string' : 'code';
+}
+
+/**
+ * Builds a function replacing every spelling of one module name with the matching spelling
+ * of another. A spelling only matches as a whole word or word part, so renaming `post`
+ * rewrites `posts`, `postServices` and `IPost` but leaves `poster` alone.
+ *
+ * Spellings that coincide in the old name (`blog` is both the module name and the
+ * identifier) are told apart by where they appear, since they may differ in the new one
+ * (`blog-post` and `blogPost`). Pass `context` to use the same one for the whole text, e.g.
+ * `string` for file names.
+ */
+function createRenamer(oldName, newName) {
+  const [oldModule, oldLower, oldIdentifier, oldClass, oldLabel] = getNameForms(oldName);
+  const [newModule, newLower, newIdentifier, newClass, newLabel] = getNameForms(newName);
+  const forms = [...new Set([oldModule, oldLower, oldIdentifier, oldClass, oldLabel])]
+    .sort((a, b) => b.length - a.length)
+    .map((form) => `${/^[a-z]/.test(form) ? '(?<![a-zA-Z])' : ''}${escapeRegExp(form)}`);
+  const pattern = new RegExp(`(?:${forms.join('|')})(?=s?(?![a-z]))`, 'g');
+
+  return (text, context) =>
+    text.replace(pattern, (match, offset) => {
+      const where = context || getSourceContext(text, offset);
+      const before = text[offset - 1] || '';
+      const after = text.slice(offset + match.length).replace(/^s(?![a-zA-Z0-9_$])/, '');
+      // Part of a longer identifier, e.g. `blogServices`, `IBlog` or `BlogSchema`, or a property key
+      const inIdentifier = /^([A-Z0-9_$]|: )/.test(after) || /[a-zA-Z]/.test(before);
+      // The model name, e.g. mongoose.model('Blog'), is the only quoted class name
+      const quoted = /['"`]/.test(before) && /^['"`]/.test(after);
+      if (match === oldIdentifier && (where === 'code' || inIdentifier)) return newIdentifier;
+      if (match === oldClass && (where === 'code' || inIdentifier || quoted)) return newClass;
+      if (match === oldModule && where === 'string') return newModule;
+      if (match === oldLower) return newLower;
+      if (match === oldModule) return newModule;
+      if (match === oldLabel) return newLabel;
+      if (match === oldIdentifier) return newIdentifier;
+      return newClass;
+    });
+}
+
 if (command === 'resource') {
   // Command-line options setup
   program
     .version('1.0.0') // Version of the CLI tool
     .description('Generate route, model, controller, and interface files for a new resource') // Description of the tool
     .argument('<name>', 'Resource name') // Argument for resource name
-    .action((name) => {
-      const resourceName = !specialCharRegex.test(args[0])
-        ? args[0].toLowerCase()
-        : toCamelCase(args[0]);
+    .option('--soft-delete', 'Move deleted documents to a trash with restore and purge routes')
+    .option(
+      '--fields <spec>',
+      'Fields, e.g. "title:string:required:unique,price:number:min=0,status:enum(draft|live)", or a JSON/YAML spec file'
+    )
+    .option('--dry-run', 'Show the files that would be created without writing them')
+    .option('--diff', 'Print the content of each created file as a diff')
+    .option('--force', 'Create missing files of an existing module without asking')
+    .action((name, options) => {
+      // Soft delete adds the plugin, the restore/purge/trash routes and their services
+      const softDelete = !!options.softDelete;
+      // Field definitions fill the model, interfaces, validation and service; placeholders otherwise
+      const fields = loadFields(options.fields);
+      const resourceName = toResourceName(args[0]);
 
       const capitalizedResourceName = capitalize(resourceName);
 
+      // Unique fields get a duplicate check in the services
+      const uniqueFields = fields ? fields.filter((field) => field.unique).map((field) => field.name) : [];
+      // Ref fields are checked to exist on writes and may be populated on reads
+      const refFields = fields ? fields.filter((field) => field.type === 'ref') : [];
+      const referenceValidators = ['zodReference', 'zodReferences'].filter((validator) =>
+        refFields.some((field) => !field.file && field.array === (validator === 'zodReferences'))
+      );
+      const attachmentValidators = ['zodAttachment', 'zodAttachments'].filter((validator) =>
+        refFields.some((field) => field.file && field.array === (validator === 'zodAttachments'))
+      );
+      const populateFieldsLine = refFields.length
+        ? `const populateFields = [${refFields.map((field) => `'${field.name}'`).join(', ')}];`
+        : `const populateFields: string[] = [/* 'fieldName', */];`;
+      // Fields matched by searchKey: those marked `search`, else every single string field
+      const searchableFields = fields
+        ? (fields.some((field) => field.search)
+            ? fields.filter((field) => field.search)
+            : fields.filter((field) => field.type === 'string' && !field.array)
+          ).map((field) => `'${field.name}'`)
+        : [];
+      const searchFieldsLine = fields
+        ? `searchFields: [${searchableFields.join(', ')}], // Fields matched by searchKey`
+        : `searchFields: [/* 'fieldName', */], // Fields matched by searchKey`;
+
       // Path to the route directory
       const routeDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
       // Create route file content
@@ -59,96 +763,206 @@ import { Router } from 'express';
 import { 
   create${capitalizedResourceName},
   createMany${capitalizedResourceName},
+  import${capitalizedResourceName},
   update${capitalizedResourceName},
   updateMany${capitalizedResourceName},
   delete${capitalizedResourceName},
   deleteMany${capitalizedResourceName},
   get${capitalizedResourceName}ById,
-  getMany${capitalizedResourceName}
+  getMany${capitalizedResourceName},
+  export${capitalizedResourceName},
+  get${capitalizedResourceName}History${softDelete ? `,
+  restore${capitalizedResourceName},
+  restoreMany${capitalizedResourceName},
+  purge${capitalizedResourceName},
+  purgeMany${capitalizedResourceName},
+  getTrash${capitalizedResourceName}` : ''}
 } from './${args[0]}.controller';
 
 //Import validation from corresponding module
 import { validateCreate${capitalizedResourceName}, validateCreateMany${capitalizedResourceName}, validateUpdate${capitalizedResourceName}, validateUpdateMany${capitalizedResourceName}} from './${args[0]}.validation';
-import { validateId, validateIds, validateSearchQueries } from '../../handlers/common-zod-validator';
+import { validateBulkQuery, validateExportQuery, validateId, validateIds, validateImportQuery, validatePopulateQuery, validateSearchQueries } from '../../handlers/common-zod-validator';
+import acceptFile from '../../middlewares/accept-file';
+import isAuthorized from '../../middlewares/is-authorized';
+import authorize from '../../middlewares/authorize';
+import cacheResponse, { invalidateCache } from '../../middlewares/cache-response';
+import { importFormats } from '../../utils/transfer/import-documents';
 
 // Initialize router
 const router = Router();
 
+// Every successful write drops the cached get-${args[0]} responses
+router.use(invalidateCache('${args[0]}'));
+
 // Define route handlers
+// Every route requires a permission (see src/config/permissions.ts). To let users act on
+// their own documents, grant '<permission>:own' and pass an ownership check, e.g.
+// authorize('${args[0]}:update', { owner: ownsDocument(${capitalizedResourceName}Model) })
 /**
  * @route POST /api/v1/${args[0]}/create-${args[0]}
  * @description Create a new ${args[0]}
- * @access Public
+ * @access Private (${args[0]}:create)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {function} validation - ['validateCreate${capitalizedResourceName}']
  * @param {function} controller - ['create${capitalizedResourceName}']
  */
-router.post("/create-${args[0]}", validateCreate${capitalizedResourceName}, create${capitalizedResourceName});
+router.post("/create-${args[0]}", isAuthorized, authorize('${args[0]}:create'), validateCreate${capitalizedResourceName}, create${capitalizedResourceName});
 
 /**
  * @route POST /api/v1/${args[0]}/create-${args[0]}/many
- * @description Create multiple ${args[0]}s
- * @access Public
- * @param {function} validation - ['validateCreateMany${capitalizedResourceName}']
+ * @description Create multiple ${args[0]}s, all or none; \`?mode=partial\` creates each valid one and reports each outcome
+ * @access Private (${args[0]}:create:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateBulkQuery', 'validateCreateMany${capitalizedResourceName}']
  * @param {function} controller - ['createMany${capitalizedResourceName}']
  */
-router.post("/create-${args[0]}/many", validateCreateMany${capitalizedResourceName}, createMany${capitalizedResourceName});
+router.post("/create-${args[0]}/many", isAuthorized, authorize('${args[0]}:create:many'), validateBulkQuery, validateCreateMany${capitalizedResourceName}, createMany${capitalizedResourceName});
+
+/**
+ * @route POST /api/v1/${args[0]}/import-${args[0]}
+ * @description Create ${args[0]}s from a CSV or NDJSON file sent in the \`file\` field, reporting invalid records by row
+ * @access Private (${args[0]}:import)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'acceptFile']
+ * @param {function} validation - ['validateImportQuery']
+ * @param {function} controller - ['import${capitalizedResourceName}']
+ */
+router.post("/import-${args[0]}", isAuthorized, authorize('${args[0]}:import'), acceptFile('file', { extensions: [...importFormats], tempFile: true }), validateImportQuery, import${capitalizedResourceName});
 
 /**
  * @route PUT /api/v1/${args[0]}/update-${args[0]}/many
- * @description Update multiple ${args[0]}s information
- * @access Public
- * @param {function} validation - ['validateIds', 'validateUpdateMany${capitalizedResourceName}']
+ * @description Update multiple ${args[0]}s information, all or none; \`?mode=partial\` updates each it can and reports each outcome
+ * @access Private (${args[0]}:update:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateBulkQuery', 'validateUpdateMany${capitalizedResourceName}']
  * @param {function} controller - ['updateMany${capitalizedResourceName}']
  */
-router.put("/update-${args[0]}/many", validateIds, validateUpdateMany${capitalizedResourceName}, updateMany${capitalizedResourceName});
+router.put("/update-${args[0]}/many", isAuthorized, authorize('${args[0]}:update:many'), validateBulkQuery, validateUpdateMany${capitalizedResourceName}, updateMany${capitalizedResourceName});
 
 /**
  * @route PUT /api/v1/${args[0]}/update-${args[0]}/:id
  * @description Update ${args[0]} information
- * @access Public
+ * @access Private (${args[0]}:update)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {IdOrIdsInput['id']} id - The ID of the ${args[0]} to update
  * @param {function} validation - ['validateId', 'validateUpdate${capitalizedResourceName}']
  * @param {function} controller - ['update${capitalizedResourceName}']
  */
-router.put("/update-${args[0]}/:id", validateId, validateUpdate${capitalizedResourceName}, update${capitalizedResourceName});
+router.put("/update-${args[0]}/:id", isAuthorized, authorize('${args[0]}:update'), validateId, validateUpdate${capitalizedResourceName}, update${capitalizedResourceName});
+
+${softDelete ? `/**
+ * @route PUT /api/v1/${args[0]}/restore-${args[0]}/many
+ * @description Restore multiple ${args[0]}s from the trash
+ * @access Private (${args[0]}:restore:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateIds']
+ * @param {function} controller - ['restoreMany${capitalizedResourceName}']
+ */
+router.put("/restore-${args[0]}/many", isAuthorized, authorize('${args[0]}:restore:many'), validateIds, restoreMany${capitalizedResourceName});
 
 /**
+ * @route PUT /api/v1/${args[0]}/restore-${args[0]}/:id
+ * @description Restore a ${args[0]} from the trash
+ * @access Private (${args[0]}:restore)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0]} to restore
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['restore${capitalizedResourceName}']
+ */
+router.put("/restore-${args[0]}/:id", isAuthorized, authorize('${args[0]}:restore'), validateId, restore${capitalizedResourceName});
+
+` : ''}/**
  * @route DELETE /api/v1/${args[0]}/delete-${args[0]}/many
- * @description Delete multiple ${args[0]}s
- * @access Public
- * @param {function} validation - ['validateIds']
+ * @description Delete multiple ${args[0]}s, all or none; \`?mode=partial\` deletes each it can and reports each outcome
+ * @access Private (${args[0]}:delete:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateBulkQuery', 'validateIds']
  * @param {function} controller - ['deleteMany${capitalizedResourceName}']
  */
-router.delete("/delete-${args[0]}/many", validateIds, deleteMany${capitalizedResourceName});
+router.delete("/delete-${args[0]}/many", isAuthorized, authorize('${args[0]}:delete:many'), validateBulkQuery, validateIds, deleteMany${capitalizedResourceName});
 
 /**
  * @route DELETE /api/v1/${args[0]}/delete-${args[0]}/:id
  * @description Delete a ${args[0]}
- * @access Public
+ * @access Private (${args[0]}:delete)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {IdOrIdsInput['id']} id - The ID of the ${args[0]} to delete
  * @param {function} validation - ['validateId']
  * @param {function} controller - ['delete${capitalizedResourceName}']
  */
-router.delete("/delete-${args[0]}/:id", validateId, delete${capitalizedResourceName});
+router.delete("/delete-${args[0]}/:id", isAuthorized, authorize('${args[0]}:delete'), validateId, delete${capitalizedResourceName});
+
+${softDelete ? `/**
+ * @route DELETE /api/v1/${args[0]}/purge-${args[0]}/many
+ * @description Permanently delete multiple ${args[0]}s from the trash
+ * @access Private (admin, ${args[0]}:purge:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateIds']
+ * @param {function} controller - ['purgeMany${capitalizedResourceName}']
+ */
+router.delete("/purge-${args[0]}/many", isAuthorized, authorize('${args[0]}:purge:many', { roles: ['admin'] }), validateIds, purgeMany${capitalizedResourceName});
 
 /**
+ * @route DELETE /api/v1/${args[0]}/purge-${args[0]}/:id
+ * @description Permanently delete a ${args[0]} from the trash
+ * @access Private (admin, ${args[0]}:purge)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0]} to purge
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['purge${capitalizedResourceName}']
+ */
+router.delete("/purge-${args[0]}/:id", isAuthorized, authorize('${args[0]}:purge', { roles: ['admin'] }), validateId, purge${capitalizedResourceName});
+
+/**
+ * @route GET /api/v1/${args[0]}/get-${args[0]}/trash
+ * @description Get the ${args[0]}s in the trash
+ * @access Private (${args[0]}:read:trash)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'cacheResponse']
+ * @param {function} validation - ['validateSearchQueries']
+ * @param {function} controller - ['getTrash${capitalizedResourceName}']
+ */
+router.get("/get-${args[0]}/trash", isAuthorized, authorize('${args[0]}:read:trash'), validateSearchQueries, cacheResponse('${args[0]}'), getTrash${capitalizedResourceName});
+
+` : ''}/**
  * @route GET /api/v1/${args[0]}/get-${args[0]}/many
  * @description Get multiple ${args[0]}s
- * @access Public
+ * @access Private (${args[0]}:read:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'cacheResponse']
  * @param {function} validation - ['validateSearchQueries']
  * @param {function} controller - ['getMany${capitalizedResourceName}']
  */
-router.get("/get-${args[0]}/many", validateSearchQueries, getMany${capitalizedResourceName});
+router.get("/get-${args[0]}/many", isAuthorized, authorize('${args[0]}:read:many'), validateSearchQueries, cacheResponse('${args[0]}'), getMany${capitalizedResourceName});
+
+/**
+ * @route GET /api/v1/${args[0]}/export-${args[0]}
+ * @description Download the ${args[0]}s matching the filters of get-${args[0]}/many as CSV, NDJSON or JSON
+ * @access Private (${args[0]}:export)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateExportQuery']
+ * @param {function} controller - ['export${capitalizedResourceName}']
+ */
+router.get("/export-${args[0]}", isAuthorized, authorize('${args[0]}:export'), validateExportQuery, export${capitalizedResourceName});
+
+/**
+ * @route GET /api/v1/${args[0]}/get-${args[0]}/:id/history
+ * @description Get the audit trail of a ${args[0]}
+ * @access Private (${args[0]}:read:history)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0]} whose changes to retrieve
+ * @param {function} validation - ['validateId', 'validateSearchQueries']
+ * @param {function} controller - ['get${capitalizedResourceName}History']
+ */
+router.get("/get-${args[0]}/:id/history", isAuthorized, authorize('${args[0]}:read:history'), validateId, validateSearchQueries, get${capitalizedResourceName}History);
 
 /**
  * @route GET /api/v1/${args[0]}/get-${args[0]}/:id
  * @description Get a ${args[0]} by ID
- * @access Public
+ * @access Private (${args[0]}:read)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'cacheResponse']
  * @param {IdOrIdsInput['id']} id - The ID of the ${args[0]} to retrieve
- * @param {function} validation - ['validateId']
+ * @param {function} validation - ['validateId', 'validatePopulateQuery']
  * @param {function} controller - ['get${capitalizedResourceName}ById']
  */
-router.get("/get-${args[0]}/:id", validateId, get${capitalizedResourceName}ById);
+router.get("/get-${args[0]}/:id", isAuthorized, authorize('${args[0]}:read'), validateId, validatePopulateQuery, cacheResponse('${args[0]}'), get${capitalizedResourceName}ById);
 
 // Export the router
 module.exports = router;
@@ -161,10 +975,16 @@ module.exports = router;
       // Create controller file content
       const controllerContent = `
 import { Request, Response } from 'express';
+import { UploadedFile } from 'express-fileupload';
 import { ${resourceName}Services } from './${args[0]}.service';
-import { SearchQueryInput } from '../../handlers/common-zod-validator';
-import ServerResponse from '../../helpers/responses/custom-response';
+import { BulkQueryInput, ExportQueryInput, getValidatedQuery, ImportQueryInput, PopulateQueryInput } from '../../handlers/common-zod-validator';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';${softDelete ? `
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';` : ''}
+import { sendBulkResults } from '../../utils/bulk/partial-bulk';
 import catchAsync from '../../utils/catch-async/catch-async';
+import { getIfMatchVersions, setETag } from '../../utils/http/etag';
+import { sendExport } from '../../utils/transfer/export-documents';
 
 /**
  * Controller function to handle the creation of a single ${args[0].toLowerCase()}.
@@ -178,6 +998,7 @@ export const create${capitalizedResourceName} = catchAsync(async (req: Request,
   // Call the service method to create a new ${args[0].toLowerCase()} and get the result
   const result = await ${resourceName}Services.create${capitalizedResourceName}(req.body);
   if (!result) throw new Error('Failed to create ${args[0].toLowerCase()}');
+  setETag(res, result);
   // Send a success response with the created ${args[0].toLowerCase()} data
   ServerResponse(res, true, 201, '${
     args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()
@@ -187,12 +1008,18 @@ export const create${capitalizedResourceName} = catchAsync(async (req: Request,
 /**
  * Controller function to handle the creation of multiple ${args[0].toLowerCase()}s.
  *
- * @param {Request} req - The request object containing an array of ${args[0].toLowerCase()} data in the body.
+ * @param {Request} req - The request object containing an array of ${args[0].toLowerCase()} data in the body and the bulk \`mode\` in the query.
  * @param {Response} res - The response object used to send the response.
- * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The created ${args[0].toLowerCase()}s.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[] | BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The created ${args[0].toLowerCase()}s, or the outcome of each item in partial mode.
  * @throws {Error} - Throws an error if the ${args[0].toLowerCase()}s creation fails.
  */
 export const createMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  if (getValidatedQuery<BulkQueryInput>(req).mode === 'partial') {
+    const results = await ${resourceName}Services.createMany${capitalizedResourceName}Partial(req.body);
+    // Send the outcome of each item, even if some failed
+    sendBulkResults(res, results, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s created', 201);
+    return;
+  }
   // Call the service method to create multiple ${args[0].toLowerCase()}s and get the result
   const result = await ${resourceName}Services.createMany${capitalizedResourceName}(req.body);
   if (!result) throw new Error('Failed to create multiple ${args[0].toLowerCase()}s');
@@ -200,19 +1027,43 @@ export const createMany${capitalizedResourceName} = catchAsync(async (req: Reque
   ServerResponse(res, true, 201, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s created successfully', result);
 });
 
+/**
+ * Controller function to handle the import of ${args[0].toLowerCase()}s from a file.
+ *
+ * @param {Request} req - The request object containing the file checked by \`acceptFile\` and \`dryRun\` in the query.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<ImportReport>} - The counts and the problems found, by row.
+ */
+export const import${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  const { dryRun } = getValidatedQuery<ImportQueryInput>(req);
+  // Call the service method to validate the file and store its valid records
+  const report = await ${resourceName}Services.import${capitalizedResourceName}(req.files!.file as UploadedFile, dryRun);
+  const outcome = report.failed ? 'with errors' : 'successfully';
+  // Send a response with the import report, even if some records were rejected
+  ServerResponse(
+    res,
+    true,
+    report.inserted ? 201 : 200,
+    dryRun ? \`${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s checked \${outcome}\` : \`${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s imported \${outcome}\`,
+    report
+  );
+});
+
 /**
  * Controller function to handle the update operation for a single ${args[0].toLowerCase()}.
  *
  * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} to update in URL parameters and the updated data in the body.
  * @param {Response} res - The response object used to send the response.
  * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The updated ${args[0].toLowerCase()}.
- * @throws {Error} - Throws an error if the ${args[0].toLowerCase()} update fails.
+ * @throws {NotFoundError} - Throws an error if the ${args[0].toLowerCase()} does not exist.
  */
 export const update${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params;
   // Call the service method to update the ${args[0].toLowerCase()} by ID and get the result
-  const result = await ${resourceName}Services.update${capitalizedResourceName}(id as string, req.body);
-  if (!result) throw new Error('Failed to update ${args[0].toLowerCase()}');
+  const result = await ${resourceName}Services.update${capitalizedResourceName}(id as string, req.body, getIfMatchVersions(req));
+  if (!result) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
+  // The new ETag lets the client chain further conditional updates
+  setETag(res, result);
   // Send a success response with the updated ${args[0].toLowerCase()} data
   ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} updated successfully', result);
 });
@@ -220,12 +1071,18 @@ export const update${capitalizedResourceName} = catchAsync(async (req: Request,
 /**
  * Controller function to handle the update operation for multiple ${args[0].toLowerCase()}s.
  *
- * @param {Request} req - The request object containing an array of ${args[0].toLowerCase()} data in the body.
+ * @param {Request} req - The request object containing an array of ${args[0].toLowerCase()} data in the body and the bulk \`mode\` in the query.
  * @param {Response} res - The response object used to send the response.
- * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The updated ${args[0].toLowerCase()}s.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[] | BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The updated ${args[0].toLowerCase()}s, or the outcome of each item in partial mode.
  * @throws {Error} - Throws an error if the ${args[0].toLowerCase()}s update fails.
  */
 export const updateMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  if (getValidatedQuery<BulkQueryInput>(req).mode === 'partial') {
+    const results = await ${resourceName}Services.updateMany${capitalizedResourceName}Partial(req.body);
+    // Send the outcome of each item, even if some failed
+    sendBulkResults(res, results, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s updated');
+    return;
+  }
   // Call the service method to update multiple ${args[0].toLowerCase()}s and get the result
   const result = await ${resourceName}Services.updateMany${capitalizedResourceName}(req.body);
   if (!result.length) throw new Error('Failed to update multiple ${args[0].toLowerCase()}s');
@@ -239,13 +1096,13 @@ export const updateMany${capitalizedResourceName} = catchAsync(async (req: Reque
  * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} to delete in URL parameters.
  * @param {Response} res - The response object used to send the response.
  * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The deleted ${args[0].toLowerCase()}.
- * @throws {Error} - Throws an error if the ${args[0].toLowerCase()} deletion fails.
+ * @throws {NotFoundError} - Throws an error if the ${args[0].toLowerCase()} does not exist.
  */
-export const delete${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+export const delete${capitalizedResourceName} = catchAsync(async (req: ${softDelete ? 'AuthenticatedRequest' : 'Request'}, res: Response) => {
   const { id } = req.params;
   // Call the service method to delete the ${args[0].toLowerCase()} by ID
-  const result = await ${resourceName}Services.delete${capitalizedResourceName}(id as string);
-  if (!result) throw new Error('Failed to delete ${args[0].toLowerCase()}');
+  const result = await ${resourceName}Services.delete${capitalizedResourceName}(id as string, ${softDelete ? 'req.user!._id, ' : ''}getIfMatchVersions(req));
+  if (!result) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
   // Send a success response confirming the deletion
   ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} deleted successfully');
 });
@@ -253,16 +1110,22 @@ export const delete${capitalizedResourceName} = catchAsync(async (req: Request,
 /**
  * Controller function to handle the deletion of multiple ${args[0].toLowerCase()}s.
  *
- * @param {Request} req - The request object containing an array of IDs of ${args[0].toLowerCase()} to delete in the body.
+ * @param {Request} req - The request object containing an array of IDs of ${args[0].toLowerCase()} to delete in the body and the bulk \`mode\` in the query.
  * @param {Response} res - The response object used to send the response.
- * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The deleted ${args[0].toLowerCase()}s.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[] | BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The deleted ${args[0].toLowerCase()}s, or the outcome of each ID in partial mode.
  * @throws {Error} - Throws an error if the ${args[0].toLowerCase()} deletion fails.
  */
-export const deleteMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+export const deleteMany${capitalizedResourceName} = catchAsync(async (req: ${softDelete ? 'AuthenticatedRequest' : 'Request'}, res: Response) => {
   // Extract ids from request body
   const { ids } = req.body;
+  if (getValidatedQuery<BulkQueryInput>(req).mode === 'partial') {
+    const results = await ${resourceName}Services.deleteMany${capitalizedResourceName}Partial(ids${softDelete ? ', req.user!._id' : ''});
+    // Send the outcome of each ID, even if some failed
+    sendBulkResults(res, results, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s deleted');
+    return;
+  }
   // Call the service method to delete multiple ${args[0].toLowerCase()}s and get the result
-  const result = await ${resourceName}Services.deleteMany${capitalizedResourceName}(ids);
+  const result = await ${resourceName}Services.deleteMany${capitalizedResourceName}(ids${softDelete ? ', req.user!._id' : ''});
   if (!result) throw new Error('Failed to delete multiple ${args[0].toLowerCase()}s');
   // Send a success response confirming the deletions
   ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s deleted successfully');
@@ -271,16 +1134,20 @@ export const deleteMany${capitalizedResourceName} = catchAsync(async (req: Reque
 /**
  * Controller function to handle the retrieval of a single ${args[0].toLowerCase()} by ID.
  *
- * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} to retrieve in URL parameters.
+ * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} to retrieve in URL parameters and the fields to populate in the query.
  * @param {Response} res - The response object used to send the response.
  * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The retrieved ${args[0].toLowerCase()}.
- * @throws {Error} - Throws an error if the ${args[0].toLowerCase()} retrieval fails.
+ * @throws {NotFoundError} - Throws an error if the ${args[0].toLowerCase()} does not exist.
  */
 export const get${capitalizedResourceName}ById = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params;
+  const { populate } = getValidatedQuery<PopulateQueryInput>(req);
   // Call the service method to get the ${args[0].toLowerCase()} by ID and get the result
-  const result = await ${resourceName}Services.get${capitalizedResourceName}ById(id as string);
-  if (!result) throw new Error('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
+  const result = await ${resourceName}Services.get${capitalizedResourceName}ById(id as string, populate);
+  if (!result) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
+  // Express answers a matching If-None-Match with 304 when the response is sent. Populated
+  // responses get their own ETag, covering the versions of the populated documents too
+  setETag(res, result, populate);
   // Send a success response with the retrieved resource data
   ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} retrieved successfully', result);
 });
@@ -294,14 +1161,132 @@ export const get${capitalizedResourceName}ById = catchAsync(async (req: Request,
  * @throws {Error} - Throws an error if the ${args[0].toLowerCase()}s retrieval fails.
  */
 export const getMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
-  // Type assertion for query parameters 
-  const query = req.query as SearchQueryInput;
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
   // Call the service method to get multiple ${args[0].toLowerCase()}s based on query parameters and get the result
-  const { ${resourceName}s, totalData, totalPages } = await ${resourceName}Services.getMany${capitalizedResourceName}(query);
+  const { ${resourceName}s, ...pagination } = await ${resourceName}Services.getMany${capitalizedResourceName}(query);
   if (!${resourceName}s) throw new Error('Failed to retrieve ${args[0].toLowerCase()}s');
   // Send a success response with the retrieved ${args[0].toLowerCase()}s data
-  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s retrieved successfully', { ${resourceName}s, totalData, totalPages });
+  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s retrieved successfully', { ${resourceName}s, ...pagination });
+});
+
+/**
+ * Controller function to handle the export of the ${args[0].toLowerCase()}s matching the list filters.
+ *
+ * @param {Request} req - The request object containing the format and filters in the query.
+ * @param {Response} res - The response object the file is streamed to.
+ */
+export const export${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  const query = getValidatedQuery<ExportQueryInput>(req);
+  // Call the service method to read the matching ${args[0].toLowerCase()}s
+  const content = await ${resourceName}Services.export${capitalizedResourceName}(query);
+  // Stream the file as a download
+  await sendExport(res, '${args[0]}', query.format, content);
+});
+
+/**
+ * Controller function to handle the retrieval of the audit trail of a single ${args[0].toLowerCase()}.
+ *
+ * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} in URL parameters and query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IAudit>[]>} - The changes made to the ${args[0].toLowerCase()}.
+ */
+export const get${capitalizedResourceName}History = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get the audit trail of the ${args[0].toLowerCase()} and get the result
+  const { history, ...pagination } = await ${resourceName}Services.get${capitalizedResourceName}History(id as string, query);
+  // Send a success response with the audit trail
+  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} history retrieved successfully', { history, ...pagination });
+});
+${softDelete ? `
+/**
+ * Controller function to handle restoring a single ${args[0].toLowerCase()} from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} to restore in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The restored ${args[0].toLowerCase()}.
+ * @throws {NotFoundError} - Throws an error if the ${args[0].toLowerCase()} is not in the trash.
+ */
+export const restore${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to restore the ${args[0].toLowerCase()} by ID and get the result
+  const result = await ${resourceName}Services.restore${capitalizedResourceName}(id as string);
+  if (!result) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found in the trash');
+  // Send a success response with the restored ${args[0].toLowerCase()} data
+  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} restored successfully', result);
+});
+
+/**
+ * Controller function to handle restoring multiple ${args[0].toLowerCase()}s from the trash.
+ *
+ * @param {Request} req - The request object containing an array of IDs of ${args[0].toLowerCase()} to restore in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The restored ${args[0].toLowerCase()}s.
+ * @throws {NotFoundError} - Throws an error if none of the ${args[0].toLowerCase()}s is in the trash.
+ */
+export const restoreMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  // Extract ids from request body
+  const { ids } = req.body;
+  // Call the service method to restore multiple ${args[0].toLowerCase()}s and get the result
+  const result = await ${resourceName}Services.restoreMany${capitalizedResourceName}(ids);
+  // Send a success response with the restored ${args[0].toLowerCase()}s data
+  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s restored successfully', result);
+});
+
+/**
+ * Controller function to handle permanently deleting a single ${args[0].toLowerCase()} from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the ${args[0].toLowerCase()} to purge in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The purged ${args[0].toLowerCase()}.
+ * @throws {NotFoundError} - Throws an error if the ${args[0].toLowerCase()} is not in the trash.
+ */
+export const purge${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to purge the ${args[0].toLowerCase()} by ID
+  const result = await ${resourceName}Services.purge${capitalizedResourceName}(id as string);
+  if (!result) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found in the trash');
+  // Send a success response confirming the purge
+  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} permanently deleted');
+});
+
+/**
+ * Controller function to handle permanently deleting multiple ${args[0].toLowerCase()}s from the trash.
+ *
+ * @param {Request} req - The request object containing an array of IDs of ${args[0].toLowerCase()} to purge in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The purged ${args[0].toLowerCase()}s.
+ * @throws {NotFoundError} - Throws an error if none of the ${args[0].toLowerCase()}s is in the trash.
+ */
+export const purgeMany${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  // Extract ids from request body
+  const { ids } = req.body;
+  // Call the service method to purge multiple ${args[0].toLowerCase()}s
+  await ${resourceName}Services.purgeMany${capitalizedResourceName}(ids);
+  // Send a success response confirming the purge
+  ServerResponse(res, true, 200, '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()}s permanently deleted');
+});
+
+/**
+ * Controller function to handle the retrieval of the ${args[0].toLowerCase()}s in the trash.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The deleted ${args[0].toLowerCase()}s.
+ * @throws {Error} - Throws an error if the ${args[0].toLowerCase()}s retrieval fails.
+ */
+export const getTrash${capitalizedResourceName} = catchAsync(async (req: Request, res: Response) => {
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get the deleted ${args[0].toLowerCase()}s based on query parameters and get the result
+  const { ${resourceName}s, ...pagination } = await ${resourceName}Services.getTrash${capitalizedResourceName}(query);
+  if (!${resourceName}s) throw new Error('Failed to retrieve deleted ${args[0].toLowerCase()}s');
+  // Send a success response with the deleted ${args[0].toLowerCase()}s data
+  ServerResponse(res, true, 200, 'Deleted ${args[0].toLowerCase()}s retrieved successfully', { ${resourceName}s, ...pagination });
 });
+` : ''}
     `;
       // Path to the controller file
       const controllerFilePath = path.join(controllerDir, `${args[0]}.controller.ts`);
@@ -309,15 +1294,17 @@ export const getMany${capitalizedResourceName} = catchAsync(async (req: Request,
       // Path to the interface directory
       const interfaceDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
       // Create interface file content
-      const interfaceContent = `
-/**
+      const interfaceContent = `${refFields.length ? `
+import { Types } from 'mongoose';
+` : ''}
+${fields ? renderEnumDeclarations(resourceName, args[0], fields) : ''}/**
  * Type definition for ${args[0].toLowerCase()}.
  *
  * This type defines the structure of a single ${args[0].toLowerCase()} object.
  * @interface T${capitalizedResourceName}
  */
 export interface T${capitalizedResourceName} {
-  // Add fields as needed
+${fields ? renderInterfaceMembers(resourceName, fields, '  ') : '  // Add fields as needed'}
 }
     `;
       // Path to the interface file
@@ -327,28 +1314,35 @@ export interface T${capitalizedResourceName} {
       const modelsDir = path.join(__dirname, '..', 'src', 'modules', args[0]);
       // Create model content
       const modelContent = `
-import mongoose, { Document, Schema } from 'mongoose';
+import mongoose, { Document, Schema${refFields.length ? ', Types' : ''} } from 'mongoose';${softDelete ? `
+import SoftDelete, { SoftDeleteFields } from '../../utils/mongoose/soft-delete';` : ''}
+import Versioning from '../../utils/mongoose/versioning';${fields ? renderEnumImport(resourceName, args[0], fields, true) : ''}
 
 // Define and export an interface representing a ${args[0].toLowerCase()} document
-export interface I${capitalizedResourceName} extends Document {
-  // Define the schema fields with their types
+export interface I${capitalizedResourceName} extends Document${softDelete ? ', SoftDeleteFields' : ''} {
+${fields ? renderInterfaceMembers(resourceName, fields, '  ') : `  // Define the schema fields with their types
   // Example fields (replace with actual fields)
-  // fieldName: fieldType;
+  // fieldName: fieldType;`}
 }
 
 // Define the ${args[0].toLowerCase()} schema
 const ${capitalizedResourceName}Schema: Schema<I${capitalizedResourceName}> = new Schema({
-  // Define schema fields here
+${fields ? renderSchemaFields(resourceName, fields) : `  // Define schema fields here
   // Example fields (replace with actual schema)
   // fieldName: {
   //   type: Schema.Types.FieldType,
   //   required: true,
   //   trim: true,
-  // },
+  // },`}
 },{
  timestamps: true,
- versionKey: false,
 });
+${softDelete ? `
+// Deleted ${args[0].toLowerCase()}s go to the trash and can be restored until purged
+${capitalizedResourceName}Schema.plugin(SoftDelete);
+` : ''}
+// Every write bumps __v, which backs the ETag of get-${args[0]}/:id and If-Match checks
+${capitalizedResourceName}Schema.plugin(Versioning);
 
 // Create the ${args[0].toLowerCase()} model
 const ${capitalizedResourceName} = mongoose.model<I${capitalizedResourceName}>('${capitalizedResourceName}', ${capitalizedResourceName}Schema);
@@ -365,7 +1359,9 @@ export default ${capitalizedResourceName};
       const validationContent = `
 import { isMongoId } from 'validator';
 import { z } from 'zod';
-import { validateBody } from '../../handlers/zod-error-handler';
+import { ${[...referenceValidators, 'validateBulkBody'].join(', ')} } from '../../handlers/common-zod-validator';${attachmentValidators.length ? `
+import { ${attachmentValidators.join(', ')} } from '../upload/upload.validation';` : ''}
+import { validateBody } from '../../handlers/zod-error-handler';${fields ? renderEnumImport(resourceName, args[0], fields, false) : ''}
 
 /**
  * ${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} Validation Schemas and Types
@@ -380,17 +1376,18 @@ import { validateBody } from '../../handlers/zod-error-handler';
  */
 
 /**
- * Zod schema for validating data when **creating** a single ${args[0].toLowerCase()}.
+ * Zod schema for validating data when **creating** a single ${args[0].toLowerCase()}, also used for
+ * each record of an import.
  * 
  * → Add all **required** fields here
  */
-const zodCreate${capitalizedResourceName}Schema = z
+export const zodCreate${capitalizedResourceName}Schema = z
   .object({
-    // Example fields — replace / expand as needed:
+${fields ? renderZodFields(resourceName, fields, true) : `    // Example fields — replace / expand as needed:
     // name: z.string({ message: '${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} name is required' }).min(2, 'Name must be at least 2 characters').max(100),
     // email: z.string().email({ message: 'Invalid email format' }),
     // age: z.number().int().positive().optional(),
-    // status: z.enum(['active', 'inactive', 'pending']).default('pending'),
+    // status: z.enum(['active', 'inactive', 'pending']).default('pending'),`}
   })
   .strict();
 
@@ -412,25 +1409,30 @@ export type CreateMany${capitalizedResourceName}Input = z.infer<typeof zodCreate
  */
 const zodUpdate${capitalizedResourceName}Schema = z
   .object({
-    // Example fields — replace / expand as needed:
+${fields ? renderZodFields(resourceName, fields, false) : `    // Example fields — replace / expand as needed:
     // name: z.string().min(2, 'Name must be at least 2 characters').max(100).optional(),
     // email: z.string().email({ message: 'Invalid email format' }).optional(),
     // age: z.number().int().positive().optional(),
-    // status: z.enum(['active', 'inactive', 'pending']).optional(),
+    // status: z.enum(['active', 'inactive', 'pending']).optional(),`}
   })
   .strict();
 
 export type Update${capitalizedResourceName}Input = z.infer<typeof zodUpdate${capitalizedResourceName}Schema>;
 
 /**
- * Zod schema for validating bulk updates (array of partial ${args[0].toLowerCase()} objects).
+ * Zod schema for validating one item of a bulk update, also used on its own by
+ * \`?mode=partial\`.
  */
-const zodUpdateMany${capitalizedResourceName}ForBulkSchema = zodUpdate${capitalizedResourceName}Schema
+export const zodUpdateMany${capitalizedResourceName}ForBulkSchema = zodUpdate${capitalizedResourceName}Schema
   .extend({
     id: z.string().refine(isMongoId, { message: 'Please provide a valid MongoDB ObjectId' }),
+    // Expected version (__v) of the ${args[0].toLowerCase()}; the batch fails with 412 if it changed (the item
+    // with \`conflict\` in partial mode)
+    version: z.number().int().nonnegative().optional(),
   })
-  .refine((data) => Object.keys(data).length > 1, {
-    message: 'At least one field to update must be provided',
+  // An item holding only \`version\` checks the version, and bumps it, without changing fields
+  .refine((data) => Object.keys(data).some((key) => key !== 'id'), {
+    message: 'At least one field to update, or the expected version, must be provided',
   });
 
 /**
@@ -446,9 +1448,9 @@ export type UpdateMany${capitalizedResourceName}Input = z.infer<typeof zodUpdate
  * Named validators — use these directly in your Express routes
  */
 export const validateCreate${capitalizedResourceName} = validateBody(zodCreate${capitalizedResourceName}Schema);
-export const validateCreateMany${capitalizedResourceName} = validateBody(zodCreateMany${capitalizedResourceName}Schema);
+export const validateCreateMany${capitalizedResourceName} = validateBulkBody(zodCreateMany${capitalizedResourceName}Schema);
 export const validateUpdate${capitalizedResourceName} = validateBody(zodUpdate${capitalizedResourceName}Schema);
-export const validateUpdateMany${capitalizedResourceName} = validateBody(zodUpdateMany${capitalizedResourceName}Schema);
+export const validateUpdateMany${capitalizedResourceName} = validateBulkBody(zodUpdateMany${capitalizedResourceName}Schema);
     `;
       // Path to the zod validation file
       const validationFilePath = path.join(validationDir, `${args[0]}.validation.ts`);
@@ -458,37 +1460,123 @@ export const validateUpdateMany${capitalizedResourceName} = validateBody(zodUpda
       // Create service content
       const serviceContent = `
 // Import the model
+import { UploadedFile } from 'express-fileupload';
 import mongoose from 'mongoose';
+import { Readable } from 'stream';
 import ${capitalizedResourceName}Model, { I${capitalizedResourceName} } from './${args[0]}.model';
-import { IdOrIdsInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import { ExportQueryInput, IdOrIdsInput, PopulateQueryInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import { ${uniqueFields.length ? 'ConflictError, ' : ''}NotFoundError, PreconditionFailedError } from '../../helpers/errors/app-error';
+import { BulkItemResult, runPartialBulk } from '../../utils/bulk/partial-bulk';
+import { runInTransaction } from '../../utils/database/transaction';
+import { applyDeletePolicies, assertDeletable } from '../../utils/mongoose/relations';
+import { getVersion, versionCondition } from '../../utils/mongoose/versioning';
+import BuildListQuery, { resolvePopulate } from '../../utils/query/build-list-query';
+import Paginate, { PaginationResult } from '../../utils/query/paginate';
+import { exportDocuments } from '../../utils/transfer/export-documents';
+import { importDocuments, ImportReport } from '../../utils/transfer/import-documents';
+import { IAudit } from '../audit/audit.model';
+import { auditServices } from '../audit/audit.service';
 import {
   Create${capitalizedResourceName}Input,
   CreateMany${capitalizedResourceName}Input,
   Update${capitalizedResourceName}Input,
   UpdateMany${capitalizedResourceName}Input,
+  zodCreate${capitalizedResourceName}Schema,
+  zodUpdateMany${capitalizedResourceName}ForBulkSchema,
 } from './${args[0]}.validation';
 
+// Ref fields clients may populate, e.g. ?populate=author
+${populateFieldsLine}
+${uniqueFields.length ? `
+// Fields no two ${args[0].toLowerCase()}s may share
+const uniqueFields = [${uniqueFields.map((field) => `'${field}'`).join(', ')}] as const;
+
+/**
+ * Checks that the given ${args[0].toLowerCase()}s share no unique field value, with each other
+ * or with the stored ${args[0].toLowerCase()}s.
+ *
+ * @param items - The values being created or updated.
+ * @param excludeIds - IDs of the ${args[0].toLowerCase()}s being updated, whose stored values are replaced.
+ * @throws {ConflictError} - If a value of a unique field is already taken.
+ */
+const assertUnique = async (
+  items: Partial<Pick<I${capitalizedResourceName}, (typeof uniqueFields)[number]>>[],
+  excludeIds: string[] = []
+): Promise<void> => {
+  for (const field of uniqueFields) {
+    const values = items.map((item) => item[field]).filter((value) => value !== undefined && value !== null);
+    if (!values.length) continue;
+    const duplicated =
+      new Set(values.map(String)).size !== values.length ||
+      (await ${capitalizedResourceName}Model.exists({ _id: { $nin: excludeIds }, [field]: { $in: values } }));
+    if (duplicated) {
+      throw new ConflictError(\`Duplicate detected: Another ${args[0].toLowerCase()} with the same \${field} already exists.\`);
+    }
+  }
+};
+` : ''}
 /**
  * Service function to create a new ${args[0].toLowerCase()}.
  *
  * @param {Create${capitalizedResourceName}Input} data - The data to create a new ${args[0].toLowerCase()}.
- * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The created ${args[0].toLowerCase()}.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The created ${args[0].toLowerCase()}.${uniqueFields.length ? `
+ * @throws {ConflictError} - If a unique field value is already taken.` : ''}
  */
-const create${capitalizedResourceName} = async (data: Create${capitalizedResourceName}Input): Promise<Partial<I${capitalizedResourceName}>> => {
+const create${capitalizedResourceName} = async (data: Create${capitalizedResourceName}Input): Promise<Partial<I${capitalizedResourceName}>> => {${uniqueFields.length ? `
+  await assertUnique([data]);` : ''}
   const new${capitalizedResourceName} = new ${capitalizedResourceName}Model(data);
   const saved${capitalizedResourceName} = await new${capitalizedResourceName}.save();
+  await auditServices.recordAudit('${args[0]}', 'create', [{ documentId: saved${capitalizedResourceName}._id, after: saved${capitalizedResourceName} }]);
   return saved${capitalizedResourceName};
 };
 
 /**
- * Service function to create multiple ${args[0].toLowerCase()}.
+ * Service function to create multiple ${args[0].toLowerCase()}, all of them or none.
  *
  * @param {CreateMany${capitalizedResourceName}Input} data - An array of data to create multiple ${args[0].toLowerCase()}.
- * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The created ${args[0].toLowerCase()}.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The created ${args[0].toLowerCase()}.${uniqueFields.length ? `
+ * @throws {ConflictError} - If a unique field value is repeated or already taken.` : ''}
  */
 const createMany${capitalizedResourceName} = async (data: CreateMany${capitalizedResourceName}Input): Promise<Partial<I${capitalizedResourceName}>[]> => {
-  const created${capitalizedResourceName} = await ${capitalizedResourceName}Model.insertMany(data);
-  return created${capitalizedResourceName};
+  // A ${args[0].toLowerCase()} failing to insert rolls back the others
+  return runInTransaction(async () => {${uniqueFields.length ? `
+    await assertUnique(data);` : ''}
+    const created${capitalizedResourceName} = await ${capitalizedResourceName}Model.insertMany(data);
+    await auditServices.recordAudit(
+      '${args[0]}',
+      'create',
+      created${capitalizedResourceName}.map((doc) => ({ documentId: doc._id, after: doc }))
+    );
+    return created${capitalizedResourceName};
+  });
+};
+
+/**
+ * Service function to create multiple ${args[0].toLowerCase()} one by one, reporting the outcome of each.
+ *
+ * @param {unknown[]} items - The ${args[0].toLowerCase()}s to create, validated one by one.
+ * @returns {Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The outcome of each item, in order.
+ */
+const createMany${capitalizedResourceName}Partial = async (items: unknown[]): Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]> => {
+  return runPartialBulk(items, async (item) => create${capitalizedResourceName}(await zodCreate${capitalizedResourceName}Schema.parseAsync(item)));
+};
+
+/**
+ * Service function to import ${args[0].toLowerCase()}s from a CSV or NDJSON file.
+ *
+ * Each record is validated like a created ${args[0].toLowerCase()}; invalid records and taken unique values
+ * are reported by row instead of failing the whole file.
+ *
+ * @param {UploadedFile} file - The uploaded file, checked by \`acceptFile\`.
+ * @param {boolean} dryRun - Whether to only validate the file, storing nothing.
+ * @returns {Promise<ImportReport>} - Counts and the problems found, by row.
+ */
+const import${capitalizedResourceName} = async (file: UploadedFile, dryRun: boolean): Promise<ImportReport> => {
+  return importDocuments(${capitalizedResourceName}Model, file, zodCreate${capitalizedResourceName}Schema, {
+    dryRun,
+    onInserted: (docs) =>
+      auditServices.recordAudit('${args[0]}', 'create', docs.map((doc) => ({ documentId: doc._id, after: doc }))),
+  });
 };
 
 /**
@@ -496,28 +1584,42 @@ const createMany${capitalizedResourceName} = async (data: CreateMany${capitalize
  *
  * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()} to update.
  * @param {Update${capitalizedResourceName}Input} data - The updated data for the ${args[0].toLowerCase()}.
+ * @param {number[]} [expectedVersions] - Versions the client expects (from \`If-Match\`); any version if omitted.
  * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The updated ${args[0].toLowerCase()}.
+ * @throws {PreconditionFailedError} - If the ${args[0].toLowerCase()} is not at an expected version, or changes meanwhile.${uniqueFields.length ? `
+ * @throws {ConflictError} - If a unique field value is already taken.` : ''}
  */
-const update${capitalizedResourceName} = async (id: IdOrIdsInput['id'], data: Update${capitalizedResourceName}Input): Promise<Partial<I${capitalizedResourceName} | null>> => {
-  // Check for duplicate (filed) combination
-  const existing${capitalizedResourceName} = await ${capitalizedResourceName}Model.findOne({
-    _id: { $ne: id }, // Exclude the current document
-    $or: [{ /* filedName: data.filedName, */ }],
-  }).lean();
-  // Prevent duplicate updates
-  if (existing${capitalizedResourceName}) {
-    throw new Error('Duplicate detected: Another ${args[0].toLowerCase()} with the same fieldName already exists.');
+const update${capitalizedResourceName} = async (id: IdOrIdsInput['id'], data: Update${capitalizedResourceName}Input, expectedVersions?: number[]): Promise<Partial<I${capitalizedResourceName} | null>> => {${uniqueFields.length ? `
+  await assertUnique([data], [id as string]);` : ''}
+  // Keep the previous state for the audit trail
+  const previous${capitalizedResourceName} = await ${capitalizedResourceName}Model.findById(id);
+  if (!previous${capitalizedResourceName}) return null;
+  const version = getVersion(previous${capitalizedResourceName});
+  if (expectedVersions && !expectedVersions.includes(version)) {
+    throw new PreconditionFailedError(\`${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} is at version \${version}; reload it and try again\`);
   }
-  // Proceed to update the ${args[0].toLowerCase()}
-  const updated${capitalizedResourceName} = await ${capitalizedResourceName}Model.findByIdAndUpdate(id, data, { new: true });
+  // Proceed to update the ${args[0].toLowerCase()}, only if nobody changed it since it was read
+  const updated${capitalizedResourceName} = await ${capitalizedResourceName}Model.findOneAndUpdate(
+    { _id: id, __v: versionCondition([version]) },
+    data,
+    { new: true }
+  );
+  if (!updated${capitalizedResourceName}) throw new PreconditionFailedError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} was modified concurrently; reload it and try again');
+  await auditServices.recordAudit('${args[0]}', 'update', [
+    { documentId: previous${capitalizedResourceName}._id, before: previous${capitalizedResourceName}, after: updated${capitalizedResourceName} },
+  ]);
   return updated${capitalizedResourceName};
 };
 
 /**
- * Service function to update multiple ${args[0].toLowerCase()}.
+ * Service function to update multiple ${args[0].toLowerCase()}, all of them or none.
+ *
+ * Items carrying a \`version\` are only updated if the ${args[0].toLowerCase()} is still at that version.
  *
  * @param {UpdateMany${capitalizedResourceName}Input} data - An array of data to update multiple ${args[0].toLowerCase()}.
  * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The updated ${args[0].toLowerCase()}.
+ * @throws {PreconditionFailedError} - If a ${args[0].toLowerCase()} is not at its expected version, or changes meanwhile.${uniqueFields.length ? `
+ * @throws {ConflictError} - If a unique field value is repeated or already taken.` : ''}
  */
 const updateMany${capitalizedResourceName} = async (data: UpdateMany${capitalizedResourceName}Input): Promise<Partial<I${capitalizedResourceName}>[]> => {
 // Early return if no data provided
@@ -526,81 +1628,347 @@ const updateMany${capitalizedResourceName} = async (data: UpdateMany${capitalize
   }
   // Convert string ids to ObjectId (for safety)
   const objectIds = data.map((item) => new mongoose.Types.ObjectId(item.id));
-  // Check for duplicates (filedName) excluding the documents being updated
-  const existing${capitalizedResourceName} = await ${capitalizedResourceName}Model.find({
-    _id: { $nin: objectIds }, // Exclude documents being updated
-    $or: data.flatMap((item) => [
-      // { filedName: item.filedName },
-    ]),
-  }).lean();
-  // If any duplicates found, throw error
-  if (existing${capitalizedResourceName}.length > 0) {
-    throw new Error(
-      'Duplicate detected: One or more ${args[0].toLowerCase()} with the same fieldName already exist.'
+  // Checks and writes run in one transaction, so a failing check leaves every ${args[0].toLowerCase()} unchanged
+  return runInTransaction(async () => {${uniqueFields.length ? `
+    // Check for duplicates, ignoring the values being replaced
+    await assertUnique(data, data.map((item) => item.id));` : ''}
+    // Keep the previous state for the audit trail
+    const previousDocs = await ${capitalizedResourceName}Model.find({ _id: { $in: objectIds } }).lean();
+    const previousVersions = new Map(previousDocs.map((doc) => [doc._id.toString(), getVersion(doc)]));
+    if (previousVersions.size !== new Set(data.map((item) => item.id)).size) {
+      throw new NotFoundError('Some documents were not found or updated');
+    }
+    // Reject the whole batch if any ${args[0].toLowerCase()} is not at the version its item expects
+    const staleItems = data.flatMap((item, index) => {
+      const current = previousVersions.get(item.id);
+      return item.version !== undefined && item.version !== current
+        ? [{ field: \`[\${index}].version\`, message: \`Expected version \${item.version}, found \${current}\` }]
+        : [];
+    });
+    if (staleItems.length) {
+      throw new PreconditionFailedError('Some ${args[0].toLowerCase()}s were modified since they were read', staleItems);
+    }
+    // Prepare bulk operations, each guarded by the expected or read version
+    const operations = data.map(({ id, version, ...item }) => ({
+      updateOne: {
+        filter: {
+          _id: new mongoose.Types.ObjectId(id),
+          __v: versionCondition([version ?? (previousVersions.get(id) as number)]),
+        },
+        update: { $set: item },
+        upsert: false,
+      },
+    }));
+    // Execute bulk update
+    const bulkResult = await ${capitalizedResourceName}Model.bulkWrite(operations, {
+      ordered: true, // keep order of operations
+    });
+    // check if all succeeded; throwing rolls back the ${args[0].toLowerCase()}s already updated
+    if (bulkResult.matchedCount !== data.length) {
+      throw new PreconditionFailedError('Some ${args[0].toLowerCase()}s were modified concurrently; reload them and try again');
+    }
+    // Fetch the freshly updated documents
+    const updatedDocs = await ${capitalizedResourceName}Model.find({ _id: { $in: objectIds } })
+      .lean()
+      .exec();
+    // Map back to original input order
+    const resultMap = new Map<string, any>(updatedDocs.map((doc) => [doc._id.toString(), doc]));
+    await auditServices.recordAudit(
+      '${args[0]}',
+      'update',
+      previousDocs.map((doc) => ({
+        documentId: doc._id,
+        before: doc,
+        after: resultMap.get(doc._id.toString()),
+      }))
     );
+    // Ensure the result array matches the input order
+    const orderedResults = data.map((item) => {
+      const updated = resultMap.get(item.id);
+      return updated || { _id: item.id };
+    });
+    return orderedResults as Partial<I${capitalizedResourceName}>[];
+  });
+};
+
+/**
+ * Service function to update multiple ${args[0].toLowerCase()} one by one, reporting the outcome of each.
+ *
+ * Items carrying a \`version\` are only updated if the ${args[0].toLowerCase()} is still at that version.
+ *
+ * @param {unknown[]} items - The updates, each with the \`id\` of its ${args[0].toLowerCase()}, validated one by one.
+ * @returns {Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The outcome of each item, in order.
+ */
+const updateMany${capitalizedResourceName}Partial = async (items: unknown[]): Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]> => {
+  return runPartialBulk(items, async (item) => {
+    const { id, version, ...data } = await zodUpdateMany${capitalizedResourceName}ForBulkSchema.parseAsync(item);
+    const updated${capitalizedResourceName} = await update${capitalizedResourceName}(id, data, version === undefined ? undefined : [version]);
+    if (!updated${capitalizedResourceName}) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
+    return updated${capitalizedResourceName};
+  });
+};
+
+${softDelete ? `/**
+ * Service function to move a single ${args[0].toLowerCase()} to the trash.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()} to delete.
+ * @param {string} deletedBy - The ID of the user performing the deletion.
+ * @param {number[]} [expectedVersions] - Versions the client expects (from \`If-Match\`); any version if omitted.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The deleted ${args[0].toLowerCase()}.
+ * @throws {PreconditionFailedError} - If the ${args[0].toLowerCase()} is not at an expected version.
+ * @throws {ConflictError} - If documents still reference the ${args[0].toLowerCase()} (onDelete: 'restrict').
+ */
+const delete${capitalizedResourceName} = async (id: IdOrIdsInput['id'], deletedBy: string, expectedVersions?: number[]): Promise<Partial<I${capitalizedResourceName} | null>> => {
+  await assertDeletable(${capitalizedResourceName}Model, [id as string]);
+  const deleted${capitalizedResourceName} = await ${capitalizedResourceName}Model.findOneAndUpdate(
+    { _id: id, deletedAt: null, ...(expectedVersions && { __v: versionCondition(expectedVersions) }) },
+    { $set: { deletedAt: new Date(), deletedBy } },
+    { new: true }
+  );
+  if (!deleted${capitalizedResourceName}) {
+    // Tell a stale version apart from a missing ${args[0].toLowerCase()}
+    if (expectedVersions && (await ${capitalizedResourceName}Model.exists({ _id: id }))) {
+      throw new PreconditionFailedError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} was modified since it was read; reload it and try again');
+    }
+    return null;
   }
-  // Prepare bulk operations
-  const operations = data.map((item) => ({
-    updateOne: {
-      filter: { _id: new mongoose.Types.ObjectId(item.id) },
-      update: { $set: item },
-      upsert: false,
+  await auditServices.recordAudit('${args[0]}', 'delete', [
+    {
+      documentId: deleted${capitalizedResourceName}._id,
+      before: { deletedAt: null, deletedBy: null },
+      after: { deletedAt: deleted${capitalizedResourceName}.deletedAt, deletedBy: deleted${capitalizedResourceName}.deletedBy },
     },
-  }));
-  // Execute bulk update
-  const bulkResult = await ${capitalizedResourceName}Model.bulkWrite(operations, {
-    ordered: true, // keep order of operations
+  ]);
+  return deleted${capitalizedResourceName};
+};
+
+/**
+ * Service function to move multiple ${args[0].toLowerCase()} to the trash, all of them or none.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of ${args[0].toLowerCase()} to delete.
+ * @param {string} deletedBy - The ID of the user performing the deletion.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The deleted ${args[0].toLowerCase()}.
+ * @throws {ConflictError} - If documents still reference one of them (onDelete: 'restrict').
+ */
+const deleteMany${capitalizedResourceName} = async (ids: IdOrIdsInput['ids'], deletedBy: string): Promise<Partial<I${capitalizedResourceName}>[]> => {
+  // The ${args[0].toLowerCase()}s read are the ${args[0].toLowerCase()}s deleted: nobody can change them in between
+  return runInTransaction(async () => {
+    const ${resourceName}ToDelete = await ${capitalizedResourceName}Model.find({ _id: { $in: ids } });
+    if (!${resourceName}ToDelete.length) throw new NotFoundError('No ${args[0].toLowerCase()} found to delete');
+    await assertDeletable(${capitalizedResourceName}Model, ${resourceName}ToDelete.map((doc) => doc._id));
+    const deletedAt = new Date();
+    await ${capitalizedResourceName}Model.updateMany(
+      { _id: { $in: ids }, deletedAt: null },
+      { $set: { deletedAt, deletedBy } }
+    );
+    await auditServices.recordAudit(
+      '${args[0]}',
+      'delete',
+      ${resourceName}ToDelete.map((doc) => ({
+        documentId: doc._id,
+        before: { deletedAt: null, deletedBy: null },
+        after: { deletedAt, deletedBy },
+      }))
+    );
+    return ${resourceName}ToDelete;
   });
-  // check if all succeeded
-  if (bulkResult.matchedCount !== data.length) {
-    throw new Error('Some documents were not found or updated');
-  }
-  // Fetch the freshly updated documents
-  const updatedDocs = await ${capitalizedResourceName}Model.find({ _id: { $in: objectIds } })
-    .lean()
-    .exec();
-  // Map back to original input order
-  const resultMap = new Map<string, any>(updatedDocs.map((doc) => [doc._id.toString(), doc]));
-  // Ensure the result array matches the input order
-  const orderedResults = data.map((item) => {
-    const updated = resultMap.get(item.id);
-    return updated || { _id: item.id };
+};
+
+/**
+ * Service function to move multiple ${args[0].toLowerCase()} to the trash one by one, reporting the outcome of each.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of ${args[0].toLowerCase()} to delete.
+ * @param {string} deletedBy - The ID of the user performing the deletion.
+ * @returns {Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The outcome of each ID, in order.
+ */
+const deleteMany${capitalizedResourceName}Partial = async (ids: NonNullable<IdOrIdsInput['ids']>, deletedBy: string): Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]> => {
+  return runPartialBulk(ids, async (id) => {
+    const deleted${capitalizedResourceName} = await delete${capitalizedResourceName}(id, deletedBy);
+    if (!deleted${capitalizedResourceName}) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
+    return deleted${capitalizedResourceName};
+  });
+};
+
+/**
+ * Service function to restore a single ${args[0].toLowerCase()} from the trash.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()} to restore.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The restored ${args[0].toLowerCase()}, or null if it is not in the trash.
+ */
+const restore${capitalizedResourceName} = async (id: IdOrIdsInput['id']): Promise<Partial<I${capitalizedResourceName} | null>> => {
+  // Returns the trashed state, recorded as the audit's before
+  const trashed${capitalizedResourceName} = await ${capitalizedResourceName}Model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: false }
+  );
+  if (!trashed${capitalizedResourceName}) return null;
+  await auditServices.recordAudit('${args[0]}', 'restore', [
+    {
+      documentId: trashed${capitalizedResourceName}._id,
+      before: { deletedAt: trashed${capitalizedResourceName}.deletedAt, deletedBy: trashed${capitalizedResourceName}.deletedBy },
+      after: { deletedAt: null, deletedBy: null },
+    },
+  ]);
+  const restored${capitalizedResourceName} = await ${capitalizedResourceName}Model.findById(trashed${capitalizedResourceName}._id);
+  return restored${capitalizedResourceName};
+};
+
+/**
+ * Service function to restore multiple ${args[0].toLowerCase()} from the trash, all of them or none.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of ${args[0].toLowerCase()} to restore.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The restored ${args[0].toLowerCase()}.
+ */
+const restoreMany${capitalizedResourceName} = async (ids: IdOrIdsInput['ids']): Promise<Partial<I${capitalizedResourceName}>[]> => {
+  return runInTransaction(async () => {
+    const ${resourceName}ToRestore = await ${capitalizedResourceName}Model.find({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    if (!${resourceName}ToRestore.length) throw new NotFoundError('No ${args[0].toLowerCase()} found in the trash to restore');
+    const restoredIds = ${resourceName}ToRestore.map((doc) => doc._id);
+    await ${capitalizedResourceName}Model.updateMany(
+      { _id: { $in: restoredIds }, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } }
+    );
+    await auditServices.recordAudit(
+      '${args[0]}',
+      'restore',
+      ${resourceName}ToRestore.map((doc) => ({
+        documentId: doc._id,
+        before: { deletedAt: doc.deletedAt, deletedBy: doc.deletedBy },
+        after: { deletedAt: null, deletedBy: null },
+      }))
+    );
+    return ${capitalizedResourceName}Model.find({ _id: { $in: restoredIds } });
   });
-  return orderedResults as Partial<I${capitalizedResourceName}>[];
 };
 
 /**
+ * Service function to permanently delete a single ${args[0].toLowerCase()} from the trash.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()} to purge.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The purged ${args[0].toLowerCase()}, or null if it is not in the trash.
+ * @throws {ConflictError} - If documents still reference the ${args[0].toLowerCase()} (onDelete: 'restrict').
+ */
+const purge${capitalizedResourceName} = async (id: IdOrIdsInput['id']): Promise<Partial<I${capitalizedResourceName} | null>> => {
+  // The cascades run in the same transaction, so a failing one keeps the ${args[0].toLowerCase()} too
+  return runInTransaction(async () => {
+    await assertDeletable(${capitalizedResourceName}Model, [id as string]);
+    const purged${capitalizedResourceName} = await ${capitalizedResourceName}Model.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+    if (purged${capitalizedResourceName}) {
+      await auditServices.recordAudit('${args[0]}', 'purge', [{ documentId: purged${capitalizedResourceName}._id, before: purged${capitalizedResourceName} }]);
+      // Cascade to, or clear, the documents referencing it
+      await applyDeletePolicies(${capitalizedResourceName}Model, [purged${capitalizedResourceName}._id]);
+    }
+    return purged${capitalizedResourceName};
+  });
+};
+
+/**
+ * Service function to permanently delete multiple ${args[0].toLowerCase()} from the trash, all of them or none.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of ${args[0].toLowerCase()} to purge.
+ * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The purged ${args[0].toLowerCase()}.
+ * @throws {ConflictError} - If documents still reference one of them (onDelete: 'restrict').
+ */
+const purgeMany${capitalizedResourceName} = async (ids: IdOrIdsInput['ids']): Promise<Partial<I${capitalizedResourceName}>[]> => {
+  // The cascades run in the same transaction, so a failing one keeps the ${args[0].toLowerCase()}s too
+  return runInTransaction(async () => {
+    const ${resourceName}ToPurge = await ${capitalizedResourceName}Model.find({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    if (!${resourceName}ToPurge.length) throw new NotFoundError('No ${args[0].toLowerCase()} found in the trash to purge');
+    const purgedIds = ${resourceName}ToPurge.map((doc) => doc._id);
+    await assertDeletable(${capitalizedResourceName}Model, purgedIds);
+    await ${capitalizedResourceName}Model.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    await auditServices.recordAudit(
+      '${args[0]}',
+      'purge',
+      ${resourceName}ToPurge.map((doc) => ({ documentId: doc._id, before: doc }))
+    );
+    // Cascade to, or clear, the documents referencing them
+    await applyDeletePolicies(${capitalizedResourceName}Model, purgedIds);
+    return ${resourceName}ToPurge;
+  });
+};
+
+` : `/**
  * Service function to delete a single ${args[0].toLowerCase()} by ID.
  *
  * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()} to delete.
+ * @param {number[]} [expectedVersions] - Versions the client expects (from \`If-Match\`); any version if omitted.
  * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The deleted ${args[0].toLowerCase()}.
+ * @throws {PreconditionFailedError} - If the ${args[0].toLowerCase()} is not at an expected version.
+ * @throws {ConflictError} - If documents still reference the ${args[0].toLowerCase()} (onDelete: 'restrict').
  */
-const delete${capitalizedResourceName} = async (id: IdOrIdsInput['id']): Promise<Partial<I${capitalizedResourceName} | null>> => {
-  const deleted${capitalizedResourceName} = await ${capitalizedResourceName}Model.findByIdAndDelete(id);
-  return deleted${capitalizedResourceName};
+const delete${capitalizedResourceName} = async (id: IdOrIdsInput['id'], expectedVersions?: number[]): Promise<Partial<I${capitalizedResourceName} | null>> => {
+  // The cascades run in the same transaction, so a failing one keeps the ${args[0].toLowerCase()} too
+  return runInTransaction(async () => {
+    await assertDeletable(${capitalizedResourceName}Model, [id as string]);
+    const deleted${capitalizedResourceName} = await ${capitalizedResourceName}Model.findOneAndDelete({
+      _id: id,
+      ...(expectedVersions && { __v: versionCondition(expectedVersions) }),
+    });
+    // Tell a stale version apart from a missing ${args[0].toLowerCase()}
+    if (!deleted${capitalizedResourceName} && expectedVersions && (await ${capitalizedResourceName}Model.exists({ _id: id }))) {
+      throw new PreconditionFailedError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} was modified since it was read; reload it and try again');
+    }
+    if (deleted${capitalizedResourceName}) {
+      await auditServices.recordAudit('${args[0]}', 'delete', [{ documentId: deleted${capitalizedResourceName}._id, before: deleted${capitalizedResourceName} }]);
+      // Cascade to, or clear, the documents referencing it
+      await applyDeletePolicies(${capitalizedResourceName}Model, [deleted${capitalizedResourceName}._id]);
+    }
+    return deleted${capitalizedResourceName};
+  });
 };
 
 /**
- * Service function to delete multiple ${args[0].toLowerCase()}.
+ * Service function to delete multiple ${args[0].toLowerCase()}, all of them or none.
  *
  * @param {IdOrIdsInput['ids']} ids - An array of IDs of ${args[0].toLowerCase()} to delete.
  * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The deleted ${args[0].toLowerCase()}.
+ * @throws {ConflictError} - If documents still reference one of them (onDelete: 'restrict').
  */
 const deleteMany${capitalizedResourceName} = async (ids: IdOrIdsInput['ids']): Promise<Partial<I${capitalizedResourceName}>[]> => {
-  const ${resourceName}ToDelete = await ${capitalizedResourceName}Model.find({ _id: { $in: ids } });
-  if (!${resourceName}ToDelete.length) throw new Error('No ${args[0].toLowerCase()} found to delete');
-  await ${capitalizedResourceName}Model.deleteMany({ _id: { $in: ids } });
-  return ${resourceName}ToDelete; 
+  // The cascades run in the same transaction, so a failing one keeps the ${args[0].toLowerCase()}s too
+  return runInTransaction(async () => {
+    const ${resourceName}ToDelete = await ${capitalizedResourceName}Model.find({ _id: { $in: ids } });
+    if (!${resourceName}ToDelete.length) throw new NotFoundError('No ${args[0].toLowerCase()} found to delete');
+    const deletedIds = ${resourceName}ToDelete.map((doc) => doc._id);
+    await assertDeletable(${capitalizedResourceName}Model, deletedIds);
+    await ${capitalizedResourceName}Model.deleteMany({ _id: { $in: ids } });
+    await auditServices.recordAudit(
+      '${args[0]}',
+      'delete',
+      ${resourceName}ToDelete.map((doc) => ({ documentId: doc._id, before: doc }))
+    );
+    // Cascade to, or clear, the documents referencing them
+    await applyDeletePolicies(${capitalizedResourceName}Model, deletedIds);
+    return ${resourceName}ToDelete;
+  });
 };
 
 /**
+ * Service function to delete multiple ${args[0].toLowerCase()} one by one, reporting the outcome of each.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of ${args[0].toLowerCase()} to delete.
+ * @returns {Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]>} - The outcome of each ID, in order.
+ */
+const deleteMany${capitalizedResourceName}Partial = async (ids: NonNullable<IdOrIdsInput['ids']>): Promise<BulkItemResult<Partial<I${capitalizedResourceName}>>[]> => {
+  return runPartialBulk(ids, async (id) => {
+    const deleted${capitalizedResourceName} = await delete${capitalizedResourceName}(id);
+    if (!deleted${capitalizedResourceName}) throw new NotFoundError('${args[0][0].toUpperCase() + args[0].slice(1).toLowerCase()} not found');
+    return deleted${capitalizedResourceName};
+  });
+};
+
+`}/**
  * Service function to retrieve a single ${args[0].toLowerCase()} by ID.
  *
  * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()} to retrieve.
+ * @param {PopulateQueryInput['populate']} [populate] - Ref fields to replace with the documents they reference.
  * @returns {Promise<Partial<I${capitalizedResourceName}>>} - The retrieved ${args[0].toLowerCase()}.
+ * @throws {BadRequestError} - If a field may not be populated.
  */
-const get${capitalizedResourceName}ById = async (id: IdOrIdsInput['id']): Promise<Partial<I${capitalizedResourceName} | null>> => {
-  const ${resourceName} = await ${capitalizedResourceName}Model.findById(id);
+const get${capitalizedResourceName}ById = async (id: IdOrIdsInput['id'], populate?: PopulateQueryInput['populate']): Promise<Partial<I${capitalizedResourceName} | null>> => {
+  const ${resourceName} = await ${capitalizedResourceName}Model.findById(id).populate(resolvePopulate(populate, populateFields));
   return ${resourceName};
 };
 
@@ -608,71 +1976,537 @@ const get${capitalizedResourceName}ById = async (id: IdOrIdsInput['id']): Promis
  * Service function to retrieve multiple ${args[0].toLowerCase()} based on query parameters.
  *
  * @param {SearchQueryInput} query - The query parameters for filtering ${args[0].toLowerCase()}.
- * @returns {Promise<Partial<I${capitalizedResourceName}>[]>} - The retrieved ${args[0].toLowerCase()}
- */
-const getMany${capitalizedResourceName} = async (query: SearchQueryInput): Promise<{ ${resourceName}s: Partial<I${capitalizedResourceName}>[]; totalData: number; totalPages: number }> => {
-  const { searchKey = '', showPerPage = 10, pageNo = 1 } = query;
-  // Build the search filter based on the search key
-  const searchFilter = {
-    $or: [
-      // { fieldName: { $regex: searchKey, $options: 'i' } },
-      // Add more fields as needed
-    ],
-  };
-  // Calculate the number of items to skip based on the page number
-  const skipItems = (pageNo - 1) * showPerPage;
-  // Find the total count of matching ${args[0].toLowerCase()}
-  const totalData = await ${capitalizedResourceName}Model.countDocuments(searchFilter);
-  // Calculate the total number of pages
-  const totalPages = Math.ceil(totalData / showPerPage);
-  // Find ${args[0].toLowerCase()}s based on the search filter with pagination
-  const ${resourceName}s = await ${capitalizedResourceName}Model.find(searchFilter)
-    .skip(skipItems)
-    .limit(showPerPage)
-    .select(''); // Keep/Exclude any field if needed
-  return { ${resourceName}s, totalData, totalPages };
+ * @returns {Promise<{ ${resourceName}s: Partial<I${capitalizedResourceName}>[] } & PaginationResult>} - The retrieved ${args[0].toLowerCase()}s with page or cursor details
+ */
+const getMany${capitalizedResourceName} = async (query: SearchQueryInput): Promise<{ ${resourceName}s: Partial<I${capitalizedResourceName}>[] } & PaginationResult> => {
+  // Build the search filter, sort and projection from the query (whitelisted against the schema)
+  const listQuery = BuildListQuery(${capitalizedResourceName}Model, query, {
+    ${searchFieldsLine}
+    populateFields, // Fields accepted by populate
+    // allowedFields: ['fieldName'], // Restrict filter/sort/fields (default: every visible schema path)
+  });
+  // Find ${args[0].toLowerCase()}s in page mode (pageNo) or cursor mode (paginate=cursor / cursor=<token>)
+  const { docs: ${resourceName}s, ...pagination } = await Paginate(${capitalizedResourceName}Model, listQuery, query);
+  return { ${resourceName}s, ...pagination };
+};
+
+/**
+ * Service function to export the ${args[0].toLowerCase()}s matching the query as a file.
+ *
+ * @param {ExportQueryInput} query - The format of the file and the list filters.
+ * @returns {Promise<Readable>} - The content of the file, streamed from the database.
+ */
+const export${capitalizedResourceName} = async ({ format, ...query }: ExportQueryInput): Promise<Readable> => {
+  // Same search fields and populate whitelist as get-${args[0]}/many
+  const listQuery = BuildListQuery(${capitalizedResourceName}Model, query, {
+    ${searchFieldsLine}
+    populateFields,
+  });
+  return exportDocuments(${capitalizedResourceName}Model, listQuery, format);
+};
+${softDelete ? `
+/**
+ * Service function to retrieve the ${args[0].toLowerCase()}s in the trash based on query parameters.
+ *
+ * @param {SearchQueryInput} query - The query parameters for filtering ${args[0].toLowerCase()}.
+ * @returns {Promise<{ ${resourceName}s: Partial<I${capitalizedResourceName}>[] } & PaginationResult>} - The deleted ${args[0].toLowerCase()}s with page or cursor details
+ */
+const getTrash${capitalizedResourceName} = async (query: SearchQueryInput): Promise<{ ${resourceName}s: Partial<I${capitalizedResourceName}>[] } & PaginationResult> => {
+  // Most recently deleted first unless another sort is requested
+  const listQuery = BuildListQuery(${capitalizedResourceName}Model, query, {
+    ${searchFieldsLine}
+    populateFields,
+    defaultSort: { deletedAt: -1 },
+  });
+  // Naming deletedAt in the filter lets the soft-delete plugin return deleted ${args[0].toLowerCase()}s
+  const filter = { ...listQuery.filter, deletedAt: { $ne: null } };
+  const { docs: ${resourceName}s, ...pagination } = await Paginate(${capitalizedResourceName}Model, { ...listQuery, filter }, query);
+  return { ${resourceName}s, ...pagination };
+};
+` : ''}
+/**
+ * Service function to retrieve the audit trail of a single ${args[0].toLowerCase()}.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the ${args[0].toLowerCase()}.
+ * @param {SearchQueryInput} query - The query parameters for filtering entries.
+ * @returns {Promise<{ history: IAudit[] } & PaginationResult>} - The changes made to the ${args[0].toLowerCase()}, newest first
+ */
+const get${capitalizedResourceName}History = async (id: IdOrIdsInput['id'], query: SearchQueryInput): Promise<{ history: IAudit[] } & PaginationResult> => {
+  return auditServices.getDocumentHistory('${args[0]}', id, query);
 };
 
 export const ${resourceName}Services = {
   create${capitalizedResourceName},
   createMany${capitalizedResourceName},
+  createMany${capitalizedResourceName}Partial,
+  import${capitalizedResourceName},
   update${capitalizedResourceName},
   updateMany${capitalizedResourceName},
+  updateMany${capitalizedResourceName}Partial,
   delete${capitalizedResourceName},
   deleteMany${capitalizedResourceName},
+  deleteMany${capitalizedResourceName}Partial,
   get${capitalizedResourceName}ById,
   getMany${capitalizedResourceName},
+  export${capitalizedResourceName},
+  get${capitalizedResourceName}History,${softDelete ? `
+  restore${capitalizedResourceName},
+  restoreMany${capitalizedResourceName},
+  purge${capitalizedResourceName},
+  purgeMany${capitalizedResourceName},
+  getTrash${capitalizedResourceName},` : ''}
 };
     `;
       // Path to the service file
       const serviceFilePath = path.join(serviceDir, `${args[0]}.service.ts`);
 
-      // Function to format file paths relative to project root
-      const formatPath = (filePath) => path.relative(path.join(__dirname, '..'), filePath);
+      // Field changed by the update tests, a field whose absence fails validation, and a unique field
+      const updateField = fields ? fields[0].name : null;
+      const requiredField = fields
+        ? fields.find((field) => field.required && field.default === undefined && !field.array)
+        : null;
+      const uniqueField = fields ? fields.find((field) => field.unique) : null;
+      // Ref field checked for missing documents and populated by the tests
+      const refField = refFields[0];
+      const refSample = refField ? `sample${capitalizedResourceName}(1).${refField.name}${refField.array ? '[0]' : ''}` : null;
+      // Create test file content
+      const testContent = `
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { ${refFields.length ? 'createTestReferences, ' : ''}createTestToken, request, resetDatabase, startTestApp, stopTestApp, TestBulkResult, TestDocument } from '../../tests/test-harness';
 
-      // Create the resource directories if they don't exist
-      [routeDir, controllerDir, modelsDir, interfaceDir].forEach((dir) => {
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
+/**
+ * Integration tests of the ${args[0].toLowerCase()} routes, run with \`npm test\`.
+ *
+ * The module is only reached over HTTP: importing its files here would read the
+ * configuration before the harness has set it up.
+ */
+
+const BASE = '/api/v1/${args[0]}';
+
+// A page of get-${args[0]}/many
+interface ${capitalizedResourceName}Page {
+  ${resourceName}s: TestDocument[];
+  totalData: number;
+  totalPages: number;
+}
+
+// The report of import-${args[0]}
+interface ImportReport {
+  valid: number;
+  failed: number;
+  inserted: number;
+  errors: { row: number; field?: string }[];
+}
+
+${refFields.length ? `// IDs of the documents the ref fields point to, inserted before each test
+const refs: Record<string, string[]> = {};
+
+` : ''}${fields ? `// A valid ${args[0].toLowerCase()}, with different values for each n
+const sample${capitalizedResourceName} = (n: number) => (${renderSampleBody(fields)});` : `// A valid ${args[0].toLowerCase()}: add its fields here, with different values of unique fields for each n,
+// e.g. (n) => ({ name: \`${capitalizedResourceName} \${n}\` })
+const sample${capitalizedResourceName}: (n: number) => Record<string, unknown> = () => ({});`}
+
+describe('${args[0]} routes', () => {
+  let token: string;
+
+  // Creates a ${args[0].toLowerCase()} through the API and returns it
+  const create${capitalizedResourceName} = async (n: number) => {
+    const { status, body } = await request<TestDocument>('POST', \`\${BASE}/create-${args[0]}\`, { token, body: sample${capitalizedResourceName}(n) });
+    assert.equal(status, 201);
+    return body.data;
+  };
+
+  before(startTestApp);
+  after(stopTestApp);
+  beforeEach(async () => {
+    await resetDatabase();
+    token = await createTestToken();${refFields.map((field) => `
+    refs.${field.name} = await createTestReferences('${field.model}'${field.unique || field.file ? `, ${field.unique ? 13 : 1}` : ''}${field.file ? `, { extension: '${field.accept ? field.accept[0] : 'txt'}', size: 1 }` : ''});`).join('')}
+  });
+
+  describe('POST /create-${args[0]}', () => {
+    it('creates a ${args[0].toLowerCase()}', async () => {
+      const { status, headers, body } = await request<TestDocument>('POST', \`\${BASE}/create-${args[0]}\`, {
+        token,
+        body: sample${capitalizedResourceName}(1),
       });
+      assert.equal(status, 201);
+      assert.ok(body.data._id);
+      assert.equal(headers.get('etag'), '"0"');
+    });
 
-      // Function to generate expected files based on the module name
-      function getExpectedFiles(moduleName) {
-        return [
-          `${moduleName}.controller.ts`,
-          `${moduleName}.interface.ts`,
-          `${moduleName}.model.ts`,
-          `${moduleName}.route.ts`,
-          `${moduleName}.service.ts`,
-          `${moduleName}.validation.ts`,
-        ];
-      }
+    it('rejects an invalid ${args[0].toLowerCase()}', async () => {
+      const { status, body } = await request('POST', \`\${BASE}/create-${args[0]}\`, {
+        token,
+        body: ${requiredField ? `{ ...sample${capitalizedResourceName}(1), ${requiredField.name}: undefined }` : `{ ...sample${capitalizedResourceName}(1), unknownField: true }`},
+      });
+      assert.equal(status, 400);${requiredField ? `
+      assert.ok(body.errors?.some((error) => error.field === '${requiredField.name}'));` : `
+      assert.ok(body.errors?.length);`}
+    });
+
+    it('requires authentication', async () => {
+      const { status } = await request('POST', \`\${BASE}/create-${args[0]}\`, { body: sample${capitalizedResourceName}(1) });
+      assert.equal(status, 401);
+    });${uniqueField ? `
+
+    it('rejects a duplicate ${uniqueField.name}', async () => {
+      await create${capitalizedResourceName}(1);
+      const { status } = await request('POST', \`\${BASE}/create-${args[0]}\`, { token, body: sample${capitalizedResourceName}(1) });
+      assert.equal(status, 409);
+    });` : ''}${refField ? `
+
+    it('rejects a missing ${refField.model} in ${refField.name}', async () => {
+      const { status, body } = await request('POST', \`\${BASE}/create-${args[0]}\`, {
+        token,
+        body: { ...sample${capitalizedResourceName}(1), ${refField.name}: ${refField.array ? "['000000000000000000000000']" : "'000000000000000000000000'"} },
+      });
+      assert.equal(status, 400);
+      assert.ok(body.errors?.some((error) => error.field.startsWith('${refField.name}')));
+    });` : ''}
+  });
+
+  describe('POST /create-${args[0]}/many', () => {
+    it('creates several ${args[0].toLowerCase()}s', async () => {
+      const { status, body } = await request<TestDocument[]>('POST', \`\${BASE}/create-${args[0]}/many\`, {
+        token,
+        body: [sample${capitalizedResourceName}(1), sample${capitalizedResourceName}(2)],
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.length, 2);
+    });
+
+    it('rejects an empty list', async () => {
+      const { status } = await request('POST', \`\${BASE}/create-${args[0]}/many\`, { token, body: [] });
+      assert.equal(status, 400);
+    });${uniqueField ? `
+
+    it('creates none of the ${args[0].toLowerCase()}s if one fails', async () => {
+      const { status } = await request('POST', \`\${BASE}/create-${args[0]}/many\`, {
+        token,
+        body: [sample${capitalizedResourceName}(1), sample${capitalizedResourceName}(2), sample${capitalizedResourceName}(1)],
+      });
+      assert.equal(status, 409);
+      const { body } = await request<${capitalizedResourceName}Page>('GET', \`\${BASE}/get-${args[0]}/many\`, { token });
+      assert.equal(body.data.${resourceName}s.length, 0);
+    });` : ''}
+
+    it('reports the outcome of each item with ?mode=partial', async () => {
+      const { status, body } = await request<TestBulkResult[]>('POST', \`\${BASE}/create-${args[0]}/many?mode=partial\`, {
+        token,
+        body: [sample${capitalizedResourceName}(1), { ...sample${capitalizedResourceName}(2), unknownField: true }${uniqueField ? `, sample${capitalizedResourceName}(1)` : ''}],
+      });
+      assert.equal(status, 201);
+      assert.deepEqual(
+        body.data.map((result) => result.status),
+        ['ok', 'validation_error'${uniqueField ? `, 'conflict'` : ''}]
+      );
+    });
+
+    it('rejects an unknown mode', async () => {
+      const { status } = await request('POST', \`\${BASE}/create-${args[0]}/many?mode=maybe\`, {
+        token,
+        body: [sample${capitalizedResourceName}(1)],
+      });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('PUT /update-${args[0]}/:id', () => {
+    it('updates a ${args[0].toLowerCase()}', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status, headers${updateField ? ', body' : ''} } = await request<TestDocument>('PUT', \`\${BASE}/update-${args[0]}/\${${resourceName}._id}\`, {
+        token,
+        body: ${updateField ? `{ ${updateField}: sample${capitalizedResourceName}(11).${updateField} }` : '{}'},
+      });
+      assert.equal(status, 200);${updateField ? `
+      assert.deepEqual(body.data.${updateField}, sample${capitalizedResourceName}(11).${updateField});` : ''}
+      assert.equal(headers.get('etag'), '"1"');
+    });
+
+    it('rejects unknown fields', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status } = await request('PUT', \`\${BASE}/update-${args[0]}/\${${resourceName}._id}\`, {
+        token,
+        body: { unknownField: true },
+      });
+      assert.equal(status, 400);
+    });
+
+    it('rejects a stale If-Match version', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status } = await request('PUT', \`\${BASE}/update-${args[0]}/\${${resourceName}._id}\`, {
+        token,
+        body: {},
+        headers: { 'If-Match': '"5"' },
+      });
+      assert.equal(status, 412);
+    });
+
+    it('answers 404 for a missing ${args[0].toLowerCase()}', async () => {
+      const { status } = await request('PUT', \`\${BASE}/update-${args[0]}/000000000000000000000000\`, { token, body: {} });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('PUT /update-${args[0]}/many', () => {
+${updateField ? `    it('updates several ${args[0].toLowerCase()}s', async () => {
+      const first = await create${capitalizedResourceName}(1);
+      const second = await create${capitalizedResourceName}(2);
+      const { status, body } = await request<TestDocument[]>('PUT', \`\${BASE}/update-${args[0]}/many\`, {
+        token,
+        body: [
+          { id: first._id, ${updateField}: sample${capitalizedResourceName}(11).${updateField} },
+          { id: second._id, ${updateField}: sample${capitalizedResourceName}(12).${updateField} },
+        ],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.map((${resourceName}) => ${resourceName}.${updateField}),
+        [sample${capitalizedResourceName}(11).${updateField}, sample${capitalizedResourceName}(12).${updateField}]
+      );
+    });` : `    it('updates several ${args[0].toLowerCase()}s', async () => {
+      const first = await create${capitalizedResourceName}(1);
+      const second = await create${capitalizedResourceName}(2);
+      // Without fields to change, each item only checks the version it was read at
+      const { status, body } = await request<TestDocument[]>('PUT', \`\${BASE}/update-${args[0]}/many\`, {
+        token,
+        body: [
+          { id: first._id, version: 0 },
+          { id: second._id, version: 0 },
+        ],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map((${resourceName}) => ${resourceName}._id).sort(), [first._id, second._id].sort());
+      const { headers } = await request('GET', \`\${BASE}/get-${args[0]}/\${first._id}\`, { token });
+      assert.equal(headers.get('etag'), '"1"');
+    });`}
+
+    it('rejects items without a valid id', async () => {
+      const { status } = await request('PUT', \`\${BASE}/update-${args[0]}/many\`, { token, body: [{ id: 'not-an-id' }] });
+      assert.equal(status, 400);
+    });${updateField ? `
+
+    it('updates none of the ${args[0].toLowerCase()}s if one is stale', async () => {
+      const first = await create${capitalizedResourceName}(1);
+      const second = await create${capitalizedResourceName}(2);
+      const { status } = await request('PUT', \`\${BASE}/update-${args[0]}/many\`, {
+        token,
+        body: [
+          { id: first._id, ${updateField}: sample${capitalizedResourceName}(11).${updateField} },
+          { id: second._id, ${updateField}: sample${capitalizedResourceName}(12).${updateField}, version: 5 },
+        ],
+      });
+      assert.equal(status, 412);
+      const { body } = await request<TestDocument>('GET', \`\${BASE}/get-${args[0]}/\${first._id}\`, { token });
+      assert.deepEqual(body.data.${updateField}, sample${capitalizedResourceName}(1).${updateField});
+    });
+
+    it('reports the outcome of each item with ?mode=partial', async () => {
+      const first = await create${capitalizedResourceName}(1);
+      const second = await create${capitalizedResourceName}(2);
+      const { status, body } = await request<TestBulkResult[]>('PUT', \`\${BASE}/update-${args[0]}/many?mode=partial\`, {
+        token,
+        body: [
+          { id: first._id, ${updateField}: sample${capitalizedResourceName}(11).${updateField} },
+          { id: '000000000000000000000000', ${updateField}: sample${capitalizedResourceName}(12).${updateField} },
+          { id: second._id, ${updateField}: sample${capitalizedResourceName}(13).${updateField}, version: 5 },
+          { id: 'not-an-id' },
+        ],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.map((result) => result.status),
+        ['ok', 'not_found', 'conflict', 'validation_error']
+      );
+    });` : ''}
+  });
+
+  describe('DELETE /delete-${args[0]}/:id', () => {
+    it('deletes a ${args[0].toLowerCase()}', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const deleted = await request('DELETE', \`\${BASE}/delete-${args[0]}/\${${resourceName}._id}\`, { token });
+      assert.equal(deleted.status, 200);
+      const { status } = await request('GET', \`\${BASE}/get-${args[0]}/\${${resourceName}._id}\`, { token });
+      assert.equal(status, 404);
+    });
+
+    it('answers 404 for a missing ${args[0].toLowerCase()}', async () => {
+      const { status } = await request('DELETE', \`\${BASE}/delete-${args[0]}/000000000000000000000000\`, { token });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('DELETE /delete-${args[0]}/many', () => {
+    it('deletes several ${args[0].toLowerCase()}s', async () => {
+      const first = await create${capitalizedResourceName}(1);
+      const second = await create${capitalizedResourceName}(2);
+      const { status } = await request('DELETE', \`\${BASE}/delete-${args[0]}/many\`, {
+        token,
+        body: { ids: [first._id, second._id] },
+      });
+      assert.equal(status, 200);
+      const { body } = await request<${capitalizedResourceName}Page>('GET', \`\${BASE}/get-${args[0]}/many\`, { token });
+      assert.equal(body.data.${resourceName}s.length, 0);
+    });
+
+    it('rejects invalid ids', async () => {
+      const { status } = await request('DELETE', \`\${BASE}/delete-${args[0]}/many\`, { token, body: { ids: ['not-an-id'] } });
+      assert.equal(status, 400);
+    });
+
+    it('reports the outcome of each id with ?mode=partial', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status, body } = await request<TestBulkResult[]>('DELETE', \`\${BASE}/delete-${args[0]}/many?mode=partial\`, {
+        token,
+        body: { ids: [${resourceName}._id, '000000000000000000000000'] },
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.map((result) => result.status),
+        ['ok', 'not_found']
+      );
+    });
+  });
+
+  describe('GET /get-${args[0]}/:id', () => {
+    it('returns a ${args[0].toLowerCase()} with its ETag', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status, headers, body } = await request<TestDocument>('GET', \`\${BASE}/get-${args[0]}/\${${resourceName}._id}\`, { token });
+      assert.equal(status, 200);
+      assert.equal(body.data._id, ${resourceName}._id);
+      assert.equal(headers.get('etag'), '"0"');
+    });
+
+    it('answers 404 for a missing ${args[0].toLowerCase()}', async () => {
+      const { status } = await request('GET', \`\${BASE}/get-${args[0]}/000000000000000000000000\`, { token });
+      assert.equal(status, 404);
+    });${refField ? `
+
+    it('populates ${refField.name}', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status, headers, body } = await request<TestDocument & { ${refField.name}: TestDocument${refField.array ? '[]' : ''} }>('GET', \`\${BASE}/get-${args[0]}/\${${resourceName}._id}?populate=${refField.name}\`, { token });
+      assert.equal(status, 200);
+      assert.equal(body.data.${refField.name}${refField.array ? '[0]' : ''}._id, ${refSample});
+      // Tagged apart from the unpopulated ${args[0].toLowerCase()}, which is "0"
+      assert.match(headers.get('etag') ?? '', /^"0-[\\w-]+"$/);
+    });` : ''}
+
+    it('rejects fields that cannot be populated', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status } = await request('GET', \`\${BASE}/get-${args[0]}/\${${resourceName}._id}?populate=unknownField\`, { token });
+      assert.equal(status, 400);
+    });
+
+    it('rejects an invalid id', async () => {
+      const { status } = await request('GET', \`\${BASE}/get-${args[0]}/not-an-id\`, { token });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('GET /get-${args[0]}/many', () => {
+    it('returns a page of ${args[0].toLowerCase()}s', async () => {
+      await create${capitalizedResourceName}(1);
+      await create${capitalizedResourceName}(2);
+      await create${capitalizedResourceName}(3);
+      const { status, body } = await request<${capitalizedResourceName}Page>('GET', \`\${BASE}/get-${args[0]}/many?pageNo=2&showPerPage=2\`, { token });
+      assert.equal(status, 200);
+      assert.equal(body.data.${resourceName}s.length, 1);
+      assert.equal(body.data.totalData, 3);
+      assert.equal(body.data.totalPages, 2);
+    });
+
+    it('rejects invalid query parameters', async () => {
+      const { status } = await request('GET', \`\${BASE}/get-${args[0]}/many?showPerPage=0\`, { token });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('GET /export-${args[0]}', () => {
+    it('exports the ${args[0].toLowerCase()}s as CSV', async () => {
+      await create${capitalizedResourceName}(1);
+      await create${capitalizedResourceName}(2);
+      const { status, headers, text } = await request('GET', \`\${BASE}/export-${args[0]}\`, { token });
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type') ?? '', /^text\\/csv/);
+      // The header, then one line per ${args[0].toLowerCase()}
+      assert.equal(text.trim().split('\\r\\n').length, 3);
+    });
+
+    it('exports the ${args[0].toLowerCase()}s as NDJSON', async () => {
+      const ${resourceName} = await create${capitalizedResourceName}(1);
+      const { status, text } = await request('GET', \`\${BASE}/export-${args[0]}?format=ndjson\`, { token });
+      assert.equal(status, 200);
+      assert.deepEqual(text.trim().split('\\n').map((line) => JSON.parse(line)._id), [${resourceName}._id]);
+    });
+
+    it('rejects pagination parameters', async () => {
+      const { status } = await request('GET', \`\${BASE}/export-${args[0]}?pageNo=2\`, { token });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('POST /import-${args[0]}', () => {
+    // A form holding an NDJSON file of the given records
+    const importForm = (...records: object[]) => {
+      const form = new FormData();
+      form.append('file', new Blob([records.map((record) => JSON.stringify(record)).join('\\n')]), '${args[0]}s.ndjson');
+      return form;
+    };
+
+    it('checks a file without storing it', async () => {
+      const { status, body } = await request<ImportReport>('POST', \`\${BASE}/import-${args[0]}?dryRun=true\`, {
+        token,
+        body: importForm(sample${capitalizedResourceName}(1), { ...sample${capitalizedResourceName}(2), unknownField: true }),
+      });
+      assert.equal(status, 200);
+      assert.equal(body.data.valid, 1);
+      assert.equal(body.data.failed, 1);
+      assert.equal(body.data.inserted, 0);
+      assert.equal(body.data.errors[0].row, 2);
+      const { body: list } = await request<${capitalizedResourceName}Page>('GET', \`\${BASE}/get-${args[0]}/many\`, { token });
+      assert.equal(list.data.totalData, 0);
+    });
 
-      // Function to ask questions in the command line
-      function askQuestion(rl, question) {
-        return new Promise((resolve) => {
-          rl.question(question, resolve);
+    it('stores the valid records and reports the others', async () => {
+      const { status, body } = await request<ImportReport>('POST', \`\${BASE}/import-${args[0]}\`, {
+        token,
+        body: importForm(sample${capitalizedResourceName}(1), { ...sample${capitalizedResourceName}(2), unknownField: true }, sample${capitalizedResourceName}(3)),
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.inserted, 2);
+      assert.deepEqual(body.data.errors.map((error) => error.row), [2]);
+    });${uniqueField ? `
+
+    it('reports a repeated ${uniqueField.name}', async () => {
+      const { status, body } = await request<ImportReport>('POST', \`\${BASE}/import-${args[0]}\`, {
+        token,
+        body: importForm(sample${capitalizedResourceName}(1), sample${capitalizedResourceName}(1)),
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.inserted, 1);
+      assert.equal(body.data.errors[0].field, '${uniqueField.name}');
+    });` : ''}
+
+    it('rejects other file types', async () => {
+      const form = new FormData();
+      form.append('file', new Blob(['hello']), '${args[0]}s.txt');
+      const { status } = await request('POST', \`\${BASE}/import-${args[0]}\`, { token, body: form });
+      assert.equal(status, 415);
+    });
+  });
+});
+    `;
+      // Path to the test file
+      const testFilePath = path.join(serviceDir, `${args[0]}.test.ts`);
+
+      // Create the resource directories if they don't exist (a dry run leaves the disk untouched)
+      if (!options.dryRun) {
+        [routeDir, controllerDir, modelsDir, interfaceDir].forEach((dir) => {
+          if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+          }
         });
       }
 
@@ -681,6 +2515,12 @@ export const ${resourceName}Services = {
         const files = fs.readdirSync(dir);
         const capitalizedResourceName = capitalize(moduleName);
 
+        // Only a dry run reaches this point without the module directory
+        if (!files.includes(moduleName)) {
+          await createAllFiles(path.join(dir, moduleName), getExpectedFiles(moduleName), moduleName);
+          return true;
+        }
+
         const rl = readline.createInterface({
           input: process.stdin,
           output: process.stdout,
@@ -700,6 +2540,8 @@ export const ${resourceName}Services = {
 
                 if (missingFiles.length === 0) {
                   console.log(`${RED}${capitalizedResourceName} module already exists.${RESET}`);
+                } else if (missingFiles.length < expectedFiles.length && options.force) {
+                  await createAllFiles(modulePath, missingFiles, moduleName);
                 } else if (missingFiles.length > 0 && missingFiles.length < expectedFiles.length) {
                   console.log(
                     `${GREEN}${capitalizedResourceName} ${RESET}module exists, but some files are missing:`
@@ -766,12 +2608,15 @@ export const ${resourceName}Services = {
           case `${moduleName}.service.ts`:
             content = serviceContent;
             break;
+          case `${moduleName}.test.ts`:
+            content = testContent;
+            break;
         }
 
-        fs.writeFileSync(filePath, content.trim());
-        console.log(
-          `${GREEN}CREATE ${RESET}${formatPath(filePath)} ${BLUE}(${Buffer.byteLength(content, 'utf8')} bytes)${RESET}`
-        );
+        applyChanges([{ action: 'create', path: filePath, content: content.trim() }], {
+          dryRun: options.dryRun,
+          diff: options.diff,
+        });
       }
 
       // Function to create all resources files
@@ -795,9 +2640,192 @@ export const ${resourceName}Services = {
         if (!found) {
           console.log(`${RED}Module ${moduleName} not found.${RESET}`);
         }
+        if (options.dryRun) console.log(DRY_RUN_NOTICE);
       })();
     });
   program.parse(['node', 'cli.js'].concat(args));
+} else if (command === 'resource:list') {
+  program
+    .description('List the modules and the generated files each one is missing')
+    .action(() => {
+      const modules = fs.existsSync(modulesDir)
+        ? fs
+            .readdirSync(modulesDir, { withFileTypes: true })
+            .filter((entry) => entry.isDirectory())
+            .map((entry) => entry.name)
+            .sort()
+        : [];
+      if (!modules.length) {
+        console.log(`${RED}No modules found in ${formatPath(modulesDir)}.${RESET}`);
+        return;
+      }
+      const width = Math.max(...modules.map((moduleName) => moduleName.length));
+      modules.forEach((moduleName) => {
+        const foundFiles = fs.readdirSync(path.join(modulesDir, moduleName));
+        const missingFiles = getExpectedFiles(moduleName).filter((file) => !foundFiles.includes(file));
+        const status = missingFiles.length
+          ? `${RED}missing ${missingFiles.join(', ')}${RESET}`
+          : `${GREEN}complete${RESET}`;
+        console.log(`${moduleName.padEnd(width)}  ${status}`);
+      });
+    });
+  program.parse(['node', 'cli.js'].concat(args));
+} else if (command === 'resource:remove') {
+  program
+    .description('Delete a module and all of its files')
+    .argument('<name>', 'Module name')
+    .option('--dry-run', 'Show the files that would be deleted without deleting them')
+    .option('--diff', 'Print the content of each deleted file as a diff')
+    .option('--force', 'Delete without asking for confirmation')
+    .action(async (moduleName, options) => {
+      const moduleDir = path.join(modulesDir, moduleName);
+      if (!fs.existsSync(moduleDir)) {
+        console.log(`${RED}Module ${moduleName} not found.${RESET}`);
+        process.exit(1);
+      }
+      // Other modules would fail to compile without it
+      const importers = findModuleImports(moduleName);
+      if (importers.length) {
+        console.log(`${RED}Module ${moduleName} is imported by other files, remove these imports first:${RESET}`);
+        importers.forEach((file) => console.log(`  - ${formatPath(file)}`));
+        process.exit(1);
+      }
+      // Ref fields of other resources would point at a model that no longer exists
+      const referrers = findModelReferences(moduleName);
+      if (referrers.length) {
+        console.log(`${RED}Module ${moduleName} is referenced by ref fields of other resources, remove these fields first:${RESET}`);
+        referrers.forEach((file) => console.log(`  - ${formatPath(file)}`));
+        process.exit(1);
+      }
+
+      const changes = listFiles(moduleDir).map((file) => ({
+        action: 'delete',
+        path: file,
+        before: fs.readFileSync(file, 'utf8'),
+      }));
+      if (options.dryRun) {
+        applyChanges(changes, options);
+        console.log(DRY_RUN_NOTICE);
+        return;
+      }
+      if (!(await confirm(`Delete the ${moduleName} module and its ${changes.length} files?`, options.force))) {
+        console.log(`${RED}Nothing was deleted.${RESET}`);
+        return;
+      }
+      applyChanges(changes, options);
+      fs.rmSync(moduleDir, { recursive: true, force: true });
+      console.log(
+        `${GREEN}Removed the ${moduleName} module.${RESET} Its permissions in src/config/permissions.ts and its documents in MongoDB are left as they are.`
+      );
+    });
+  program.parse(['node', 'cli.js'].concat(args));
+} else if (command === 'resource:rename') {
+  program
+    .description('Rename a module: its directory, file names, identifiers, routes and permissions')
+    .argument('<name>', 'Current module name')
+    .argument('<new-name>', 'New module name')
+    .option('--dry-run', 'Show the changes without writing them')
+    .option('--diff', 'Print a diff of each changed file')
+    .option('--force', 'Rename without asking for confirmation')
+    .action(async (moduleName, newModuleName, options) => {
+      const moduleDir = path.join(modulesDir, moduleName);
+      const newModuleDir = path.join(modulesDir, newModuleName);
+      if (!fs.existsSync(moduleDir)) {
+        console.log(`${RED}Module ${moduleName} not found.${RESET}`);
+        process.exit(1);
+      }
+      if (fs.existsSync(newModuleDir)) {
+        console.log(`${RED}Module ${newModuleName} already exists.${RESET}`);
+        process.exit(1);
+      }
+      if (!/^[a-zA-Z][a-zA-Z0-9-]*$/.test(newModuleName)) {
+        console.log(`${RED}Module names must start with a letter and contain only letters, digits and -.${RESET}`);
+        process.exit(1);
+      }
+      // Imports from other modules are not rewritten
+      const importers = findModuleImports(moduleName);
+      if (importers.length) {
+        console.log(`${RED}Module ${moduleName} is imported by other files, which the rename would break:${RESET}`);
+        importers.forEach((file) => console.log(`  - ${formatPath(file)}`));
+        process.exit(1);
+      }
+      // Nor are ref fields of other resources, which name the model
+      const referrers = findModelReferences(moduleName);
+      if (referrers.length) {
+        console.log(`${RED}Module ${moduleName} is referenced by ref fields of other resources, which the rename would break:${RESET}`);
+        referrers.forEach((file) => console.log(`  - ${formatPath(file)}`));
+        process.exit(1);
+      }
+
+      const rename = createRenamer(moduleName, newModuleName);
+      const changes = listFiles(moduleDir).map((file) => {
+        const before = fs.readFileSync(file, 'utf8');
+        return {
+          action: 'rename',
+          from: file,
+          path: path.join(newModuleDir, rename(path.relative(moduleDir, file), 'string')),
+          before,
+          content: rename(before),
+        };
+      });
+      // Permissions such as `blog:read` or `blog:*` granted to roles
+      const permissionsFile = path.join(projectRoot, 'src', 'config', 'permissions.ts');
+      if (fs.existsSync(permissionsFile)) {
+        const before = fs.readFileSync(permissionsFile, 'utf8');
+        const content = before.replace(
+          new RegExp(`(['"])${escapeRegExp(moduleName)}:`, 'g'),
+          `$1${newModuleName}:`
+        );
+        if (content !== before) changes.push({ action: 'update', path: permissionsFile, before, content });
+      }
+
+      if (options.dryRun) {
+        applyChanges(changes, options);
+        console.log(DRY_RUN_NOTICE);
+        return;
+      }
+      if (!(await confirm(`Rename the ${moduleName} module to ${newModuleName}?`, options.force))) {
+        console.log(`${RED}Nothing was renamed.${RESET}`);
+        return;
+      }
+      applyChanges(changes, options);
+      fs.rmSync(moduleDir, { recursive: true, force: true });
+      console.log(
+        `${GREEN}Renamed ${moduleName} to ${newModuleName}.${RESET} The model is now named ${capitalize(toResourceName(newModuleName))}, so rename its MongoDB collection to keep the existing documents. Audit entries keep the old resource name.`
+      );
+    });
+  program.parse(['node', 'cli.js'].concat(args));
+} else if (command === 'test') {
+  // Run the integration tests with the Node test runner: every *.test.ts below src, or the given files
+  const { spawnSync } = require('child_process');
+  const flags = args.filter((arg) => arg.startsWith('-'));
+  const files = args.filter((arg) => !arg.startsWith('-'));
+  const testFiles = files.length
+    ? files
+    : listFiles(path.join(projectRoot, 'src')).filter((file) => file.endsWith('.test.ts'));
+  if (!testFiles.length) {
+    console.log(`${BLUE}No test files found.${RESET}`);
+    process.exit(0);
+  }
+  const result = spawnSync(
+    process.execPath,
+    ['--require', 'ts-node/register/transpile-only', '--test', ...flags, ...testFiles],
+    {
+      stdio: 'inherit',
+      env: { ...process.env, NODE_ENV: 'test', TS_NODE_PROJECT: path.join(projectRoot, 'tsconfig.test.json') },
+    }
+  );
+  process.exit(result.status ?? 1);
+} else if (command === 'openapi') {
+  // Build the OpenAPI document from the route files and write it to disk (default: docs/openapi.json)
+  const { spawnSync } = require('child_process');
+  const script = path.join(__dirname, '..', 'src', 'utils', 'openapi', 'write-openapi.ts');
+  const result = spawnSync(
+    process.execPath,
+    [require.resolve('ts-node/dist/bin.js'), '--transpile-only', script, ...args],
+    { stdio: 'inherit' }
+  );
+  process.exit(result.status ?? 1);
 } else {
   console.error(`Unknown command: ${command}`);
   process.exit(1);
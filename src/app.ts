@@ -1,20 +1,29 @@
 import express, { Application } from 'express';
-import fs from 'fs';
 import path from 'path';
 import config from './config/config';
 
 // Security and Middleware imports
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
-import fileUpload from 'express-fileupload';
 import mongoSanitize from 'express-mongo-sanitize';
-import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import hpp from 'hpp';
-import mongoose from 'mongoose';
 import morgan from 'morgan';
+import globalErrorHandler from './handlers/global-error-handler';
 import PathNotFound from './helpers/responses/path-not-found';
-import { loggerStream } from './utils/logger/logger';
+import { CACHE_STATUS_HEADER } from './middlewares/cache-response';
+import rateLimit from './middlewares/rate-limit';
+import requestId, { REQUEST_ID_HEADER } from './middlewares/request-id';
+import { emailServices } from './modules/email/email.service';
+import { connectDatabase, disconnectDatabase } from './utils/database/database';
+import createHealthRouter from './utils/health/health-router';
+import registerGracefulShutdown, {
+  closeConnectionsOnShutdown,
+} from './utils/lifecycle/graceful-shutdown';
+import logger, { accessLogFormat, loggerStream } from './utils/logger/logger';
+import buildOpenApiDocument from './utils/openapi/build-openapi';
+import createDocsRouter from './utils/openapi/docs-router';
+import loadRouteModules from './utils/routes/load-route-modules';
 
 // Terminal colors
 const GREEN = '\x1b[32m';
@@ -29,14 +38,35 @@ const app: Application = express();
 // Define the path to the public directory
 const publicDirPath = path.join(__dirname, '..', 'public');
 
+// Assign every request an ID first, so even body parsing errors carry it
+app.use(requestId);
+
+// Release keep-alive connections while shutting down
+app.use(closeConnectionsOnShutdown);
+
+// Liveness and readiness probes, ahead of logging and rate limiting
+app.use('/health', createHealthRouter());
+
 app.use(express.json({ limit: config.MAX_JSON_SIZE }));
 
 app.use(express.urlencoded({ extended: config.URL_ENCODED }));
 app.use(cookieParser());
-app.use(fileUpload(config.EXPRESS_FILE_UPLOAD_CONFIG));
 
 // Security middleware initialization
-app.use(cors());
+app.use(
+  cors({
+    exposedHeaders: [
+      REQUEST_ID_HEADER,
+      'ETag',
+      CACHE_STATUS_HEADER,
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'RateLimit-Policy',
+      'Retry-After',
+    ],
+  })
+);
 app.use(helmet());
 app.use((req: any, res: any, next: any) => {
   const sanitizer = (mongoSanitize as any).sanitize || ((obj: any) => obj);
@@ -58,20 +88,12 @@ app.use((req: any, res: any, next: any) => {
   next();
 });
 app.use(hpp());
-app.use(morgan('dev'));
 
 // Use Morgan with the custom logger
-app.use(morgan('combined', { stream: loggerStream }));
+app.use(morgan(accessLogFormat, { stream: loggerStream }));
 
-// Request Rate Limiting
-app.use(
-  rateLimit({
-    windowMs: config.REQUEST_LIMIT_TIME,
-    max: config.NODE_ENV !== 'production' ? Infinity : config.REQUEST_LIMIT_NUMBER,
-    standardHeaders: true,
-    legacyHeaders: false,
-  })
-);
+// Request rate limiting, per user for authenticated requests and per IP otherwise
+app.use(rateLimit('global'));
 
 // Serve static files from the public directory
 app.use(
@@ -82,7 +104,7 @@ app.use(
   })
 );
 
-// Recursive function to load routes from nested folders
+// Routes of every module, logged at startup
 const routes: {
   module: string;
   path: string;
@@ -90,47 +112,44 @@ const routes: {
   time: number;
 }[] = [];
 
-const loadRoutes = (basePath: string, baseRoute: string) => {
-  if (fs.existsSync(basePath)) {
-    fs.readdirSync(basePath).forEach((item: string) => {
-      const itemPath = path.join(basePath, item);
-
-      const routePrefix = `${baseRoute}/${item.replace('.route', '')}`;
-
-      const start = performance.now();
-      if (fs.statSync(itemPath).isDirectory()) {
-        loadRoutes(itemPath, routePrefix);
-      } else if (item.endsWith('.route.ts') || item.endsWith('.route.js')) {
-        const routeModule = require(itemPath);
-        app.use(baseRoute, routeModule);
-
-        if (config.NODE_ENV !== 'production') {
-          const end = performance.now();
-          routeModule.stack.forEach((layer: any) => {
-            if (layer.route) {
-              Object.keys(layer.route.methods).forEach((method) => {
-                routes.push({
-                  module: item.split('.')[0],
-                  path: `${baseRoute}${layer.route.path}`,
-                  method: method.toUpperCase(),
-                  time: end - start,
-                });
-              });
-            }
+// Load routes starting from the 'modules' directory
+const routesPath = path.join(__dirname, 'modules');
+const routeModules = loadRouteModules(routesPath, '/api/v1');
+
+routeModules.forEach(({ module, basePath, router, loadTime }) => {
+  app.use(basePath, router);
+
+  if (config.NODE_ENV !== 'production') {
+    router.stack.forEach((layer: any) => {
+      if (layer.route) {
+        Object.keys(layer.route.methods).forEach((method) => {
+          routes.push({
+            module,
+            path: `${basePath}${layer.route.path}`,
+            method: method.toUpperCase(),
+            time: loadTime,
           });
-        }
+        });
       }
     });
   }
-};
+});
 
-// Load routes starting from the 'modules' directory
-const routesPath = path.join(__dirname, 'modules');
-loadRoutes(routesPath, '/api/v1');
+// API documentation generated from the routes and their Zod schemas
+if (config.API_DOCS_ENABLED) {
+  let openApiDocument: object | undefined;
+  app.use(
+    '/api/docs',
+    createDocsRouter(() => (openApiDocument ??= buildOpenApiDocument(routeModules)))
+  );
+}
 
 // Path not found handler
 app.use(PathNotFound);
 
+// Global error handler (must be registered last)
+app.use(globalErrorHandler);
+
 // Helper: formatted date
 const getFormattedDate = () => {
   const now = new Date();
@@ -170,17 +189,46 @@ function logRoutesByModule() {
   });
 }
 
-app.listen(config.PORT, async () => {
-  // Connect to MongoDB
-  await mongoose.connect(config.DB_CONNECTION_URI);
-  console.log(
-    `${GREEN}✔${RESET} ${WHITE}Connected to MongoDB successfully.${RESET}\n`,
-    `${GREEN}✔${RESET} ${WHITE}Connected to Redis successfully.${RESET}\n`,
-    `${BLUE}🚀  Server Details:${RESET}\n`,
-    `Base URL: ${YELLOW}${config.BASE_URL}:${config.PORT}${RESET}\n`,
-    `Environment: ${YELLOW}${config.NODE_ENV}${RESET}\n`,
-    `Port: ${YELLOW}${config.PORT}${RESET}\n`
-  );
-  console.log(`Server is running at ${config.BASE_URL}:${config.PORT} in ${config.NODE_ENV} mode.`);
-  logRoutesByModule();
-});
+/**
+ * Connects the dependencies, then starts accepting requests.
+ *
+ * Nothing listens until MongoDB is reachable; if it never becomes reachable, the
+ * process exits with an error so the orchestrator can restart it.
+ */
+const startServer = async () => {
+  // Connect to MongoDB, retrying with backoff
+  await connectDatabase();
+  // Deliver queued emails and their retries
+  emailServices.startEmailWorker();
+
+  const server = app.listen(config.PORT, () => {
+    console.log(
+      `${GREEN}✔${RESET} ${WHITE}Connected to MongoDB successfully.${RESET}\n`,
+      `${BLUE}🚀  Server Details:${RESET}\n`,
+      `Base URL: ${YELLOW}${config.BASE_URL}:${config.PORT}${RESET}\n`,
+      `Environment: ${YELLOW}${config.NODE_ENV}${RESET}\n`,
+      `Port: ${YELLOW}${config.PORT}${RESET}\n`
+    );
+    logger.info(`Server is running at ${config.BASE_URL}:${config.PORT} in ${config.NODE_ENV} mode.`);
+    // Secrets are masked whenever the configuration is serialized
+    logger.debug('Loaded configuration', { config });
+    logRoutesByModule();
+  });
+
+  // Drain requests, then stop the worker and close MongoDB
+  registerGracefulShutdown(server, async () => {
+    await emailServices.stopEmailWorker();
+    await disconnectDatabase();
+  });
+};
+
+// Start only when run directly; tests import the app without listening
+if (require.main === module) {
+  startServer().catch(async (error) => {
+    logger.error('Failed to start the server', { error });
+    await logger.close();
+    process.exit(1);
+  });
+}
+
+export default app;
@@ -1,53 +1,259 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { inspect } from 'util';
+import { z } from 'zod';
+import { REDACTED } from '../utils/logger/redact';
+import { fileTypeExtensions } from '../utils/storage/detect-file-type';
+import { envBoolean, envDuration, envInteger, envList, envSize, stripComment } from './env-parsers';
 
-dotenv.config();
-
-interface Config {
-  BASE_URL: string;
-  PORT: number;
-  DB_CONNECTION_URI: string;
-  NODE_ENV: string;
-  SALT_ROUNDS: number;
-  JWT_SECRET: string;
-  JWT_EXPIRATION_TIME: number;
-  EMAIL_HOST: string;
-  EMAIL_PORT: number;
-  EMAIL_USER: string;
-  EMAIL_PASSWORD: string;
-  MAX_JSON_SIZE: string;
-  MAX_FILE_SIZE: number;
-  URL_ENCODED: boolean;
-  REQUEST_LIMIT_TIME: number;
-  REQUEST_LIMIT_NUMBER: number;
-  WEB_CACHE: boolean;
+/**
+ * Every supported environment variable, with its parser and default.
+ *
+ * Durations accept units (`30d`, `15m`, `500ms`) and sizes accept `kb`, `mb` and `gb`;
+ * bare numbers are in the unit given in the comment. Keys left empty count as missing.
+ */
+const envSchema = z.object({
+  APP_NAME: z.string().default('Express App'),
+  BASE_URL: z.url(),
+  CLIENT_URL: z.url().optional(),
+  // Origin, and optional path prefix, clients reach the API at, e.g. behind a proxy
+  PUBLIC_BASE_URL: z.url().optional(),
+  PORT: envInteger().default(5000),
+  DB_CONNECTION_URI: z
+    .string()
+    .regex(/^mongodb(\+srv)?:\/\//, 'Expected a mongodb:// or mongodb+srv:// URI'),
+  DB_CONNECT_RETRIES: envInteger().default(5),
+  // Milliseconds
+  DB_CONNECT_RETRY_DELAY: envDuration('ms').default(1000),
+  SHUTDOWN_TIMEOUT: envDuration('ms').default(10 * 1000),
+  NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
+  SALT_ROUNDS: envInteger().default(10),
+  JWT_SECRET: z.string().min(16, 'Expected at least 16 characters'),
+  // Seconds
+  JWT_EXPIRATION_TIME: envDuration('s').default(15 * 60),
+  REFRESH_TOKEN_EXPIRATION_TIME: envDuration('s').default(30 * 24 * 60 * 60),
+  PASSWORD_RESET_TOKEN_EXPIRATION_TIME: envDuration('s').default(60 * 60),
+  EMAIL_VERIFICATION_TOKEN_EXPIRATION_TIME: envDuration('s').default(24 * 60 * 60),
+  REQUIRE_EMAIL_VERIFICATION: envBoolean().default(false),
+  EMAIL_HOST: z.string().default(''),
+  EMAIL_PORT: envInteger().default(587),
+  EMAIL_USER: z.string().default(''),
+  EMAIL_PASSWORD: z.string().default(''),
+  EMAIL_FROM: z.string().optional(),
+  EMAIL_SECURE: envBoolean().default(false),
+  EMAIL_TLS_REJECT_UNAUTHORIZED: envBoolean().default(true),
+  EMAIL_TRANSPORT: z.enum(['smtp', 'file', 'memory']).default('smtp'),
+  EMAIL_FILE_DIR: z.string().default('logs/emails'),
+  EMAIL_MAX_ATTEMPTS: envInteger().default(5),
+  // Milliseconds
+  EMAIL_RETRY_BASE_DELAY: envDuration('ms').default(30 * 1000),
+  EMAIL_QUEUE_POLL_INTERVAL: envDuration('ms').default(5 * 1000),
+  // Bytes
+  MAX_JSON_SIZE: envSize().default(50 * 1024 * 1024),
+  MAX_FILE_SIZE: envSize().default(50 * 1024 * 1024),
+  URL_ENCODED: envBoolean().default(false),
+  // Records validated and inserted together by import routes
+  IMPORT_BATCH_SIZE: envInteger().default(500),
+  UPLOAD_ALLOWED_EXTENSIONS: envList()
+    .pipe(z.array(z.enum(fileTypeExtensions)))
+    .default(['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'txt', 'csv']),
+  UPLOAD_SIGNING_SECRET: z.string().min(16, 'Expected at least 16 characters').optional(),
+  // Seconds
+  UPLOAD_SIGNED_URL_TTL: envDuration('s').default(15 * 60),
+  STORAGE_DRIVER: z.enum(['local', 's3', 'memory']).default('local'),
+  STORAGE_LOCAL_DIR: z.string().default('storage'),
+  STORAGE_S3_ENDPOINT: z.url().optional(),
+  STORAGE_S3_REGION: z.string().default('us-east-1'),
+  STORAGE_S3_BUCKET: z.string().default(''),
+  STORAGE_S3_ACCESS_KEY_ID: z.string().default(''),
+  STORAGE_S3_SECRET_ACCESS_KEY: z.string().default(''),
+  STORAGE_S3_FORCE_PATH_STYLE: envBoolean().default(false),
+  // Milliseconds
+  REQUEST_LIMIT_TIME: envDuration('ms').default(15 * 60 * 1000),
+  REQUEST_LIMIT_NUMBER: envInteger().default(3000),
+  // Quota of authenticated users, in the same window
+  USER_REQUEST_LIMIT_NUMBER: envInteger().default(10000),
+  AUTH_REQUEST_LIMIT_TIME: envDuration('ms').default(15 * 60 * 1000),
+  AUTH_REQUEST_LIMIT_NUMBER: envInteger().default(10),
+  EMAIL_REQUEST_LIMIT_TIME: envDuration('ms').default(15 * 60 * 1000),
+  EMAIL_REQUEST_LIMIT_NUMBER: envInteger().default(3),
+  // Largest showPerPage of list routes; larger values are lowered to it
+  MAX_PAGE_SIZE: envInteger().default(100),
+  WEB_CACHE: envBoolean().default(false),
+  // Seconds
+  WEB_CACHE_TTL: envDuration('s').default(60),
+  WEB_CACHE_MAX_ENTRIES: envInteger().default(1000),
+  API_DOCS_ENABLED: envBoolean().optional(),
+  LOG_LEVEL: z.enum(['debug', 'info', 'warn', 'error']).optional(),
+  LOG_SINKS: envList()
+    .pipe(z.array(z.enum(['console', 'file'])))
+    .default(['console', 'file']),
+  LOG_FORMAT: z.enum(['json', 'pretty']).optional(),
+  LOG_DIR: z.string().default('logs'),
+  // Bytes
+  LOG_MAX_SIZE: envSize().default(10 * 1024 * 1024),
+  LOG_RETENTION_DAYS: envInteger().default(14),
+});
+
+type Env = z.infer<typeof envSchema>;
+
+interface Config extends Omit<
+  Env,
+  | 'CLIENT_URL'
+  | 'PUBLIC_BASE_URL'
+  | 'EMAIL_FROM'
+  | 'UPLOAD_SIGNING_SECRET'
+  | 'API_DOCS_ENABLED'
+  | 'LOG_LEVEL'
+  | 'LOG_FORMAT'
+> {
+  CLIENT_URL: string;
+  PUBLIC_BASE_URL: string;
+  EMAIL_FROM: string;
+  UPLOAD_SIGNING_SECRET: string;
+  API_DOCS_ENABLED: boolean;
+  LOG_LEVEL: 'debug' | 'info' | 'warn' | 'error';
+  LOG_FORMAT: 'json' | 'pretty';
   EXPRESS_FILE_UPLOAD_CONFIG: object;
 }
 
-const config: Config = {
-  BASE_URL: process.env.BASE_URL as string,
-  PORT: parseInt(process.env.PORT as string, 10),
-  DB_CONNECTION_URI: process.env.DB_CONNECTION_URI as string,
-  NODE_ENV: process.env.NODE_ENV as string,
-  SALT_ROUNDS: parseInt(process.env.SALT_ROUNDS as string, 10),
-  JWT_SECRET: process.env.JWT_SECRET as string,
-  JWT_EXPIRATION_TIME: parseInt(process.env.JWT_EXPIRATION_TIME as string, 10),
-  EMAIL_HOST: process.env.EMAIL_HOST as string,
-  EMAIL_PORT: parseInt(process.env.EMAIL_PORT as string, 10),
-  EMAIL_USER: process.env.EMAIL_USER as string,
-  EMAIL_PASSWORD: process.env.EMAIL_PASSWORD as string,
-  MAX_JSON_SIZE: process.env.MAX_JSON_SIZE as string,
-  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE as string, 10),
-  URL_ENCODED: process.env.URL_ENCODED === 'true' ? true : false,
-  REQUEST_LIMIT_TIME: parseInt(process.env.REQUEST_LIMIT_TIME as string, 10),
-  REQUEST_LIMIT_NUMBER: parseInt(process.env.REQUEST_LIMIT_NUMBER as string, 10),
-  WEB_CACHE: process.env.WEB_CACHE === 'true' ? true : false,
-  EXPRESS_FILE_UPLOAD_CONFIG: {
-    createParentPath: true,
-    preserveExtension: true,
-    limits: {
-      fileSize: parseInt(process.env.MAX_FILE_SIZE as string, 10),
+// Keys whose values are never printed
+const secretKeys: (keyof Config)[] = [
+  'JWT_SECRET',
+  'EMAIL_PASSWORD',
+  'UPLOAD_SIGNING_SECRET',
+  'STORAGE_S3_SECRET_ACCESS_KEY',
+];
+
+/**
+ * Reads an env file if it exists.
+ */
+const readEnvFile = (file: string): Record<string, string> =>
+  fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {};
+
+/**
+ * Collects the environment from `.env`, then `.env.<NODE_ENV>`, then the process
+ * environment, each overriding the previous one.
+ *
+ * File values are also copied to `process.env` where unset, for libraries reading it
+ * directly (e.g. Express reads `NODE_ENV`).
+ *
+ * @param dir - The directory holding the env files.
+ * @returns The merged environment, without comments and empty values.
+ */
+export const loadEnv = (dir: string = process.cwd()): Record<string, string> => {
+  const base = readEnvFile(path.join(dir, '.env'));
+  const nodeEnv = process.env.NODE_ENV || base.NODE_ENV || 'development';
+  const files = { ...base, ...readEnvFile(path.join(dir, `.env.${nodeEnv}`)) };
+
+  for (const [key, value] of Object.entries(files)) {
+    if (process.env[key] === undefined) process.env[key] = value;
+  }
+
+  return Object.fromEntries(
+    Object.entries({ ...files, ...process.env }).flatMap(([key, value]) => {
+      const cleaned = stripComment(value ?? '');
+      return cleaned ? [[key, cleaned]] : [];
+    })
+  );
+};
+
+/**
+ * @param baseUrl - The `BASE_URL` setting.
+ * @param port - The `PORT` setting.
+ * @returns The base URL with the port, unless it names one itself, e.g. `http://localhost:5000`.
+ */
+const withPort = (baseUrl: string, port: number): string => {
+  const url = new URL(baseUrl);
+  if (!url.port) url.port = String(port);
+  return url.href;
+};
+
+/**
+ * Validates an environment and derives the configuration from it.
+ *
+ * @param env - The environment, as returned by `loadEnv`.
+ * @returns The configuration, or one line per missing or invalid key.
+ */
+export const parseConfig = (
+  env: Record<string, string>
+): { config: Config; problems?: never } | { config?: never; problems: string[] } => {
+  const result = envSchema.safeParse(env);
+  const problems = (result.error?.issues ?? []).map((issue) => {
+    const key = issue.path.join('.');
+    const missing = issue.code === 'invalid_type' && env[key] === undefined;
+    return `${key}: ${missing ? 'Missing' : issue.message}`;
+  });
+  // Outside production, emails can still be queued and retried without an SMTP server
+  const transport = env.EMAIL_TRANSPORT ?? 'smtp';
+  if (env.NODE_ENV === 'production' && transport === 'smtp' && !env.EMAIL_HOST) {
+    problems.push('EMAIL_HOST: Required when EMAIL_TRANSPORT is smtp in production');
+  }
+  if (env.STORAGE_DRIVER === 's3') {
+    ['STORAGE_S3_BUCKET', 'STORAGE_S3_ACCESS_KEY_ID', 'STORAGE_S3_SECRET_ACCESS_KEY']
+      .filter((key) => !env[key])
+      .forEach((key) => problems.push(`${key}: Required when STORAGE_DRIVER is s3`));
+  }
+  if (!result.success || problems.length) return { problems };
+
+  const values = result.data;
+  const isProduction = values.NODE_ENV === 'production';
+  return {
+    config: {
+      ...values,
+      CLIENT_URL: values.CLIENT_URL ?? values.BASE_URL,
+      PUBLIC_BASE_URL: values.PUBLIC_BASE_URL ?? withPort(values.BASE_URL, values.PORT),
+      EMAIL_FROM: values.EMAIL_FROM ?? values.EMAIL_USER,
+      UPLOAD_SIGNING_SECRET: values.UPLOAD_SIGNING_SECRET ?? values.JWT_SECRET,
+      API_DOCS_ENABLED: values.API_DOCS_ENABLED ?? !isProduction,
+      LOG_LEVEL: values.LOG_LEVEL ?? (values.NODE_ENV === 'development' ? 'debug' : 'info'),
+      LOG_FORMAT: values.LOG_FORMAT ?? (isProduction ? 'json' : 'pretty'),
+      EXPRESS_FILE_UPLOAD_CONFIG: {
+        createParentPath: true,
+        preserveExtension: true,
+        limits: {
+          fileSize: values.MAX_FILE_SIZE,
+        },
+      },
     },
-  },
+  };
 };
 
+/**
+ * Copies the configuration with secrets replaced, and credentials removed from the
+ * database URI, so it can be printed or logged.
+ *
+ * @param config - The configuration.
+ * @returns The masked copy.
+ */
+export const maskConfig = (config: Config): Record<string, unknown> => ({
+  ...config,
+  ...Object.fromEntries(secretKeys.filter((key) => config[key]).map((key) => [key, REDACTED])),
+  DB_CONNECTION_URI: config.DB_CONNECTION_URI.replace(/\/\/[^@/]*@/, `//${REDACTED}@`),
+});
+
+/**
+ * Loads the configuration, or prints every invalid or missing key and exits.
+ */
+const loadConfig = (): Config => {
+  const { config, problems } = parseConfig(loadEnv());
+  if (problems) {
+    // The logger depends on the configuration, so report straight to stderr
+    process.stderr.write(
+      `Invalid configuration, refusing to start:\n${problems.map((problem) => `  - ${problem}\n`).join('')}` +
+        'Set these in .env, .env.<NODE_ENV> or the environment (see .env.example).\n'
+    );
+    process.exit(1);
+  }
+  // Printing the configuration, e.g. with console.log or JSON.stringify, shows the masked copy
+  Object.defineProperties(config, {
+    toJSON: { value: () => maskConfig(config) },
+    [inspect.custom]: { value: () => maskConfig(config) },
+  });
+  return config;
+};
+
+const config: Config = loadConfig();
+
 export default config;
@@ -0,0 +1,123 @@
+import { z } from 'zod';
+
+// Multipliers from each duration unit to milliseconds
+const durationUnits = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Multipliers from each size unit to bytes
+const sizeUnits = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+const truthy = ['true', '1', 'yes', 'on'];
+const falsy = ['false', '0', 'no', 'off'];
+
+/**
+ * Removes a trailing `// comment`, as used in `.env.example`. URLs are left alone since
+ * their `//` is not preceded by whitespace.
+ *
+ * @param value - A raw environment value.
+ * @returns The value without comment and surrounding whitespace.
+ */
+export const stripComment = (value: string): string => value.replace(/\s+\/\/.*$/, '').trim();
+
+/**
+ * Reads a plain number or a product of numbers such as `15 * 60 * 1000`, never evaluating
+ * anything else.
+ *
+ * @param value - The value to read.
+ * @returns The number, or undefined if the value is not a number or a product.
+ */
+const parseProduct = (value: string): number | undefined => {
+  if (!/^\d+(\.\d+)?(\s*\*\s*\d+(\.\d+)?)*$/.test(value)) return undefined;
+  return value.split('*').reduce((product, factor) => product * Number(factor), 1);
+};
+
+/**
+ * Builds a schema reading a whole number that may carry one of the given units.
+ * A bare number or product is taken in `baseUnit`.
+ */
+const unitNumber = (units: Record<string, number>, baseUnit: string, expected: string) => {
+  const pattern = new RegExp(`^(\\d+(?:\\.\\d+)?)\\s*(${Object.keys(units).join('|')})$`, 'i');
+  return z.string().transform((value, ctx) => {
+    const match = pattern.exec(value);
+    const product = parseProduct(value);
+    const amount = match
+      ? (Number(match[1]) * units[match[2].toLowerCase()]) / units[baseUnit]
+      : product;
+    if (amount === undefined || !Number.isFinite(amount)) {
+      ctx.addIssue({ code: 'custom', message: `Expected ${expected}, got "${value}"` });
+      return z.NEVER;
+    }
+    return Math.round(amount);
+  });
+};
+
+/**
+ * Schema for a whole number, also accepting products such as `60 * 60 * 24`.
+ *
+ * @returns The schema.
+ */
+export const envInteger = () =>
+  z.string().transform((value, ctx) => {
+    const number = parseProduct(value);
+    if (number === undefined || !Number.isSafeInteger(number)) {
+      ctx.addIssue({ code: 'custom', message: `Expected a whole number, got "${value}"` });
+      return z.NEVER;
+    }
+    return number;
+  });
+
+/**
+ * Schema for a duration such as `30d`, `15m`, `1h` or `500ms`, converted to `unit`.
+ * Bare numbers and products are already in `unit`.
+ *
+ * @param unit - The unit of the parsed value: `s` or `ms`.
+ * @returns The schema.
+ */
+export const envDuration = (unit: 's' | 'ms') =>
+  unitNumber(durationUnits, unit, `a duration such as 30d, 15m or 900 (${unit})`);
+
+/**
+ * Schema for a size such as `50mb` or `512kb`, converted to bytes. Bare numbers and
+ * products are already in bytes.
+ *
+ * @returns The schema.
+ */
+export const envSize = () => unitNumber(sizeUnits, 'b', 'a size such as 50mb, 512kb or 1048576');
+
+/**
+ * Schema for a boolean written as true/false, 1/0, yes/no or on/off.
+ *
+ * @returns The schema.
+ */
+export const envBoolean = () =>
+  z.string().transform((value, ctx) => {
+    const normalized = value.toLowerCase();
+    if (truthy.includes(normalized)) return true;
+    if (falsy.includes(normalized)) return false;
+    ctx.addIssue({ code: 'custom', message: `Expected true or false, got "${value}"` });
+    return z.NEVER;
+  });
+
+/**
+ * Schema for a comma separated list.
+ *
+ * @returns The schema.
+ */
+export const envList = () =>
+  z.string().transform((value) =>
+    value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+  );
@@ -0,0 +1,24 @@
+import { TUserRole } from '../modules/user/user.interface';
+
+/**
+ * Permissions granted by each role.
+ *
+ * Permissions are colon separated, e.g. `user:update` or `user:delete:many`.
+ * A trailing `*` grants every permission under a prefix (`blog:*`) and a lone
+ * `*` grants everything. An `:own` suffix (`user:update:own`) grants the
+ * permission only on documents the requester owns, as decided by the route's
+ * ownership check. Resources generated by the CLI are only reachable by roles
+ * granted their permissions here, so new modules are locked down by default.
+ */
+const rolePermissions: Record<TUserRole, string[]> = {
+  admin: ['*'],
+  user: [
+    'user:read:own',
+    'user:update:own',
+    'upload:create',
+    'upload:read:own',
+    'upload:delete:own',
+  ],
+};
+
+export default rolePermissions;
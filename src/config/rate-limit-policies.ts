@@ -0,0 +1,62 @@
+import { Request } from 'express';
+import config from './config';
+
+/**
+ * Who a policy counts requests for:
+ * - `ip`: the client address.
+ * - `user`: the authenticated user, or the client address for anonymous requests.
+ * - `email`: the validated `email` of the body, so one address cannot be flooded from
+ *   many addresses.
+ * - A function returning the key, e.g. a verified API key.
+ */
+export type TRateLimitKey = 'ip' | 'user' | 'email' | ((req: Request) => string);
+
+/**
+ * A named rate limit, attached to routes with `rateLimit('<name>')`.
+ */
+export interface TRateLimitPolicy {
+  // Window length, in milliseconds
+  windowMs: number;
+  // Requests allowed per key and window
+  limit: number;
+  // Requests allowed to an authenticated user, with the `user` key
+  userLimit?: number;
+  key: TRateLimitKey;
+  // Message of the 429 response
+  message: string;
+}
+
+/**
+ * Rate-limit policies by name.
+ *
+ * Each policy is one budget: routes sharing a policy share its counts. `global` guards
+ * every route from `app.ts`; the others are attached in route files, after the
+ * middlewares their key relies on (`isAuthorized` for `user`, validation for `email`).
+ */
+const rateLimitPolicies = {
+  global: {
+    windowMs: config.REQUEST_LIMIT_TIME,
+    limit: config.REQUEST_LIMIT_NUMBER,
+    userLimit: config.USER_REQUEST_LIMIT_NUMBER,
+    key: 'user',
+    message: 'Too many requests, try again later',
+  },
+  // Login, token refresh, password reset and email verification attempts, and email requests
+  auth: {
+    windowMs: config.AUTH_REQUEST_LIMIT_TIME,
+    limit: config.AUTH_REQUEST_LIMIT_NUMBER,
+    key: 'ip',
+    message: 'Too many attempts, try again later',
+  },
+  // Password reset and verification emails
+  email: {
+    windowMs: config.EMAIL_REQUEST_LIMIT_TIME,
+    limit: config.EMAIL_REQUEST_LIMIT_NUMBER,
+    key: 'email',
+    message: 'Too many requests for this email address, try again later',
+  },
+} satisfies Record<string, TRateLimitPolicy>;
+
+export type TRateLimitPolicyName = keyof typeof rateLimitPolicies;
+
+export default rateLimitPolicies as Record<TRateLimitPolicyName, TRateLimitPolicy>;
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import {
+  createTestReferences,
+  resetDatabase,
+  startTestApp,
+  stopTestApp,
+} from '../tests/test-harness';
+
+/**
+ * Tests of the shared reference schemas, run with `npm test`.
+ *
+ * The validator is imported once the harness has set up the configuration.
+ */
+
+describe('zodReferences', () => {
+  let zodReferences: typeof import('./common-zod-validator').zodReferences;
+
+  before(async () => {
+    await startTestApp();
+    ({ zodReferences } = await import('./common-zod-validator'));
+  });
+  after(stopTestApp);
+
+  it('accepts the IDs of existing documents, as ObjectIds', async () => {
+    await resetDatabase();
+    const ids = await createTestReferences('User', 2);
+    const result = await zodReferences('User').safeParseAsync(ids);
+    assert.ok(result.success);
+    assert.deepEqual(result.data.map(String), ids);
+    assert.ok(result.data[0] instanceof mongoose.Types.ObjectId);
+  });
+
+  it('reports each missing document by its index', async () => {
+    await resetDatabase();
+    const [id] = await createTestReferences('User');
+    const missing = new mongoose.Types.ObjectId().toString();
+    const result = await zodReferences('User').safeParseAsync([id, missing]);
+    assert.ok(!result.success);
+    assert.deepEqual(
+      result.error.issues.map(({ path, message }) => ({ path, message })),
+      [{ path: [1], message: 'User not found' }]
+    );
+  });
+
+  it('reports a malformed ID without querying it', async () => {
+    await resetDatabase();
+    const [id] = await createTestReferences('User');
+    // Would reject with a CastError if the malformed ID reached the query
+    const result = await zodReferences('User').safeParseAsync([id, 'x']);
+    assert.ok(!result.success);
+    assert.deepEqual(
+      result.error.issues.map(({ path, message }) => ({ path, message })),
+      [{ path: [1], message: 'Each User must be a valid MongoDB ObjectId' }]
+    );
+  });
+});
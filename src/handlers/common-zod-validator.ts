@@ -1,5 +1,11 @@
+import { NextFunction, Request, Response } from 'express';
+import mongoose from 'mongoose';
 import { isMongoId } from 'validator';
 import { z } from 'zod';
+import config from '../config/config';
+import { bulkModes } from '../utils/bulk/partial-bulk';
+import { describeMiddleware } from '../utils/openapi/route-docs';
+import { transferFormats } from '../utils/transfer/export-documents';
 import { validateBody, validateParams, validateQuery } from './zod-error-handler';
 
 /**
@@ -35,18 +41,114 @@ const zodIdSchema = z
 export type IdOrIdsInput = z.infer<typeof zodIdSchema>;
 
 /**
- * Zod schema for validating pagination & search query parameters.
+ * Zod schema for validating the ID of an existing document, e.g. `author: zodReference('User')`.
+ *
+ * The model is looked up by name when validating, once every module has registered its
+ * model. Documents in the trash count as missing. The ID is converted to an ObjectId.
+ *
+ * @param modelName - The name of the referenced model.
+ * @param label - Names the field in messages.
+ */
+export const zodReference = (modelName: string, label: string = modelName) =>
+  z
+    .string({ message: `${label} is required` })
+    .refine(isMongoId, { message: `${label} must be a valid MongoDB ObjectId`, abort: true })
+    .refine(async (id) => !!(await mongoose.model(modelName).exists({ _id: id })), {
+      message: `${label} not found`,
+    })
+    .transform((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * Zod schema for validating a list of IDs of existing documents, e.g. `tags: zodReferences('Tag')`,
+ * checked with a single query.
+ *
+ * @param modelName - The name of the referenced model.
+ * @param label - Names the field in messages.
+ */
+export const zodReferences = (modelName: string, label: string = modelName) =>
+  z
+    .array(
+      z.string().refine(isMongoId, { message: `Each ${label} must be a valid MongoDB ObjectId` })
+    )
+    .superRefine(async (ids, ctx) => {
+      // Malformed IDs are already reported by the element check, and would fail the query
+      if (!ids.length || !ids.every((id) => isMongoId(id))) return;
+      const model = mongoose.model(modelName);
+      const found = new Set((await model.find({ _id: { $in: ids } }).distinct('_id')).map(String));
+      ids.forEach((id, index) => {
+        if (!found.has(id)) {
+          ctx.addIssue({ code: 'custom', path: [index], message: `${label} not found` });
+        }
+      });
+    })
+    .transform((ids) => ids.map((id) => new mongoose.Types.ObjectId(id)));
+
+/**
+ * Operators accepted in `filter[field][operator]=value`.
+ */
+export const filterOperators = [
+  'eq',
+  'ne',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'in',
+  'nin',
+  'exists',
+] as const;
+export type TFilterOperator = (typeof filterOperators)[number];
+
+// Matches `filter[field]` and `filter[field][operator]` query keys
+const filterKeyPattern = new RegExp(
+  `^filter\\[(\\w+)\\](?:\\[(${filterOperators.join('|')})\\])?$`
+);
+
+// Query keys with a meaning of their own; any other key must be a filter
+const searchQueryKeys = [
+  'searchKey',
+  'showPerPage',
+  'pageNo',
+  'sort',
+  'fields',
+  'paginate',
+  'cursor',
+  'count',
+  'populate',
+];
+
+// Comma separated field names, e.g. `name,email` or `-createdAt,name` for sorting
+const fieldListSchema = (pattern: RegExp, message: string) =>
+  z
+    .string()
+    .regex(pattern, { message })
+    .transform((val) => val.split(','));
+
+// Comma separated ref fields to replace with the documents they reference
+const populateSchema = fieldListSchema(
+  /^\w+(,\w+)*$/,
+  'Populate must be a comma separated list of fields'
+);
+
+/**
+ * Zod schema for validating pagination, search, filter, sort & field selection query parameters.
+ *
+ * Any key besides the named ones must be a filter, e.g. `filter[status]=active` or
+ * `filter[age][gte]=18`. Filters are grouped into `filter` by field then operator;
+ * which fields may be used is decided per resource by `BuildListQuery`.
  */
 const zodSearchQuerySchema = z
   .object({
     searchKey: z.string({ message: 'Please specify the search key' }).optional(),
 
+    // Lowered to MAX_PAGE_SIZE, so one request cannot load a whole collection
     showPerPage: z
       .string()
       .transform((val) => (val ? parseInt(val, 10) : undefined))
       .refine((val): val is number => val !== undefined && val > 0, {
         message: 'Show per page must be a positive number',
       })
+      .transform((val) => Math.min(val, config.MAX_PAGE_SIZE))
       .optional(),
 
     pageNo: z
@@ -56,14 +158,196 @@ const zodSearchQuerySchema = z
         message: 'Page number must be a positive number',
       })
       .optional(),
+
+    sort: fieldListSchema(
+      /^-?\w+(,-?\w+)*$/,
+      'Sort must be a comma separated list of fields, prefixed with - for descending order'
+    ).optional(),
+
+    fields: fieldListSchema(
+      /^\w+(,\w+)*$/,
+      'Fields must be a comma separated list of fields'
+    ).optional(),
+
+    paginate: z
+      .enum(['page', 'cursor'], { message: 'Paginate must be either page or cursor' })
+      .optional(),
+
+    cursor: z.string().max(2048, { message: 'Cursor is too long' }).optional(),
+
+    count: z
+      .enum(['exact', 'estimated', 'none'], {
+        message: 'Count must be one of exact, estimated or none',
+      })
+      .optional(),
+
+    populate: populateSchema.optional(),
   })
-  .strict();
+  .catchall(
+    z.string().meta({
+      description: `Filters as filter[field]=value or filter[field][operator]=value, operators: ${filterOperators.join(', ')}`,
+    })
+  )
+  .superRefine((query, ctx) => {
+    for (const key of Object.keys(query)) {
+      if (!searchQueryKeys.includes(key) && !filterKeyPattern.test(key)) {
+        ctx.addIssue({ code: 'custom', path: [key], message: 'Unknown query parameter' });
+      }
+    }
+  })
+  .transform(
+    ({
+      searchKey,
+      showPerPage,
+      pageNo,
+      sort,
+      fields,
+      paginate,
+      cursor,
+      count,
+      populate,
+      ...filters
+    }) => {
+      // Group filter[field][operator] keys by field, a bare filter[field] meaning `eq`
+      const filter: Record<string, Partial<Record<TFilterOperator, string>>> = {};
+      for (const [key, value] of Object.entries(filters)) {
+        const [, field, operator = 'eq'] = filterKeyPattern.exec(key)!;
+        filter[field] = { ...filter[field], [operator]: value };
+      }
+      return {
+        searchKey,
+        showPerPage,
+        pageNo,
+        sort,
+        fields,
+        paginate,
+        cursor,
+        count,
+        populate,
+        ...(Object.keys(filter).length && { filter }),
+      };
+    }
+  );
 
 export type SearchQueryInput = z.infer<typeof zodSearchQuerySchema>;
 
+// Query keys that page through list results, meaningless for exports
+const paginationKeys = ['showPerPage', 'pageNo', 'paginate', 'cursor', 'count'];
+
+/**
+ * Zod schema for validating the query of export routes: the `format` of the file, and the
+ * search, filter, sort, field and populate parameters of list routes, without pagination.
+ */
+const zodExportQuerySchema = z
+  .object({
+    format: z
+      .enum(transferFormats, {
+        message: `Format must be one of ${transferFormats.join(', ')}`,
+      })
+      .default('csv'),
+    // Checked with the list query below; named here for the API documentation
+    searchKey: z.string().optional(),
+    sort: z.string().optional(),
+    fields: z.string().optional(),
+    populate: z.string().optional(),
+  })
+  .catchall(z.string())
+  .transform(({ format, ...query }, ctx) => {
+    const paginated = paginationKeys.filter((key) => key in query);
+    paginated.forEach((key) =>
+      ctx.addIssue({ code: 'custom', path: [key], message: 'Exports are not paginated' })
+    );
+    const result = zodSearchQuerySchema.safeParse(query);
+    result.error?.issues.forEach(({ path, message }) =>
+      ctx.addIssue({ code: 'custom', path, message })
+    );
+    if (!result.success || paginated.length) return z.NEVER;
+    return { ...result.data, format };
+  });
+
+export type ExportQueryInput = z.infer<typeof zodExportQuerySchema>;
+
+/**
+ * Zod schema for validating the query of import routes, e.g. `?dryRun=true`.
+ */
+const zodImportQuerySchema = z
+  .object({
+    // Validate the file without storing anything
+    dryRun: z
+      .enum(['true', 'false'], { message: 'Dry run must be true or false' })
+      .transform((value) => value === 'true')
+      .default(false),
+  })
+  .strict();
+
+export type ImportQueryInput = z.infer<typeof zodImportQuerySchema>;
+
+/**
+ * Zod schema for validating the query of bulk routes, e.g. `?mode=partial`.
+ */
+const zodBulkQuerySchema = z
+  .object({
+    // All or nothing by default; `partial` applies each item on its own
+    mode: z
+      .enum(bulkModes, { message: `Mode must be one of ${bulkModes.join(', ')}` })
+      .default('atomic'),
+  })
+  .strict();
+
+export type BulkQueryInput = z.infer<typeof zodBulkQuerySchema>;
+
+// Body of a partial bulk request, whose items are validated one by one by the service
+const zodPartialBulkSchema = z
+  .array(z.unknown(), { message: 'Expected an array of items' })
+  .min(1, { message: 'At least one item must be provided' });
+
+/**
+ * Zod schema for validating the query of routes returning a single document, e.g. `?populate=author`.
+ */
+const zodPopulateQuerySchema = z
+  .object({
+    populate: populateSchema.optional(),
+  })
+  .strict();
+
+export type PopulateQueryInput = z.infer<typeof zodPopulateQuerySchema>;
+
+/**
+ * Reads the query validated by `validateQuery`, since Express 5 does not allow replacing `req.query`.
+ *
+ * @param req - The request object.
+ * @returns The validated (and transformed) query.
+ */
+export const getValidatedQuery = <T = SearchQueryInput>(req: Request): T =>
+  (req as Request & { validatedQuery: T }).validatedQuery;
+
 /**
  * Named validators (to be used in Express routes)
  */
 export const validateId = validateParams(zodIdSchema.pick({ id: true }));
 export const validateIds = validateBody(zodIdSchema.pick({ ids: true }));
 export const validateSearchQueries = validateQuery(zodSearchQuerySchema);
+export const validatePopulateQuery = validateQuery(zodPopulateQuerySchema);
+export const validateExportQuery = validateQuery(zodExportQuerySchema);
+export const validateImportQuery = validateQuery(zodImportQuerySchema);
+export const validateBulkQuery = validateQuery(zodBulkQuerySchema);
+
+/**
+ * Validates the array body of a bulk route, after `validateBulkQuery`.
+ *
+ * With `?mode=partial` only the array itself is checked: the service validates each
+ * item and reports the invalid ones as `validation_error` instead of failing the request.
+ *
+ * @param schema - The schema of the whole body, used in `atomic` mode.
+ * @returns The validation middleware.
+ */
+export const validateBulkBody = <T extends z.ZodTypeAny>(schema: T) => {
+  const validateAll = validateBody(schema);
+  const validateArray = validateBody(zodPartialBulkSchema);
+  const middleware = (req: Request, res: Response, next: NextFunction) =>
+    getValidatedQuery<BulkQueryInput>(req).mode === 'partial'
+      ? validateArray(req, res, next)
+      : validateAll(req, res, next);
+  // Document the items clients should send
+  return describeMiddleware(middleware, { validation: { source: 'body', schema } });
+};
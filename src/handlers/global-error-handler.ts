@@ -0,0 +1,143 @@
+import { NextFunction, Request, Response } from 'express';
+import mongoose from 'mongoose';
+import { ZodError } from 'zod';
+import config from '../config/config';
+import { AppError, ErrorDetail } from '../helpers/errors/app-error';
+import ServerResponse from '../helpers/responses/custom-response';
+import logger from '../utils/logger/logger';
+
+// Shape of a normalized error before it is sent
+export interface NormalizedError {
+  statusCode: number;
+  message: string;
+  errors?: ErrorDetail[];
+}
+
+// Extra fields set on errors by the MongoDB driver and body-parser
+type RawError = Partial<Error> & {
+  code?: number;
+  keyValue?: Record<string, unknown>;
+  err?: { keyValue?: Record<string, unknown> };
+  writeErrors?: RawError[];
+  type?: string;
+  status?: number;
+  expose?: boolean;
+};
+
+/**
+ * Maps any thrown value to a status code, a client-safe message and optional field details.
+ *
+ * @param err - The thrown value.
+ * @returns The normalized error, or null if the error is unexpected (500).
+ */
+export const normalizeError = (err: unknown): NormalizedError | null => {
+  // Errors thrown on purpose by services and controllers
+  if (err instanceof AppError) {
+    return { statusCode: err.statusCode, message: err.message, errors: err.errors };
+  }
+
+  // Zod schemas parsed outside the validation middleware
+  if (err instanceof ZodError) {
+    return {
+      statusCode: 400,
+      message: 'Validation error',
+      errors: err.issues.map((issue) => ({
+        field: issue.path.join(', '),
+        message: issue.message,
+      })),
+    };
+  }
+
+  // Malformed ObjectId or value of the wrong type in a query
+  if (err instanceof mongoose.Error.CastError) {
+    return {
+      statusCode: 400,
+      message: `Invalid value for ${err.path}`,
+      errors: [
+        { field: err.path, message: `Cannot cast ${JSON.stringify(err.value)} to ${err.kind}` },
+      ],
+    };
+  }
+
+  // Mongoose schema validation
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      statusCode: 400,
+      message: 'Validation error',
+      errors: Object.values(err.errors).map((error) => ({
+        field: error.path,
+        message: error.message,
+      })),
+    };
+  }
+
+  const raw = (err ?? {}) as RawError;
+
+  // Duplicate key on a unique index (E11000), possibly wrapped in a bulk write error
+  const duplicate = raw.code === 11000 ? raw : raw.writeErrors?.find((e) => e?.code === 11000);
+  if (duplicate) {
+    const keyValue = duplicate.keyValue ?? duplicate.err?.keyValue ?? {};
+    const fields = Object.keys(keyValue);
+    return {
+      statusCode: 409,
+      message: fields.length
+        ? `Duplicate value for ${fields.join(', ')}`
+        : 'Duplicate value for a unique field',
+      errors: fields.map((field) => ({ field, message: `${field} already exists` })),
+    };
+  }
+
+  // Body parser errors: invalid JSON, payload too large, unsupported charset, ...
+  if (raw.type === 'entity.parse.failed') {
+    return { statusCode: 400, message: 'Invalid JSON payload' };
+  }
+  if (typeof raw.status === 'number' && raw.status >= 400 && raw.status < 500 && raw.expose) {
+    return { statusCode: raw.status, message: raw.message ?? 'Bad request' };
+  }
+
+  return null;
+};
+
+/**
+ * Global error-handling middleware. Register it after every route and `PathNotFound`.
+ *
+ * Known errors are answered with their status and message. Unexpected errors are
+ * logged and answered with a generic 500; the original message and stack are only
+ * included outside production.
+ *
+ * @param err - The error passed to `next()` or thrown by a handler.
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ */
+const globalErrorHandler = (err: unknown, req: Request, res: Response, next: NextFunction) => {
+  // Let Express close the connection if a response is already being streamed
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const normalized = normalizeError(err);
+  if (normalized) {
+    return ServerResponse(
+      res,
+      false,
+      normalized.statusCode,
+      normalized.message,
+      null,
+      normalized.errors?.length ? normalized.errors : null
+    );
+  }
+
+  logger.error('Unhandled error', { method: req.method, path: req.originalUrl, error: err });
+
+  const details =
+    config.NODE_ENV !== 'production'
+      ? {
+          message: err instanceof Error ? err.message : String(err),
+          stack: (err as RawError)?.stack,
+        }
+      : undefined;
+  return ServerResponse(res, false, 500, 'An unexpected error occurred', null, null, details);
+};
+
+export default globalErrorHandler;
@@ -1,7 +1,8 @@
 import { NextFunction, Request, Response } from 'express';
 import z, { ZodError } from 'zod';
-import config from '../config/config';
 import ServerResponse from '../helpers/responses/custom-response';
+import logger from '../utils/logger/logger';
+import { describeMiddleware } from '../utils/openapi/route-docs';
 
 /**
  * Handles errors generated by Zod schema validation.
@@ -18,10 +19,8 @@ const zodErrorHandler = (req: Request, res: Response, zodErr: ZodError): Respons
     message: err?.message,
   }));
 
-  // Log errors in any mode except production
-  if (config.NODE_ENV !== 'production') {
-    console.log(errors);
-  }
+  // Validation failures are the client's doing, so only log them at debug level
+  logger.debug('Validation error', { method: req.method, path: req.originalUrl, errors });
 
   // Send error response using the global response helper
   return ServerResponse(res, false, 400, 'Validation error', null, errors);
@@ -34,7 +33,7 @@ export function validate<T extends z.ZodTypeAny>(
   schema: T,
   source: 'body' | 'params' | 'query' | 'mixed' = 'body'
 ) {
-  return (req: Request, res: Response, next: NextFunction) => {
+  const middleware = async (req: Request, res: Response, next: NextFunction) => {
     let dataToValidate: any;
 
     switch (source) {
@@ -55,7 +54,8 @@ export function validate<T extends z.ZodTypeAny>(
         dataToValidate = req.body;
     }
 
-    const result = schema.safeParse(dataToValidate);
+    // Async refinements, e.g. checking that referenced documents exist, run here too
+    const result = await schema.safeParseAsync(dataToValidate);
 
     if (!result.success) {
       return zodErrorHandler(req, res, result.error);
@@ -81,6 +81,9 @@ export function validate<T extends z.ZodTypeAny>(
 
     next();
   };
+
+  // Let the OpenAPI document describe the validated input
+  return describeMiddleware(middleware, { validation: { source, schema } });
 }
 
 export const validateBody = <T extends z.ZodTypeAny>(schema: T) => validate(schema, 'body');
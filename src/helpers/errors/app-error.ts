@@ -0,0 +1,121 @@
+/**
+ * Details about a single failed field, in the same shape as validation errors.
+ */
+export interface ErrorDetail {
+  field?: string;
+  message: string;
+}
+
+/**
+ * Base class for errors that are safe to report to the client.
+ *
+ * Throw a subclass from a service or controller and the global error handler
+ * answers with its status code and message. Any other error becomes a 500
+ * whose details are hidden in production.
+ */
+export class AppError extends Error {
+  public readonly statusCode: number;
+  public readonly errors?: ErrorDetail[];
+
+  /**
+   * @param message - A message describing the error, sent to the client.
+   * @param statusCode - The HTTP status code of the response.
+   * @param errors - Optional per-field details, sent to the client.
+   */
+  constructor(message: string, statusCode: number = 500, errors?: ErrorDetail[]) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+/**
+ * 400 - The request is malformed or fails a business rule.
+ */
+export class BadRequestError extends AppError {
+  constructor(message: string = 'Bad request', errors?: ErrorDetail[]) {
+    super(message, 400, errors);
+  }
+}
+
+/**
+ * 401 - The request is not authenticated.
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message: string = 'Unauthorized') {
+    super(message, 401);
+  }
+}
+
+/**
+ * 403 - The requester is authenticated but not allowed to do this.
+ */
+export class ForbiddenError extends AppError {
+  constructor(message: string = 'Forbidden') {
+    super(message, 403);
+  }
+}
+
+/**
+ * 404 - The requested resource does not exist.
+ */
+export class NotFoundError extends AppError {
+  constructor(message: string = 'Resource not found') {
+    super(message, 404);
+  }
+}
+
+/**
+ * 409 - The request conflicts with existing data, e.g. a duplicate unique field.
+ */
+export class ConflictError extends AppError {
+  constructor(message: string = 'Conflict', errors?: ErrorDetail[]) {
+    super(message, 409, errors);
+  }
+}
+
+/**
+ * 412 - A precondition of the request failed, e.g. an `If-Match` version is no longer current.
+ */
+export class PreconditionFailedError extends AppError {
+  constructor(message: string = 'Precondition failed', errors?: ErrorDetail[]) {
+    super(message, 412, errors);
+  }
+}
+
+/**
+ * 413 - The request payload is too large.
+ */
+export class PayloadTooLargeError extends AppError {
+  constructor(message: string = 'Payload too large') {
+    super(message, 413);
+  }
+}
+
+/**
+ * 415 - The request carries content of a type the server does not accept, e.g. a file.
+ */
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message: string = 'Unsupported media type', errors?: ErrorDetail[]) {
+    super(message, 415, errors);
+  }
+}
+
+/**
+ * 429 - The requester sent too many requests.
+ */
+export class TooManyRequestsError extends AppError {
+  constructor(message: string = 'Too many requests, try again later') {
+    super(message, 429);
+  }
+}
+
+/**
+ * 500 - Something the client cannot fix went wrong.
+ */
+export class InternalServerError extends AppError {
+  constructor(message: string = 'An unexpected error occurred') {
+    super(message, 500);
+  }
+}
@@ -26,6 +26,7 @@ const ServerResponse = (
     path: res.req.originalUrl,
     method: res.req.method,
     timestamp: new Date().toISOString(),
+    requestId: res.locals.requestId,
     ...(success && { data }), // Include data only if success is true
     ...(errors && { errors }), // Always include errors if they exist
     ...(error && { error }), // Always include error if it exists
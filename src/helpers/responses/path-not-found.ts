@@ -17,6 +17,7 @@ const PathNotFound = (req: Request, res: Response, next: NextFunction): void =>
     path: req.originalUrl,
     method: req.method,
     timestamp: new Date().toISOString(),
+    requestId: res.locals.requestId,
   });
 };
 
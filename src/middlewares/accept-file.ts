@@ -0,0 +1,127 @@
+import { NextFunction, Request, Response } from 'express';
+import fileUpload, { UploadedFile } from 'express-fileupload';
+import fs from 'fs/promises';
+import os from 'os';
+import config from '../config/config';
+import {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+} from '../helpers/errors/app-error';
+import ValidationHelper from '../helpers/validation-functions';
+import { DETECTION_SAMPLE_SIZE, detectFileType } from '../utils/storage/detect-file-type';
+import formatSize from '../utils/storage/format-size';
+import { describeMiddleware } from '../utils/openapi/route-docs';
+
+interface AcceptFileOptions {
+  // Lowercase extensions without dot (defaults to `UPLOAD_ALLOWED_EXTENSIONS`)
+  extensions?: string[];
+  // Bytes (defaults to `MAX_FILE_SIZE`, the most express-fileupload reads)
+  maxSize?: number;
+  // Write the file to a temporary file, to read with `fs.createReadStream(file.tempFilePath)`,
+  // instead of holding it in memory as `file.data`
+  tempFile?: boolean;
+}
+
+// Parsers of multipart/form-data bodies, keeping files in memory or writing them to disk
+const parseToMemory = fileUpload(config.EXPRESS_FILE_UPLOAD_CONFIG);
+const parseToTempFiles = fileUpload({
+  ...config.EXPRESS_FILE_UPLOAD_CONFIG,
+  useTempFiles: true,
+  tempFileDir: os.tmpdir(),
+});
+
+/**
+ * Reads the start of a file, enough to recognize its type.
+ */
+const readSample = async (file: UploadedFile): Promise<Buffer> => {
+  if (!file.tempFilePath) return file.data;
+  const handle = await fs.open(file.tempFilePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(DETECTION_SAMPLE_SIZE),
+      0,
+      DETECTION_SAMPLE_SIZE,
+      0
+    );
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Removes the temporary files of a request.
+ */
+const removeTempFiles = (req: Request): void => {
+  for (const file of Object.values(req.files ?? {}).flat()) {
+    if (file.tempFilePath) fs.rm(file.tempFilePath, { force: true }).catch(() => undefined);
+  }
+};
+
+/**
+ * Middleware factory to require one file in a `multipart/form-data` field.
+ *
+ * The body is parsed here, so only routes taking files read multipart bodies, and only
+ * after the middlewares before this one, such as `isAuthorized`. With `tempFile`, files
+ * are written to the system's temporary directory and removed once the response is sent.
+ *
+ * The file must be within `maxSize` (413 otherwise), have an allowed extension, and
+ * content matching that extension, recognized by its first bytes (415 otherwise). The
+ * client's `Content-Type` is never trusted: `mimetype` is replaced by the detected type.
+ * The file is then at `req.files[field]`; other form fields are in `req.body`.
+ *
+ * @param field - The form field holding the file.
+ * @param options - Allowed extensions, maximum size and whether to use a temporary file.
+ * @returns The middleware.
+ */
+const acceptFile = (field: string = 'file', options: AcceptFileOptions = {}) => {
+  const {
+    extensions = config.UPLOAD_ALLOWED_EXTENSIONS,
+    maxSize = config.MAX_FILE_SIZE,
+    tempFile = false,
+  } = options;
+  const parse = tempFile ? parseToTempFiles : parseToMemory;
+
+  const checkFile = async (req: Request) => {
+    const file = req.files?.[field];
+    if (!file) {
+      throw new BadRequestError('Validation error', [
+        { field, message: 'A file is required, sent as multipart/form-data' },
+      ]);
+    }
+    if (Array.isArray(file)) {
+      throw new BadRequestError('Validation error', [{ field, message: 'Send a single file' }]);
+    }
+    // express-fileupload stops reading at MAX_FILE_SIZE and flags the file as truncated
+    if (file.truncated || file.size > maxSize) {
+      throw new PayloadTooLargeError(`File must be at most ${formatSize(maxSize)}`);
+    }
+    if (!ValidationHelper.isValidFileExtension(file.name, extensions)) {
+      throw new UnsupportedMediaTypeError('Unsupported file type', [
+        { field, message: `Allowed extensions: ${extensions.join(', ')}` },
+      ]);
+    }
+    const extension = file.name.split('.').pop()!.toLowerCase();
+    const mimeType = detectFileType(extension, await readSample(file));
+    if (!mimeType) {
+      throw new UnsupportedMediaTypeError('Unsupported file type', [
+        { field, message: `The content of the file is not ${extension}` },
+      ]);
+    }
+    file.mimetype = mimeType;
+  };
+
+  const middleware = (req: Request, res: Response, next: NextFunction) => {
+    parse(req, res, (error?: unknown) => {
+      if (error) return next(error);
+      if (tempFile) res.on('close', () => removeTempFiles(req));
+      checkFile(req).then(() => next(), next);
+    });
+  };
+
+  // Let the OpenAPI document describe the request as a form with a file
+  return describeMiddleware(middleware, { file: { field } });
+};
+
+export default acceptFile;
@@ -0,0 +1,125 @@
+import { NextFunction, Response } from 'express';
+import rolePermissions from '../config/permissions';
+import { ForbiddenError, UnauthorizedError } from '../helpers/errors/app-error';
+import { TUserRole } from '../modules/user/user.interface';
+import UserModel from '../modules/user/user.model';
+import catchAsync from '../utils/catch-async/catch-async';
+import { describeMiddleware } from '../utils/openapi/route-docs';
+import { AuthenticatedRequest } from './is-authorized';
+
+/**
+ * Decides whether the authenticated user owns the resource targeted by the request.
+ */
+export type OwnershipCheck = (req: AuthenticatedRequest) => boolean | Promise<boolean>;
+
+interface AuthorizeOptions {
+  // Grants `<permission>:own` holders access when this check passes
+  owner?: OwnershipCheck;
+  // Only these roles may use the route, whatever permissions others are granted
+  roles?: TUserRole[];
+}
+
+/**
+ * Checks whether a list of granted permissions satisfies a required permission.
+ *
+ * @param granted - The permissions held by the user.
+ * @param required - The permission the route requires.
+ * @returns `true` if any granted permission equals the required one or is a matching wildcard.
+ */
+export const hasPermission = (granted: string[], required: string): boolean => {
+  return granted.some((permission) => {
+    if (permission === '*' || permission === required) return true;
+    // `blog:*` grants `blog:update`, `blog:delete:many`, ...
+    return permission.endsWith(':*') && required.startsWith(permission.slice(0, -1));
+  });
+};
+
+/**
+ * Ownership check for routes whose `:id` parameter is the user's own ID.
+ *
+ * @param req - The request object.
+ * @returns `true` if the `:id` parameter matches the authenticated user.
+ */
+export const isSelf: OwnershipCheck = (req) => {
+  return !!req.user && req.params.id === req.user._id;
+};
+
+/**
+ * Ownership check for routes whose `:id` parameter targets a document with an owner field.
+ *
+ * @param model - The Mongoose model of the resource.
+ * @param field - The field holding the owner's user ID (defaults to `createdBy`).
+ * @returns An ownership check that loads the document and compares its owner.
+ */
+export const ownsDocument = (
+  model: { exists: (filter: Record<string, unknown>) => PromiseLike<unknown> },
+  field: string = 'createdBy'
+): OwnershipCheck => {
+  return async (req) => {
+    if (!req.user) return false;
+    return !!(await model.exists({ _id: req.params.id, [field]: req.user._id }));
+  };
+};
+
+/**
+ * Middleware factory to require a permission on a route. Must run after `isAuthorized`.
+ *
+ * The user's role and extra permissions are loaded fresh from the database, so role
+ * changes apply immediately. If the user lacks the permission but holds its `:own`
+ * variant, access is granted when the `owner` check passes and `req.user.access` is
+ * set to `'own'` so handlers can restrict what an owner may change. With `roles`, the
+ * user must also hold one of the listed roles.
+ *
+ * @param permission - The permission the route requires, e.g. `user:delete`.
+ * @param options - Optional ownership check for `:own` permissions and allowed roles.
+ * @returns The authorization middleware.
+ */
+const authorize = (permission: string, options: AuthorizeOptions = {}) => {
+  const middleware = catchAsync(
+    async (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
+      if (!req.user) throw new UnauthorizedError();
+
+      // Load the role and permissions once per request
+      if (!req.user.permissions) {
+        const user = await UserModel.findById(req.user._id)
+          .select('role permissions status')
+          .lean();
+        if (!user || user.status !== 'active') throw new UnauthorizedError();
+        req.user.role = user.role;
+        req.user.permissions = [...(rolePermissions[user.role] ?? []), ...user.permissions];
+      }
+
+      // Routes reserved to some roles, e.g. purging the trash
+      if (options.roles && !options.roles.includes(req.user.role as TUserRole)) {
+        throw new ForbiddenError();
+      }
+
+      // Full permission on any document
+      if (hasPermission(req.user.permissions, permission)) {
+        req.user.access = 'any';
+        return next();
+      }
+
+      // Permission limited to documents the user owns
+      if (
+        options.owner &&
+        hasPermission(req.user.permissions, `${permission}:own`) &&
+        (await options.owner(req))
+      ) {
+        req.user.access = 'own';
+        return next();
+      }
+
+      throw new ForbiddenError();
+    }
+  );
+
+  return describeMiddleware(middleware, {
+    authenticated: true,
+    permission,
+    ownerAllowed: !!options.owner,
+    ...(options.roles && { roles: options.roles }),
+  });
+};
+
+export default authorize;
@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import { NextFunction, Request, Response } from 'express';
+import config from '../config/config';
+import { getValidatedQuery } from '../handlers/common-zod-validator';
+import catchAsync from '../utils/catch-async/catch-async';
+import { getCacheStore } from '../utils/cache/cache-store';
+import HashToken from '../utils/crypto/hash-token';
+import logger from '../utils/logger/logger';
+import { AuthenticatedRequest } from './is-authorized';
+
+// Header telling whether a response came from the cache
+export const CACHE_STATUS_HEADER = 'X-Cache';
+
+// Methods that never change data, so never invalidate the cache
+const safeMethods = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+interface CacheResponseOptions {
+  // Seconds a response stays in the server cache (defaults to `WEB_CACHE_TTL`)
+  ttl?: number;
+  // `user` keeps one entry per user, `public` shares entries between everyone
+  scope?: 'user' | 'public';
+  // Seconds clients may reuse the response without asking again; 0 means they revalidate
+  maxAge?: number;
+}
+
+// A cached response, stored as JSON
+interface CachedResponse {
+  statusCode: number;
+  etag?: string;
+  body: unknown;
+}
+
+/**
+ * Serializes a value with object keys sorted, so equal queries give equal keys.
+ */
+const stableStringify = (value: unknown): string => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .sort(([a], [b]) => a.localeCompare(b));
+    return `{${entries.map(([key, item]) => `${JSON.stringify(key)}:${stableStringify(item)}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Returns the current generation of a resource's entries.
+ *
+ * Every key embeds the generation, so replacing it orphans all entries of the resource at
+ * once, whatever the store. Orphans expire with their TTL or are evicted.
+ */
+const getGeneration = async (resource: string): Promise<string> => {
+  const store = getCacheStore();
+  const key = `cache:${resource}:generation`;
+  const generation = await store.get(key);
+  if (generation) return generation;
+  const created = randomUUID();
+  await store.set(key, created);
+  return created;
+};
+
+/**
+ * Invalidates every cached response of a resource.
+ *
+ * Called automatically by `invalidateCache` on write routes; call it directly when
+ * documents of the resource change elsewhere.
+ *
+ * @param resource - The module name, e.g. `user`.
+ */
+export const invalidateResource = async (resource: string): Promise<void> => {
+  if (!config.WEB_CACHE) return;
+  await getCacheStore().set(`cache:${resource}:generation`, randomUUID());
+};
+
+/**
+ * Replaces the per-request fields of a cached response envelope.
+ */
+const restamp = (body: unknown, req: Request, res: Response): unknown => {
+  if (!body || typeof body !== 'object' || !('requestId' in body)) return body;
+  return {
+    ...body,
+    path: req.originalUrl,
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    requestId: res.locals.requestId,
+  };
+};
+
+/**
+ * Middleware factory caching successful responses of a read route when `WEB_CACHE` is on.
+ * Register it after authentication, authorization and validation.
+ *
+ * The key covers the resource generation, the user scope, the path and the validated query.
+ * Hits replay the stored body (restamped with this request's path, time and request ID)
+ * and `ETag`, so conditional requests still get 304. The `Cache-Control` header is set
+ * whether or not the server cache is on.
+ *
+ * @param resource - The module name whose writes invalidate the entries, e.g. `user`.
+ * @param options - TTL, scope and client max-age.
+ * @returns The caching middleware.
+ */
+const cacheResponse = (resource: string, options: CacheResponseOptions = {}) => {
+  const { ttl = config.WEB_CACHE_TTL, scope = 'user', maxAge = 0 } = options;
+  const cacheControl = [
+    scope === 'user' ? 'private' : 'public',
+    maxAge > 0 ? `max-age=${maxAge}` : 'no-cache',
+  ].join(', ');
+
+  return catchAsync(async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    res.setHeader('Cache-Control', cacheControl);
+    if (!config.WEB_CACHE || !['GET', 'HEAD'].includes(req.method)) return next();
+
+    const store = getCacheStore();
+    const owner = scope === 'user' ? `user:${req.user?._id ?? 'anonymous'}` : 'public';
+    const query = getValidatedQuery<unknown>(req) ?? req.query;
+    const key = `cache:${resource}:${await getGeneration(resource)}:${HashToken(
+      `${owner} ${req.baseUrl}${req.path} ${stableStringify(query)}`
+    )}`;
+
+    const cached = await store.get(key);
+    if (cached) {
+      const { statusCode, etag, body } = JSON.parse(cached) as CachedResponse;
+      res.setHeader(CACHE_STATUS_HEADER, 'HIT');
+      if (etag) res.setHeader('ETag', etag);
+      res.status(statusCode).json(restamp(body, req, res));
+      return;
+    }
+
+    res.setHeader(CACHE_STATUS_HEADER, 'MISS');
+    const json = res.json.bind(res);
+    res.json = (body: unknown) => {
+      if (res.statusCode === 200) {
+        const etag = res.getHeader('ETag');
+        const entry: CachedResponse = {
+          statusCode: res.statusCode,
+          ...(typeof etag === 'string' && { etag }),
+          body,
+        };
+        store.set(key, JSON.stringify(entry), ttl).catch((error) => {
+          logger.warn('Failed to write response cache entry', { resource, error });
+        });
+      }
+      return json(body);
+    };
+    next();
+  });
+};
+
+/**
+ * Middleware factory invalidating a resource's cached responses after its write routes.
+ * Register it on the module router, e.g. `router.use(invalidateCache('user'))`.
+ *
+ * Safe methods pass through untouched. Other requests get `Cache-Control: no-store`, and
+ * once the handler responds, the resource is invalidated before the response is sent,
+ * unless the request failed before anything could be written.
+ *
+ * @param resource - The module name, e.g. `user`.
+ * @returns The invalidating middleware.
+ */
+export const invalidateCache = (resource: string) => {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (safeMethods.has(req.method)) return next();
+    res.setHeader('Cache-Control', 'no-store');
+    if (!config.WEB_CACHE) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body: unknown) => {
+      const status = res.statusCode;
+      // Conflicts, failed preconditions and server errors can follow a partially applied bulk write
+      if (status >= 400 && status < 500 && status !== 409 && status !== 412) return json(body);
+      invalidateResource(resource)
+        .catch((error) => logger.warn('Failed to invalidate response cache', { resource, error }))
+        .finally(() => json(body));
+      return res;
+    };
+    next();
+  };
+};
+
+export default cacheResponse;
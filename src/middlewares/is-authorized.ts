@@ -1,18 +1,24 @@
 import { NextFunction, Request, Response } from 'express';
 import ServerResponse from '../helpers/responses/custom-response';
+import { sessionServices } from '../modules/session/session.service';
+import { setContextUser, TContextUser } from '../utils/context/request-context';
 import DecodeToken from '../utils/jwt/decode-token';
+import logger from '../utils/logger/logger';
+import { describeMiddleware } from '../utils/openapi/route-docs';
 
 // Extend the Request interface to include a user property
-interface AuthenticatedRequest extends Request {
-  user?: {
-    email: string;
-    _id: string;
-  };
+export interface AuthenticatedRequest extends Request {
+  user?: TContextUser;
 }
 
 /**
  * Middleware to authenticate requests using Bearer tokens.
  *
+ * The token is read from the `Authorization: Bearer <token>` header first and
+ * falls back to the httpOnly `token` cookie set by the auth module. Tokens whose
+ * session has been revoked (logout, session revocation, refresh-token reuse) are
+ * rejected even if the JWT itself has not expired yet.
+ *
  * @param req - The request object.
  * @param res - The response object.
  * @param next - The next middleware function.
@@ -23,39 +29,52 @@ const isAuthorized = async (
   next: NextFunction
 ): Promise<Response | void> => {
   try {
-    // Retrieve the Authorization header from the request or token from cookies
-    const authHeader: string | undefined = req.headers['authorization'] || req.cookies?.token;
+    // Retrieve the Authorization header from the request
+    const authHeader: string | undefined = req.headers['authorization'];
+
+    // Extract the token from the Authorization header, or from cookies
+    const token: string | undefined = authHeader?.startsWith('Bearer ')
+      ? authHeader.split(' ')[1]
+      : req.cookies?.token;
 
-    // Check if the Authorization header is present and starts with 'Bearer '
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    // Check if a token is present
+    if (!token) {
       return ServerResponse(res, false, 401, 'Unauthorized');
     }
 
-    // Extract the token from the Authorization header
-    const token = authHeader.split(' ')[1];
-
     // Decode the token
     const decoded = await DecodeToken(token);
 
     // If token decoding fails, respond with unauthorized
-    if (!decoded) {
+    if (!decoded || typeof decoded === 'string') {
       return ServerResponse(res, false, 401, 'Unauthorized');
     }
 
     // Extract user information from the decoded token
-    const { email, _id } = decoded as { email: string; _id: string };
+    const { email, _id, sid } = decoded as { email: string; _id: string; sid: string };
+
+    // Reject tokens that do not carry the expected claims
+    if (!email || !_id || !sid) {
+      return ServerResponse(res, false, 401, 'Unauthorized');
+    }
+
+    // Reject tokens whose session has been revoked or has expired
+    if (!(await sessionServices.isSessionActive(sid, _id))) {
+      return ServerResponse(res, false, 401, 'Unauthorized');
+    }
 
-    // Attach user information to the request object
-    req.user = { email, _id };
+    // Attach user information to the request object and its context
+    req.user = { email, _id, sid };
+    setContextUser(req.user);
 
     // Proceed to the next middleware or route handler
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
+    logger.warn('Authentication failed', { method: req.method, path: req.originalUrl, error });
 
     // Handle any unexpected errors
     return ServerResponse(res, false, 401, 'Unauthorized');
   }
 };
 
-export default isAuthorized;
+export default describeMiddleware(isAuthorized, { authenticated: true });
@@ -0,0 +1,106 @@
+import { Request, RequestHandler, Response } from 'express';
+import expressRateLimit, { ipKeyGenerator, Store } from 'express-rate-limit';
+import rateLimitPolicies, {
+  TRateLimitPolicy,
+  TRateLimitPolicyName,
+} from '../config/rate-limit-policies';
+import ServerResponse from '../helpers/responses/custom-response';
+import DecodeToken from '../utils/jwt/decode-token';
+import { describeMiddleware } from '../utils/openapi/route-docs';
+import { getRateLimitStore } from '../utils/rate-limit/rate-limit-store';
+import type { AuthenticatedRequest } from './is-authorized';
+
+/**
+ * Reads the user of a request: the one set by `isAuthorized`, or the one of a valid
+ * access token when the policy runs before it. The session is not checked here;
+ * `isAuthorized` still rejects revoked tokens.
+ */
+const readUserId = async (req: AuthenticatedRequest): Promise<string | undefined> => {
+  if (req.user) return req.user._id;
+  const authHeader: string | undefined = req.headers['authorization'];
+  const token: string | undefined = authHeader?.startsWith('Bearer ')
+    ? authHeader.split(' ')[1]
+    : req.cookies?.token;
+  if (!token) return undefined;
+  const decoded = await DecodeToken(token);
+  return decoded && typeof decoded !== 'string' ? decoded._id : undefined;
+};
+
+// User of each request, read once for every policy it passes
+const requestUsers = new WeakMap<Request, Promise<string | undefined>>();
+
+/**
+ * @param req - The request.
+ * @returns The user ID, or undefined for anonymous requests.
+ */
+const findUserId = (req: Request): Promise<string | undefined> => {
+  if (!requestUsers.has(req)) requestUsers.set(req, readUserId(req));
+  return requestUsers.get(req)!;
+};
+
+/**
+ * Builds the key a request is counted under, e.g. `ip:203.0.113.7` or `user:<id>`.
+ * IPv6 addresses are grouped by /56 subnet, as one client usually holds a whole block.
+ */
+const buildKey = async (req: Request, policy: TRateLimitPolicy): Promise<string> => {
+  if (typeof policy.key === 'function') return policy.key(req);
+  if (policy.key === 'email') return `email:${String(req.body?.email ?? '').toLowerCase()}`;
+  const userId = policy.key === 'user' ? await findUserId(req) : undefined;
+  return userId ? `user:${userId}` : `ip:${ipKeyGenerator(req.ip ?? '')}`;
+};
+
+/**
+ * Counts the hits of a policy in the active store, with keys prefixed by its name.
+ * The store is looked up on every hit, so `setRateLimitStore` applies right away.
+ */
+const createPolicyStore = (name: string, windowMs: number): Store => {
+  const prefix = `${name}:`;
+  return {
+    // Also tells express-rate-limit that policies sharing a key count separately
+    prefix,
+    increment: async (key) => {
+      const { hits, resetAt } = await getRateLimitStore().increment(prefix + key, windowMs);
+      return { totalHits: hits, resetTime: resetAt };
+    },
+    decrement: (key) => getRateLimitStore().decrement(prefix + key),
+    resetKey: (key) => getRateLimitStore().reset(prefix + key),
+  };
+};
+
+// One limiter per policy, so routes sharing a policy share its counts
+const limiters = new Map<TRateLimitPolicyName, RequestHandler>();
+
+/**
+ * Middleware applying a rate-limit policy from `src/config/rate-limit-policies.ts`.
+ *
+ * Responses carry the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and
+ * `RateLimit-Policy` headers. Requests over the limit are answered with 429, a
+ * `Retry-After` header and the usual error envelope.
+ *
+ * @param name - The name of the policy.
+ * @returns The middleware.
+ */
+const rateLimit = (name: TRateLimitPolicyName): RequestHandler => {
+  let limiter = limiters.get(name);
+  if (!limiter) {
+    const policy = rateLimitPolicies[name];
+    limiter = expressRateLimit({
+      windowMs: policy.windowMs,
+      limit: async (req: Request) =>
+        policy.userLimit && policy.key === 'user' && (await findUserId(req))
+          ? policy.userLimit
+          : policy.limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      keyGenerator: (req: Request) => buildKey(req, policy),
+      store: createPolicyStore(name, policy.windowMs),
+      handler: (req: Request, res: Response) => {
+        ServerResponse(res, false, 429, policy.message);
+      },
+    });
+    limiters.set(name, describeMiddleware(limiter, { rateLimit: name }));
+  }
+  return limiter;
+};
+
+export default rateLimit;
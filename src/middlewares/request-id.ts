@@ -0,0 +1,32 @@
+import { randomUUID } from 'crypto';
+import { NextFunction, Request, Response } from 'express';
+import { runWithRequestContext } from '../utils/context/request-context';
+
+// Header carrying the request ID in both directions
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs are only trusted if they are short and free of control characters
+const validRequestId = /^[\w\-.:]{1,128}$/;
+
+/**
+ * Middleware assigning an ID to every request. Register it before any other middleware.
+ *
+ * The ID is taken from an incoming `X-Request-Id` header when it looks safe, or generated
+ * otherwise. It is echoed in the `X-Request-Id` response header, stored in `res.locals.requestId`
+ * for the response envelope, and exposed to the rest of the request through the request context.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ */
+const requestId = (req: Request, res: Response, next: NextFunction): void => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && validRequestId.test(incoming) ? incoming : randomUUID();
+
+  res.locals.requestId = id;
+  res.setHeader(REQUEST_ID_HEADER, id);
+
+  runWithRequestContext({ requestId: id }, next);
+};
+
+export default requestId;
@@ -0,0 +1,38 @@
+import { Request, Response } from 'express';
+import { auditServices } from './audit.service';
+import { getValidatedQuery } from '../../handlers/common-zod-validator';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to handle the retrieval of a single audit entry by ID.
+ *
+ * @param {Request} req - The request object containing the ID of the entry to retrieve in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IAudit>>} - The retrieved entry.
+ */
+export const getAuditById = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to get the entry by ID and get the result
+  const result = await auditServices.getAuditById(id as string);
+  if (!result) throw new NotFoundError('Audit entry not found');
+  // Send a success response with the retrieved entry data
+  ServerResponse(res, true, 200, 'Audit entry retrieved successfully', result);
+});
+
+/**
+ * Controller function to handle the retrieval of audit entries across every resource.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IAudit>[]>} - The retrieved entries.
+ */
+export const getManyAudit = catchAsync(async (req: Request, res: Response) => {
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get the entries based on query parameters and get the result
+  const { audits, ...pagination } = await auditServices.getManyAudit(query);
+  // Send a success response with the retrieved entries data
+  ServerResponse(res, true, 200, 'Audit entries retrieved successfully', { audits, ...pagination });
+});
@@ -0,0 +1,48 @@
+/**
+ * Changes recorded in the audit trail.
+ *
+ * `delete` moves a document to the trash on soft-deletable resources and removes it
+ * otherwise, `restore` brings it back and `purge` removes it from the trash for good.
+ */
+export const auditActions = ['create', 'update', 'delete', 'restore', 'purge'] as const;
+
+export type TAuditAction = (typeof auditActions)[number];
+
+/**
+ * One field changed by an audited operation. Secret fields keep `[REDACTED]` on both sides.
+ * @interface TAuditFieldChange
+ */
+export interface TAuditFieldChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+/**
+ * Type definition for audit.
+ *
+ * An audit entry records one change made to one document: who made it, when,
+ * through which request, and the fields it changed.
+ * @interface TAudit
+ */
+export interface TAudit {
+  actor: string | null;
+  actorEmail: string | null;
+  action: TAuditAction;
+  resource: string;
+  documentId: string;
+  changes: TAuditFieldChange[];
+  requestId: string | null;
+  createdAt: Date;
+}
+
+/**
+ * A document before and after an audited operation. `before` is empty on create
+ * and `after` on hard deletes.
+ * @interface TAuditRecord
+ */
+export interface TAuditRecord {
+  documentId: unknown;
+  before?: object | null;
+  after?: object | null;
+}
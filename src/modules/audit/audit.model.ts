@@ -0,0 +1,73 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { auditActions, TAuditAction, TAuditFieldChange } from './audit.interface';
+
+// Define and export an interface representing an audit document
+export interface IAudit extends Document {
+  actor: Types.ObjectId | null;
+  actorEmail: string | null;
+  action: TAuditAction;
+  resource: string;
+  documentId: Types.ObjectId;
+  changes: TAuditFieldChange[];
+  requestId: string | null;
+  createdAt: Date;
+}
+
+// Define the audit schema
+const AuditSchema: Schema<IAudit> = new Schema(
+  {
+    // The authenticated user; null for changes made outside a request (scripts, workers)
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    // Kept alongside the ID so entries stay readable once the actor is purged
+    actorEmail: {
+      type: String,
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: auditActions,
+      required: true,
+    },
+    // Module name of the changed document, e.g. 'user'
+    resource: {
+      type: String,
+      required: true,
+    },
+    documentId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    changes: {
+      type: [
+        new Schema(
+          { field: String, before: Schema.Types.Mixed, after: Schema.Types.Mixed },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    requestId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    // Entries are never updated
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// History of one document, newest first
+AuditSchema.index({ resource: 1, documentId: 1, createdAt: -1 });
+
+// Create the audit model
+const Audit = mongoose.model<IAudit>('Audit', AuditSchema);
+
+// Export the audit model
+export default Audit;
@@ -0,0 +1,44 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { getAuditById, getManyAudit } from './audit.controller';
+
+//Import validation from corresponding module
+import { validateId, validateSearchQueries } from '../../handlers/common-zod-validator';
+import isAuthorized from '../../middlewares/is-authorized';
+import authorize from '../../middlewares/authorize';
+
+// Initialize router
+const router = Router();
+
+// Define route handlers
+/**
+ * @route GET /api/v1/audit/get-audit/many
+ * @description Get audit entries across every resource
+ * @access Private (audit:read:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateSearchQueries']
+ * @param {function} controller - ['getManyAudit']
+ */
+router.get(
+  '/get-audit/many',
+  isAuthorized,
+  authorize('audit:read:many'),
+  validateSearchQueries,
+  getManyAudit
+);
+
+/**
+ * @route GET /api/v1/audit/get-audit/:id
+ * @description Get an audit entry by ID
+ * @access Private (audit:read)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the audit entry to retrieve
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['getAuditById']
+ */
+router.get('/get-audit/:id', isAuthorized, authorize('audit:read'), validateId, getAuditById);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,157 @@
+// Import the model
+import AuditModel, { IAudit } from './audit.model';
+import { IdOrIdsInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import { getContextUser, getRequestId } from '../../utils/context/request-context';
+import { afterCommit } from '../../utils/database/transaction';
+import logger from '../../utils/logger/logger';
+import { defaultRedactKeys, REDACTED } from '../../utils/logger/redact';
+import BuildListQuery from '../../utils/query/build-list-query';
+import Paginate, { PaginationResult } from '../../utils/query/paginate';
+import { TAuditAction, TAuditFieldChange, TAuditRecord } from './audit.interface';
+
+// Bookkeeping fields that change on every write and say nothing about the change
+const ignoredFields = new Set(['_id', 'createdAt', 'updatedAt']);
+
+// Fields whose values are never stored, only the fact that they changed
+const secretFields = new Set(defaultRedactKeys.map((key) => key.toLowerCase()));
+
+/**
+ * Converts a document to a plain object, keeping fields hidden from JSON such as hashes.
+ */
+const toPlain = (doc: object | null | undefined): Record<string, unknown> => {
+  if (!doc) return {};
+  const { toObject } = doc as { toObject?: () => Record<string, unknown> };
+  return typeof toObject === 'function' ? toObject.call(doc) : (doc as Record<string, unknown>);
+};
+
+/**
+ * Compares two documents field by field.
+ *
+ * @param before - The document before the change, if it existed.
+ * @param after - The document after the change, if it still exists.
+ * @returns The changed top-level fields with their old and new values.
+ */
+const diffFields = (
+  before: object | null | undefined,
+  after: object | null | undefined
+): TAuditFieldChange[] => {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields].flatMap((field) => {
+    if (ignoredFields.has(field)) return [];
+    // JSON compares ObjectIds, dates and nested values by content; missing counts as null
+    if (JSON.stringify(previous[field] ?? null) === JSON.stringify(next[field] ?? null)) return [];
+    if (secretFields.has(field.toLowerCase())) {
+      return [{ field, before: REDACTED, after: REDACTED }];
+    }
+    return [{ field, before: previous[field] ?? null, after: next[field] ?? null }];
+  });
+};
+
+/**
+ * Service function to record audited changes made to documents of a resource.
+ *
+ * The actor and request ID are read from the request context. Updates that changed
+ * nothing are skipped. Inside a transaction, the entries are written once it commits,
+ * so rolled back changes leave no trail. A failure to write the trail is logged and
+ * never fails the operation, which has already been applied.
+ *
+ * @param {string} resource - The module name of the documents, e.g. `user`.
+ * @param {TAuditAction} action - What happened to the documents.
+ * @param {TAuditRecord[]} records - Each document before and after the change.
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (
+  resource: string,
+  action: TAuditAction,
+  records: TAuditRecord[]
+): Promise<void> => {
+  const actor = getContextUser();
+  const requestId = getRequestId() ?? null;
+  const entries = records
+    .map(({ documentId, before, after }) => ({
+      actor: actor?._id ?? null,
+      actorEmail: actor?.email ?? null,
+      action,
+      resource,
+      documentId,
+      changes: diffFields(before, after),
+      requestId,
+    }))
+    .filter((entry) => action !== 'update' || entry.changes.length > 0);
+  if (!entries.length) return;
+
+  await afterCommit(async () => {
+    try {
+      await AuditModel.insertMany(entries);
+    } catch (error) {
+      logger.error('Failed to write audit entries', {
+        resource,
+        action,
+        count: entries.length,
+        error,
+      });
+    }
+  });
+};
+
+/**
+ * Service function to retrieve the audit trail of one document.
+ *
+ * @param {string} resource - The module name of the document.
+ * @param {IdOrIdsInput['id']} documentId - The ID of the document.
+ * @param {SearchQueryInput} query - The query parameters for filtering entries.
+ * @returns {Promise<{ history: IAudit[] } & PaginationResult>} - The entries, newest first, with page or cursor details.
+ */
+const getDocumentHistory = async (
+  resource: string,
+  documentId: IdOrIdsInput['id'],
+  query: SearchQueryInput
+): Promise<{ history: IAudit[] } & PaginationResult> => {
+  const listQuery = BuildListQuery(AuditModel, query, { defaultSort: { createdAt: -1 } });
+  const filter = { ...listQuery.filter, resource, documentId };
+  const { docs: history, ...pagination } = await Paginate(
+    AuditModel,
+    { ...listQuery, filter },
+    query
+  );
+  return { history, ...pagination };
+};
+
+/**
+ * Service function to retrieve a single audit entry by ID.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the entry to retrieve.
+ * @returns {Promise<IAudit | null>} - The retrieved entry.
+ */
+const getAuditById = async (id: IdOrIdsInput['id']): Promise<IAudit | null> => {
+  const audit = await AuditModel.findById(id);
+  return audit;
+};
+
+/**
+ * Service function to retrieve audit entries across every resource.
+ *
+ * @param {SearchQueryInput} query - The query parameters for filtering entries.
+ * @returns {Promise<{ audits: IAudit[] } & PaginationResult>} - The entries, newest first, with page or cursor details.
+ */
+const getManyAudit = async (
+  query: SearchQueryInput
+): Promise<{ audits: IAudit[] } & PaginationResult> => {
+  // e.g. filter[resource]=user&filter[actor]=<id>&filter[createdAt][gte]=2024-01-01
+  const listQuery = BuildListQuery(AuditModel, query, {
+    searchFields: ['resource', 'action', 'actorEmail', 'requestId'],
+    defaultSort: { createdAt: -1 },
+  });
+  const { docs: audits, ...pagination } = await Paginate(AuditModel, listQuery, query);
+  return { audits, ...pagination };
+};
+
+export const auditServices = {
+  recordAudit,
+  getDocumentHistory,
+  getAuditById,
+  getManyAudit,
+};
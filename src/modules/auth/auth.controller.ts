@@ -0,0 +1,191 @@
+import { CookieOptions, Request, Response } from 'express';
+import config from '../../config/config';
+import { BadRequestError, NotFoundError, UnauthorizedError } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+import { TSessionMeta } from '../session/session.interface';
+import { TAuthResult } from './auth.interface';
+import { authServices } from './auth.service';
+
+// Options for the httpOnly cookie carrying the access token
+const tokenCookieOptions: CookieOptions = {
+  httpOnly: true,
+  secure: config.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge: config.JWT_EXPIRATION_TIME * 1000,
+};
+
+// Options for the httpOnly cookie carrying the refresh token, only sent to the auth routes
+const refreshTokenCookieOptions: CookieOptions = {
+  ...tokenCookieOptions,
+  path: '/api/v1/auth',
+  maxAge: config.REFRESH_TOKEN_EXPIRATION_TIME * 1000,
+};
+
+// Collect the client metadata recorded on the session
+const getSessionMeta = (req: Request): TSessionMeta => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
+// Set both token cookies from an authentication result
+const setTokenCookies = (res: Response, result: Pick<TAuthResult, 'token' | 'refreshToken'>) => {
+  res.cookie('token', result.token, tokenCookieOptions);
+  res.cookie('refreshToken', result.refreshToken, refreshTokenCookieOptions);
+};
+
+// Clear both token cookies using the same options they were set with
+const clearTokenCookies = (res: Response) => {
+  res.clearCookie('token', { ...tokenCookieOptions, maxAge: undefined });
+  res.clearCookie('refreshToken', { ...refreshTokenCookieOptions, maxAge: undefined });
+};
+
+/**
+ * Controller function to handle the registration of a new account.
+ *
+ * @param {Request} req - The request object containing the registration data in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<TRegisterResult>} - The created user, with its access and refresh tokens
+ * unless email verification is required first.
+ * @throws {Error} - Throws an error if the registration fails.
+ */
+export const register = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to register the account and open a session
+  const result = await authServices.register(req.body, getSessionMeta(req));
+  if (!result) throw new Error('Failed to register');
+  // Verification required: no session yet
+  if (!result.token || !result.refreshToken) {
+    ServerResponse(res, true, 201, 'Registered successfully, please verify your email', result);
+    return;
+  }
+  // Set the token cookies and send a success response with the user and tokens
+  setTokenCookies(res, { token: result.token, refreshToken: result.refreshToken });
+  ServerResponse(res, true, 201, 'Registered successfully', result);
+});
+
+/**
+ * Controller function to handle a login attempt.
+ *
+ * @param {Request} req - The request object containing the credentials in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<TAuthResult>} - The authenticated user with its access and refresh tokens.
+ * @throws {UnauthorizedError} - Throws an error if the credentials are wrong.
+ */
+export const login = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to verify the credentials and open a session
+  const result = await authServices.login(req.body, getSessionMeta(req));
+  // Set the token cookies and send a success response with the user and tokens
+  setTokenCookies(res, result);
+  ServerResponse(res, true, 200, 'Logged in successfully', result);
+});
+
+/**
+ * Controller function to handle the rotation of a refresh token.
+ *
+ * @param {Request} req - The request object containing the refresh token in the body or cookies.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<TAuthResult>} - The user with its new access and refresh tokens.
+ */
+export const refresh = catchAsync(async (req: Request, res: Response) => {
+  const refreshToken: string | undefined = req.body.refreshToken || req.cookies?.refreshToken;
+  // Call the service method to rotate the refresh token
+  const result = refreshToken
+    ? await authServices.refresh(refreshToken, getSessionMeta(req))
+    : null;
+  if (!result) {
+    clearTokenCookies(res);
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+  // Set the token cookies and send a success response with the user and tokens
+  setTokenCookies(res, result);
+  ServerResponse(res, true, 200, 'Token refreshed successfully', result);
+});
+
+/**
+ * Controller function to handle a logout.
+ *
+ * @param {Request} req - The request object containing the refresh token in the body or cookies.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const logout = catchAsync(async (req: Request, res: Response) => {
+  const refreshToken: string | undefined = req.body.refreshToken || req.cookies?.refreshToken;
+  // Call the service method to revoke the session of the refresh token
+  if (refreshToken) await authServices.logout(refreshToken);
+  clearTokenCookies(res);
+  ServerResponse(res, true, 200, 'Logged out successfully');
+});
+
+/**
+ * Controller function to handle a forgotten password.
+ *
+ * @param {Request} req - The request object containing the email address in the body.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const forgotPassword = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to email a reset link if the account exists
+  await authServices.forgotPassword(req.body);
+  // Same response either way, so registered emails cannot be discovered
+  ServerResponse(res, true, 200, 'If an account exists for this email, a reset link has been sent');
+});
+
+/**
+ * Controller function to handle a password reset.
+ *
+ * @param {Request} req - The request object containing the reset token and new password in the body.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const resetPassword = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to consume the token and change the password
+  const result = await authServices.resetPassword(req.body);
+  if (!result) throw new BadRequestError('Invalid or expired reset token');
+  // Every session was revoked, so drop the cookies of this client too
+  clearTokenCookies(res);
+  ServerResponse(res, true, 200, 'Password reset successfully');
+});
+
+/**
+ * Controller function to handle an email verification.
+ *
+ * @param {Request} req - The request object containing the verification token in the body.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const verifyEmail = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to consume the token and mark the email as verified
+  const result = await authServices.verifyEmail(req.body);
+  if (!result) throw new BadRequestError('Invalid or expired verification token');
+  ServerResponse(res, true, 200, 'Email verified successfully');
+});
+
+/**
+ * Controller function to handle a request for a new verification email.
+ *
+ * @param {Request} req - The request object containing the email address in the body.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const resendVerification = catchAsync(async (req: Request, res: Response) => {
+  // Call the service method to email a new link if the address is unverified
+  await authServices.resendVerification(req.body);
+  // Same response either way, so registered emails cannot be discovered
+  ServerResponse(
+    res,
+    true,
+    200,
+    'If an unverified account exists for this email, a verification link has been sent'
+  );
+});
+
+/**
+ * Controller function to handle the retrieval of the authenticated user.
+ *
+ * @param {AuthenticatedRequest} req - The request object carrying the authenticated user.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IUser>>} - The authenticated user.
+ */
+export const getMe = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to get the authenticated user
+  const result = await authServices.getMe(req.user!._id);
+  if (!result) throw new NotFoundError('User not found');
+  // Send a success response with the authenticated user data
+  ServerResponse(res, true, 200, 'User retrieved successfully', result);
+});
@@ -0,0 +1,44 @@
+import { IUser } from '../user/user.model';
+
+/**
+ * Type definition for the payload signed into an access token.
+ *
+ * @interface TTokenPayload
+ */
+export interface TTokenPayload {
+  email: string;
+  _id: string;
+  sid: string;
+}
+
+/**
+ * Type definition for a successful authentication.
+ *
+ * This type defines the user, the short-lived access token and the rotating
+ * refresh token returned by register, login and refresh.
+ * @interface TAuthResult
+ */
+export interface TAuthResult {
+  user: IUser;
+  token: string;
+  refreshToken: string;
+}
+
+/**
+ * Type definition for a registration.
+ *
+ * Tokens are only issued when email verification is not required at login.
+ * @interface TRegisterResult
+ */
+export interface TRegisterResult {
+  user: IUser;
+  token?: string;
+  refreshToken?: string;
+}
+
+/**
+ * Purposes a single-use emailed token can be issued for.
+ */
+export const authTokenTypes = ['password-reset', 'email-verification'] as const;
+
+export type TAuthTokenType = (typeof authTokenTypes)[number];
@@ -0,0 +1,55 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { authTokenTypes, TAuthTokenType } from './auth.interface';
+
+// Define and export an interface representing a single-use emailed token document
+export interface IAuthToken extends Document {
+  user: Types.ObjectId;
+  type: TAuthTokenType;
+  tokenHash: string;
+  expiresAt: Date;
+  usedAt: Date | null;
+}
+
+// Define the auth token schema
+const AuthTokenSchema: Schema<IAuthToken> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: authTokenTypes,
+      required: true,
+    },
+    // SHA-256 of the emailed token; the plain token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Mongo removes the token once it has expired
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+AuthTokenSchema.index({ user: 1, type: 1 });
+
+// Create the auth token model
+const AuthToken = mongoose.model<IAuthToken>('AuthToken', AuthTokenSchema);
+
+// Export the auth token model
+export default AuthToken;
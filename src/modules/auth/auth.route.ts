@@ -0,0 +1,147 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import {
+  forgotPassword,
+  getMe,
+  login,
+  logout,
+  refresh,
+  register,
+  resendVerification,
+  resetPassword,
+  verifyEmail,
+} from './auth.controller';
+
+//Import validation from corresponding module
+import {
+  validateEmail,
+  validateLogin,
+  validateRefreshToken,
+  validateRegister,
+  validateResetPassword,
+  validateVerifyEmail,
+} from './auth.validation';
+import isAuthorized from '../../middlewares/is-authorized';
+import { invalidateCache } from '../../middlewares/cache-response';
+import rateLimit from '../../middlewares/rate-limit';
+
+// Initialize router
+const router = Router();
+
+// Define route handlers
+/**
+ * @route POST /api/v1/auth/register
+ * @description Register a new account and sign in
+ * @access Public
+ * @param {function} middleware - ['invalidateCache']
+ * @param {function} validation - ['validateRegister']
+ * @param {function} controller - ['register']
+ */
+router.post('/register', invalidateCache('user'), validateRegister, register);
+
+/**
+ * @route POST /api/v1/auth/login
+ * @description Log in with email and password
+ * @access Public
+ * @param {function} middleware - ['rateLimit']
+ * @param {function} validation - ['validateLogin']
+ * @param {function} controller - ['login']
+ */
+router.post('/login', rateLimit('auth'), validateLogin, login);
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @description Rotate a refresh token and issue a new access token
+ * @access Public
+ * @param {function} middleware - ['rateLimit']
+ * @param {function} validation - ['validateRefreshToken']
+ * @param {function} controller - ['refresh']
+ */
+router.post('/refresh', rateLimit('auth'), validateRefreshToken, refresh);
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @description Revoke the current session and clear the token cookies
+ * @access Public
+ * @param {function} validation - ['validateRefreshToken']
+ * @param {function} controller - ['logout']
+ */
+router.post('/logout', validateRefreshToken, logout);
+
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @description Email a password reset link
+ * @access Public
+ * @param {function} middleware - ['rateLimit']
+ * @param {function} validation - ['validateEmail']
+ * @param {function} controller - ['forgotPassword']
+ */
+router.post(
+  '/forgot-password',
+  rateLimit('auth'),
+  validateEmail,
+  rateLimit('email'),
+  forgotPassword
+);
+
+/**
+ * @route POST /api/v1/auth/reset-password
+ * @description Set a new password using an emailed reset token
+ * @access Public
+ * @param {function} middleware - ['rateLimit', 'invalidateCache']
+ * @param {function} validation - ['validateResetPassword']
+ * @param {function} controller - ['resetPassword']
+ */
+router.post(
+  '/reset-password',
+  rateLimit('auth'),
+  invalidateCache('user'),
+  validateResetPassword,
+  resetPassword
+);
+
+/**
+ * @route POST /api/v1/auth/verify-email
+ * @description Verify an email address using an emailed token
+ * @access Public
+ * @param {function} middleware - ['rateLimit', 'invalidateCache']
+ * @param {function} validation - ['validateVerifyEmail']
+ * @param {function} controller - ['verifyEmail']
+ */
+router.post(
+  '/verify-email',
+  rateLimit('auth'),
+  invalidateCache('user'),
+  validateVerifyEmail,
+  verifyEmail
+);
+
+/**
+ * @route POST /api/v1/auth/resend-verification
+ * @description Email a new verification link
+ * @access Public
+ * @param {function} middleware - ['rateLimit']
+ * @param {function} validation - ['validateEmail']
+ * @param {function} controller - ['resendVerification']
+ */
+router.post(
+  '/resend-verification',
+  rateLimit('auth'),
+  validateEmail,
+  rateLimit('email'),
+  resendVerification
+);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @description Get the authenticated user
+ * @access Private
+ * @param {function} middleware - ['isAuthorized']
+ * @param {function} controller - ['getMe']
+ */
+router.get('/me', isAuthorized, getMe);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,288 @@
+import { Types } from 'mongoose';
+import UserModel, { IUser } from '../user/user.model';
+import { TSessionMeta } from '../session/session.interface';
+import { emailServices } from '../email/email.service';
+import { sessionServices } from '../session/session.service';
+import config from '../../config/config';
+import { ConflictError, ForbiddenError, UnauthorizedError } from '../../helpers/errors/app-error';
+import compareInfo from '../../utils/bcrypt/compare-info';
+import HashInfo from '../../utils/bcrypt/hash-info';
+import GenerateToken from '../../utils/crypto/generate-token';
+import HashToken from '../../utils/crypto/hash-token';
+import EncodeToken from '../../utils/jwt/encode-token';
+import AuthTokenModel from './auth.model';
+import { TAuthResult, TAuthTokenType, TRegisterResult } from './auth.interface';
+import {
+  EmailInput,
+  LoginInput,
+  RegisterInput,
+  ResetPasswordInput,
+  VerifyEmailInput,
+} from './auth.validation';
+
+/**
+ * Opens a new session for the user and signs its first access and refresh tokens.
+ *
+ * @param {IUser} user - The user to sign in.
+ * @param {TSessionMeta} meta - Client metadata (user agent, IP) for the session.
+ * @returns {Promise<TAuthResult>} - The user with its access and refresh tokens.
+ */
+const signIn = async (user: IUser, meta: TSessionMeta): Promise<TAuthResult> => {
+  const { session, refreshToken } = await sessionServices.createSession(String(user._id), meta);
+  const token = await EncodeToken(user.email, String(user._id), String(session._id));
+  return { user, token, refreshToken };
+};
+
+/**
+ * Issues a single-use token of the given type for a user.
+ *
+ * Any unused token of the same type is discarded, so only the latest emailed link works.
+ *
+ * @param {IUser} user - The user the token is issued for.
+ * @param {TAuthTokenType} type - What the token may be used for.
+ * @param {number} expiresIn - The token lifetime in seconds.
+ * @returns {Promise<string>} - The plain token to email; only its hash is stored.
+ */
+const issueAuthToken = async (
+  user: IUser,
+  type: TAuthTokenType,
+  expiresIn: number
+): Promise<string> => {
+  await AuthTokenModel.deleteMany({ user: user._id, type, usedAt: null });
+  const token = GenerateToken(32);
+  await AuthTokenModel.create({
+    user: user._id,
+    type,
+    tokenHash: HashToken(token),
+    expiresAt: new Date(Date.now() + expiresIn * 1000),
+  });
+  return token;
+};
+
+/**
+ * Consumes a single-use token, marking it used so it cannot be replayed.
+ *
+ * @param {string} token - The plain token from the emailed link.
+ * @param {TAuthTokenType} type - What the token is being used for.
+ * @returns {Promise<Types.ObjectId | null>} - The ID of the token's user, or null if the token
+ * is unknown, already used, expired or of another type.
+ */
+const consumeAuthToken = async (
+  token: string,
+  type: TAuthTokenType
+): Promise<Types.ObjectId | null> => {
+  const now = new Date();
+  const authToken = await AuthTokenModel.findOneAndUpdate(
+    { tokenHash: HashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return authToken?.user ?? null;
+};
+
+/**
+ * Queues a verification link email for the user.
+ *
+ * @param {IUser} user - The user whose email address should be verified.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user: IUser): Promise<void> => {
+  const token = await issueAuthToken(
+    user,
+    'email-verification',
+    config.EMAIL_VERIFICATION_TOKEN_EXPIRATION_TIME
+  );
+  await emailServices.queueEmail({
+    to: user.email,
+    template: 'verify-email',
+    variables: { name: user.name, link: `${config.CLIENT_URL}/verify-email?token=${token}` },
+  });
+};
+
+/**
+ * Queues a password reset link email for the user.
+ *
+ * @param {IUser} user - The user who asked to reset their password.
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user: IUser): Promise<void> => {
+  const token = await issueAuthToken(
+    user,
+    'password-reset',
+    config.PASSWORD_RESET_TOKEN_EXPIRATION_TIME
+  );
+  await emailServices.queueEmail({
+    to: user.email,
+    template: 'password-reset',
+    variables: { name: user.name, link: `${config.CLIENT_URL}/reset-password?token=${token}` },
+  });
+};
+
+/**
+ * Service function to register a new account.
+ *
+ * A verification email is queued. If `REQUIRE_EMAIL_VERIFICATION` is enabled no
+ * session is opened until the address is verified and the user logs in.
+ *
+ * @param {RegisterInput} data - The registration data.
+ * @param {TSessionMeta} meta - Client metadata (user agent, IP) for the session.
+ * @returns {Promise<TRegisterResult>} - The created user, with tokens unless verification is required.
+ */
+const register = async (data: RegisterInput, meta: TSessionMeta): Promise<TRegisterResult> => {
+  // Check for duplicate (email)
+  const existingUser = await UserModel.findOne({ email: data.email }).lean();
+  if (existingUser) {
+    throw new ConflictError('Duplicate detected: Another user with the same email already exists.');
+  }
+  // Store only the hashed password
+  const user = await UserModel.create({
+    ...data,
+    password: await HashInfo(data.password),
+    status: 'active',
+  });
+  await sendVerificationEmail(user);
+  if (config.REQUIRE_EMAIL_VERIFICATION) return { user };
+  return signIn(user, meta);
+};
+
+/**
+ * Service function to verify credentials and sign the user in.
+ *
+ * @param {LoginInput} data - The login credentials.
+ * @param {TSessionMeta} meta - Client metadata (user agent, IP) for the session.
+ * @returns {Promise<TAuthResult>} - The user with its access and refresh tokens.
+ * @throws {UnauthorizedError} - If the credentials are wrong or the account is not active.
+ * @throws {ForbiddenError} - If the email address must be verified first.
+ */
+const login = async (data: LoginInput, meta: TSessionMeta): Promise<TAuthResult> => {
+  // The password hash is excluded by default, so select it explicitly
+  const user = await UserModel.findOne({ email: data.email }).select('+password');
+  if (!user || !(await compareInfo(data.password, user.password)) || user.status !== 'active') {
+    throw new UnauthorizedError('Invalid email or password');
+  }
+  if (config.REQUIRE_EMAIL_VERIFICATION && !user.emailVerifiedAt) {
+    throw new ForbiddenError('Please verify your email address before logging in');
+  }
+  return signIn(user, meta);
+};
+
+/**
+ * Service function to exchange a refresh token for a new access and refresh token pair.
+ *
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @param {TSessionMeta} meta - Client metadata (user agent, IP) to record on the session.
+ * @returns {Promise<TAuthResult | null>} - The user with its new tokens, or null if the refresh
+ * token is invalid, reused or the account is no longer active.
+ */
+const refresh = async (refreshToken: string, meta: TSessionMeta): Promise<TAuthResult | null> => {
+  const rotated = await sessionServices.rotateSession(refreshToken, meta);
+  if (!rotated) return null;
+  const user = await UserModel.findById(rotated.session.user);
+  // Close the session if the account disappeared or was deactivated meanwhile
+  if (!user || user.status !== 'active') {
+    await sessionServices.revokeSessionByToken(rotated.refreshToken, 'revoked');
+    return null;
+  }
+  const token = await EncodeToken(user.email, String(user._id), String(rotated.session._id));
+  return { user, token, refreshToken: rotated.refreshToken };
+};
+
+/**
+ * Service function to log out by revoking the session of a refresh token.
+ *
+ * @param {string} refreshToken - The refresh token of the session to close.
+ * @returns {Promise<boolean>} - True if a session was revoked.
+ */
+const logout = async (refreshToken: string): Promise<boolean> => {
+  return sessionServices.revokeSessionByToken(refreshToken, 'logout');
+};
+
+/**
+ * Service function to start a password reset.
+ *
+ * Resolves the same way whether or not the address belongs to an account,
+ * so the endpoint cannot be used to discover registered emails.
+ *
+ * @param {EmailInput} data - The email address of the account.
+ * @returns {Promise<void>}
+ */
+const forgotPassword = async (data: EmailInput): Promise<void> => {
+  const user = await UserModel.findOne({ email: data.email });
+  if (!user) return;
+  await sendPasswordResetEmail(user);
+};
+
+/**
+ * Service function to set a new password using an emailed reset token.
+ *
+ * Every session of the user is revoked, and the email address counts as verified
+ * since the token was delivered to it.
+ *
+ * @param {ResetPasswordInput} data - The reset token and the new password.
+ * @returns {Promise<boolean>} - True if the password was changed, false if the token is invalid.
+ */
+const resetPassword = async (data: ResetPasswordInput): Promise<boolean> => {
+  const userId = await consumeAuthToken(data.token, 'password-reset');
+  if (!userId) return false;
+  const user = await UserModel.findById(userId);
+  if (!user) return false;
+  user.password = await HashInfo(data.password);
+  user.emailVerifiedAt = user.emailVerifiedAt ?? new Date();
+  await user.save();
+  await sessionServices.deleteManySession(String(userId));
+  return true;
+};
+
+/**
+ * Service function to verify an email address using an emailed token.
+ *
+ * @param {VerifyEmailInput} data - The verification token.
+ * @returns {Promise<boolean>} - True if the address was verified, false if the token is invalid.
+ */
+const verifyEmail = async (data: VerifyEmailInput): Promise<boolean> => {
+  const userId = await consumeAuthToken(data.token, 'email-verification');
+  if (!userId) return false;
+  const user = await UserModel.findById(userId);
+  if (!user) return false;
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  return true;
+};
+
+/**
+ * Service function to send a new verification email.
+ *
+ * Resolves the same way for unknown or already verified addresses.
+ *
+ * @param {EmailInput} data - The email address to verify.
+ * @returns {Promise<void>}
+ */
+const resendVerification = async (data: EmailInput): Promise<void> => {
+  const user = await UserModel.findOne({ email: data.email, emailVerifiedAt: null });
+  if (!user) return;
+  await sendVerificationEmail(user);
+};
+
+/**
+ * Service function to retrieve the currently authenticated user.
+ *
+ * @param {string} id - The ID of the authenticated user.
+ * @returns {Promise<IUser | null>} - The user, or null if it no longer exists.
+ */
+const getMe = async (id: string): Promise<IUser | null> => {
+  const user = await UserModel.findById(id);
+  return user;
+};
+
+export const authServices = {
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getMe,
+};
@@ -0,0 +1,234 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  request,
+  resetDatabase,
+  startTestApp,
+  stopTestApp,
+  TestDocument,
+} from '../../tests/test-harness';
+
+/**
+ * Integration tests of the auth routes, run with `npm test`.
+ *
+ * The module is only reached over HTTP: importing its files here would read the
+ * configuration before the harness has set it up.
+ */
+
+const BASE = '/api/v1/auth';
+
+// The user and tokens of register, login and refresh
+interface AuthResult {
+  user: TestDocument;
+  token: string;
+  refreshToken: string;
+}
+
+const account = { name: 'Jane Doe', email: 'jane@example.com', password: 'correct-horse' };
+
+// A message captured by the memory transport
+interface CapturedEmail {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+describe('auth routes', () => {
+  // Loaded once the harness has set up the configuration
+  let memoryOutbox: CapturedEmail[];
+  let processOutbox: () => Promise<number>;
+
+  /**
+   * Delivers the queued emails and returns the last one sent to an address, with the
+   * token of its link. Delivery may already be running in the background, hence the
+   * second pass.
+   */
+  const readEmail = async (to: string) => {
+    await processOutbox();
+    await processOutbox();
+    const email = memoryOutbox.filter((message) => message.to === to).pop();
+    assert.ok(email, `no email sent to ${to}`);
+    return { ...email, token: email.text.match(/\?token=([\w-]+)/)?.[1] };
+  };
+
+  before(async () => {
+    await startTestApp();
+    ({ memoryOutbox } = await import('../../utils/email/email-transport'));
+    ({ processOutbox } = (await import('../email/email.service')).emailServices);
+  });
+  after(stopTestApp);
+  beforeEach(async () => {
+    await resetDatabase();
+    memoryOutbox.length = 0;
+  });
+
+  it('registers, logs in, refreshes and logs out', async () => {
+    const registered = await request<AuthResult>('POST', `${BASE}/register`, { body: account });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.data.user.email, account.email);
+    assert.equal(registered.body.data.user.password, undefined);
+
+    const login = await request<AuthResult>('POST', `${BASE}/login`, {
+      body: { email: account.email, password: account.password },
+    });
+    assert.equal(login.status, 200);
+    assert.match(login.headers.get('set-cookie') ?? '', /token=/);
+
+    const me = await request<TestDocument>('GET', `${BASE}/me`, { token: login.body.data.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.email, account.email);
+
+    const refreshed = await request<AuthResult>('POST', `${BASE}/refresh`, {
+      body: { refreshToken: login.body.data.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.data.refreshToken, login.body.data.refreshToken);
+
+    const logout = await request('POST', `${BASE}/logout`, {
+      body: { refreshToken: refreshed.body.data.refreshToken },
+    });
+    assert.equal(logout.status, 200);
+    const afterLogout = await request('GET', `${BASE}/me`, { token: refreshed.body.data.token });
+    assert.equal(afterLogout.status, 401);
+  });
+
+  it('revokes the session when a rotated-out refresh token is reused', async () => {
+    const { body } = await request<AuthResult>('POST', `${BASE}/register`, { body: account });
+    const refreshed = await request<AuthResult>('POST', `${BASE}/refresh`, {
+      body: { refreshToken: body.data.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+
+    const reused = await request('POST', `${BASE}/refresh`, {
+      body: { refreshToken: body.data.refreshToken },
+    });
+    assert.equal(reused.status, 401);
+    const me = await request('GET', `${BASE}/me`, { token: refreshed.body.data.token });
+    assert.equal(me.status, 401);
+  });
+
+  it('rejects a wrong password', async () => {
+    await request('POST', `${BASE}/register`, { body: account });
+    const { status } = await request('POST', `${BASE}/login`, {
+      body: { email: account.email, password: 'wrong-password' },
+    });
+    assert.equal(status, 401);
+  });
+
+  it('rejects a duplicate email', async () => {
+    await request('POST', `${BASE}/register`, { body: account });
+    const { status } = await request('POST', `${BASE}/register`, { body: account });
+    assert.equal(status, 409);
+  });
+
+  it('rejects an invalid registration', async () => {
+    const { status, body } = await request('POST', `${BASE}/register`, {
+      body: { ...account, email: 'not-an-email' },
+    });
+    assert.equal(status, 400);
+    assert.ok(body.errors?.some((error) => error.field === 'email'));
+  });
+
+  it('emails a password reset link whose token sets a new password', async () => {
+    await request('POST', `${BASE}/register`, { body: account });
+    const forgot = await request('POST', `${BASE}/forgot-password`, {
+      body: { email: account.email },
+    });
+    assert.equal(forgot.status, 200);
+
+    const email = await readEmail(account.email);
+    assert.equal(email.subject, 'Reset your password');
+    assert.ok(email.token);
+
+    const reset = await request('POST', `${BASE}/reset-password`, {
+      body: { token: email.token, password: 'new-password' },
+    });
+    assert.equal(reset.status, 200);
+    const oldLogin = await request('POST', `${BASE}/login`, { body: account });
+    assert.equal(oldLogin.status, 401);
+    const newLogin = await request('POST', `${BASE}/login`, {
+      body: { email: account.email, password: 'new-password' },
+    });
+    assert.equal(newLogin.status, 200);
+
+    const replayed = await request('POST', `${BASE}/reset-password`, {
+      body: { token: email.token, password: 'other-password' },
+    });
+    assert.equal(replayed.status, 400);
+  });
+
+  it('emails a verification link whose token verifies the address', async () => {
+    const { body } = await request<AuthResult>('POST', `${BASE}/register`, { body: account });
+    assert.equal(body.data.user.emailVerifiedAt ?? null, null);
+
+    const email = await readEmail(account.email);
+    assert.equal(email.subject, 'Verify your email address');
+    assert.ok(email.token);
+
+    const verified = await request('POST', `${BASE}/verify-email`, {
+      body: { token: email.token },
+    });
+    assert.equal(verified.status, 200);
+    const me = await request<TestDocument>('GET', `${BASE}/me`, { token: body.data.token });
+    assert.ok(me.body.data.emailVerifiedAt);
+
+    const replayed = await request('POST', `${BASE}/verify-email`, {
+      body: { token: email.token },
+    });
+    assert.equal(replayed.status, 400);
+  });
+
+  it('sends no reset email to an unknown address', async () => {
+    const { status } = await request('POST', `${BASE}/forgot-password`, {
+      body: { email: 'nobody@example.com' },
+    });
+    assert.equal(status, 200);
+    await processOutbox();
+    assert.equal(memoryOutbox.length, 0);
+  });
+
+  it('requires a token for /me', async () => {
+    const { status } = await request('GET', `${BASE}/me`);
+    assert.equal(status, 401);
+  });
+
+  it('answers 429 once the attempts of an address exceed the auth policy', async () => {
+    const attempt = { email: account.email, password: 'wrong-password' };
+    for (let n = 1; n <= 10; n++) {
+      const { status, headers } = await request('POST', `${BASE}/login`, { body: attempt });
+      assert.equal(status, 401);
+      assert.equal(headers.get('ratelimit-remaining'), String(10 - n));
+    }
+
+    const { status, headers, body } = await request('POST', `${BASE}/login`, { body: attempt });
+    assert.equal(status, 429);
+    assert.deepEqual(
+      { status: body.status, statusCode: body.statusCode, message: body.message },
+      { status: false, statusCode: 429, message: 'Too many attempts, try again later' }
+    );
+    assert.equal(headers.get('ratelimit-limit'), '10');
+    assert.equal(headers.get('ratelimit-remaining'), '0');
+    assert.equal(headers.get('ratelimit-policy'), '10;w=900');
+    assert.ok(Number(headers.get('ratelimit-reset')) > 0);
+    assert.ok(Number(headers.get('retry-after')) > 0);
+
+    // The routes of the policy share its budget
+    const refresh = await request('POST', `${BASE}/refresh`, {
+      body: { refreshToken: 'not-a-token' },
+    });
+    assert.equal(refresh.status, 429);
+  });
+
+  it('counts authenticated requests per user, with the higher user limit', async () => {
+    const { body } = await request<AuthResult>('POST', `${BASE}/register`, { body: account });
+
+    const asUser = await request('GET', `${BASE}/me`, { token: body.data.token });
+    assert.equal(asUser.headers.get('ratelimit-limit'), '10000');
+    assert.equal(asUser.headers.get('ratelimit-remaining'), '9999');
+
+    // The registration was counted for the address, apart from the user
+    const anonymous = await request('GET', `${BASE}/me`);
+    assert.equal(anonymous.headers.get('ratelimit-limit'), '3000');
+    assert.equal(anonymous.headers.get('ratelimit-remaining'), '2998');
+  });
+});
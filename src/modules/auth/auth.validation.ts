@@ -0,0 +1,106 @@
+import { z } from 'zod';
+import { validateBody } from '../../handlers/zod-error-handler';
+
+/**
+ * Auth Validation Schemas and Types
+ *
+ * This module defines Zod schemas for validating authentication
+ * requests such as registration, login, password reset and email verification.
+ * It also exports corresponding TypeScript types inferred from these schemas.
+ *
+ * Named validator middleware functions are exported for direct use in Express routes.
+ */
+
+/**
+ * Zod schema for validating data when **registering** a new account.
+ */
+const zodRegisterSchema = z
+  .object({
+    name: z
+      .string({ message: 'Name is required' })
+      .trim()
+      .min(2, 'Name must be at least 2 characters')
+      .max(100),
+    email: z.email({ message: 'Invalid email format' }).toLowerCase(),
+    password: z
+      .string({ message: 'Password is required' })
+      .min(8, 'Password must be at least 8 characters')
+      .max(128),
+  })
+  .strict();
+
+export type RegisterInput = z.infer<typeof zodRegisterSchema>;
+
+/**
+ * Zod schema for validating data when **logging in**.
+ */
+const zodLoginSchema = z
+  .object({
+    email: z.email({ message: 'Invalid email format' }).toLowerCase(),
+    password: z.string({ message: 'Password is required' }).min(1, 'Password is required'),
+  })
+  .strict();
+
+export type LoginInput = z.infer<typeof zodLoginSchema>;
+
+/**
+ * Zod schema for validating a token refresh or logout.
+ *
+ * The refresh token may also be sent through the `refreshToken` cookie instead.
+ */
+const zodRefreshTokenSchema = z
+  .object({
+    refreshToken: z.string().min(1, 'Refresh token must not be empty').optional(),
+  })
+  .strict()
+  .default({});
+
+export type RefreshTokenInput = z.infer<typeof zodRefreshTokenSchema>;
+
+/**
+ * Zod schema for validating requests that only carry an email address
+ * (forgot password, resend verification).
+ */
+const zodEmailSchema = z
+  .object({
+    email: z.email({ message: 'Invalid email format' }).toLowerCase(),
+  })
+  .strict();
+
+export type EmailInput = z.infer<typeof zodEmailSchema>;
+
+/**
+ * Zod schema for validating a password reset.
+ */
+const zodResetPasswordSchema = z
+  .object({
+    token: z.string({ message: 'Token is required' }).min(1, 'Token is required'),
+    password: z
+      .string({ message: 'Password is required' })
+      .min(8, 'Password must be at least 8 characters')
+      .max(128),
+  })
+  .strict();
+
+export type ResetPasswordInput = z.infer<typeof zodResetPasswordSchema>;
+
+/**
+ * Zod schema for validating an email verification.
+ */
+const zodVerifyEmailSchema = z
+  .object({
+    token: z.string({ message: 'Token is required' }).min(1, 'Token is required'),
+  })
+  .strict();
+
+export type VerifyEmailInput = z.infer<typeof zodVerifyEmailSchema>;
+
+/**
+ * Named validators — use these directly in your Express routes
+ */
+export const validateRegister = validateBody(zodRegisterSchema);
+export const validateLogin = validateBody(zodLoginSchema);
+export const validateRefreshToken = validateBody(zodRefreshTokenSchema);
+export const validateEmail = validateBody(zodEmailSchema);
+export const validateResetPassword = validateBody(zodResetPasswordSchema);
+export const validateVerifyEmail = validateBody(zodVerifyEmailSchema);
@@ -0,0 +1,54 @@
+import { Request, Response } from 'express';
+import { emailServices } from './email.service';
+import { getValidatedQuery } from '../../handlers/common-zod-validator';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to handle requeueing a dead-lettered email.
+ *
+ * @param {Request} req - The request object containing the ID of the email to retry in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IEmail>>} - The requeued email.
+ */
+export const retryEmail = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to requeue the email
+  const result = await emailServices.retryEmail(id as string);
+  if (!result) throw new NotFoundError('Dead-lettered email not found');
+  // Send a success response with the requeued email data
+  ServerResponse(res, true, 200, 'Email queued for retry', result);
+});
+
+/**
+ * Controller function to handle the retrieval of a single email by ID.
+ *
+ * @param {Request} req - The request object containing the ID of the email to retrieve in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IEmail>>} - The retrieved email.
+ */
+export const getEmailById = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to get the email by ID and get the result
+  const result = await emailServices.getEmailById(id as string);
+  if (!result) throw new NotFoundError('Email not found');
+  // Send a success response with the retrieved email data
+  ServerResponse(res, true, 200, 'Email retrieved successfully', result);
+});
+
+/**
+ * Controller function to handle the retrieval of multiple emails.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IEmail>[]>} - The retrieved emails.
+ */
+export const getManyEmail = catchAsync(async (req: Request, res: Response) => {
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get multiple emails based on query parameters and get the result
+  const { emails, ...pagination } = await emailServices.getManyEmail(query);
+  // Send a success response with the retrieved emails data
+  ServerResponse(res, true, 200, 'Emails retrieved successfully', { emails, ...pagination });
+});
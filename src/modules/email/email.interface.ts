@@ -0,0 +1,42 @@
+import { EmailVariables, TEmailTemplateName } from '../../utils/email/render-email';
+
+/**
+ * Delivery states of an outbox email.
+ *
+ * `pending` waits for its next attempt, `sending` is claimed by a worker,
+ * `sent` was accepted by the transport and `dead` ran out of attempts.
+ */
+export const emailStatuses = ['pending', 'sending', 'sent', 'dead'] as const;
+
+export type TEmailStatus = (typeof emailStatuses)[number];
+
+/**
+ * Type definition for email.
+ *
+ * This type defines the structure of a single outbox email object.
+ * @interface TEmail
+ */
+export interface TEmail {
+  to: string;
+  template: TEmailTemplateName;
+  subject: string;
+  html: string;
+  text: string;
+  status: TEmailStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: Date;
+  lockedAt: Date | null;
+  lastError: string | null;
+  sentAt: Date | null;
+}
+
+/**
+ * Type definition for queueing a templated email.
+ * @interface TQueueEmail
+ */
+export interface TQueueEmail {
+  to: string;
+  template: TEmailTemplateName;
+  variables: EmailVariables;
+}
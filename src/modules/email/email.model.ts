@@ -0,0 +1,90 @@
+import mongoose, { Document, Schema } from 'mongoose';
+import { TEmailTemplateName } from '../../utils/email/render-email';
+import { emailStatuses, TEmailStatus } from './email.interface';
+
+// Define and export an interface representing an outbox email document
+export interface IEmail extends Document {
+  to: string;
+  template: TEmailTemplateName;
+  subject: string;
+  html: string;
+  text: string;
+  status: TEmailStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: Date;
+  lockedAt: Date | null;
+  lastError: string | null;
+  sentAt: Date | null;
+}
+
+// Define the email schema
+const EmailSchema: Schema<IEmail> = new Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    // The message is rendered when queued, so later template changes do not affect it
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: emailStatuses,
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Lets the worker find the next due email quickly
+EmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Create the email model
+const Email = mongoose.model<IEmail>('Email', EmailSchema);
+
+// Export the email model
+export default Email;
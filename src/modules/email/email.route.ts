@@ -0,0 +1,55 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { getEmailById, getManyEmail, retryEmail } from './email.controller';
+
+//Import validation from corresponding module
+import { validateId, validateSearchQueries } from '../../handlers/common-zod-validator';
+import isAuthorized from '../../middlewares/is-authorized';
+import authorize from '../../middlewares/authorize';
+
+// Initialize router
+const router = Router();
+
+// Define route handlers
+/**
+ * @route POST /api/v1/email/retry-email/:id
+ * @description Requeue a dead-lettered email
+ * @access Private (email:retry)
+ * @param {IdOrIdsInput['id']} id - The ID of the email to retry
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['retryEmail']
+ */
+router.post('/retry-email/:id', isAuthorized, authorize('email:retry'), validateId, retryEmail);
+
+/**
+ * @route GET /api/v1/email/get-email/many
+ * @description Get multiple outbox emails
+ * @access Private (email:read:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateSearchQueries']
+ * @param {function} controller - ['getManyEmail']
+ */
+router.get(
+  '/get-email/many',
+  isAuthorized,
+  authorize('email:read:many'),
+  validateSearchQueries,
+  getManyEmail
+);
+
+/**
+ * @route GET /api/v1/email/get-email/:id
+ * @description Get an outbox email by ID
+ * @access Private (email:read)
+ * @param {IdOrIdsInput['id']} id - The ID of the email to retrieve
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['getEmailById']
+ */
+router.get('/get-email/:id', isAuthorized, authorize('email:read'), validateId, getEmailById);
+
+// Export the router
+module.exports = router;
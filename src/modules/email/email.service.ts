@@ -0,0 +1,226 @@
+// Import the model
+import EmailModel, { IEmail } from './email.model';
+import config from '../../config/config';
+import { IdOrIdsInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import { closeEmailTransport } from '../../utils/email/email-transport';
+import RenderEmail from '../../utils/email/render-email';
+import SendEmail from '../../utils/email/send-email';
+import logger from '../../utils/logger/logger';
+import BuildListQuery from '../../utils/query/build-list-query';
+import Paginate, { PaginationResult } from '../../utils/query/paginate';
+import { TQueueEmail } from './email.interface';
+
+// A claimed email whose worker has not reported back after this long is claimed again
+const LOCK_TIMEOUT = 5 * 60 * 1000;
+
+// Upper bound of emails delivered per outbox pass
+const BATCH_SIZE = 50;
+
+const log = logger.child({ module: 'email' });
+
+let workerTimer: NodeJS.Timeout | null = null;
+let processing: Promise<number> | null = null;
+
+/**
+ * Computes the delay before the next attempt: the base delay doubled after every
+ * failed attempt, with up to 10% random jitter so retries do not arrive in bursts.
+ *
+ * @param {number} attempts - The number of attempts made so far.
+ * @returns {number} - The delay in milliseconds.
+ */
+const getRetryDelay = (attempts: number): number => {
+  const delay = config.EMAIL_RETRY_BASE_DELAY * 2 ** (attempts - 1);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+/**
+ * Atomically claims the next due email so concurrent workers never send it twice.
+ *
+ * @returns {Promise<IEmail | null>} - The claimed email, or null if nothing is due.
+ */
+const claimNextEmail = async (): Promise<IEmail | null> => {
+  const now = new Date();
+  return EmailModel.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        // Recover emails claimed by a worker that crashed mid-delivery
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Delivers a claimed email and records the outcome.
+ *
+ * Failed deliveries are rescheduled with exponential backoff until `maxAttempts`
+ * is reached, after which the email is dead-lettered.
+ *
+ * @param {IEmail} email - The claimed email.
+ * @returns {Promise<void>}
+ */
+const deliverEmail = async (email: IEmail): Promise<void> => {
+  try {
+    await SendEmail({ to: email.to, subject: email.subject, html: email.html, text: email.text });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.lastError = null;
+  } catch (error) {
+    email.lastError = error instanceof Error ? error.message : String(error);
+    if (email.attempts >= email.maxAttempts) {
+      email.status = 'dead';
+      log.error('Email dead-lettered', {
+        emailId: String(email._id),
+        to: email.to,
+        attempts: email.attempts,
+        error: email.lastError,
+      });
+    } else {
+      email.status = 'pending';
+      email.nextAttemptAt = new Date(Date.now() + getRetryDelay(email.attempts));
+    }
+  }
+  email.lockedAt = null;
+  await email.save();
+};
+
+/**
+ * Service function to deliver every due email in the outbox.
+ *
+ * Only one pass runs at a time; concurrent calls share the running pass.
+ *
+ * @returns {Promise<number>} - The number of emails attempted.
+ */
+const processOutbox = async (): Promise<number> => {
+  if (!processing) {
+    processing = (async () => {
+      let attempted = 0;
+      try {
+        while (attempted < BATCH_SIZE) {
+          const email = await claimNextEmail();
+          if (!email) break;
+          await deliverEmail(email);
+          attempted++;
+        }
+      } finally {
+        processing = null;
+      }
+      return attempted;
+    })();
+  }
+  return processing;
+};
+
+/**
+ * Service function to render a template and queue it for delivery.
+ *
+ * Delivery starts right away in the background; failures are retried by the worker.
+ *
+ * @param {TQueueEmail} data - The recipient, template name and template variables.
+ * @returns {Promise<IEmail>} - The queued email.
+ */
+const queueEmail = async ({ to, template, variables }: TQueueEmail): Promise<IEmail> => {
+  const email = await EmailModel.create({
+    to,
+    template,
+    ...RenderEmail(template, variables),
+    maxAttempts: config.EMAIL_MAX_ATTEMPTS,
+  });
+  setImmediate(() => {
+    processOutbox().catch((error) => log.error('Email outbox failed', { error }));
+  });
+  return email;
+};
+
+/**
+ * Service function to put a dead-lettered email back in the queue.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the email to retry.
+ * @returns {Promise<IEmail | null>} - The requeued email, or null if no dead email has this ID.
+ */
+const retryEmail = async (id: IdOrIdsInput['id']): Promise<IEmail | null> => {
+  const email = await EmailModel.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+    { new: true }
+  ).select('-html -text');
+  if (email) {
+    setImmediate(() => {
+      processOutbox().catch((error) => log.error('Email outbox failed', { error }));
+    });
+  }
+  return email;
+};
+
+/**
+ * Service function to retrieve a single email by ID.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the email to retrieve.
+ * @returns {Promise<IEmail | null>} - The retrieved email.
+ */
+const getEmailById = async (id: IdOrIdsInput['id']): Promise<IEmail | null> => {
+  const email = await EmailModel.findById(id);
+  return email;
+};
+
+/**
+ * Service function to retrieve multiple emails based on query parameters.
+ *
+ * @param {SearchQueryInput} query - The query parameters for filtering emails.
+ * @returns {Promise<{ emails: IEmail[] } & PaginationResult>} - The retrieved emails, newest first, with page or cursor details.
+ */
+const getManyEmail = async (
+  query: SearchQueryInput
+): Promise<{ emails: IEmail[] } & PaginationResult> => {
+  // Build the search filter, sort and projection from the query, without the bodies by default
+  const listQuery = BuildListQuery(EmailModel, query, {
+    searchFields: ['to', 'subject', 'status'],
+    defaultSort: { createdAt: -1 },
+    defaultProjection: '-html -text',
+  });
+  // Find emails in page or cursor mode, as requested
+  const { docs: emails, ...pagination } = await Paginate(EmailModel, listQuery, query);
+  return { emails, ...pagination };
+};
+
+/**
+ * Starts polling the outbox so due retries are delivered.
+ */
+const startEmailWorker = (): void => {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    processOutbox().catch((error) => log.error('Email outbox failed', { error }));
+  }, config.EMAIL_QUEUE_POLL_INTERVAL);
+  workerTimer.unref();
+};
+
+/**
+ * Stops polling the outbox, waits for the running pass and closes the transport.
+ *
+ * @returns {Promise<void>}
+ */
+const stopEmailWorker = async (): Promise<void> => {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  await processing?.catch(() => undefined);
+  closeEmailTransport();
+};
+
+/**
+ * @returns {boolean} - `true` while the worker is polling the outbox.
+ */
+const isEmailWorkerRunning = (): boolean => workerTimer !== null;
+
+export const emailServices = {
+  queueEmail,
+  processOutbox,
+  retryEmail,
+  getEmailById,
+  getManyEmail,
+  startEmailWorker,
+  stopEmailWorker,
+  isEmailWorkerRunning,
+};
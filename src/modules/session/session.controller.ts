@@ -0,0 +1,53 @@
+import { Response } from 'express';
+import { sessionServices } from './session.service';
+import { NotFoundError } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+
+/**
+ * Controller function to handle the revocation of a single session.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the session to revoke in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const deleteSession = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to revoke the session if it belongs to the user
+  const result = await sessionServices.deleteSession(req.user!._id, id as string);
+  if (!result) throw new NotFoundError('Session not found');
+  // Send a success response confirming the revocation
+  ServerResponse(res, true, 200, 'Session revoked successfully');
+});
+
+/**
+ * Controller function to handle the revocation of every session of the user.
+ *
+ * @param {AuthenticatedRequest} req - The request object carrying the authenticated user.
+ * @param {Response} res - The response object used to send the response.
+ */
+export const deleteManySession = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to revoke all sessions of the user
+  const revoked = await sessionServices.deleteManySession(req.user!._id);
+  // Send a success response with the number of revoked sessions
+  ServerResponse(res, true, 200, 'Sessions revoked successfully', { revoked });
+});
+
+/**
+ * Controller function to handle the retrieval of the user's active sessions.
+ *
+ * @param {AuthenticatedRequest} req - The request object carrying the authenticated user.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<ISession>[]>} - The active sessions, with the calling one flagged as current.
+ */
+export const getManySession = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  // Call the service method to get the active sessions of the user
+  const result = await sessionServices.getManySession(req.user!._id);
+  // Flag the session the request was made with
+  const sessions = result.map((session) => ({
+    ...session.toJSON(),
+    current: String(session._id) === req.user!.sid,
+  }));
+  // Send a success response with the sessions data
+  ServerResponse(res, true, 200, 'Sessions retrieved successfully', { sessions });
+});
@@ -0,0 +1,30 @@
+/**
+ * Type definition for session.
+ *
+ * A session represents one refresh token family issued at login. Every refresh
+ * rotates the token but keeps the same session, so revoking the session kills
+ * every token ever issued from it.
+ * @interface TSession
+ */
+export interface TSession {
+  user: string;
+  refreshTokenHash: string;
+  previousTokenHashes: string[];
+  userAgent?: string;
+  ip?: string;
+  lastUsedAt: Date;
+  expiresAt: Date;
+  revokedAt?: Date | null;
+  revokedReason?: TSessionRevokeReason | null;
+}
+
+export type TSessionRevokeReason = 'logout' | 'revoked' | 'reuse';
+
+/**
+ * Client metadata recorded when a session is created or refreshed.
+ * @interface TSessionMeta
+ */
+export interface TSessionMeta {
+  userAgent?: string;
+  ip?: string;
+}
@@ -0,0 +1,76 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { TSessionRevokeReason } from './session.interface';
+
+// Define and export an interface representing a session document
+export interface ISession extends Document {
+  user: Types.ObjectId;
+  refreshTokenHash: string;
+  previousTokenHashes: string[];
+  userAgent?: string;
+  ip?: string;
+  lastUsedAt: Date;
+  expiresAt: Date;
+  revokedAt?: Date | null;
+  revokedReason?: TSessionRevokeReason | null;
+}
+
+// Define the session schema
+const SessionSchema: Schema<ISession> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hashes of rotated-out refresh tokens, kept to detect reuse
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Mongo removes the session once its refresh token has expired
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'reuse'],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Create the session model
+const Session = mongoose.model<ISession>('Session', SessionSchema);
+
+// Export the session model
+export default Session;
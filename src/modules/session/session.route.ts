@@ -0,0 +1,45 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import { deleteSession, deleteManySession, getManySession } from './session.controller';
+
+//Import validation from corresponding module
+import { validateId } from '../../handlers/common-zod-validator';
+import isAuthorized from '../../middlewares/is-authorized';
+
+// Initialize router
+const router = Router();
+
+// Every session route acts on the authenticated user's own sessions
+router.use(isAuthorized);
+
+// Define route handlers
+/**
+ * @route DELETE /api/v1/session/delete-session/all
+ * @description Revoke every session of the authenticated user
+ * @access Private
+ * @param {function} controller - ['deleteManySession']
+ */
+router.delete('/delete-session/all', deleteManySession);
+
+/**
+ * @route DELETE /api/v1/session/delete-session/:id
+ * @description Revoke a session of the authenticated user
+ * @access Private
+ * @param {IdOrIdsInput['id']} id - The ID of the session to revoke
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['deleteSession']
+ */
+router.delete('/delete-session/:id', validateId, deleteSession);
+
+/**
+ * @route GET /api/v1/session/get-session/many
+ * @description Get the active sessions of the authenticated user
+ * @access Private
+ * @param {function} controller - ['getManySession']
+ */
+router.get('/get-session/many', getManySession);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,186 @@
+// Import the model
+import { isMongoId } from 'validator';
+import SessionModel, { ISession } from './session.model';
+import config from '../../config/config';
+import { IdOrIdsInput } from '../../handlers/common-zod-validator';
+import GenerateToken from '../../utils/crypto/generate-token';
+import HashToken from '../../utils/crypto/hash-token';
+import logger from '../../utils/logger/logger';
+import { TSessionMeta, TSessionRevokeReason } from './session.interface';
+
+/**
+ * Splits a refresh token of the form `<sessionId>.<secret>` into its parts.
+ *
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @returns {{ sessionId: string; tokenHash: string } | null} - The session ID and the hash of the
+ * secret, or null if the token is malformed.
+ */
+const parseRefreshToken = (
+  refreshToken: string
+): { sessionId: string; tokenHash: string } | null => {
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (!sessionId || !secret || rest.length || !isMongoId(sessionId)) return null;
+  return { sessionId, tokenHash: HashToken(secret) };
+};
+
+/**
+ * Service function to open a new session (refresh token family) for a user.
+ *
+ * @param {string} userId - The ID of the user the session belongs to.
+ * @param {TSessionMeta} meta - Client metadata (user agent, IP) for the session listing.
+ * @returns {Promise<{ session: ISession; refreshToken: string }>} - The session and its first refresh token.
+ */
+const createSession = async (
+  userId: string,
+  meta: TSessionMeta
+): Promise<{ session: ISession; refreshToken: string }> => {
+  const secret = GenerateToken();
+  const session = await SessionModel.create({
+    user: userId,
+    refreshTokenHash: HashToken(secret),
+    expiresAt: new Date(Date.now() + config.REFRESH_TOKEN_EXPIRATION_TIME * 1000),
+    ...meta,
+  });
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+/**
+ * Service function to rotate a refresh token.
+ *
+ * The presented token is exchanged for a new one within the same session. If a token
+ * that was already rotated out is presented again, it has leaked, so the whole session
+ * is revoked and every token issued from it stops working.
+ *
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @param {TSessionMeta} meta - Client metadata (user agent, IP) to record on the session.
+ * @returns {Promise<{ session: ISession; refreshToken: string } | null>} - The session and its new
+ * refresh token, or null if the token is invalid, expired, revoked or reused.
+ */
+const rotateSession = async (
+  refreshToken: string,
+  meta: TSessionMeta
+): Promise<{ session: ISession; refreshToken: string } | null> => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const now = new Date();
+  const nextSecret = GenerateToken();
+  // Swap the hash atomically so two concurrent refreshes cannot both succeed
+  const session = await SessionModel.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: parsed.tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: { refreshTokenHash: HashToken(nextSecret), lastUsedAt: now, ...meta },
+      $push: { previousTokenHashes: parsed.tokenHash },
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: `${session.id}.${nextSecret}` };
+  // Reuse of a rotated-out token: revoke the whole family
+  const reused = await SessionModel.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHashes: parsed.tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'reuse' } }
+  );
+  if (reused) {
+    logger.warn('Refresh token reuse detected, session revoked', {
+      sessionId: parsed.sessionId,
+      userId: String(reused.user),
+    });
+  }
+  return null;
+};
+
+/**
+ * Service function to revoke the session a refresh token belongs to.
+ *
+ * @param {string} refreshToken - The current refresh token of the session.
+ * @param {TSessionRevokeReason} reason - Why the session is being revoked.
+ * @returns {Promise<boolean>} - True if a session was revoked.
+ */
+const revokeSessionByToken = async (
+  refreshToken: string,
+  reason: TSessionRevokeReason = 'logout'
+): Promise<boolean> => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const result = await SessionModel.updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: parsed.tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Service function to revoke a single session of a user by ID.
+ *
+ * @param {string} userId - The ID of the user owning the session.
+ * @param {IdOrIdsInput['id']} id - The ID of the session to revoke.
+ * @returns {Promise<boolean>} - True if the session was found and revoked.
+ */
+const deleteSession = async (userId: string, id: IdOrIdsInput['id']): Promise<boolean> => {
+  const result = await SessionModel.updateOne(
+    { _id: id, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Service function to revoke every active session of a user.
+ *
+ * @param {string} userId - The ID of the user owning the sessions.
+ * @returns {Promise<number>} - The number of sessions revoked.
+ */
+const deleteManySession = async (userId: string): Promise<number> => {
+  const result = await SessionModel.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Service function to retrieve the active sessions of a user.
+ *
+ * @param {string} userId - The ID of the user owning the sessions.
+ * @returns {Promise<ISession[]>} - The active sessions, most recently used first.
+ */
+const getManySession = async (userId: string): Promise<ISession[]> => {
+  const sessions = await SessionModel.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+  return sessions;
+};
+
+/**
+ * Service function to check that a session is still active for a user.
+ *
+ * @param {string} id - The ID of the session.
+ * @param {string} userId - The ID of the user the session must belong to.
+ * @returns {Promise<boolean>} - True if the session exists, is not revoked and has not expired.
+ */
+const isSessionActive = async (id: string, userId: string): Promise<boolean> => {
+  if (!isMongoId(id) || !isMongoId(userId)) return false;
+  const session = await SessionModel.exists({
+    _id: id,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return !!session;
+};
+
+export const sessionServices = {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  deleteSession,
+  deleteManySession,
+  getManySession,
+  isSessionActive,
+};
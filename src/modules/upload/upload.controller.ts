@@ -0,0 +1,145 @@
+import { Request, Response } from 'express';
+import { UploadedFile } from 'express-fileupload';
+import { pipeline } from 'stream/promises';
+import { uploadServices } from './upload.service';
+import { getValidatedQuery } from '../../handlers/common-zod-validator';
+import { ForbiddenError, NotFoundError } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import catchAsync from '../../utils/catch-async/catch-async';
+import { verifySignedUrl } from '../../utils/storage/signed-url';
+import { downloadPath } from './upload.model';
+import { DownloadQueryInput, SignedUrlQueryInput } from './upload.validation';
+
+// Image types shown in the browser; their content was checked against the extension on upload
+const inlineExtensions = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+/**
+ * Builds a Content-Disposition header keeping non-ASCII file names intact (RFC 6266).
+ * Files are downloaded as attachments, except images, which may be displayed inline.
+ */
+const contentDisposition = (fileName: string, extension: string): string => {
+  const type = inlineExtensions.includes(extension) ? 'inline' : 'attachment';
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Controller function to handle the upload of a single file.
+ *
+ * @param {AuthenticatedRequest} req - The request object containing the file checked by `acceptFile` and the form fields.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<IUpload>} - The created upload.
+ */
+export const createUpload = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
+  const file = req.files!.file as UploadedFile;
+  // Call the service method to store the file and get the result
+  const result = await uploadServices.createUpload(file, req.body, req.user?._id ?? null);
+  // Send a success response with the created upload
+  ServerResponse(res, true, 201, 'File uploaded successfully', result);
+});
+
+/**
+ * Controller function to handle the creation of a signed download URL.
+ *
+ * @param {Request} req - The request object containing the ID of the upload in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<{ url: string; expiresAt: Date }>} - The signed URL and its expiry.
+ */
+export const getUploadUrl = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  const { expiresIn } = getValidatedQuery<SignedUrlQueryInput>(req);
+  const upload = await uploadServices.getUploadById(id as string);
+  if (!upload) throw new NotFoundError('Upload not found');
+  const result = uploadServices.createUploadUrl(String(upload._id), expiresIn);
+  // Send a success response with the signed URL
+  ServerResponse(res, true, 200, 'Download URL created successfully', result);
+});
+
+/**
+ * Controller function to handle the download of a file.
+ *
+ * Public files are served to anyone; private files need the `expires` and `signature`
+ * of a signed URL. The content is streamed from the storage driver.
+ *
+ * @param {Request} req - The request object containing the ID of the upload in URL parameters.
+ * @param {Response} res - The response object the content is streamed to.
+ */
+export const downloadUpload = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  const { expires, signature } = getValidatedQuery<DownloadQueryInput>(req);
+  const signed = expires !== undefined || signature !== undefined;
+  if (signed && !verifySignedUrl(downloadPath(id), expires ?? NaN, signature ?? '')) {
+    throw new ForbiddenError('This download link is invalid or has expired');
+  }
+  // Without a signature, private files are reported as missing
+  const upload = await uploadServices.getDownloadableUpload(id as string, signed);
+  if (!upload) throw new NotFoundError('File not found');
+
+  res.setHeader('Content-Type', upload.mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(upload.originalName, upload.extension));
+  res.setHeader('ETag', `"${upload.checksum}"`);
+  // Let pages of other origins, e.g. CLIENT_URL, embed the file
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.setHeader(
+    'Cache-Control',
+    upload.visibility === 'public' ? 'public, max-age=86400' : 'private, no-store'
+  );
+  // The content of an upload never changes
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+  const content = await uploadServices.openUploadContent(upload);
+  if (!content) throw new NotFoundError('File not found');
+  res.setHeader('Content-Length', upload.size);
+  await pipeline(content, res);
+});
+
+/**
+ * Controller function to handle the deletion of a single upload and its content.
+ *
+ * @param {Request} req - The request object containing the ID of the upload to delete in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<IUpload>} - The deleted upload.
+ */
+export const deleteUpload = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to delete the upload by ID
+  const result = await uploadServices.deleteUpload(id as string);
+  if (!result) throw new NotFoundError('Upload not found');
+  // Send a success response confirming the deletion
+  ServerResponse(res, true, 200, 'Upload deleted successfully');
+});
+
+/**
+ * Controller function to handle the retrieval of the metadata of a single upload by ID.
+ *
+ * @param {Request} req - The request object containing the ID of the upload to retrieve in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<IUpload>} - The retrieved upload.
+ */
+export const getUploadById = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to get the upload by ID and get the result
+  const result = await uploadServices.getUploadById(id as string);
+  if (!result) throw new NotFoundError('Upload not found');
+  // Send a success response with the retrieved upload
+  ServerResponse(res, true, 200, 'Upload retrieved successfully', result);
+});
+
+/**
+ * Controller function to handle the retrieval of the metadata of multiple uploads.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<IUpload[]>} - The retrieved uploads.
+ */
+export const getManyUpload = catchAsync(async (req: Request, res: Response) => {
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get the uploads based on query parameters and get the result
+  const { uploads, ...pagination } = await uploadServices.getManyUpload(query);
+  // Send a success response with the retrieved uploads
+  ServerResponse(res, true, 200, 'Uploads retrieved successfully', { uploads, ...pagination });
+});
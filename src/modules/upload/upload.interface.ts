@@ -0,0 +1,29 @@
+/**
+ * Who can download an uploaded file.
+ *
+ * `public` files are served to anyone holding their URL; `private` files only through
+ * signed URLs, which expire.
+ */
+export const uploadVisibilities = ['public', 'private'] as const;
+
+export type TUploadVisibility = (typeof uploadVisibilities)[number];
+
+/**
+ * Type definition for upload.
+ *
+ * An upload holds the metadata of a file whose content is kept by the storage driver
+ * under `key`. Resources attach files by storing the ID of their upload.
+ * @interface TUpload
+ */
+export interface TUpload {
+  originalName: string;
+  key: string;
+  driver: string;
+  mimeType: string;
+  extension: string;
+  size: number;
+  checksum: string;
+  visibility: TUploadVisibility;
+  uploadedBy: string | null;
+  createdAt: Date;
+}
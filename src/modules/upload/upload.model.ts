@@ -0,0 +1,96 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { toPublicUrl } from '../../utils/http/public-url';
+import { TUploadVisibility, uploadVisibilities } from './upload.interface';
+
+// Define and export an interface representing an upload document
+export interface IUpload extends Document {
+  originalName: string;
+  key: string;
+  driver: string;
+  mimeType: string;
+  extension: string;
+  size: number;
+  checksum: string;
+  visibility: TUploadVisibility;
+  uploadedBy: Types.ObjectId | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * @param id - The ID of an upload.
+ * @returns The path of its download route.
+ */
+export const downloadPath = (id: unknown): string => `/api/v1/upload/download-upload/${id}`;
+
+// Define the upload schema
+const UploadSchema: Schema<IUpload> = new Schema(
+  {
+    // File name sent by the client, only used in Content-Disposition
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Where the storage driver keeps the content; never exposed
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // The driver the file was stored with, e.g. 'local' or 's3'
+    driver: {
+      type: String,
+      required: true,
+    },
+    // Detected from the content, never taken from the client
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    extension: {
+      type: String,
+      required: true,
+    },
+    // Bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    // SHA-256 of the content, also served as the ETag of downloads
+    checksum: {
+      type: String,
+      required: true,
+    },
+    visibility: {
+      type: String,
+      enum: uploadVisibilities,
+      default: 'private',
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      // Public files can be linked to directly; private ones need a signed URL
+      transform: (doc, ret: Record<string, unknown>) => {
+        ret.url = ret.visibility === 'public' ? toPublicUrl(downloadPath(doc._id)) : null;
+        delete ret.key;
+        return ret;
+      },
+    },
+  }
+);
+
+// Create the upload model
+const Upload = mongoose.model<IUpload>('Upload', UploadSchema);
+
+// Export the upload model
+export default Upload;
@@ -0,0 +1,129 @@
+// Import Router from express
+import { Router } from 'express';
+
+// Import controller from corresponding module
+import {
+  createUpload,
+  deleteUpload,
+  downloadUpload,
+  getManyUpload,
+  getUploadById,
+  getUploadUrl,
+} from './upload.controller';
+
+//Import validation from corresponding module
+import {
+  validateCreateUpload,
+  validateDownloadQuery,
+  validateSignedUrlQuery,
+} from './upload.validation';
+import { validateId, validateSearchQueries } from '../../handlers/common-zod-validator';
+import acceptFile from '../../middlewares/accept-file';
+import authorize, { ownsDocument } from '../../middlewares/authorize';
+import isAuthorized from '../../middlewares/is-authorized';
+import UploadModel from './upload.model';
+
+// Initialize router
+const router = Router();
+
+// Uploaders may act on their own files with the `:own` permissions
+const ownsUpload = ownsDocument(UploadModel, 'uploadedBy');
+
+// Define route handlers
+/**
+ * @route POST /api/v1/upload/create-upload
+ * @description Upload a file, sent as multipart/form-data in the `file` field
+ * @access Private (upload:create)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'acceptFile']
+ * @param {function} validation - ['validateCreateUpload']
+ * @param {function} controller - ['createUpload']
+ */
+router.post(
+  '/create-upload',
+  isAuthorized,
+  authorize('upload:create'),
+  acceptFile('file'),
+  validateCreateUpload,
+  createUpload
+);
+
+/**
+ * @route GET /api/v1/upload/get-upload/many
+ * @description Get the metadata of multiple uploads
+ * @access Private (upload:read:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateSearchQueries']
+ * @param {function} controller - ['getManyUpload']
+ */
+router.get(
+  '/get-upload/many',
+  isAuthorized,
+  authorize('upload:read:many'),
+  validateSearchQueries,
+  getManyUpload
+);
+
+/**
+ * @route GET /api/v1/upload/get-upload/:id/url
+ * @description Create a signed URL downloading a file until it expires
+ * @access Private (upload:read or upload:read:own)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the upload to download
+ * @param {function} validation - ['validateId', 'validateSignedUrlQuery']
+ * @param {function} controller - ['getUploadUrl']
+ */
+router.get(
+  '/get-upload/:id/url',
+  isAuthorized,
+  authorize('upload:read', { owner: ownsUpload }),
+  validateId,
+  validateSignedUrlQuery,
+  getUploadUrl
+);
+
+/**
+ * @route GET /api/v1/upload/get-upload/:id
+ * @description Get the metadata of an upload
+ * @access Private (upload:read or upload:read:own)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the upload to retrieve
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['getUploadById']
+ */
+router.get(
+  '/get-upload/:id',
+  isAuthorized,
+  authorize('upload:read', { owner: ownsUpload }),
+  validateId,
+  getUploadById
+);
+
+/**
+ * @route GET /api/v1/upload/download-upload/:id
+ * @description Download a file: public files directly, private files through a signed URL
+ * @access Public (private files need `expires` and `signature`)
+ * @param {IdOrIdsInput['id']} id - The ID of the upload to download
+ * @param {function} validation - ['validateId', 'validateDownloadQuery']
+ * @param {function} controller - ['downloadUpload']
+ */
+router.get('/download-upload/:id', validateId, validateDownloadQuery, downloadUpload);
+
+/**
+ * @route DELETE /api/v1/upload/delete-upload/:id
+ * @description Delete an upload and its file
+ * @access Private (upload:delete or upload:delete:own)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the upload to delete
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['deleteUpload']
+ */
+router.delete(
+  '/delete-upload/:id',
+  isAuthorized,
+  authorize('upload:delete', { owner: ownsUpload }),
+  validateId,
+  deleteUpload
+);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,158 @@
+// Import the model
+import crypto from 'crypto';
+import { UploadedFile } from 'express-fileupload';
+import { Readable } from 'stream';
+import UploadModel, { downloadPath, IUpload } from './upload.model';
+import { IdOrIdsInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import GenerateToken from '../../utils/crypto/generate-token';
+import { applyDeletePolicies, assertDeletable } from '../../utils/mongoose/relations';
+import BuildListQuery from '../../utils/query/build-list-query';
+import Paginate, { PaginationResult } from '../../utils/query/paginate';
+import { createSignedUrl } from '../../utils/storage/signed-url';
+import { getStorageDriver } from '../../utils/storage/storage-driver';
+import { auditServices } from '../audit/audit.service';
+import { CreateUploadInput } from './upload.validation';
+
+/**
+ * Service function to store a file checked by `acceptFile` and record its metadata.
+ *
+ * The content is stored under a random key, so names chosen by clients never reach the
+ * storage. If the metadata cannot be saved, the stored content is removed again.
+ *
+ * @param {UploadedFile} file - The uploaded file, with its detected MIME type.
+ * @param {CreateUploadInput} data - The form fields sent with the file.
+ * @param {string | null} uploadedBy - The ID of the user uploading the file.
+ * @returns {Promise<IUpload>} - The created upload.
+ */
+const createUpload = async (
+  file: UploadedFile,
+  data: CreateUploadInput,
+  uploadedBy: string | null
+): Promise<IUpload> => {
+  const driver = getStorageDriver();
+  const extension = file.name.split('.').pop()!.toLowerCase();
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const key = `${now.getUTCFullYear()}/${month}/${GenerateToken(24)}.${extension}`;
+
+  await driver.put(key, file.data, file.mimetype);
+  let upload: IUpload;
+  try {
+    upload = await UploadModel.create({
+      originalName: file.name,
+      key,
+      driver: driver.name,
+      mimeType: file.mimetype,
+      extension,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.data).digest('hex'),
+      visibility: data.visibility,
+      uploadedBy,
+    });
+  } catch (error) {
+    await driver.delete(key);
+    throw error;
+  }
+  await auditServices.recordAudit('upload', 'create', [{ documentId: upload._id, after: upload }]);
+  return upload;
+};
+
+/**
+ * Service function to create a URL downloading an upload until it expires.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the upload.
+ * @param {number} [expiresIn] - Seconds the URL stays valid (defaults to `UPLOAD_SIGNED_URL_TTL`).
+ * @returns {{ url: string; expiresAt: Date }} - The signed URL and its expiry.
+ */
+const createUploadUrl = (
+  id: IdOrIdsInput['id'],
+  expiresIn?: number
+): { url: string; expiresAt: Date } => {
+  return createSignedUrl(downloadPath(id), expiresIn);
+};
+
+/**
+ * Service function to retrieve an upload to download, with the key of its content.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the upload.
+ * @param {boolean} includePrivate - Whether private uploads may be returned, e.g. for a signed URL.
+ * @returns {Promise<IUpload | null>} - The upload, or null if it does not exist or is private.
+ */
+const getDownloadableUpload = async (
+  id: IdOrIdsInput['id'],
+  includePrivate: boolean
+): Promise<IUpload | null> => {
+  const upload = await UploadModel.findOne({
+    _id: id,
+    ...(!includePrivate && { visibility: 'public' }),
+  }).select('+key');
+  return upload;
+};
+
+/**
+ * Service function to read the content of an upload from the storage driver.
+ *
+ * @param {IUpload} upload - The upload, retrieved with its key.
+ * @returns {Promise<Readable | null>} - A stream of the content, or null if the storage lost it.
+ */
+const openUploadContent = async (upload: IUpload): Promise<Readable | null> => {
+  return getStorageDriver().get(upload.key);
+};
+
+/**
+ * Service function to delete an upload and its content.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the upload to delete.
+ * @returns {Promise<IUpload | null>} - The deleted upload, or null if it does not exist.
+ * @throws {ConflictError} - If documents still reference the upload with a `restrict` policy.
+ */
+const deleteUpload = async (id: IdOrIdsInput['id']): Promise<IUpload | null> => {
+  await assertDeletable(UploadModel, [id as string]);
+  const deletedUpload = await UploadModel.findOneAndDelete({ _id: id }).select('+key');
+  if (!deletedUpload) return null;
+  await getStorageDriver().delete(deletedUpload.key);
+  await auditServices.recordAudit('upload', 'delete', [
+    { documentId: deletedUpload._id, before: deletedUpload },
+  ]);
+  await applyDeletePolicies(UploadModel, [deletedUpload._id]);
+  return deletedUpload;
+};
+
+/**
+ * Service function to retrieve the metadata of a single upload by ID.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the upload to retrieve.
+ * @returns {Promise<IUpload | null>} - The retrieved upload.
+ */
+const getUploadById = async (id: IdOrIdsInput['id']): Promise<IUpload | null> => {
+  const upload = await UploadModel.findById(id);
+  return upload;
+};
+
+/**
+ * Service function to retrieve the metadata of multiple uploads.
+ *
+ * @param {SearchQueryInput} query - The query parameters for filtering uploads.
+ * @returns {Promise<{ uploads: IUpload[] } & PaginationResult>} - The uploads, newest first, with page or cursor details.
+ */
+const getManyUpload = async (
+  query: SearchQueryInput
+): Promise<{ uploads: IUpload[] } & PaginationResult> => {
+  // e.g. filter[uploadedBy]=<id>&filter[mimeType]=application/pdf
+  const listQuery = BuildListQuery(UploadModel, query, {
+    searchFields: ['originalName', 'mimeType', 'extension'],
+    defaultSort: { createdAt: -1 },
+  });
+  const { docs: uploads, ...pagination } = await Paginate(UploadModel, listQuery, query);
+  return { uploads, ...pagination };
+};
+
+export const uploadServices = {
+  createUpload,
+  createUploadUrl,
+  getDownloadableUpload,
+  openUploadContent,
+  deleteUpload,
+  getUploadById,
+  getManyUpload,
+};
@@ -0,0 +1,260 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  createTestToken,
+  request,
+  resetDatabase,
+  startTestApp,
+  stopTestApp,
+  TestDocument,
+} from '../../tests/test-harness';
+import type { StorageDriver } from '../../utils/storage/storage-driver';
+
+/**
+ * Integration tests of the upload routes, signed URLs and the local storage driver, run
+ * with `npm test`.
+ *
+ * Storage and signing modules are imported once the harness has set up the
+ * configuration; `MAX_FILE_SIZE` is lowered so oversize files stay small.
+ */
+
+const BASE = '/api/v1/upload';
+
+const MAX_FILE_SIZE = 1024;
+
+// The signature of PNG files, then filler up to the given size
+const pngFile = (size = 64) =>
+  Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.alloc(size - 8),
+  ]);
+
+// A form sending one file in the `file` field
+const uploadForm = (name: string, content: Buffer, visibility?: string) => {
+  const form = new FormData();
+  form.append('file', new Blob([new Uint8Array(content)]), name);
+  if (visibility) form.append('visibility', visibility);
+  return form;
+};
+
+// The path and query of an absolute URL, to send through `request`
+const pathOf = (url: string) => {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+};
+
+describe('uploads', () => {
+  let signedUrl: typeof import('../../utils/storage/signed-url');
+  let storageDriver: typeof import('../../utils/storage/storage-driver');
+
+  before(async () => {
+    process.env.MAX_FILE_SIZE = String(MAX_FILE_SIZE);
+    await startTestApp();
+    signedUrl = await import('../../utils/storage/signed-url');
+    storageDriver = await import('../../utils/storage/storage-driver');
+  });
+  after(stopTestApp);
+
+  describe('upload routes', () => {
+    let token: string;
+
+    // Uploads a PNG file through the API and returns it
+    const createUpload = async (visibility: string) => {
+      const { status, body } = await request<TestDocument>('POST', `${BASE}/create-upload`, {
+        token,
+        body: uploadForm('photo.png', pngFile(), visibility),
+      });
+      assert.equal(status, 201);
+      return body.data;
+    };
+
+    beforeEach(async () => {
+      await resetDatabase();
+      token = await createTestToken('user');
+    });
+
+    describe('POST /create-upload', () => {
+      it('stores a file with the detected type', async () => {
+        const upload = await createUpload('public');
+        assert.equal(upload.mimeType, 'image/png');
+        assert.equal(upload.extension, 'png');
+        assert.equal(upload.size, 64);
+      });
+
+      it('refuses a file whose content does not match its extension', async () => {
+        const { status, body } = await request('POST', `${BASE}/create-upload`, {
+          token,
+          body: uploadForm('script.png', Buffer.from('<script>alert(1)</script>')),
+        });
+        assert.equal(status, 415);
+        assert.deepEqual(body.errors, [
+          { field: 'file', message: 'The content of the file is not png' },
+        ]);
+      });
+
+      it('refuses an extension that is not allowed', async () => {
+        const { status, body } = await request('POST', `${BASE}/create-upload`, {
+          token,
+          body: uploadForm('setup.exe', Buffer.from('MZ')),
+        });
+        assert.equal(status, 415);
+        assert.match(body.errors?.[0].message ?? '', /^Allowed extensions: /);
+      });
+
+      it('refuses a file larger than MAX_FILE_SIZE, truncated while reading', async () => {
+        const { status, body } = await request('POST', `${BASE}/create-upload`, {
+          token,
+          body: uploadForm('photo.png', pngFile(MAX_FILE_SIZE * 2)),
+        });
+        assert.equal(status, 413);
+        assert.equal(body.status, false);
+        assert.equal(body.message, 'File must be at most 1 KB');
+      });
+
+      it('requires a file', async () => {
+        const form = new FormData();
+        form.append('visibility', 'public');
+        const { status, body } = await request('POST', `${BASE}/create-upload`, {
+          token,
+          body: form,
+        });
+        assert.equal(status, 400);
+        assert.equal(body.errors?.[0].field, 'file');
+      });
+    });
+
+    describe('GET /download-upload/:id', () => {
+      it('serves a public file without a signature', async () => {
+        const upload = await createUpload('public');
+        const { status, headers } = await request('GET', `${BASE}/download-upload/${upload._id}`);
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'image/png');
+        assert.equal(headers.get('content-length'), '64');
+        assert.match(headers.get('content-disposition') ?? '', /^inline; filename="photo.png"/);
+      });
+
+      it('answers 404 for a private file without a signature', async () => {
+        const upload = await createUpload('private');
+        const { status } = await request('GET', `${BASE}/download-upload/${upload._id}`);
+        assert.equal(status, 404);
+      });
+
+      it('serves a private file through its signed URL', async () => {
+        const upload = await createUpload('private');
+        const { status, body } = await request<{ url: string }>(
+          'GET',
+          `${BASE}/get-upload/${upload._id}/url`,
+          { token }
+        );
+        assert.equal(status, 200);
+        const download = await request('GET', pathOf(body.data.url));
+        assert.equal(download.status, 200);
+        assert.equal(download.headers.get('cache-control'), 'private, no-store');
+      });
+
+      it('refuses a tampered signature', async () => {
+        const upload = await createUpload('private');
+        const { body } = await request<{ url: string }>(
+          'GET',
+          `${BASE}/get-upload/${upload._id}/url`,
+          { token }
+        );
+        const url = new URL(body.data.url);
+        const signature = url.searchParams.get('signature')!;
+        url.searchParams.set(
+          'signature',
+          `${signature[0] === 'a' ? 'b' : 'a'}${signature.slice(1)}`
+        );
+        const { status } = await request('GET', pathOf(String(url)));
+        assert.equal(status, 403);
+      });
+
+      it('does not let the signature of one file download another', async () => {
+        const [first, second] = [await createUpload('private'), await createUpload('private')];
+        const { body } = await request<{ url: string }>(
+          'GET',
+          `${BASE}/get-upload/${first._id}/url`,
+          { token }
+        );
+        const { search } = new URL(body.data.url);
+        const { status } = await request('GET', `${BASE}/download-upload/${second._id}${search}`);
+        assert.equal(status, 403);
+      });
+    });
+  });
+
+  describe('verifySignedUrl', () => {
+    const PATH = '/api/v1/upload/download-upload/0123456789abcdef01234567';
+
+    // The `expires` and `signature` of a URL signed for PATH
+    const signFor = (expiresIn: number) => {
+      const { searchParams } = new URL(signedUrl.createSignedUrl(PATH, expiresIn).url);
+      return {
+        expires: Number(searchParams.get('expires')),
+        signature: searchParams.get('signature')!,
+      };
+    };
+
+    it('accepts a genuine signature before it expires', () => {
+      const { expires, signature } = signFor(60);
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires, signature), true);
+    });
+
+    it('refuses a tampered signature, expiry or path', () => {
+      const { expires, signature } = signFor(60);
+      const tampered = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires, tampered), false);
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires + 1, signature), false);
+      assert.equal(signedUrl.verifySignedUrl(`${PATH}0`, expires, signature), false);
+    });
+
+    it('refuses an expired signature', () => {
+      const { expires, signature } = signFor(-1);
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires, signature), false);
+    });
+
+    it('refuses signatures of the wrong length or not in hex, without throwing', () => {
+      const { expires, signature } = signFor(60);
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires, signature.slice(0, -2)), false);
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires, `${signature}00`), false);
+      assert.equal(signedUrl.verifySignedUrl(PATH, expires, 'z'.repeat(64)), false);
+      assert.equal(signedUrl.verifySignedUrl(PATH, NaN, signature), false);
+    });
+  });
+
+  describe('createLocalStorageDriver', () => {
+    let dir: string;
+    let driver: StorageDriver;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+      driver = storageDriver.createLocalStorageDriver(dir);
+    });
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('stores, reads and deletes files under its directory', async () => {
+      await driver.put('2024/06/file.txt', Buffer.from('content'), 'text/plain');
+      const stream = await driver.get('2024/06/file.txt');
+      const chunks: Buffer[] = [];
+      for await (const chunk of stream!) chunks.push(chunk);
+      assert.equal(Buffer.concat(chunks).toString(), 'content');
+      await driver.delete('2024/06/file.txt');
+      assert.equal(await driver.get('2024/06/file.txt'), null);
+    });
+
+    it('refuses keys leaving its directory', async () => {
+      const outside = path.join(path.dirname(dir), `escaped-${path.basename(dir)}.txt`);
+      const invalidKey = { message: /^Invalid storage key/ };
+      const escape = `../${path.basename(outside)}`;
+      await assert.rejects(driver.put(escape, Buffer.from('x'), 'text/plain'), invalidKey);
+      await assert.rejects(fs.access(outside));
+      await assert.rejects(driver.get('2024/../../etc/passwd'), invalidKey);
+      await assert.rejects(driver.delete(outside), invalidKey);
+      // The directory itself is not a key either
+      await assert.rejects(driver.get('.'), invalidKey);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import { isMongoId } from 'validator';
+import { z } from 'zod';
+import { validateBody, validateQuery } from '../../handlers/zod-error-handler';
+import formatSize from '../../utils/storage/format-size';
+import { uploadVisibilities } from './upload.interface';
+import UploadModel from './upload.model';
+
+/**
+ * Upload Validation Schemas and Types
+ *
+ * This module defines Zod schemas for the form fields sent with a file, the query
+ * parameters of signed and download URLs, and the attachment fields of other
+ * resources, which hold the IDs of uploads.
+ */
+
+/**
+ * Zod schema for the form fields sent with a file to **upload**.
+ */
+const zodCreateUploadSchema = z
+  .object({
+    visibility: z.enum(uploadVisibilities).default('private'),
+  })
+  .strict();
+
+export type CreateUploadInput = z.infer<typeof zodCreateUploadSchema>;
+
+/**
+ * Zod schema for the query of a **signed URL** request.
+ */
+const zodSignedUrlQuerySchema = z
+  .object({
+    // Seconds, up to a week (defaults to UPLOAD_SIGNED_URL_TTL)
+    expiresIn: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .max(7 * 24 * 60 * 60)
+      .optional(),
+  })
+  .strict();
+
+export type SignedUrlQueryInput = z.infer<typeof zodSignedUrlQuerySchema>;
+
+/**
+ * Zod schema for the query of a **download**, signed for private files.
+ */
+const zodDownloadQuerySchema = z
+  .object({
+    expires: z.coerce.number().int().optional(),
+    signature: z
+      .string()
+      .regex(/^[a-f0-9]{64}$/, { message: 'Invalid signature' })
+      .optional(),
+  })
+  .strict();
+
+export type DownloadQueryInput = z.infer<typeof zodDownloadQuerySchema>;
+
+/**
+ * What an attachment field accepts, on top of the upload limits.
+ */
+interface AttachmentRules {
+  // Lowercase extensions without dot; any allowed upload if omitted
+  extensions?: string[];
+  // Bytes; any size if omitted
+  maxSize?: number;
+}
+
+/**
+ * Lists what makes an upload unfit for an attachment field.
+ */
+const checkAttachment = (
+  upload: { extension: string; size: number },
+  label: string,
+  { extensions, maxSize }: AttachmentRules
+): string[] => [
+  ...(extensions && !extensions.includes(upload.extension)
+    ? [`${label} must be a ${extensions.join(', ')} file`]
+    : []),
+  ...(maxSize !== undefined && upload.size > maxSize
+    ? [`${label} must be at most ${formatSize(maxSize)}`]
+    : []),
+];
+
+/**
+ * Zod schema for a field holding one uploaded file, e.g. `cover: zodAttachment('Cover', { extensions: ['jpg', 'png'] })`.
+ *
+ * The upload must exist and follow the rules. The ID is converted to an ObjectId.
+ *
+ * @param label - Names the field in messages.
+ * @param rules - Allowed extensions and maximum size.
+ */
+export const zodAttachment = (label: string, rules: AttachmentRules = {}) =>
+  z
+    .string({ message: `${label} is required` })
+    .refine(isMongoId, { message: `${label} must be a valid MongoDB ObjectId`, abort: true })
+    .superRefine(async (id, ctx) => {
+      const upload = await UploadModel.findById(id, 'extension size').lean();
+      const problems = upload ? checkAttachment(upload, label, rules) : [`${label} not found`];
+      problems.forEach((message) => ctx.addIssue({ code: 'custom', message }));
+    })
+    .transform((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * Zod schema for a field holding several uploaded files, checked with a single query.
+ *
+ * @param label - Names the field in messages.
+ * @param rules - Allowed extensions and maximum size of each file.
+ */
+export const zodAttachments = (label: string, rules: AttachmentRules = {}) =>
+  z
+    .array(
+      z.string().refine(isMongoId, { message: `Each ${label} must be a valid MongoDB ObjectId` })
+    )
+    .superRefine(async (ids, ctx) => {
+      if (!ids.length) return;
+      const uploads = await UploadModel.find({ _id: { $in: ids } }, 'extension size').lean();
+      const byId = new Map(uploads.map((upload) => [String(upload._id), upload]));
+      ids.forEach((id, index) => {
+        const upload = byId.get(id);
+        const problems = upload ? checkAttachment(upload, label, rules) : [`${label} not found`];
+        problems.forEach((message) => ctx.addIssue({ code: 'custom', path: [index], message }));
+      });
+    })
+    .transform((ids) => ids.map((id) => new mongoose.Types.ObjectId(id)));
+
+/**
+ * Named validators — use these directly in your Express routes
+ */
+export const validateCreateUpload = validateBody(zodCreateUploadSchema);
+export const validateSignedUrlQuery = validateQuery(zodSignedUrlQuerySchema);
+export const validateDownloadQuery = validateQuery(zodDownloadQuerySchema);
@@ -1,8 +1,19 @@
 import { Request, Response } from 'express';
+import { UploadedFile } from 'express-fileupload';
 import { userServices } from './user.service';
-import { SearchQueryInput } from '../../handlers/common-zod-validator';
+import {
+  BulkQueryInput,
+  ExportQueryInput,
+  getValidatedQuery,
+  ImportQueryInput,
+} from '../../handlers/common-zod-validator';
+import { ForbiddenError, NotFoundError } from '../../helpers/errors/app-error';
 import ServerResponse from '../../helpers/responses/custom-response';
+import { AuthenticatedRequest } from '../../middlewares/is-authorized';
+import { sendBulkResults } from '../../utils/bulk/partial-bulk';
 import catchAsync from '../../utils/catch-async/catch-async';
+import { getIfMatchVersions, setETag } from '../../utils/http/etag';
+import { sendExport } from '../../utils/transfer/export-documents';
 
 /**
  * Controller function to handle the creation of a single user.
@@ -16,6 +27,7 @@ export const createUser = catchAsync(async (req: Request, res: Response) => {
   // Call the service method to create a new user and get the result
   const result = await userServices.createUser(req.body);
   if (!result) throw new Error('Failed to create user');
+  setETag(res, result);
   // Send a success response with the created user data
   ServerResponse(res, true, 201, 'User created successfully', result);
 });
@@ -23,12 +35,18 @@ export const createUser = catchAsync(async (req: Request, res: Response) => {
 /**
  * Controller function to handle the creation of multiple users.
  *
- * @param {Request} req - The request object containing an array of user data in the body.
+ * @param {Request} req - The request object containing an array of user data in the body and the bulk `mode` in the query.
  * @param {Response} res - The response object used to send the response.
- * @returns {Promise<Partial<IUser>[]>} - The created users.
+ * @returns {Promise<Partial<IUser>[] | BulkItemResult<Partial<IUser>>[]>} - The created users, or the outcome of each item in partial mode.
  * @throws {Error} - Throws an error if the users creation fails.
  */
 export const createManyUser = catchAsync(async (req: Request, res: Response) => {
+  if (getValidatedQuery<BulkQueryInput>(req).mode === 'partial') {
+    const results = await userServices.createManyUserPartial(req.body);
+    // Send the outcome of each item, even if some failed
+    sendBulkResults(res, results, 'Users created', 201);
+    return;
+  }
   // Call the service method to create multiple users and get the result
   const result = await userServices.createManyUser(req.body);
   if (!result) throw new Error('Failed to create multiple users');
@@ -36,19 +54,48 @@ export const createManyUser = catchAsync(async (req: Request, res: Response) =>
   ServerResponse(res, true, 201, 'Users created successfully', result);
 });
 
+/**
+ * Controller function to handle the import of users from a file.
+ *
+ * @param {Request} req - The request object containing the file checked by `acceptFile` and `dryRun` in the query.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<ImportReport>} - The counts and the problems found, by row.
+ */
+export const importUser = catchAsync(async (req: Request, res: Response) => {
+  const { dryRun } = getValidatedQuery<ImportQueryInput>(req);
+  // Call the service method to validate the file and store its valid records
+  const report = await userServices.importUser(req.files!.file as UploadedFile, dryRun);
+  const outcome = report.failed ? 'with errors' : 'successfully';
+  // Send a response with the import report, even if some records were rejected
+  ServerResponse(
+    res,
+    true,
+    report.inserted ? 201 : 200,
+    dryRun ? `Users checked ${outcome}` : `Users imported ${outcome}`,
+    report
+  );
+});
+
 /**
  * Controller function to handle the update operation for a single user.
  *
- * @param {Request} req - The request object containing the ID of the user to update in URL parameters and the updated data in the body.
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the user to update in URL parameters and the updated data in the body.
  * @param {Response} res - The response object used to send the response.
  * @returns {Promise<Partial<IUser>>} - The updated user.
- * @throws {Error} - Throws an error if the user update fails.
+ * @throws {NotFoundError} - Throws an error if the user does not exist.
+ * @throws {PreconditionFailedError} - Throws an error if `If-Match` names an outdated version.
  */
-export const updateUser = catchAsync(async (req: Request, res: Response) => {
+export const updateUser = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
   const { id } = req.params;
+  // Users updating their own account cannot change their access level
+  if (req.user?.access === 'own' && ['role', 'permissions', 'status'].some((key) => key in req.body)) {
+    throw new ForbiddenError('Only administrators can change role, permissions or status');
+  }
   // Call the service method to update the user by ID and get the result
-  const result = await userServices.updateUser(id as string, req.body);
-  if (!result) throw new Error('Failed to update user');
+  const result = await userServices.updateUser(id as string, req.body, getIfMatchVersions(req));
+  if (!result) throw new NotFoundError('User not found');
+  // The new ETag lets the client chain further conditional updates
+  setETag(res, result);
   // Send a success response with the updated user data
   ServerResponse(res, true, 200, 'User updated successfully', result);
 });
@@ -56,12 +103,18 @@ export const updateUser = catchAsync(async (req: Request, res: Response) => {
 /**
  * Controller function to handle the update operation for multiple users.
  *
- * @param {Request} req - The request object containing an array of user data in the body.
+ * @param {Request} req - The request object containing an array of user data in the body and the bulk `mode` in the query.
  * @param {Response} res - The response object used to send the response.
- * @returns {Promise<Partial<IUser>[]>} - The updated users.
+ * @returns {Promise<Partial<IUser>[] | BulkItemResult<Partial<IUser>>[]>} - The updated users, or the outcome of each item in partial mode.
  * @throws {Error} - Throws an error if the users update fails.
  */
 export const updateManyUser = catchAsync(async (req: Request, res: Response) => {
+  if (getValidatedQuery<BulkQueryInput>(req).mode === 'partial') {
+    const results = await userServices.updateManyUserPartial(req.body);
+    // Send the outcome of each item, even if some failed
+    sendBulkResults(res, results, 'Users updated');
+    return;
+  }
   // Call the service method to update multiple users and get the result
   const result = await userServices.updateManyUser(req.body);
   if (!result.length) throw new Error('Failed to update multiple users');
@@ -70,53 +123,130 @@ export const updateManyUser = catchAsync(async (req: Request, res: Response) =>
 });
 
 /**
- * Controller function to handle the deletion of a single user.
+ * Controller function to handle moving a single user to the trash.
  *
- * @param {Request} req - The request object containing the ID of the user to delete in URL parameters.
+ * @param {AuthenticatedRequest} req - The request object containing the ID of the user to delete in URL parameters.
  * @param {Response} res - The response object used to send the response.
  * @returns {Promise<Partial<IUser>>} - The deleted user.
- * @throws {Error} - Throws an error if the user deletion fails.
+ * @throws {NotFoundError} - Throws an error if the user does not exist.
+ * @throws {PreconditionFailedError} - Throws an error if `If-Match` names an outdated version.
  */
-export const deleteUser = catchAsync(async (req: Request, res: Response) => {
+export const deleteUser = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
   const { id } = req.params;
-  // Call the service method to delete the user by ID
-  const result = await userServices.deleteUser(id as string);
-  if (!result) throw new Error('Failed to delete user');
+  // Call the service method to move the user to the trash
+  const result = await userServices.deleteUser(id as string, req.user!._id, getIfMatchVersions(req));
+  if (!result) throw new NotFoundError('User not found');
   // Send a success response confirming the deletion
   ServerResponse(res, true, 200, 'User deleted successfully');
 });
 
 /**
- * Controller function to handle the deletion of multiple users.
+ * Controller function to handle moving multiple users to the trash.
  *
- * @param {Request} req - The request object containing an array of IDs of user to delete in the body.
+ * @param {AuthenticatedRequest} req - The request object containing an array of IDs of user to delete in the body and the bulk `mode` in the query.
  * @param {Response} res - The response object used to send the response.
- * @returns {Promise<Partial<IUser>[]>} - The deleted users.
+ * @returns {Promise<Partial<IUser>[] | BulkItemResult<Partial<IUser>>[]>} - The deleted users, or the outcome of each ID in partial mode.
  * @throws {Error} - Throws an error if the user deletion fails.
  */
-export const deleteManyUser = catchAsync(async (req: Request, res: Response) => {
+export const deleteManyUser = catchAsync(async (req: AuthenticatedRequest, res: Response) => {
   // Extract ids from request body
   const { ids } = req.body;
-  // Call the service method to delete multiple users and get the result
-  const result = await userServices.deleteManyUser(ids);
+  if (getValidatedQuery<BulkQueryInput>(req).mode === 'partial') {
+    const results = await userServices.deleteManyUserPartial(ids, req.user!._id);
+    // Send the outcome of each ID, even if some failed
+    sendBulkResults(res, results, 'Users deleted');
+    return;
+  }
+  // Call the service method to move multiple users to the trash and get the result
+  const result = await userServices.deleteManyUser(ids, req.user!._id);
   if (!result) throw new Error('Failed to delete multiple users');
   // Send a success response confirming the deletions
   ServerResponse(res, true, 200, 'Users deleted successfully');
 });
 
+/**
+ * Controller function to handle restoring a single user from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the user to restore in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IUser>>} - The restored user.
+ * @throws {NotFoundError} - Throws an error if the user is not in the trash.
+ */
+export const restoreUser = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to restore the user by ID and get the result
+  const result = await userServices.restoreUser(id as string);
+  if (!result) throw new NotFoundError('User not found in the trash');
+  // Send a success response with the restored user data
+  ServerResponse(res, true, 200, 'User restored successfully', result);
+});
+
+/**
+ * Controller function to handle restoring multiple users from the trash.
+ *
+ * @param {Request} req - The request object containing an array of IDs of user to restore in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IUser>[]>} - The restored users.
+ * @throws {NotFoundError} - Throws an error if none of the users is in the trash.
+ */
+export const restoreManyUser = catchAsync(async (req: Request, res: Response) => {
+  // Extract ids from request body
+  const { ids } = req.body;
+  // Call the service method to restore multiple users and get the result
+  const result = await userServices.restoreManyUser(ids);
+  // Send a success response with the restored users data
+  ServerResponse(res, true, 200, 'Users restored successfully', result);
+});
+
+/**
+ * Controller function to handle permanently deleting a single user from the trash.
+ *
+ * @param {Request} req - The request object containing the ID of the user to purge in URL parameters.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IUser>>} - The purged user.
+ * @throws {NotFoundError} - Throws an error if the user is not in the trash.
+ */
+export const purgeUser = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Call the service method to purge the user by ID
+  const result = await userServices.purgeUser(id as string);
+  if (!result) throw new NotFoundError('User not found in the trash');
+  // Send a success response confirming the purge
+  ServerResponse(res, true, 200, 'User permanently deleted');
+});
+
+/**
+ * Controller function to handle permanently deleting multiple users from the trash.
+ *
+ * @param {Request} req - The request object containing an array of IDs of user to purge in the body.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IUser>[]>} - The purged users.
+ * @throws {NotFoundError} - Throws an error if none of the users is in the trash.
+ */
+export const purgeManyUser = catchAsync(async (req: Request, res: Response) => {
+  // Extract ids from request body
+  const { ids } = req.body;
+  // Call the service method to purge multiple users
+  await userServices.purgeManyUser(ids);
+  // Send a success response confirming the purge
+  ServerResponse(res, true, 200, 'Users permanently deleted');
+});
+
 /**
  * Controller function to handle the retrieval of a single user by ID.
  *
  * @param {Request} req - The request object containing the ID of the user to retrieve in URL parameters.
  * @param {Response} res - The response object used to send the response.
  * @returns {Promise<Partial<IUser>>} - The retrieved user.
- * @throws {Error} - Throws an error if the user retrieval fails.
+ * @throws {NotFoundError} - Throws an error if the user does not exist.
  */
 export const getUserById = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params;
   // Call the service method to get the user by ID and get the result
   const result = await userServices.getUserById(id as string);
-  if (!result) throw new Error('User not found');
+  if (!result) throw new NotFoundError('User not found');
+  // Express answers a matching If-None-Match with 304 when the response is sent
+  setETag(res, result);
   // Send a success response with the retrieved resource data
   ServerResponse(res, true, 200, 'User retrieved successfully', result);
 });
@@ -130,11 +260,60 @@ export const getUserById = catchAsync(async (req: Request, res: Response) => {
  * @throws {Error} - Throws an error if the users retrieval fails.
  */
 export const getManyUser = catchAsync(async (req: Request, res: Response) => {
-  // Type assertion for query parameters 
-  const query = req.query as SearchQueryInput;
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
   // Call the service method to get multiple users based on query parameters and get the result
-  const { users, totalData, totalPages } = await userServices.getManyUser(query);
+  const { users, ...pagination } = await userServices.getManyUser(query);
   if (!users) throw new Error('Failed to retrieve users');
   // Send a success response with the retrieved users data
-  ServerResponse(res, true, 200, 'Users retrieved successfully', { users, totalData, totalPages });
-});
\ No newline at end of file
+  ServerResponse(res, true, 200, 'Users retrieved successfully', { users, ...pagination });
+});
+
+/**
+ * Controller function to handle the export of the users matching the list filters.
+ *
+ * @param {Request} req - The request object containing the format and filters in the query.
+ * @param {Response} res - The response object the file is streamed to.
+ */
+export const exportUser = catchAsync(async (req: Request, res: Response) => {
+  const query = getValidatedQuery<ExportQueryInput>(req);
+  // Call the service method to read the matching users
+  const content = await userServices.exportUser(query);
+  // Stream the file as a download
+  await sendExport(res, 'user', query.format, content);
+});
+
+/**
+ * Controller function to handle the retrieval of the users in the trash.
+ *
+ * @param {Request} req - The request object containing query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IUser>[]>} - The deleted users.
+ * @throws {Error} - Throws an error if the users retrieval fails.
+ */
+export const getTrashUser = catchAsync(async (req: Request, res: Response) => {
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get the deleted users based on query parameters and get the result
+  const { users, ...pagination } = await userServices.getTrashUser(query);
+  if (!users) throw new Error('Failed to retrieve deleted users');
+  // Send a success response with the deleted users data
+  ServerResponse(res, true, 200, 'Deleted users retrieved successfully', { users, ...pagination });
+});
+
+/**
+ * Controller function to handle the retrieval of the audit trail of a single user.
+ *
+ * @param {Request} req - The request object containing the ID of the user in URL parameters and query parameters for filtering.
+ * @param {Response} res - The response object used to send the response.
+ * @returns {Promise<Partial<IAudit>[]>} - The changes made to the user.
+ */
+export const getUserHistory = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  // Read the validated query parameters
+  const query = getValidatedQuery(req);
+  // Call the service method to get the audit trail of the user and get the result
+  const { history, ...pagination } = await userServices.getUserHistory(id as string, query);
+  // Send a success response with the audit trail
+  ServerResponse(res, true, 200, 'User history retrieved successfully', { history, ...pagination });
+});
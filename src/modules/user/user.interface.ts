@@ -1,3 +1,18 @@
+/**
+ * Allowed account statuses for a user.
+ */
+export const userStatuses = ['active', 'inactive', 'suspended'] as const;
+
+export type TUserStatus = (typeof userStatuses)[number];
+
+/**
+ * Allowed roles for a user. The permissions granted by each role are
+ * declared in `src/config/permissions.ts`.
+ */
+export const userRoles = ['admin', 'user'] as const;
+
+export type TUserRole = (typeof userRoles)[number];
+
 /**
  * Type definition for user.
  *
@@ -5,5 +20,11 @@
  * @interface TUser
  */
 export interface TUser {
-  // Add fields as needed
-}
\ No newline at end of file
+  name: string;
+  email: string;
+  password: string;
+  status: TUserStatus;
+  role: TUserRole;
+  permissions: string[];
+  emailVerifiedAt: Date | null;
+}
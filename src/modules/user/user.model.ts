@@ -1,28 +1,80 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import SoftDelete, { SoftDeleteFields } from '../../utils/mongoose/soft-delete';
+import Versioning from '../../utils/mongoose/versioning';
+import { TUserRole, TUserStatus, userRoles, userStatuses } from './user.interface';
 
 // Define and export an interface representing a user document
-export interface IUser extends Document {
-  // Define the schema fields with their types
-  // Example fields (replace with actual fields)
-  // fieldName: fieldType;
+export interface IUser extends Document, SoftDeleteFields {
+  name: string;
+  email: string;
+  password: string;
+  status: TUserStatus;
+  role: TUserRole;
+  permissions: string[];
+  emailVerifiedAt: Date | null;
 }
 
 // Define the user schema
-const UserSchema: Schema<IUser> = new Schema({
-  // Define schema fields here
-  // Example fields (replace with actual schema)
-  // fieldName: {
-  //   type: Schema.Types.FieldType,
-  //   required: true,
-  //   trim: true,
-  // },
-},{
- timestamps: true,
- versionKey: false,
-});
+const UserSchema: Schema<IUser> = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Only the bcrypt hash is stored; never selected unless explicitly requested
+    password: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: userStatuses,
+      default: 'active',
+    },
+    role: {
+      type: String,
+      enum: userRoles,
+      default: 'user',
+    },
+    // Extra permissions granted on top of the role, e.g. 'blog:update'
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Set once the user has confirmed their email address
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Strip the password hash from every serialized user
+      transform: (_doc, ret: Record<string, unknown>) => {
+        delete ret.password;
+        return ret;
+      },
+    },
+  }
+);
+
+// Deleted users go to the trash and can be restored until purged
+UserSchema.plugin(SoftDelete);
+// Every write bumps __v, which backs the ETag of get-user/:id and If-Match checks
+UserSchema.plugin(Versioning);
 
 // Create the user model
 const User = mongoose.model<IUser>('User', UserSchema);
 
 // Export the user model
-export default User;
\ No newline at end of file
+export default User;
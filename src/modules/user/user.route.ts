@@ -5,96 +5,210 @@ import { Router } from 'express';
 import { 
   createUser,
   createManyUser,
+  importUser,
   updateUser,
   updateManyUser,
   deleteUser,
   deleteManyUser,
   getUserById,
-  getManyUser
+  getManyUser,
+  exportUser,
+  restoreUser,
+  restoreManyUser,
+  purgeUser,
+  purgeManyUser,
+  getTrashUser,
+  getUserHistory
 } from './user.controller';
 
 //Import validation from corresponding module
 import { validateCreateUser, validateCreateManyUser, validateUpdateUser, validateUpdateManyUser} from './user.validation';
-import { validateId, validateIds, validateSearchQueries } from '../../handlers/common-zod-validator';
+import {
+  validateBulkQuery,
+  validateExportQuery,
+  validateId,
+  validateIds,
+  validateImportQuery,
+  validateSearchQueries,
+} from '../../handlers/common-zod-validator';
+import acceptFile from '../../middlewares/accept-file';
+import isAuthorized from '../../middlewares/is-authorized';
+import authorize, { isSelf } from '../../middlewares/authorize';
+import cacheResponse, { invalidateCache } from '../../middlewares/cache-response';
+import { importFormats } from '../../utils/transfer/import-documents';
 
 // Initialize router
 const router = Router();
 
+// Every successful write drops the cached get-user responses
+router.use(invalidateCache('user'));
+
 // Define route handlers
 /**
  * @route POST /api/v1/user/create-user
  * @description Create a new user
- * @access Public
+ * @access Private (user:create)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {function} validation - ['validateCreateUser']
  * @param {function} controller - ['createUser']
  */
-router.post("/create-user", validateCreateUser, createUser);
+router.post("/create-user", isAuthorized, authorize('user:create'), validateCreateUser, createUser);
 
 /**
  * @route POST /api/v1/user/create-user/many
- * @description Create multiple users
- * @access Public
- * @param {function} validation - ['validateCreateManyUser']
+ * @description Create multiple users, all or none; `?mode=partial` creates each valid one and reports each outcome
+ * @access Private (user:create:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateBulkQuery', 'validateCreateManyUser']
  * @param {function} controller - ['createManyUser']
  */
-router.post("/create-user/many", validateCreateManyUser, createManyUser);
+router.post("/create-user/many", isAuthorized, authorize('user:create:many'), validateBulkQuery, validateCreateManyUser, createManyUser);
+
+/**
+ * @route POST /api/v1/user/import-user
+ * @description Create users from a CSV or NDJSON file sent in the `file` field, reporting invalid records by row
+ * @access Private (user:import)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'acceptFile']
+ * @param {function} validation - ['validateImportQuery']
+ * @param {function} controller - ['importUser']
+ */
+router.post("/import-user", isAuthorized, authorize('user:import'), acceptFile('file', { extensions: [...importFormats], tempFile: true }), validateImportQuery, importUser);
 
 /**
  * @route PUT /api/v1/user/update-user/many
- * @description Update multiple users information
- * @access Public
- * @param {function} validation - ['validateIds', 'validateUpdateManyUser']
+ * @description Update multiple users information, all or none; `?mode=partial` updates each it can and reports each outcome
+ * @access Private (user:update:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateBulkQuery', 'validateUpdateManyUser']
  * @param {function} controller - ['updateManyUser']
  */
-router.put("/update-user/many", validateIds, validateUpdateManyUser, updateManyUser);
+router.put("/update-user/many", isAuthorized, authorize('user:update:many'), validateBulkQuery, validateUpdateManyUser, updateManyUser);
 
 /**
  * @route PUT /api/v1/user/update-user/:id
  * @description Update user information
- * @access Public
+ * @access Private (user:update or user:update:own)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {IdOrIdsInput['id']} id - The ID of the user to update
  * @param {function} validation - ['validateId', 'validateUpdateUser']
  * @param {function} controller - ['updateUser']
  */
-router.put("/update-user/:id", validateId, validateUpdateUser, updateUser);
+router.put("/update-user/:id", isAuthorized, authorize('user:update', { owner: isSelf }), validateId, validateUpdateUser, updateUser);
 
 /**
- * @route DELETE /api/v1/user/delete-user/many
- * @description Delete multiple users
- * @access Public
+ * @route PUT /api/v1/user/restore-user/many
+ * @description Restore multiple users from the trash
+ * @access Private (user:restore:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {function} validation - ['validateIds']
+ * @param {function} controller - ['restoreManyUser']
+ */
+router.put("/restore-user/many", isAuthorized, authorize('user:restore:many'), validateIds, restoreManyUser);
+
+/**
+ * @route PUT /api/v1/user/restore-user/:id
+ * @description Restore a user from the trash
+ * @access Private (user:restore)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the user to restore
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['restoreUser']
+ */
+router.put("/restore-user/:id", isAuthorized, authorize('user:restore'), validateId, restoreUser);
+
+/**
+ * @route DELETE /api/v1/user/delete-user/many
+ * @description Move multiple users to the trash, all or none; `?mode=partial` deletes each it can and reports each outcome
+ * @access Private (user:delete:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateBulkQuery', 'validateIds']
  * @param {function} controller - ['deleteManyUser']
  */
-router.delete("/delete-user/many", validateIds, deleteManyUser);
+router.delete("/delete-user/many", isAuthorized, authorize('user:delete:many'), validateBulkQuery, validateIds, deleteManyUser);
 
 /**
  * @route DELETE /api/v1/user/delete-user/:id
- * @description Delete a user
- * @access Public
+ * @description Move a user to the trash
+ * @access Private (user:delete)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
  * @param {IdOrIdsInput['id']} id - The ID of the user to delete
  * @param {function} validation - ['validateId']
  * @param {function} controller - ['deleteUser']
  */
-router.delete("/delete-user/:id", validateId, deleteUser);
+router.delete("/delete-user/:id", isAuthorized, authorize('user:delete'), validateId, deleteUser);
+
+/**
+ * @route DELETE /api/v1/user/purge-user/many
+ * @description Permanently delete multiple users from the trash
+ * @access Private (admin, user:purge:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateIds']
+ * @param {function} controller - ['purgeManyUser']
+ */
+router.delete("/purge-user/many", isAuthorized, authorize('user:purge:many', { roles: ['admin'] }), validateIds, purgeManyUser);
+
+/**
+ * @route DELETE /api/v1/user/purge-user/:id
+ * @description Permanently delete a user from the trash
+ * @access Private (admin, user:purge)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the user to purge
+ * @param {function} validation - ['validateId']
+ * @param {function} controller - ['purgeUser']
+ */
+router.delete("/purge-user/:id", isAuthorized, authorize('user:purge', { roles: ['admin'] }), validateId, purgeUser);
+
+/**
+ * @route GET /api/v1/user/get-user/trash
+ * @description Get the users in the trash
+ * @access Private (user:read:trash)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'cacheResponse']
+ * @param {function} validation - ['validateSearchQueries']
+ * @param {function} controller - ['getTrashUser']
+ */
+router.get("/get-user/trash", isAuthorized, authorize('user:read:trash'), validateSearchQueries, cacheResponse('user'), getTrashUser);
 
 /**
  * @route GET /api/v1/user/get-user/many
  * @description Get multiple users
- * @access Public
+ * @access Private (user:read:many)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'cacheResponse']
  * @param {function} validation - ['validateSearchQueries']
  * @param {function} controller - ['getManyUser']
  */
-router.get("/get-user/many", validateSearchQueries, getManyUser);
+router.get("/get-user/many", isAuthorized, authorize('user:read:many'), validateSearchQueries, cacheResponse('user', { ttl: 30 }), getManyUser);
+
+/**
+ * @route GET /api/v1/user/export-user
+ * @description Download the users matching the filters of get-user/many as CSV, NDJSON or JSON
+ * @access Private (user:export)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {function} validation - ['validateExportQuery']
+ * @param {function} controller - ['exportUser']
+ */
+router.get("/export-user", isAuthorized, authorize('user:export'), validateExportQuery, exportUser);
+
+/**
+ * @route GET /api/v1/user/get-user/:id/history
+ * @description Get the audit trail of a user
+ * @access Private (user:read:history)
+ * @param {function} middleware - ['isAuthorized', 'authorize']
+ * @param {IdOrIdsInput['id']} id - The ID of the user whose changes to retrieve
+ * @param {function} validation - ['validateId', 'validateSearchQueries']
+ * @param {function} controller - ['getUserHistory']
+ */
+router.get("/get-user/:id/history", isAuthorized, authorize('user:read:history'), validateId, validateSearchQueries, getUserHistory);
 
 /**
  * @route GET /api/v1/user/get-user/:id
  * @description Get a user by ID
- * @access Public
+ * @access Private (user:read or user:read:own)
+ * @param {function} middleware - ['isAuthorized', 'authorize', 'cacheResponse']
  * @param {IdOrIdsInput['id']} id - The ID of the user to retrieve
  * @param {function} validation - ['validateId']
  * @param {function} controller - ['getUserById']
  */
-router.get("/get-user/:id", validateId, getUserById);
+router.get("/get-user/:id", isAuthorized, authorize('user:read', { owner: isSelf }), validateId, cacheResponse('user'), getUserById);
 
 // Export the router
 module.exports = router;
\ No newline at end of file
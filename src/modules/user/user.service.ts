@@ -1,12 +1,29 @@
 // Import the model
+import { UploadedFile } from 'express-fileupload';
 import mongoose from 'mongoose';
+import { Readable } from 'stream';
 import UserModel, { IUser } from './user.model';
-import { IdOrIdsInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import { ExportQueryInput, IdOrIdsInput, SearchQueryInput } from '../../handlers/common-zod-validator';
+import { ConflictError, NotFoundError, PreconditionFailedError } from '../../helpers/errors/app-error';
+import HashInfo from '../../utils/bcrypt/hash-info';
+import { BulkItemResult, runPartialBulk } from '../../utils/bulk/partial-bulk';
+import { runInTransaction } from '../../utils/database/transaction';
+import { applyDeletePolicies, assertDeletable } from '../../utils/mongoose/relations';
+import { getVersion, versionCondition } from '../../utils/mongoose/versioning';
+import BuildListQuery from '../../utils/query/build-list-query';
+import Paginate, { PaginationResult } from '../../utils/query/paginate';
+import { exportDocuments } from '../../utils/transfer/export-documents';
+import { importDocuments, ImportReport } from '../../utils/transfer/import-documents';
+import { IAudit } from '../audit/audit.model';
+import { auditServices } from '../audit/audit.service';
+import { sessionServices } from '../session/session.service';
 import {
   CreateUserInput,
   CreateManyUserInput,
   UpdateUserInput,
   UpdateManyUserInput,
+  zodCreateUserSchema,
+  zodUpdateManyUserForBulkSchema,
 } from './user.validation';
 
 /**
@@ -16,20 +33,75 @@ import {
  * @returns {Promise<Partial<IUser>>} - The created user.
  */
 const createUser = async (data: CreateUserInput): Promise<Partial<IUser>> => {
-  const newUser = new UserModel(data);
+  // Check for duplicate (email)
+  const existingUser = await UserModel.findOne({ email: data.email }).lean();
+  if (existingUser) {
+    throw new ConflictError('Duplicate detected: Another user with the same email already exists.');
+  }
+  // Store only the hashed password
+  const newUser = new UserModel({ ...data, password: await HashInfo(data.password) });
   const savedUser = await newUser.save();
+  await auditServices.recordAudit('user', 'create', [{ documentId: savedUser._id, after: savedUser }]);
   return savedUser;
 };
 
 /**
- * Service function to create multiple user.
+ * Service function to create multiple user, all of them or none.
  *
  * @param {CreateManyUserInput} data - An array of data to create multiple user.
  * @returns {Promise<Partial<IUser>[]>} - The created user.
  */
 const createManyUser = async (data: CreateManyUserInput): Promise<Partial<IUser>[]> => {
-  const createdUser = await UserModel.insertMany(data);
-  return createdUser;
+  // Check for duplicates (email) both inside the payload and in the collection
+  const emails = data.map((item) => item.email);
+  const existingUser = await UserModel.find({ email: { $in: emails } }).lean();
+  if (existingUser.length > 0 || new Set(emails).size !== emails.length) {
+    throw new ConflictError('Duplicate detected: One or more user with the same email already exist.');
+  }
+  // Store only the hashed passwords
+  const hashedData = await Promise.all(
+    data.map(async (item) => ({ ...item, password: await HashInfo(item.password) }))
+  );
+  // A user failing to insert, e.g. on a duplicate key, rolls back the others
+  return runInTransaction(async () => {
+    const createdUser = await UserModel.insertMany(hashedData);
+    await auditServices.recordAudit(
+      'user',
+      'create',
+      createdUser.map((user) => ({ documentId: user._id, after: user }))
+    );
+    return createdUser;
+  });
+};
+
+/**
+ * Service function to create multiple user one by one, reporting the outcome of each.
+ *
+ * @param {unknown[]} items - The users to create, validated one by one.
+ * @returns {Promise<BulkItemResult<Partial<IUser>>[]>} - The outcome of each item, in order.
+ */
+const createManyUserPartial = async (items: unknown[]): Promise<BulkItemResult<Partial<IUser>>[]> => {
+  return runPartialBulk(items, async (item) => createUser(await zodCreateUserSchema.parseAsync(item)));
+};
+
+/**
+ * Service function to import users from a CSV or NDJSON file.
+ *
+ * Each record is validated like a created user; invalid records and taken emails are
+ * reported by row instead of failing the whole file.
+ *
+ * @param {UploadedFile} file - The uploaded file, checked by `acceptFile`.
+ * @param {boolean} dryRun - Whether to only validate the file, storing nothing.
+ * @returns {Promise<ImportReport>} - Counts and the problems found, by row.
+ */
+const importUser = async (file: UploadedFile, dryRun: boolean): Promise<ImportReport> => {
+  return importDocuments(UserModel, file, zodCreateUserSchema, {
+    dryRun,
+    // Store only the hashed passwords
+    prepare: async (record) => ({ ...record, password: await HashInfo(record.password) }),
+    onInserted: (users) =>
+      auditServices.recordAudit('user', 'create', users.map((user) => ({ documentId: user._id, after: user }))),
+  });
 };
 
 /**
@@ -37,28 +109,54 @@ const createManyUser = async (data: CreateManyUserInput): Promise<Partial<IUser>
  *
  * @param {IdOrIdsInput['id']} id - The ID of the user to update.
  * @param {UpdateUserInput} data - The updated data for the user.
+ * @param {number[]} [expectedVersions] - Versions the client expects (from `If-Match`); any version if omitted.
  * @returns {Promise<Partial<IUser>>} - The updated user.
+ * @throws {PreconditionFailedError} - If the user is not at an expected version, or changes meanwhile.
  */
-const updateUser = async (id: IdOrIdsInput['id'], data: UpdateUserInput): Promise<Partial<IUser | null>> => {
-  // Check for duplicate (filed) combination
-  const existingUser = await UserModel.findOne({
-    _id: { $ne: id }, // Exclude the current document
-    $or: [{ /* filedName: data.filedName, */ }],
-  }).lean();
-  // Prevent duplicate updates
-  if (existingUser) {
-    throw new Error('Duplicate detected: Another user with the same fieldName already exists.');
+const updateUser = async (id: IdOrIdsInput['id'], data: UpdateUserInput, expectedVersions?: number[]): Promise<Partial<IUser | null>> => {
+  // Check for duplicate (email) combination
+  if (data.email) {
+    const existingUser = await UserModel.findOne({
+      _id: { $ne: id }, // Exclude the current document
+      email: data.email,
+    }).lean();
+    // Prevent duplicate updates
+    if (existingUser) {
+      throw new ConflictError('Duplicate detected: Another user with the same email already exists.');
+    }
   }
-  // Proceed to update the user
-  const updatedUser = await UserModel.findByIdAndUpdate(id, data, { new: true });
+  // Re-hash the password if it is being changed
+  if (data.password) {
+    data = { ...data, password: await HashInfo(data.password) };
+  }
+  // Keep the previous state for the audit trail; the hash is compared, never stored
+  const previousUser = await UserModel.findById(id).select('+password');
+  if (!previousUser) return null;
+  const version = getVersion(previousUser);
+  if (expectedVersions && !expectedVersions.includes(version)) {
+    throw new PreconditionFailedError(`User is at version ${version}; reload it and try again`);
+  }
+  // Proceed to update the user, only if nobody changed it since it was read
+  const updatedUser = await UserModel.findOneAndUpdate(
+    { _id: id, __v: versionCondition([version]) },
+    data,
+    { new: true }
+  ).select('+password');
+  if (!updatedUser) throw new PreconditionFailedError('User was modified concurrently; reload it and try again');
+  await auditServices.recordAudit('user', 'update', [
+    { documentId: previousUser._id, before: previousUser, after: updatedUser },
+  ]);
   return updatedUser;
 };
 
 /**
- * Service function to update multiple user.
+ * Service function to update multiple user, all of them or none.
+ *
+ * Items carrying a `version` are only updated if the user is still at that version.
  *
  * @param {UpdateManyUserInput} data - An array of data to update multiple user.
  * @returns {Promise<Partial<IUser>[]>} - The updated user.
+ * @throws {PreconditionFailedError} - If a user is not at its expected version, or changes meanwhile.
  */
 const updateManyUser = async (data: UpdateManyUserInput): Promise<Partial<IUser>[]> => {
 // Early return if no data provided
@@ -67,71 +165,281 @@ const updateManyUser = async (data: UpdateManyUserInput): Promise<Partial<IUser>
   }
   // Convert string ids to ObjectId (for safety)
   const objectIds = data.map((item) => new mongoose.Types.ObjectId(item.id));
-  // Check for duplicates (filedName) excluding the documents being updated
-  const existingUser = await UserModel.find({
-    _id: { $nin: objectIds }, // Exclude documents being updated
-    $or: data.flatMap((item) => [
-      // { filedName: item.filedName },
-    ]),
-  }).lean();
-  // If any duplicates found, throw error
-  if (existingUser.length > 0) {
-    throw new Error(
-      'Duplicate detected: One or more user with the same fieldName already exist.'
+  // Re-hash any changed password before the transaction, which may be retried
+  const items = await Promise.all(
+    data.map(async (item) => (item.password ? { ...item, password: await HashInfo(item.password) } : item))
+  );
+  // Checks and writes run in one transaction, so a failing check leaves every user unchanged
+  return runInTransaction(async () => {
+    // Check for duplicates (email) excluding the documents being updated
+    const emails = data.flatMap((item) => (item.email ? [item.email] : []));
+    if (emails.length > 0) {
+      const existingUser = await UserModel.find({
+        _id: { $nin: objectIds }, // Exclude documents being updated
+        email: { $in: emails },
+      }).lean();
+      // If any duplicates found, throw error
+      if (existingUser.length > 0 || new Set(emails).size !== emails.length) {
+        throw new ConflictError('Duplicate detected: One or more user with the same email already exist.');
+      }
+    }
+    // Keep the previous state for the audit trail; hashes are compared, never stored
+    const previousDocs = await UserModel.find({ _id: { $in: objectIds } }).select('+password');
+    const previousVersions = new Map(previousDocs.map((doc) => [doc._id.toString(), getVersion(doc)]));
+    if (previousVersions.size !== new Set(data.map((item) => item.id)).size) {
+      throw new NotFoundError('Some documents were not found or updated');
+    }
+    // Reject the whole batch if any user is not at the version its item expects
+    const staleItems = data.flatMap((item, index) => {
+      const current = previousVersions.get(item.id);
+      return item.version !== undefined && item.version !== current
+        ? [{ field: `[${index}].version`, message: `Expected version ${item.version}, found ${current}` }]
+        : [];
+    });
+    if (staleItems.length) {
+      throw new PreconditionFailedError('Some users were modified since they were read', staleItems);
+    }
+    // Prepare bulk operations, each guarded by the expected or read version
+    const operations = items.map(({ id, version, ...item }) => ({
+      updateOne: {
+        filter: {
+          _id: new mongoose.Types.ObjectId(id),
+          __v: versionCondition([version ?? (previousVersions.get(id) as number)]),
+        },
+        update: { $set: item },
+        upsert: false,
+      },
+    }));
+    // Execute bulk update
+    const bulkResult = await UserModel.bulkWrite(operations, {
+      ordered: true, // keep order of operations
+    });
+    // check if all succeeded; throwing rolls back the users already updated
+    if (bulkResult.matchedCount !== data.length) {
+      throw new PreconditionFailedError('Some users were modified concurrently; reload them and try again');
+    }
+    // Fetch the freshly updated documents (hydrated, so the password hash never reaches the response)
+    const updatedDocs = await UserModel.find({ _id: { $in: objectIds } }).select('+password');
+    // Map back to original input order
+    const resultMap = new Map<string, any>(updatedDocs.map((doc) => [doc._id.toString(), doc]));
+    await auditServices.recordAudit(
+      'user',
+      'update',
+      previousDocs.map((doc) => ({
+        documentId: doc._id,
+        before: doc,
+        after: resultMap.get(doc._id.toString()),
+      }))
     );
-  }
-  // Prepare bulk operations
-  const operations = data.map((item) => ({
-    updateOne: {
-      filter: { _id: new mongoose.Types.ObjectId(item.id) },
-      update: { $set: item },
-      upsert: false,
-    },
-  }));
-  // Execute bulk update
-  const bulkResult = await UserModel.bulkWrite(operations, {
-    ordered: true, // keep order of operations
+    // Ensure the result array matches the input order
+    const orderedResults = data.map((item) => {
+      const updated = resultMap.get(item.id);
+      return updated || { _id: item.id };
+    });
+    return orderedResults as Partial<IUser>[];
   });
-  // check if all succeeded
-  if (bulkResult.matchedCount !== data.length) {
-    throw new Error('Some documents were not found or updated');
-  }
-  // Fetch the freshly updated documents
-  const updatedDocs = await UserModel.find({ _id: { $in: objectIds } })
-    .lean()
-    .exec();
-  // Map back to original input order
-  const resultMap = new Map<string, any>(updatedDocs.map((doc) => [doc._id.toString(), doc]));
-  // Ensure the result array matches the input order
-  const orderedResults = data.map((item) => {
-    const updated = resultMap.get(item.id);
-    return updated || { _id: item.id };
+};
+
+/**
+ * Service function to update multiple user one by one, reporting the outcome of each.
+ *
+ * Items carrying a `version` are only updated if the user is still at that version.
+ *
+ * @param {unknown[]} items - The updates, each with the `id` of its user, validated one by one.
+ * @returns {Promise<BulkItemResult<Partial<IUser>>[]>} - The outcome of each item, in order.
+ */
+const updateManyUserPartial = async (items: unknown[]): Promise<BulkItemResult<Partial<IUser>>[]> => {
+  return runPartialBulk(items, async (item) => {
+    const { id, version, ...data } = await zodUpdateManyUserForBulkSchema.parseAsync(item);
+    const updatedUser = await updateUser(id, data, version === undefined ? undefined : [version]);
+    if (!updatedUser) throw new NotFoundError('User not found');
+    return updatedUser;
   });
-  return orderedResults as Partial<IUser>[];
 };
 
 /**
- * Service function to delete a single user by ID.
+ * Service function to move a single user to the trash and sign them out everywhere.
  *
  * @param {IdOrIdsInput['id']} id - The ID of the user to delete.
+ * @param {string} deletedBy - The ID of the user performing the deletion.
+ * @param {number[]} [expectedVersions] - Versions the client expects (from `If-Match`); any version if omitted.
  * @returns {Promise<Partial<IUser>>} - The deleted user.
+ * @throws {PreconditionFailedError} - If the user is not at an expected version.
+ * @throws {ConflictError} - If documents still reference the user with a `restrict` policy.
  */
-const deleteUser = async (id: IdOrIdsInput['id']): Promise<Partial<IUser | null>> => {
-  const deletedUser = await UserModel.findByIdAndDelete(id);
+const deleteUser = async (id: IdOrIdsInput['id'], deletedBy: string, expectedVersions?: number[]): Promise<Partial<IUser | null>> => {
+  await assertDeletable(UserModel, [id as string]);
+  const deletedUser = await UserModel.findOneAndUpdate(
+    { _id: id, deletedAt: null, ...(expectedVersions && { __v: versionCondition(expectedVersions) }) },
+    { $set: { deletedAt: new Date(), deletedBy } },
+    { new: true }
+  );
+  if (!deletedUser) {
+    // Tell a stale version apart from a missing user
+    if (expectedVersions && (await UserModel.exists({ _id: id }))) {
+      throw new PreconditionFailedError('User was modified since it was read; reload it and try again');
+    }
+    return null;
+  }
+  await sessionServices.deleteManySession(String(deletedUser._id));
+  await auditServices.recordAudit('user', 'delete', [
+    {
+      documentId: deletedUser._id,
+      before: { deletedAt: null, deletedBy: null },
+      after: { deletedAt: deletedUser.deletedAt, deletedBy: deletedUser.deletedBy },
+    },
+  ]);
   return deletedUser;
 };
 
 /**
- * Service function to delete multiple user.
+ * Service function to move multiple user to the trash and sign them out everywhere, all
+ * of them or none.
  *
  * @param {IdOrIdsInput['ids']} ids - An array of IDs of user to delete.
+ * @param {string} deletedBy - The ID of the user performing the deletion.
  * @returns {Promise<Partial<IUser>[]>} - The deleted user.
+ * @throws {ConflictError} - If documents still reference any of the users with a `restrict` policy.
+ */
+const deleteManyUser = async (ids: IdOrIdsInput['ids'], deletedBy: string): Promise<Partial<IUser>[]> => {
+  // The users read are the users deleted: nobody can change them in between
+  return runInTransaction(async () => {
+    const userToDelete = await UserModel.find({ _id: { $in: ids } });
+    if (!userToDelete.length) throw new NotFoundError('No user found to delete');
+    await assertDeletable(UserModel, userToDelete.map((user) => user._id));
+    const deletedAt = new Date();
+    await UserModel.updateMany(
+      { _id: { $in: ids }, deletedAt: null },
+      { $set: { deletedAt, deletedBy } }
+    );
+    // One at a time, as the operations of a transaction cannot run in parallel
+    for (const user of userToDelete) {
+      await sessionServices.deleteManySession(String(user._id));
+    }
+    await auditServices.recordAudit(
+      'user',
+      'delete',
+      userToDelete.map((user) => ({
+        documentId: user._id,
+        before: { deletedAt: null, deletedBy: null },
+        after: { deletedAt, deletedBy },
+      }))
+    );
+    return userToDelete;
+  });
+};
+
+/**
+ * Service function to move multiple user to the trash one by one, reporting the outcome of each.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of user to delete.
+ * @param {string} deletedBy - The ID of the user performing the deletion.
+ * @returns {Promise<BulkItemResult<Partial<IUser>>[]>} - The outcome of each ID, in order.
  */
-const deleteManyUser = async (ids: IdOrIdsInput['ids']): Promise<Partial<IUser>[]> => {
-  const userToDelete = await UserModel.find({ _id: { $in: ids } });
-  if (!userToDelete.length) throw new Error('No user found to delete');
-  await UserModel.deleteMany({ _id: { $in: ids } });
-  return userToDelete; 
+const deleteManyUserPartial = async (ids: NonNullable<IdOrIdsInput['ids']>, deletedBy: string): Promise<BulkItemResult<Partial<IUser>>[]> => {
+  return runPartialBulk(ids, async (id) => {
+    const deletedUser = await deleteUser(id, deletedBy);
+    if (!deletedUser) throw new NotFoundError('User not found');
+    return deletedUser;
+  });
+};
+
+/**
+ * Service function to restore a single user from the trash.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the user to restore.
+ * @returns {Promise<Partial<IUser>>} - The restored user, or null if it is not in the trash.
+ */
+const restoreUser = async (id: IdOrIdsInput['id']): Promise<Partial<IUser | null>> => {
+  // Returns the trashed state, recorded as the audit's before
+  const trashedUser = await UserModel.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: false }
+  );
+  if (!trashedUser) return null;
+  await auditServices.recordAudit('user', 'restore', [
+    {
+      documentId: trashedUser._id,
+      before: { deletedAt: trashedUser.deletedAt, deletedBy: trashedUser.deletedBy },
+      after: { deletedAt: null, deletedBy: null },
+    },
+  ]);
+  const restoredUser = await UserModel.findById(trashedUser._id);
+  return restoredUser;
+};
+
+/**
+ * Service function to restore multiple user from the trash, all of them or none.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of user to restore.
+ * @returns {Promise<Partial<IUser>[]>} - The restored user.
+ */
+const restoreManyUser = async (ids: IdOrIdsInput['ids']): Promise<Partial<IUser>[]> => {
+  return runInTransaction(async () => {
+    const userToRestore = await UserModel.find({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    if (!userToRestore.length) throw new NotFoundError('No user found in the trash to restore');
+    const restoredIds = userToRestore.map((user) => user._id);
+    await UserModel.updateMany(
+      { _id: { $in: restoredIds }, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } }
+    );
+    await auditServices.recordAudit(
+      'user',
+      'restore',
+      userToRestore.map((user) => ({
+        documentId: user._id,
+        before: { deletedAt: user.deletedAt, deletedBy: user.deletedBy },
+        after: { deletedAt: null, deletedBy: null },
+      }))
+    );
+    return UserModel.find({ _id: { $in: restoredIds } });
+  });
+};
+
+/**
+ * Service function to permanently delete a single user from the trash.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the user to purge.
+ * @returns {Promise<Partial<IUser>>} - The purged user, or null if it is not in the trash.
+ * @throws {ConflictError} - If documents still reference the user with a `restrict` policy.
+ */
+const purgeUser = async (id: IdOrIdsInput['id']): Promise<Partial<IUser | null>> => {
+  // The cascades run in the same transaction, so a failing one keeps the user too
+  return runInTransaction(async () => {
+    await assertDeletable(UserModel, [id as string]);
+    const purgedUser = await UserModel.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+    if (purgedUser) {
+      await auditServices.recordAudit('user', 'purge', [{ documentId: purgedUser._id, before: purgedUser }]);
+      await applyDeletePolicies(UserModel, [purgedUser._id]);
+    }
+    return purgedUser;
+  });
+};
+
+/**
+ * Service function to permanently delete multiple user from the trash, all of them or none.
+ *
+ * @param {IdOrIdsInput['ids']} ids - An array of IDs of user to purge.
+ * @returns {Promise<Partial<IUser>[]>} - The purged user.
+ * @throws {ConflictError} - If documents still reference any of the users with a `restrict` policy.
+ */
+const purgeManyUser = async (ids: IdOrIdsInput['ids']): Promise<Partial<IUser>[]> => {
+  // The cascades run in the same transaction, so a failing one keeps the users too
+  return runInTransaction(async () => {
+    const userToPurge = await UserModel.find({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    if (!userToPurge.length) throw new NotFoundError('No user found in the trash to purge');
+    const purgedIds = userToPurge.map((user) => user._id);
+    await assertDeletable(UserModel, purgedIds);
+    await UserModel.deleteMany({ _id: { $in: purgedIds }, deletedAt: { $ne: null } });
+    await auditServices.recordAudit(
+      'user',
+      'purge',
+      userToPurge.map((user) => ({ documentId: user._id, before: user }))
+    );
+    await applyDeletePolicies(UserModel, purgedIds);
+    return userToPurge;
+  });
 };
 
 /**
@@ -149,38 +457,79 @@ const getUserById = async (id: IdOrIdsInput['id']): Promise<Partial<IUser | null
  * Service function to retrieve multiple user based on query parameters.
  *
  * @param {SearchQueryInput} query - The query parameters for filtering user.
- * @returns {Promise<Partial<IUser>[]>} - The retrieved user
- */
-const getManyUser = async (query: SearchQueryInput): Promise<{ users: Partial<IUser>[]; totalData: number; totalPages: number }> => {
-  const { searchKey = '', showPerPage = 10, pageNo = 1 } = query;
-  // Build the search filter based on the search key
-  const searchFilter = {
-    $or: [
-      // { fieldName: { $regex: searchKey, $options: 'i' } },
-      // Add more fields as needed
-    ],
-  };
-  // Calculate the number of items to skip based on the page number
-  const skipItems = (pageNo - 1) * showPerPage;
-  // Find the total count of matching user
-  const totalData = await UserModel.countDocuments(searchFilter);
-  // Calculate the total number of pages
-  const totalPages = Math.ceil(totalData / showPerPage);
-  // Find users based on the search filter with pagination
-  const users = await UserModel.find(searchFilter)
-    .skip(skipItems)
-    .limit(showPerPage)
-    .select(''); // Keep/Exclude any field if needed
-  return { users, totalData, totalPages };
+ * @returns {Promise<{ users: Partial<IUser>[] } & PaginationResult>} - The retrieved users with page or cursor details
+ */
+const getManyUser = async (query: SearchQueryInput): Promise<{ users: Partial<IUser>[] } & PaginationResult> => {
+  // Build the search filter, sort and projection from the query (whitelisted against the schema)
+  const listQuery = BuildListQuery(UserModel, query, {
+    searchFields: ['name', 'email'],
+  });
+  // Find users in page or cursor mode, as requested
+  const { docs: users, ...pagination } = await Paginate(UserModel, listQuery, query);
+  return { users, ...pagination };
+};
+
+/**
+ * Service function to export the users matching the query as a file.
+ *
+ * @param {ExportQueryInput} query - The format of the file and the list filters.
+ * @returns {Promise<Readable>} - The content of the file, streamed from the database.
+ */
+const exportUser = async ({ format, ...query }: ExportQueryInput): Promise<Readable> => {
+  // Same filters, search and sort as get-user/many
+  const listQuery = BuildListQuery(UserModel, query, {
+    searchFields: ['name', 'email'],
+  });
+  return exportDocuments(UserModel, listQuery, format);
+};
+
+/**
+ * Service function to retrieve the users in the trash based on query parameters.
+ *
+ * @param {SearchQueryInput} query - The query parameters for filtering user.
+ * @returns {Promise<{ users: Partial<IUser>[] } & PaginationResult>} - The deleted users with page or cursor details
+ */
+const getTrashUser = async (query: SearchQueryInput): Promise<{ users: Partial<IUser>[] } & PaginationResult> => {
+  // Most recently deleted first unless another sort is requested
+  const listQuery = BuildListQuery(UserModel, query, {
+    searchFields: ['name', 'email'],
+    defaultSort: { deletedAt: -1 },
+  });
+  // Naming deletedAt in the filter lets the soft-delete plugin return deleted users
+  const filter = { ...listQuery.filter, deletedAt: { $ne: null } };
+  const { docs: users, ...pagination } = await Paginate(UserModel, { ...listQuery, filter }, query);
+  return { users, ...pagination };
+};
+
+/**
+ * Service function to retrieve the audit trail of a single user.
+ *
+ * @param {IdOrIdsInput['id']} id - The ID of the user.
+ * @param {SearchQueryInput} query - The query parameters for filtering entries.
+ * @returns {Promise<{ history: IAudit[] } & PaginationResult>} - The changes made to the user, newest first
+ */
+const getUserHistory = async (id: IdOrIdsInput['id'], query: SearchQueryInput): Promise<{ history: IAudit[] } & PaginationResult> => {
+  return auditServices.getDocumentHistory('user', id, query);
 };
 
 export const userServices = {
   createUser,
   createManyUser,
+  createManyUserPartial,
+  importUser,
   updateUser,
   updateManyUser,
+  updateManyUserPartial,
   deleteUser,
   deleteManyUser,
+  deleteManyUserPartial,
   getUserById,
   getManyUser,
+  exportUser,
+  restoreUser,
+  restoreManyUser,
+  purgeUser,
+  purgeManyUser,
+  getTrashUser,
+  getUserHistory,
 };
\ No newline at end of file
@@ -0,0 +1,578 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  createTestToken,
+  request,
+  resetDatabase,
+  startTestApp,
+  stopTestApp,
+  TestBulkResult,
+  TestDocument,
+} from '../../tests/test-harness';
+
+/**
+ * Integration tests of the user routes, run with `npm test`.
+ *
+ * The module is only reached over HTTP: importing its files here would read the
+ * configuration before the harness has set it up.
+ */
+
+const BASE = '/api/v1/user';
+
+// Lists only the users created by a test, leaving out the admin behind `token`
+const LIST = `${BASE}/get-user/many?filter[role]=user`;
+
+// A page of get-user/many
+interface UserPage {
+  users: TestDocument[];
+  totalData: number;
+  totalPages: number;
+}
+
+// The report of import-user
+interface ImportReport {
+  dryRun: boolean;
+  total: number;
+  valid: number;
+  inserted: number;
+  failed: number;
+  errors: { row: number; field: string; message: string }[];
+  omittedErrors: number;
+}
+
+// A form sending a file to import-user
+const importForm = (name: string, content: string) => {
+  const form = new FormData();
+  form.append('file', new Blob([content]), name);
+  return form;
+};
+
+// NDJSON content, one record per line
+const toNdjson = (records: object[]) => records.map((record) => JSON.stringify(record)).join('\n');
+
+// A valid user, with a different email for each n
+const sampleUser = (n: number) => ({
+  name: `User ${n}`,
+  email: `user-${n}@example.com`,
+  password: `password-${n}`,
+});
+
+describe('user routes', () => {
+  let token: string;
+
+  // Creates a user through the API and returns it
+  const createUser = async (n: number) => {
+    const { status, body } = await request<TestDocument>('POST', `${BASE}/create-user`, {
+      token,
+      body: sampleUser(n),
+    });
+    assert.equal(status, 201);
+    return body.data;
+  };
+
+  before(startTestApp);
+  after(stopTestApp);
+  beforeEach(async () => {
+    await resetDatabase();
+    token = await createTestToken();
+  });
+
+  describe('POST /create-user', () => {
+    it('creates a user without exposing the password', async () => {
+      const { status, headers, body } = await request<TestDocument>('POST', `${BASE}/create-user`, {
+        token,
+        body: sampleUser(1),
+      });
+      assert.equal(status, 201);
+      assert.ok(body.data._id);
+      assert.equal(body.data.email, 'user-1@example.com');
+      assert.equal(body.data.password, undefined);
+      assert.equal(headers.get('etag'), '"0"');
+    });
+
+    it('rejects a user without an email', async () => {
+      const { status, body } = await request('POST', `${BASE}/create-user`, {
+        token,
+        body: { ...sampleUser(1), email: undefined },
+      });
+      assert.equal(status, 400);
+      assert.ok(body.errors?.some((error) => error.field === 'email'));
+    });
+
+    it('rejects a short password', async () => {
+      const { status, body } = await request('POST', `${BASE}/create-user`, {
+        token,
+        body: { ...sampleUser(1), password: 'short' },
+      });
+      assert.equal(status, 400);
+      assert.ok(body.errors?.some((error) => error.field === 'password'));
+    });
+
+    it('requires authentication', async () => {
+      const { status } = await request('POST', `${BASE}/create-user`, { body: sampleUser(1) });
+      assert.equal(status, 401);
+    });
+
+    it('requires the user:create permission', async () => {
+      const { status } = await request('POST', `${BASE}/create-user`, {
+        token: await createTestToken('user'),
+        body: sampleUser(1),
+      });
+      assert.equal(status, 403);
+    });
+
+    it('rejects a duplicate email', async () => {
+      await createUser(1);
+      const { status } = await request('POST', `${BASE}/create-user`, {
+        token,
+        body: sampleUser(1),
+      });
+      assert.equal(status, 409);
+    });
+  });
+
+  describe('POST /create-user/many', () => {
+    it('creates several users', async () => {
+      const { status, body } = await request<TestDocument[]>('POST', `${BASE}/create-user/many`, {
+        token,
+        body: [sampleUser(1), sampleUser(2)],
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.length, 2);
+    });
+
+    it('rejects an empty list', async () => {
+      const { status } = await request('POST', `${BASE}/create-user/many`, { token, body: [] });
+      assert.equal(status, 400);
+    });
+
+    it('creates none of the users if one fails', async () => {
+      const { status } = await request('POST', `${BASE}/create-user/many`, {
+        token,
+        body: [sampleUser(1), sampleUser(2), sampleUser(1)],
+      });
+      assert.equal(status, 409);
+      const { body } = await request<UserPage>('GET', LIST, { token });
+      assert.equal(body.data.users.length, 0);
+    });
+
+    it('reports the outcome of each item with ?mode=partial', async () => {
+      const { status, body } = await request<TestBulkResult[]>(
+        'POST',
+        `${BASE}/create-user/many?mode=partial`,
+        { token, body: [sampleUser(1), { ...sampleUser(2), password: 'short' }, sampleUser(1)] }
+      );
+      assert.equal(status, 201);
+      assert.deepEqual(
+        body.data.map((result) => result.status),
+        ['ok', 'validation_error', 'conflict']
+      );
+    });
+  });
+
+  describe('PUT /update-user/:id', () => {
+    it('updates a user', async () => {
+      const user = await createUser(1);
+      const { status, headers, body } = await request<TestDocument>(
+        'PUT',
+        `${BASE}/update-user/${user._id}`,
+        { token, body: { name: 'Renamed' } }
+      );
+      assert.equal(status, 200);
+      assert.equal(body.data.name, 'Renamed');
+      assert.equal(headers.get('etag'), '"1"');
+    });
+
+    it('rejects unknown fields', async () => {
+      const user = await createUser(1);
+      const { status } = await request('PUT', `${BASE}/update-user/${user._id}`, {
+        token,
+        body: { unknownField: true },
+      });
+      assert.equal(status, 400);
+    });
+
+    it('rejects a stale If-Match version', async () => {
+      const user = await createUser(1);
+      const { status } = await request('PUT', `${BASE}/update-user/${user._id}`, {
+        token,
+        body: { name: 'Renamed' },
+        headers: { 'If-Match': '"5"' },
+      });
+      assert.equal(status, 412);
+    });
+
+    it('answers 404 for a missing user', async () => {
+      const { status } = await request('PUT', `${BASE}/update-user/000000000000000000000000`, {
+        token,
+        body: { name: 'Renamed' },
+      });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('PUT /update-user/many', () => {
+    it('updates several users', async () => {
+      const first = await createUser(1);
+      const second = await createUser(2);
+      const { status, body } = await request<TestDocument[]>('PUT', `${BASE}/update-user/many`, {
+        token,
+        body: [
+          { id: first._id, name: 'First' },
+          { id: second._id, name: 'Second' },
+        ],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map((user) => user.name).sort(), ['First', 'Second']);
+    });
+
+    it('rejects items without a valid id', async () => {
+      const { status } = await request('PUT', `${BASE}/update-user/many`, {
+        token,
+        body: [{ id: 'not-an-id', name: 'Renamed' }],
+      });
+      assert.equal(status, 400);
+    });
+
+    it('updates none of the users if one is stale', async () => {
+      const first = await createUser(1);
+      const second = await createUser(2);
+      const { status } = await request('PUT', `${BASE}/update-user/many`, {
+        token,
+        body: [
+          { id: first._id, name: 'First' },
+          { id: second._id, name: 'Second', version: 5 },
+        ],
+      });
+      assert.equal(status, 412);
+      const { body } = await request<TestDocument>('GET', `${BASE}/get-user/${first._id}`, {
+        token,
+      });
+      assert.equal(body.data.name, 'User 1');
+    });
+
+    it('reports the outcome of each item with ?mode=partial', async () => {
+      const first = await createUser(1);
+      const second = await createUser(2);
+      const { status, body } = await request<TestBulkResult[]>(
+        'PUT',
+        `${BASE}/update-user/many?mode=partial`,
+        {
+          token,
+          body: [
+            { id: first._id, name: 'First' },
+            { id: '000000000000000000000000', name: 'Missing' },
+            { id: second._id, name: 'Second', version: 5 },
+            { id: 'not-an-id' },
+          ],
+        }
+      );
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.map((result) => result.status),
+        ['ok', 'not_found', 'conflict', 'validation_error']
+      );
+    });
+  });
+
+  describe('DELETE /delete-user/:id', () => {
+    it('moves a user to the trash', async () => {
+      const user = await createUser(1);
+      const deleted = await request('DELETE', `${BASE}/delete-user/${user._id}`, { token });
+      assert.equal(deleted.status, 200);
+      const { status } = await request('GET', `${BASE}/get-user/${user._id}`, { token });
+      assert.equal(status, 404);
+      const { body } = await request<UserPage>('GET', `${BASE}/get-user/trash`, { token });
+      assert.deepEqual(
+        body.data.users.map((trashed) => trashed._id),
+        [user._id]
+      );
+    });
+
+    it('answers 404 for a missing user', async () => {
+      const { status } = await request('DELETE', `${BASE}/delete-user/000000000000000000000000`, {
+        token,
+      });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('DELETE /delete-user/many', () => {
+    it('deletes several users', async () => {
+      const first = await createUser(1);
+      const second = await createUser(2);
+      const { status } = await request('DELETE', `${BASE}/delete-user/many`, {
+        token,
+        body: { ids: [first._id, second._id] },
+      });
+      assert.equal(status, 200);
+      const { body } = await request<UserPage>('GET', LIST, { token });
+      assert.equal(body.data.users.length, 0);
+    });
+
+    it('rejects invalid ids', async () => {
+      const { status } = await request('DELETE', `${BASE}/delete-user/many`, {
+        token,
+        body: { ids: ['not-an-id'] },
+      });
+      assert.equal(status, 400);
+    });
+
+    it('reports the outcome of each id with ?mode=partial', async () => {
+      const user = await createUser(1);
+      const { status, body } = await request<TestBulkResult[]>(
+        'DELETE',
+        `${BASE}/delete-user/many?mode=partial`,
+        { token, body: { ids: [user._id, '000000000000000000000000'] } }
+      );
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.map((result) => result.status),
+        ['ok', 'not_found']
+      );
+    });
+  });
+
+  describe('GET /get-user/:id', () => {
+    it('returns a user with its ETag', async () => {
+      const user = await createUser(1);
+      const { status, headers, body } = await request<TestDocument>(
+        'GET',
+        `${BASE}/get-user/${user._id}`,
+        { token }
+      );
+      assert.equal(status, 200);
+      assert.equal(body.data._id, user._id);
+      assert.equal(headers.get('etag'), '"0"');
+    });
+
+    it('answers 304 to a matching If-None-Match', async () => {
+      const user = await createUser(1);
+      const { status } = await request('GET', `${BASE}/get-user/${user._id}`, {
+        token,
+        headers: { 'If-None-Match': '"0"' },
+      });
+      assert.equal(status, 304);
+    });
+
+    it('forbids users from reading other users', async () => {
+      const user = await createUser(1);
+      const { status } = await request('GET', `${BASE}/get-user/${user._id}`, {
+        token: await createTestToken('user'),
+      });
+      assert.equal(status, 403);
+    });
+
+    it('answers 404 for a missing user', async () => {
+      const { status } = await request('GET', `${BASE}/get-user/000000000000000000000000`, {
+        token,
+      });
+      assert.equal(status, 404);
+    });
+
+    it('rejects an invalid id', async () => {
+      const { status } = await request('GET', `${BASE}/get-user/not-an-id`, { token });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('GET /get-user/many', () => {
+    it('returns a page of users', async () => {
+      await createUser(1);
+      await createUser(2);
+      await createUser(3);
+      const { status, body } = await request<UserPage>('GET', `${LIST}&pageNo=2&showPerPage=2`, {
+        token,
+      });
+      assert.equal(status, 200);
+      assert.equal(body.data.users.length, 1);
+      assert.equal(body.data.totalData, 3);
+      assert.equal(body.data.totalPages, 2);
+    });
+
+    it('never returns passwords', async () => {
+      await createUser(1);
+      const { body } = await request<UserPage>('GET', LIST, { token });
+      assert.equal(body.data.users[0].password, undefined);
+    });
+
+    it('rejects filters on hidden fields', async () => {
+      const { status } = await request('GET', `${BASE}/get-user/many?filter[password]=x`, {
+        token,
+      });
+      assert.equal(status, 400);
+    });
+
+    it('rejects invalid query parameters', async () => {
+      const { status } = await request('GET', `${BASE}/get-user/many?showPerPage=0`, { token });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('POST /import-user', () => {
+    // Sends a file to import-user and returns its report
+    const importUsers = async (name: string, content: string, query = '') => {
+      const { status, body } = await request<ImportReport>('POST', `${BASE}/import-user${query}`, {
+        token,
+        body: importForm(name, content),
+      });
+      return { status, report: body.data, message: body.message };
+    };
+
+    it('imports a CSV file, converting its cells to the types of the fields', async () => {
+      const csv = [
+        '_id,name,email,password,status,permissions',
+        'ignored,Jane,jane@example.com,password-1,inactive,"blog:read,blog:update"',
+        `ignored,'=SUM(A1),bob@example.com,password-2,,"[""blog:*""]"`,
+      ].join('\r\n');
+      const { status, report } = await importUsers('users.csv', csv);
+      assert.equal(status, 201);
+      assert.deepEqual(
+        { total: report.total, inserted: report.inserted, failed: report.failed },
+        { total: 2, inserted: 2, failed: 0 }
+      );
+
+      const { body } = await request<UserPage>('GET', `${LIST}&sort=email`, { token });
+      const [bob, jane] = body.data.users;
+      assert.equal(jane.status, 'inactive');
+      assert.deepEqual(jane.permissions, ['blog:read', 'blog:update']);
+      // The escape written by exports is removed, and empty cells take the default
+      assert.equal(bob.name, '=SUM(A1)');
+      assert.equal(bob.status, 'active');
+      assert.deepEqual(bob.permissions, ['blog:*']);
+    });
+
+    it('reports invalid rows by their position and imports the others', async () => {
+      const csv = [
+        'name,email,password',
+        'Jane,jane@example.com,password-1',
+        'Bob,not-an-email,password-2',
+        'Ann,ann@example.com',
+      ].join('\n');
+      const { status, report, message } = await importUsers('users.csv', csv);
+      assert.equal(status, 201);
+      assert.equal(message, 'Users imported with errors');
+      assert.deepEqual(report.errors, [
+        { row: 2, field: 'email', message: 'Invalid email format' },
+        { row: 3, field: '', message: 'Expected 3 cells, found 2' },
+      ]);
+      assert.equal(report.inserted, 1);
+      assert.equal(report.failed, 2);
+    });
+
+    it('rejects a CSV header naming unknown or repeated columns', async () => {
+      const { status, body } = await request('POST', `${BASE}/import-user`, {
+        token,
+        body: importForm('users.csv', 'name,email,email,password,secret\n'),
+      });
+      assert.equal(status, 400);
+      assert.deepEqual(body.errors, [
+        { field: 'secret', message: 'Unknown column' },
+        { field: 'email', message: 'Repeated column' },
+      ]);
+    });
+
+    it('stores nothing in a dry run', async () => {
+      const { status, report, message } = await importUsers(
+        'users.ndjson',
+        toNdjson([sampleUser(1), sampleUser(2)]),
+        '?dryRun=true'
+      );
+      assert.equal(status, 200);
+      assert.equal(message, 'Users checked successfully');
+      assert.deepEqual(
+        { dryRun: report.dryRun, valid: report.valid, inserted: report.inserted },
+        { dryRun: true, valid: 2, inserted: 0 }
+      );
+      const { body } = await request<UserPage>('GET', LIST, { token });
+      assert.equal(body.data.totalData, 0);
+    });
+
+    it('rejects emails repeated in the file or already stored, even in the trash', async () => {
+      await createUser(1);
+      const trashed = await createUser(2);
+      await request('DELETE', `${BASE}/delete-user/${trashed._id}`, { token });
+
+      const { report } = await importUsers(
+        'users.ndjson',
+        toNdjson([sampleUser(1), sampleUser(2), sampleUser(3), sampleUser(3)])
+      );
+      assert.deepEqual(report.errors, [
+        { row: 1, field: 'email', message: 'email already exists' },
+        { row: 2, field: 'email', message: 'email already exists' },
+        { row: 4, field: 'email', message: 'Same email as row 3' },
+      ]);
+      assert.equal(report.inserted, 1);
+    });
+
+    it('lists at most 10 problems per row', async () => {
+      const permissions = Array.from({ length: 12 }, () => 'not a permission!');
+      const { report } = await importUsers('users.ndjson', toNdjson([{ permissions }]));
+      // 12 invalid permissions, and the missing name, email and password
+      assert.equal(report.errors.length, 10);
+      assert.equal(report.omittedErrors, 5);
+      assert.equal(report.failed, 1);
+    });
+
+    it('lists at most 1000 problems in all', async () => {
+      const records = Array.from({ length: 400 }, () => ({}));
+      const { report } = await importUsers('users.ndjson', toNdjson(records));
+      // Each record lacks a name, an email and a password
+      assert.equal(report.failed, 400);
+      assert.equal(report.errors.length, 1000);
+      assert.equal(report.omittedErrors, 200);
+      assert.equal(report.errors[999].row, 334);
+    });
+
+    it('refuses other file types', async () => {
+      const { status } = await request('POST', `${BASE}/import-user`, {
+        token,
+        body: importForm('users.json', JSON.stringify([sampleUser(1)])),
+      });
+      assert.equal(status, 415);
+    });
+  });
+
+  describe('GET /export-user', () => {
+    it('exports CSV without hidden fields, escaping formulas', async () => {
+      await request('POST', `${BASE}/create-user`, {
+        token,
+        body: { ...sampleUser(1), name: '=HYPERLINK("x")' },
+      });
+      const { status, headers, text } = await request(
+        'GET',
+        `${BASE}/export-user?format=csv&filter[role]=user`,
+        { token }
+      );
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.match(headers.get('content-disposition') ?? '', /^attachment; filename="user-/);
+      const [header, row, end] = text.split('\r\n');
+      assert.ok(header.startsWith('_id,name,email,'));
+      assert.ok(!header.includes('password'));
+      assert.match(row, /^[a-f0-9]{24},"'=HYPERLINK\(""x""\)",user-1@example.com,/);
+      assert.equal(end, '');
+    });
+
+    it('exports NDJSON, one user per line', async () => {
+      await createUser(1);
+      await createUser(2);
+      const { status, headers, text } = await request(
+        'GET',
+        `${BASE}/export-user?format=ndjson&filter[role]=user&sort=-email`,
+        { token }
+      );
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'application/x-ndjson');
+      const users = text
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      assert.deepEqual(
+        users.map((user) => user.email),
+        ['user-2@example.com', 'user-1@example.com']
+      );
+      assert.equal(users[0].password, undefined);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 import { isMongoId } from 'validator';
 import { z } from 'zod';
+import { validateBulkBody } from '../../handlers/common-zod-validator';
 import { validateBody } from '../../handlers/zod-error-handler';
+import { userRoles, userStatuses } from './user.interface';
 
 /**
  * User Validation Schemas and Types
@@ -15,17 +17,33 @@ import { validateBody } from '../../handlers/zod-error-handler';
  */
 
 /**
- * Zod schema for validating data when **creating** a single user.
+ * Zod schema for a single permission string such as `user:update` or `blog:*`.
+ */
+const zodPermissionSchema = z
+  .string()
+  .regex(/^(\*|[a-z0-9-]+(:[a-z0-9-]+)*(:\*)?)$/i, { message: 'Invalid permission format' });
+
+/**
+ * Zod schema for validating data when **creating** a single user, also used for
+ * each record of an import.
  * 
  * → Add all **required** fields here
  */
-const zodCreateUserSchema = z
+export const zodCreateUserSchema = z
   .object({
-    // Example fields — replace / expand as needed:
-    // name: z.string({ message: 'User name is required' }).min(2, 'Name must be at least 2 characters').max(100),
-    // email: z.string().email({ message: 'Invalid email format' }),
-    // age: z.number().int().positive().optional(),
-    // status: z.enum(['active', 'inactive', 'pending']).default('pending'),
+    name: z
+      .string({ message: 'User name is required' })
+      .trim()
+      .min(2, 'Name must be at least 2 characters')
+      .max(100),
+    email: z.email({ message: 'Invalid email format' }).toLowerCase(),
+    password: z
+      .string({ message: 'Password is required' })
+      .min(8, 'Password must be at least 8 characters')
+      .max(128),
+    status: z.enum(userStatuses).default('active'),
+    role: z.enum(userRoles).default('user'),
+    permissions: z.array(zodPermissionSchema).default([]),
   })
   .strict();
 
@@ -47,25 +65,31 @@ export type CreateManyUserInput = z.infer<typeof zodCreateManyUserSchema>;
  */
 const zodUpdateUserSchema = z
   .object({
-    // Example fields — replace / expand as needed:
-    // name: z.string().min(2, 'Name must be at least 2 characters').max(100).optional(),
-    // email: z.string().email({ message: 'Invalid email format' }).optional(),
-    // age: z.number().int().positive().optional(),
-    // status: z.enum(['active', 'inactive', 'pending']).optional(),
+    name: z.string().trim().min(2, 'Name must be at least 2 characters').max(100).optional(),
+    email: z.email({ message: 'Invalid email format' }).toLowerCase().optional(),
+    password: z.string().min(8, 'Password must be at least 8 characters').max(128).optional(),
+    status: z.enum(userStatuses).optional(),
+    role: z.enum(userRoles).optional(),
+    permissions: z.array(zodPermissionSchema).optional(),
   })
   .strict();
 
 export type UpdateUserInput = z.infer<typeof zodUpdateUserSchema>;
 
 /**
- * Zod schema for validating bulk updates (array of partial user objects).
+ * Zod schema for validating one item of a bulk update, also used on its own by
+ * `?mode=partial`.
  */
-const zodUpdateManyUserForBulkSchema = zodUpdateUserSchema
+export const zodUpdateManyUserForBulkSchema = zodUpdateUserSchema
   .extend({
     id: z.string().refine(isMongoId, { message: 'Please provide a valid MongoDB ObjectId' }),
+    // Expected version (__v) of the user; the batch fails with 412 if it changed (the item
+    // with `conflict` in partial mode)
+    version: z.number().int().nonnegative().optional(),
   })
-  .refine((data) => Object.keys(data).length > 1, {
-    message: 'At least one field to update must be provided',
+  // An item holding only `version` checks the version, and bumps it, without changing fields
+  .refine((data) => Object.keys(data).some((key) => key !== 'id'), {
+    message: 'At least one field to update, or the expected version, must be provided',
   });
 
 /**
@@ -81,6 +105,6 @@ export type UpdateManyUserInput = z.infer<typeof zodUpdateManyUserSchema>;
  * Named validators — use these directly in your Express routes
  */
 export const validateCreateUser = validateBody(zodCreateUserSchema);
-export const validateCreateManyUser = validateBody(zodCreateManyUserSchema);
+export const validateCreateManyUser = validateBulkBody(zodCreateManyUserSchema);
 export const validateUpdateUser = validateBody(zodUpdateUserSchema);
-export const validateUpdateManyUser = validateBody(zodUpdateManyUserSchema);
\ No newline at end of file
+export const validateUpdateManyUser = validateBulkBody(zodUpdateManyUserSchema);
\ No newline at end of file
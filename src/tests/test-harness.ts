@@ -0,0 +1,242 @@
+import { Server } from 'http';
+import type { MongoMemoryReplSet } from 'mongodb-memory-server';
+import mongoose from 'mongoose';
+import { AddressInfo } from 'net';
+import type { TUserRole } from '../modules/user/user.interface';
+
+/**
+ * Harness for integration tests: boots the Express app against a throwaway MongoDB and
+ * sends real HTTP requests to it.
+ *
+ * The database is `MONGODB_TEST_URI` when set (e.g. a local mongod), otherwise an
+ * in-memory single-node replica set started for the test file, so bulk writes run in
+ * transactions as in production. Each test process uses its own database,
+ * which is emptied by `resetDatabase` and dropped by `stopTestApp`.
+ */
+
+// Defaults for the settings the configuration requires, unless set in the environment
+const testDefaults: Record<string, string> = {
+  BASE_URL: 'http://localhost',
+  JWT_SECRET: 'integration-test-secret',
+  LOG_SINKS: 'console',
+  LOG_LEVEL: 'error',
+};
+
+/**
+ * The parsed JSON envelope of a response, with `data` of the type given to `request`.
+ */
+export interface TestResponseBody<T = unknown> {
+  message: string;
+  status: boolean;
+  statusCode: number;
+  // Undefined on error responses
+  data: T;
+  errors?: { field: string; message: string }[];
+}
+
+export interface TestResponse<T = unknown> {
+  status: number;
+  headers: Headers;
+  body: TestResponseBody<T>;
+  // The raw body, e.g. of an export
+  text: string;
+}
+
+interface RequestOptions {
+  // Sent as JSON, or as multipart/form-data when a FormData
+  body?: unknown;
+  // Sent as `Authorization: Bearer <token>`
+  token?: string;
+  headers?: Record<string, string>;
+}
+
+/**
+ * A document as serialized in responses.
+ */
+export interface TestDocument {
+  _id: string;
+  [field: string]: unknown;
+}
+
+/**
+ * The outcome of an item of a `?mode=partial` bulk request.
+ */
+export interface TestBulkResult {
+  index: number;
+  status: string;
+  message?: string;
+}
+
+let mongo: MongoMemoryReplSet | undefined;
+let server: Server | undefined;
+let baseUrl = '';
+
+/**
+ * Starts an in-memory MongoDB replica set of one node, downloading its binary on first use.
+ *
+ * @returns {Promise<string>} - Its connection URI.
+ */
+const startMemoryServer = async (): Promise<string> => {
+  const { MongoMemoryReplSet } = await import('mongodb-memory-server');
+  // Transactions need a replica set and the WiredTiger storage engine
+  mongo = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  return mongo.getUri();
+};
+
+/**
+ * Starts MongoDB if needed, connects to it and serves the app on a random local port.
+ *
+ * Call it in a `before` hook; the app is imported here, once the test settings are in
+ * place, so test files must not import modules reading the configuration themselves.
+ *
+ * @returns {Promise<void>}
+ */
+export const startTestApp = async (): Promise<void> => {
+  const uri = process.env.MONGODB_TEST_URI || (await startMemoryServer());
+
+  // Never let tests reach the development database, send real emails or store files
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_CONNECTION_URI: uri,
+    EMAIL_TRANSPORT: 'memory',
+    STORAGE_DRIVER: 'memory',
+  });
+  for (const [key, value] of Object.entries(testDefaults)) {
+    process.env[key] ??= value;
+  }
+
+  const { default: app } = await import('../app');
+  await mongoose.connect(uri, { dbName: `test-${process.pid}` });
+
+  server = app.listen(0);
+  await new Promise<void>((resolve) => server!.once('listening', () => resolve()));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+};
+
+/**
+ * Stops the server, drops the test database and stops the in-memory MongoDB.
+ *
+ * @returns {Promise<void>}
+ */
+export const stopTestApp = async (): Promise<void> => {
+  if (server) {
+    server.closeAllConnections();
+    await new Promise<void>((resolve) => server!.close(() => resolve()));
+    server = undefined;
+  }
+  if (mongoose.connection.db) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  await mongo?.stop();
+  mongo = undefined;
+};
+
+/**
+ * Empties every collection of the test database and the rate-limit counts, e.g. in a
+ * `beforeEach` hook, so tests sending requests from the same address do not add up.
+ *
+ * @returns {Promise<void>}
+ */
+export const resetDatabase = async (): Promise<void> => {
+  const { getRateLimitStore } = await import('../utils/rate-limit/rate-limit-store');
+  const collections = await mongoose.connection.db!.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+  await getRateLimitStore().clear();
+};
+
+/**
+ * Creates an active user with a session and returns an access token for it.
+ *
+ * @param role - The role of the user; admins hold every permission.
+ * @param permissions - Extra permissions granted on top of the role.
+ * @returns {Promise<string>} - The access token, to pass as `token` to `request`.
+ */
+export const createTestToken = async (
+  role: TUserRole = 'admin',
+  permissions: string[] = []
+): Promise<string> => {
+  const { default: UserModel } = await import('../modules/user/user.model');
+  const { sessionServices } = await import('../modules/session/session.service');
+  const { default: EncodeToken } = await import('../utils/jwt/encode-token');
+
+  const user = await UserModel.create({
+    name: `Test ${role}`,
+    email: `${role}-${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'not-used-by-tokens',
+    status: 'active',
+    role,
+    permissions,
+  });
+  const { session } = await sessionServices.createSession(String(user._id), {
+    userAgent: 'test-harness',
+  });
+  return EncodeToken(user.email, String(user._id), String(session._id));
+};
+
+/**
+ * Inserts bare documents of a model for ref fields to point at, e.g. `createTestReferences('User')`.
+ *
+ * Validation is skipped, so only the IDs and the given fields are meaningful; fields of
+ * unique indexes get distinct placeholder values.
+ *
+ * @param modelName - The name of the referenced model.
+ * @param count - The number of documents to insert.
+ * @param fields - Values set on every document, e.g. `{ extension: 'png', size: 1 }` for uploads.
+ * @returns {Promise<string[]>} - The IDs of the documents.
+ */
+export const createTestReferences = async (
+  modelName: string,
+  count = 1,
+  fields: Record<string, unknown> = {}
+): Promise<string[]> => {
+  const model = mongoose.model(modelName);
+  const uniquePaths = model.schema
+    .indexes()
+    .filter(([, options]) => options?.unique)
+    .flatMap(([fields]) => Object.keys(fields));
+  const docs = Array.from({ length: count }, () => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      ...fields,
+      ...Object.fromEntries(uniquePaths.map((path) => [path, `${path}-${_id}`])),
+    };
+  });
+  await model.collection.insertMany(docs);
+  return docs.map((doc) => String(doc._id));
+};
+
+/**
+ * Sends a request to the app started by `startTestApp`, e.g.
+ * `request<TestDocument>('GET', '/api/v1/user/get-user/<id>', { token })`.
+ *
+ * @param method - The HTTP method.
+ * @param path - The path, e.g. `/api/v1/blog/get-blog/many?pageNo=1`.
+ * @param options - JSON or form body, access token and extra headers.
+ * @returns {Promise<TestResponse>} - The status, headers, parsed JSON body and raw body.
+ */
+export const request = async <T = unknown>(
+  method: string,
+  path: string,
+  options: RequestOptions = {}
+): Promise<TestResponse<T>> => {
+  const { body, token, headers = {} } = options;
+  // fetch sets the multipart Content-Type, with its boundary, itself
+  const isForm = body instanceof FormData;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && !isForm && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : isForm ? body : JSON.stringify(body),
+  });
+  const text = await response.text();
+  const isJson = response.headers.get('content-type')?.startsWith('application/json');
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: text && isJson ? JSON.parse(text) : {},
+    text,
+  };
+};
@@ -0,0 +1,87 @@
+import { Response } from 'express';
+import { normalizeError } from '../../handlers/global-error-handler';
+import { ErrorDetail } from '../../helpers/errors/app-error';
+import ServerResponse from '../../helpers/responses/custom-response';
+import { runInTransaction } from '../database/transaction';
+
+/**
+ * How a bulk route applies its items: all or nothing (`atomic`), or each on its own,
+ * reporting the outcome of every item (`partial`).
+ */
+export const bulkModes = ['atomic', 'partial'] as const;
+export type TBulkMode = (typeof bulkModes)[number];
+
+/**
+ * Outcome of an item of a partial bulk request.
+ */
+export const bulkItemStatuses = ['ok', 'not_found', 'conflict', 'validation_error'] as const;
+export type TBulkItemStatus = (typeof bulkItemStatuses)[number];
+
+export interface BulkItemResult<T> {
+  // Position of the item in the request body
+  index: number;
+  status: TBulkItemStatus;
+  // The stored document, if the item was applied
+  data?: T;
+  message?: string;
+  errors?: ErrorDetail[];
+}
+
+// Status of the item failing with an error answered with this HTTP status
+const itemStatuses: Record<number, TBulkItemStatus> = {
+  400: 'validation_error',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'conflict',
+};
+
+/**
+ * Applies the items of a bulk request one after the other, each in its own transaction,
+ * and reports how each went instead of failing the whole request.
+ *
+ * Items see the changes of the items before them, so two items taking the same unique
+ * value fail the second. Validation errors (400), missing documents (404), conflicts
+ * (409) and stale versions (412) fail their item only; any other error stops the request,
+ * keeping the items already applied.
+ *
+ * @param items - The items of the request body.
+ * @param apply - Applies one item, resolving to the stored document.
+ * @returns One result per item, in order.
+ */
+export const runPartialBulk = async <I, T>(
+  items: I[],
+  apply: (item: I) => Promise<T>
+): Promise<BulkItemResult<T>[]> => {
+  const results: BulkItemResult<T>[] = [];
+  for (const [index, item] of items.entries()) {
+    try {
+      const data = await runInTransaction(() => apply(item));
+      results.push({ index, status: 'ok', data });
+    } catch (error) {
+      const normalized = normalizeError(error);
+      const status = normalized && itemStatuses[normalized.statusCode];
+      if (!status) throw error;
+      results.push({ index, status, message: normalized.message, errors: normalized.errors });
+    }
+  }
+  return results;
+};
+
+/**
+ * Sends the results of a partial bulk request, with `status` true even if items failed.
+ *
+ * @param res - The response object.
+ * @param results - The results from `runPartialBulk`.
+ * @param action - What was done, e.g. `Users created`, completed with how it went.
+ * @param statusCode - The status when at least one item was applied; 200 otherwise.
+ */
+export const sendBulkResults = <T>(
+  res: Response,
+  results: BulkItemResult<T>[],
+  action: string,
+  statusCode: number = 200
+): void => {
+  const applied = results.filter((result) => result.status === 'ok').length;
+  const outcome = applied === results.length ? 'successfully' : 'with errors';
+  ServerResponse(res, true, applied ? statusCode : 200, `${action} ${outcome}`, results);
+};
@@ -0,0 +1,78 @@
+import config from '../../config/config';
+
+/**
+ * A pluggable key-value store backing the response cache.
+ *
+ * Values are strings so any store, e.g. Redis, can hold them. `ttl` is in seconds; without
+ * it the value lives until it is deleted or evicted.
+ */
+export interface CacheStore {
+  name: string;
+  get: (key: string) => Promise<string | undefined>;
+  set: (key: string, value: string, ttl?: number) => Promise<void>;
+  delete: (key: string) => Promise<void>;
+  clear: () => Promise<void>;
+  close?: () => void;
+}
+
+/**
+ * Creates a store keeping entries in process memory, evicting the least recently used
+ * entry once `maxEntries` is reached.
+ *
+ * @param {number} maxEntries - The maximum number of entries (defaults to `WEB_CACHE_MAX_ENTRIES`).
+ * @returns {CacheStore} - The in-memory store.
+ */
+export const createMemoryStore = (
+  maxEntries: number = config.WEB_CACHE_MAX_ENTRIES
+): CacheStore => {
+  // A Map iterates in insertion order, so re-inserting on access keeps the oldest entry first
+  const entries = new Map<string, { value: string; expiresAt: number }>();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttl) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : Infinity });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value as string);
+      }
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    clear: async () => {
+      entries.clear();
+    },
+  };
+};
+
+// Lazily created store shared by the whole process
+let activeStore: CacheStore | null = null;
+
+/**
+ * Returns the store of the response cache, creating the in-memory store on first use.
+ *
+ * @returns {CacheStore} - The active store.
+ */
+export const getCacheStore = (): CacheStore => {
+  if (!activeStore) activeStore = createMemoryStore();
+  return activeStore;
+};
+
+/**
+ * Replaces the active store, e.g. with a Redis adapter shared by several instances.
+ *
+ * @param {CacheStore} store - The store to use from now on.
+ */
+export const setCacheStore = (store: CacheStore): void => {
+  activeStore?.close?.();
+  activeStore = store;
+};
@@ -0,0 +1,61 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { TUserRole } from '../../modules/user/user.interface';
+
+/**
+ * The authenticated user as known to the current request.
+ */
+export interface TContextUser {
+  email: string;
+  _id: string;
+  sid: string;
+  // Populated by the `authorize` middleware
+  role?: TUserRole;
+  permissions?: string[];
+  access?: 'any' | 'own';
+}
+
+/**
+ * Data available to any code running on behalf of a request.
+ */
+export interface TRequestContext {
+  requestId: string;
+  user?: TContextUser;
+}
+
+// Storage following the request through every callback and awaited promise
+const storage = new AsyncLocalStorage<TRequestContext>();
+
+/**
+ * Runs a function, and everything it schedules, inside a request context.
+ *
+ * @param context - The context to expose.
+ * @param fn - The function to run.
+ * @returns The return value of `fn`.
+ */
+export const runWithRequestContext = <T>(context: TRequestContext, fn: () => T): T =>
+  storage.run(context, fn);
+
+/**
+ * @returns The context of the request being handled, or undefined outside a request.
+ */
+export const getRequestContext = (): TRequestContext | undefined => storage.getStore();
+
+/**
+ * @returns The ID of the request being handled, or undefined outside a request.
+ */
+export const getRequestId = (): string | undefined => storage.getStore()?.requestId;
+
+/**
+ * @returns The authenticated user of the request being handled, if any.
+ */
+export const getContextUser = (): TContextUser | undefined => storage.getStore()?.user;
+
+/**
+ * Records the authenticated user on the current request context.
+ *
+ * @param user - The user; the same object as `req.user`, so later changes are visible too.
+ */
+export const setContextUser = (user: TContextUser): void => {
+  const context = storage.getStore();
+  if (context) context.user = user;
+};
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+/**
+ * Generates a cryptographically secure, URL-safe random token.
+ *
+ * @param {number} bytes - The number of random bytes to use (defaults to 48).
+ * @returns {string} - The base64url encoded token.
+ */
+const GenerateToken = (bytes: number = 48): string => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+export default GenerateToken;
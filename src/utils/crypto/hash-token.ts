@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+/**
+ * Hashes an opaque token with SHA-256 so it can be stored and looked up safely.
+ *
+ * Unlike `HashInfo`, the result is deterministic, which allows querying by hash.
+ *
+ * @param {string} token - The plain token to hash.
+ * @returns {string} - The hex encoded SHA-256 digest.
+ */
+const HashToken = (token: string): string => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+export default HashToken;
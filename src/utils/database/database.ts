@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import config from '../../config/config';
+import logger from '../logger/logger';
+
+const log = logger.child({ module: 'database' });
+
+// Longest wait between two connection attempts
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// A ping slower than this marks the database as down
+const PING_TIMEOUT = 2000;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+interface ConnectOptions {
+  // Attempts after the first one (defaults to `DB_CONNECT_RETRIES`)
+  retries?: number;
+  // Wait before the first retry, doubled after each failure (defaults to `DB_CONNECT_RETRY_DELAY`)
+  delay?: number;
+}
+
+/**
+ * Connects to MongoDB, retrying with exponential backoff.
+ *
+ * @param {ConnectOptions} options - Number of retries and initial delay.
+ * @returns {Promise<void>} - Resolves once connected.
+ * @throws - The last connection error once every retry failed.
+ */
+export const connectDatabase = async (options: ConnectOptions = {}): Promise<void> => {
+  const { retries = config.DB_CONNECT_RETRIES, delay = config.DB_CONNECT_RETRY_DELAY } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await mongoose.connect(config.DB_CONNECTION_URI);
+      log.info('Connected to MongoDB', { attempt });
+      return;
+    } catch (error) {
+      if (attempt > retries) throw error;
+      const retryIn = Math.min(delay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+      log.warn('Failed to connect to MongoDB, retrying', { attempt, retryIn, error });
+      await sleep(retryIn);
+    }
+  }
+};
+
+/**
+ * Closes the MongoDB connection, letting running operations finish.
+ *
+ * @returns {Promise<void>}
+ */
+export const disconnectDatabase = async (): Promise<void> => {
+  await mongoose.disconnect();
+  log.info('Disconnected from MongoDB');
+};
+
+/**
+ * Checks that MongoDB is connected and answers a ping in time.
+ *
+ * @returns {Promise<boolean>} - `true` if the database is usable.
+ */
+export const isDatabaseUp = async (): Promise<boolean> => {
+  const { db, readyState } = mongoose.connection;
+  if (readyState !== mongoose.ConnectionStates.connected || !db) return false;
+  let timer: NodeJS.Timeout | undefined;
+  try {
+    await Promise.race([
+      db.admin().ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Ping timed out')), PING_TIMEOUT);
+      }),
+    ]);
+    return true;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
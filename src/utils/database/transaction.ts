@@ -0,0 +1,69 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import logger from '../logger/logger';
+
+const log = logger.child({ module: 'database' });
+
+// Queries and writes made inside `runInTransaction` use its session without passing it
+mongoose.set('transactionAsyncLocalStorage', true);
+
+type THook = () => Promise<void>;
+
+// Work waiting for the transaction being run to commit
+const pendingHooks = new AsyncLocalStorage<THook[]>();
+
+// Whether the server runs transactions, asked once
+let supported: boolean | undefined;
+
+/**
+ * Tells whether MongoDB can run transactions: replica set members and mongos can,
+ * standalone servers cannot.
+ */
+const supportsTransactions = async (): Promise<boolean> => {
+  if (supported === undefined) {
+    const hello = await mongoose.connection.db!.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    if (!supported) {
+      log.warn('MongoDB is a standalone server; bulk writes run without transactions');
+    }
+  }
+  return supported;
+};
+
+/**
+ * Runs a function inside a MongoDB transaction: every write it makes is applied, or
+ * none is.
+ *
+ * Mongoose passes the session to the queries by itself. The function may run more than
+ * once, when the transaction is retried after a transient error, so it must not have
+ * side effects outside the database; defer those with `afterCommit`. Calls made inside
+ * a transaction join it. On a standalone server, which has no transactions, the
+ * function simply runs.
+ *
+ * @param fn - The work to run.
+ * @returns The return value of `fn`, once committed.
+ * @throws - The error thrown by `fn`, after rolling back its writes.
+ */
+export const runInTransaction = async <T>(fn: () => Promise<T>): Promise<T> => {
+  if (pendingHooks.getStore() || !(await supportsTransactions())) return fn();
+  let hooks: THook[] = [];
+  const result = await mongoose.connection.transaction(() => {
+    // A retried attempt starts over
+    hooks = [];
+    return pendingHooks.run(hooks, fn);
+  });
+  for (const hook of hooks) await hook();
+  return result;
+};
+
+/**
+ * Runs work once the transaction around the caller commits, and never if it rolls
+ * back. Outside a transaction, the work runs right away.
+ *
+ * @param hook - The work, e.g. writing the audit trail.
+ */
+export const afterCommit = async (hook: THook): Promise<void> => {
+  const hooks = pendingHooks.getStore();
+  if (hooks) hooks.push(hook);
+  else await hook();
+};
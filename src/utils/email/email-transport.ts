@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer, { Transporter } from 'nodemailer';
+import config from '../../config/config';
+
+// Define a fully rendered message ready to be delivered
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html: string;
+}
+
+/**
+ * A pluggable email delivery mechanism.
+ *
+ * `send` must reject when the message could not be delivered so the outbox can retry it.
+ */
+export interface EmailTransport {
+  name: string;
+  send: (message: EmailMessage) => Promise<void>;
+  close?: () => void;
+}
+
+/**
+ * Messages delivered through the `memory` transport, oldest first.
+ * Tests can read and clear this array to assert on outgoing mail.
+ */
+export const memoryOutbox: EmailMessage[] = [];
+
+/**
+ * Creates a transport that delivers through SMTP using a pooled connection.
+ *
+ * TLS and `secure` settings come from `EMAIL_SECURE` and `EMAIL_TLS_REJECT_UNAUTHORIZED`.
+ *
+ * @returns {EmailTransport} - The SMTP transport.
+ */
+export const createSmtpTransport = (): EmailTransport => {
+  const transporter: Transporter = nodemailer.createTransport({
+    pool: true,
+    host: config.EMAIL_HOST,
+    port: config.EMAIL_PORT,
+    secure: config.EMAIL_SECURE,
+    auth: {
+      user: config.EMAIL_USER,
+      pass: config.EMAIL_PASSWORD,
+    },
+    tls: {
+      rejectUnauthorized: config.EMAIL_TLS_REJECT_UNAUTHORIZED,
+    },
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      await transporter.sendMail({ from: config.EMAIL_FROM, ...message });
+    },
+    close: () => transporter.close(),
+  };
+};
+
+/**
+ * Creates a transport that writes every message as a JSON file, for development.
+ *
+ * @param {string} dir - The directory to write messages to (defaults to `EMAIL_FILE_DIR`).
+ * @returns {EmailTransport} - The file transport.
+ */
+export const createFileTransport = (dir: string = config.EMAIL_FILE_DIR): EmailTransport => {
+  const transporter: Transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail({ from: config.EMAIL_FROM, ...message });
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.json`;
+      await fs.writeFile(path.join(dir, fileName), info.message.toString());
+    },
+  };
+};
+
+/**
+ * Creates a transport that keeps messages in `memoryOutbox`, for tests.
+ *
+ * @returns {EmailTransport} - The in-memory transport.
+ */
+export const createMemoryTransport = (): EmailTransport => ({
+  name: 'memory',
+  send: async (message) => {
+    memoryOutbox.push(message);
+  },
+});
+
+// Lazily created transport shared by the whole process
+let activeTransport: EmailTransport | null = null;
+
+/**
+ * Returns the transport selected by `EMAIL_TRANSPORT`, creating it on first use.
+ *
+ * @returns {EmailTransport} - The active transport.
+ */
+export const getEmailTransport = (): EmailTransport => {
+  if (!activeTransport) {
+    switch (config.EMAIL_TRANSPORT) {
+      case 'memory':
+        activeTransport = createMemoryTransport();
+        break;
+      case 'file':
+        activeTransport = createFileTransport();
+        break;
+      default:
+        activeTransport = createSmtpTransport();
+    }
+  }
+  return activeTransport;
+};
+
+/**
+ * Replaces the active transport, e.g. with a custom provider or a test double.
+ *
+ * @param {EmailTransport} transport - The transport to use from now on.
+ */
+export const setEmailTransport = (transport: EmailTransport): void => {
+  activeTransport?.close?.();
+  activeTransport = transport;
+};
+
+/**
+ * Closes the active transport (and its SMTP pool, if any).
+ */
+export const closeEmailTransport = (): void => {
+  activeTransport?.close?.();
+  activeTransport = null;
+};
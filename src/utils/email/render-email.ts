@@ -0,0 +1,93 @@
+import config from '../../config/config';
+import { EmailMessage } from './email-transport';
+import layoutTemplate from './templates/layout';
+import passwordResetTemplate from './templates/password-reset';
+import verifyEmailTemplate from './templates/verify-email';
+
+// Define the structure of a named email template
+export interface EmailTemplate {
+  subject: string;
+  html: string;
+  text: string;
+}
+
+export type EmailVariables = Record<string, string | number>;
+
+/**
+ * Registry of the available email templates, by name.
+ */
+const emailTemplates = {
+  'verify-email': verifyEmailTemplate,
+  'password-reset': passwordResetTemplate,
+};
+
+export type TEmailTemplateName = keyof typeof emailTemplates;
+
+// Escape a value before placing it in HTML
+const escapeHtml = (value: string): string =>
+  value.replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]!
+  );
+
+/**
+ * Replaces every `{{ variable }}` placeholder in a template string.
+ *
+ * @param template - The template string.
+ * @param variables - The values to interpolate.
+ * @param escape - Applied to each value before insertion.
+ * @returns The interpolated string.
+ * @throws {Error} - If the template references a variable that was not provided.
+ */
+const interpolate = (
+  template: string,
+  variables: EmailVariables,
+  escape: (key: string, value: string) => string
+): string => {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (_match, key: string) => {
+    if (!(key in variables)) {
+      throw new Error(`Missing email template variable "${key}"`);
+    }
+    return escape(key, String(variables[key]));
+  });
+};
+
+/**
+ * Renders a named template inside the shared layout.
+ *
+ * Values are HTML-escaped in the HTML part and inserted as-is in the subject and text part.
+ * `appName` is always available to templates.
+ *
+ * @param name - The name of the template.
+ * @param variables - The values for the template's placeholders.
+ * @returns The subject, HTML and text of the email, without a recipient.
+ */
+const RenderEmail = (
+  name: TEmailTemplateName,
+  variables: EmailVariables
+): Omit<EmailMessage, 'to'> => {
+  const template = emailTemplates[name];
+  const values: EmailVariables = { appName: config.APP_NAME, ...variables };
+  const raw = (_key: string, value: string) => value;
+  const html = (_key: string, value: string) => escapeHtml(value);
+  // The rendered body is already escaped, so the layout inserts it as-is
+  const layoutHtml = (key: string, value: string) =>
+    key === 'content' ? value : escapeHtml(value);
+
+  const subject = interpolate(template.subject, values, raw);
+  return {
+    subject,
+    html: interpolate(
+      layoutTemplate.html,
+      { ...values, subject, content: interpolate(template.html, values, html) },
+      layoutHtml
+    ),
+    text: interpolate(
+      layoutTemplate.text,
+      { ...values, subject, content: interpolate(template.text, values, raw) },
+      raw
+    ),
+  };
+};
+
+export default RenderEmail;
@@ -0,0 +1,41 @@
+import { EmailTemplate } from '../render-email';
+
+/**
+ * Shared layout every email template is wrapped in.
+ *
+ * `{{ content }}` receives the rendered template body; `{{ subject }}` and
+ * `{{ appName }}` are always available.
+ */
+const layoutTemplate: Omit<EmailTemplate, 'subject'> = {
+  html: `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>{{ subject }}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;padding:32px;">
+            <tr>
+              <td style="font-size:20px;font-weight:bold;padding-bottom:16px;">{{ appName }}</td>
+            </tr>
+            <tr>
+              <td style="font-size:15px;line-height:1.6;">{{ content }}</td>
+            </tr>
+          </table>
+          <p style="font-size:12px;color:#71717a;">This email was sent by {{ appName }}.</p>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`,
+  text: `{{ content }}
+
+--
+This email was sent by {{ appName }}.`,
+};
+
+export default layoutTemplate;
@@ -0,0 +1,23 @@
+import { EmailTemplate } from '../render-email';
+
+/**
+ * Password reset link.
+ *
+ * Variables: `name`, `link`.
+ */
+const passwordResetTemplate: EmailTemplate = {
+  subject: 'Reset your password',
+  html: `<p>Hi {{ name }},</p>
+<p>Reset your password by opening the link below:</p>
+<p><a href="{{ link }}">Reset password</a></p>
+<p>If you did not ask for a password reset, you can ignore this email.</p>`,
+  text: `Hi {{ name }},
+
+Reset your password by opening the link below:
+
+{{ link }}
+
+If you did not ask for a password reset, you can ignore this email.`,
+};
+
+export default passwordResetTemplate;
@@ -0,0 +1,23 @@
+import { EmailTemplate } from '../render-email';
+
+/**
+ * Email verification link.
+ *
+ * Variables: `name`, `link`.
+ */
+const verifyEmailTemplate: EmailTemplate = {
+  subject: 'Verify your email address',
+  html: `<p>Hi {{ name }},</p>
+<p>Confirm your email address by opening the link below:</p>
+<p><a href="{{ link }}">Verify email address</a></p>
+<p>If you did not create an account, you can ignore this email.</p>`,
+  text: `Hi {{ name }},
+
+Confirm your email address by opening the link below:
+
+{{ link }}
+
+If you did not create an account, you can ignore this email.`,
+};
+
+export default verifyEmailTemplate;
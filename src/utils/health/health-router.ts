@@ -0,0 +1,42 @@
+import { Request, Response, Router } from 'express';
+import { emailServices } from '../../modules/email/email.service';
+import { isDatabaseUp } from '../database/database';
+import { isShuttingDown } from '../lifecycle/graceful-shutdown';
+
+/**
+ * Creates the router of the health probes used by container orchestrators.
+ *
+ * - `GET /live` answers 200 as long as the process can serve requests.
+ * - `GET /ready` answers 200 when MongoDB answers a ping and the server is not shutting
+ *   down, 503 otherwise, with the status of every check.
+ *
+ * @returns The health router, to be mounted e.g. on `/health`.
+ */
+const createHealthRouter = (): Router => {
+  const router = Router();
+
+  // Probes must always reach the server, never a cache
+  router.use((req: Request, res: Response, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.get('/live', (req: Request, res: Response) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  router.get('/ready', async (req: Request, res: Response) => {
+    const checks = {
+      database: (await isDatabaseUp()) ? 'up' : 'down',
+      emailWorker: emailServices.isEmailWorkerRunning() ? 'running' : 'stopped',
+      shuttingDown: isShuttingDown(),
+    };
+    // The email worker only delivers retries, so the server can serve requests without it
+    const ready = checks.database === 'up' && !checks.shuttingDown;
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+  });
+
+  return router;
+};
+
+export default createHealthRouter;
@@ -0,0 +1,72 @@
+import { createHash } from 'crypto';
+import { Request, Response } from 'express';
+import { Document } from 'mongoose';
+import { getVersion } from '../mongoose/versioning';
+
+/**
+ * @param version - A document version.
+ * @param variant - What sets the response apart from the bare document, hashed into the tag.
+ * @returns The strong ETag of that version, e.g. `"3"`, or `"3-<hash>"` for a variant.
+ */
+export const formatETag = (version: number, variant?: string): string => {
+  if (!variant) return `"${version}"`;
+  const hash = createHash('sha256').update(variant).digest('base64url').slice(0, 16);
+  return `"${version}-${hash}"`;
+};
+
+/**
+ * Describes the populated fields of a document by the ID and version of every document
+ * they hold, so the tag changes with any of them.
+ *
+ * @param doc - The document being returned.
+ * @param populate - The populated fields.
+ * @returns The description, or undefined if nothing is populated.
+ */
+const describePopulated = (doc: object, populate: string[]): string | undefined => {
+  if (!populate.length) return undefined;
+  const describe = (value: unknown): string =>
+    value && typeof value === 'object' && '_id' in value
+      ? `${value._id}@${getVersion(value)}`
+      : String(value);
+  return [...populate]
+    .sort()
+    .map((path) => {
+      const value =
+        doc instanceof Document ? doc.get(path) : (doc as Record<string, unknown>)[path];
+      return `${path}=${Array.isArray(value) ? value.map(describe).join(',') : describe(value)}`;
+    })
+    .join(';');
+};
+
+/**
+ * Sets the `ETag` header from the version of a document and, when fields are populated,
+ * the versions of the documents they hold: each populate set gets its own tag.
+ *
+ * On GET and HEAD, Express then answers `If-None-Match` requests naming this ETag with
+ * a bodiless 304 when the response is sent.
+ *
+ * @param res - The response object.
+ * @param doc - The document being returned.
+ * @param populate - The populated fields, if any.
+ */
+export const setETag = (res: Response, doc: object, populate: string[] = []): void => {
+  res.setHeader('ETag', formatETag(getVersion(doc), describePopulated(doc, populate)));
+};
+
+/**
+ * Reads the versions accepted by the `If-Match` header.
+ *
+ * Tags of populated responses name the version of the document they were read at. Weak
+ * and unknown entity tags never match, as required for `If-Match`.
+ *
+ * @param req - The request object.
+ * @returns The accepted versions (possibly none), or undefined if the header is absent or `*`.
+ */
+export const getIfMatchVersions = (req: Request): number[] | undefined => {
+  const header = req.get('If-Match')?.trim();
+  if (!header || header === '*') return undefined;
+  return header.split(',').flatMap((tag) => {
+    const match = /^"(\d+)(-[\w-]+)?"$/.exec(tag.trim());
+    return match ? [Number(match[1])] : [];
+  });
+};
@@ -0,0 +1,15 @@
+import config from '../../config/config';
+
+/**
+ * Builds the absolute URL clients reach a path of the API at, under `PUBLIC_BASE_URL`.
+ * A path prefix of the base URL, e.g. `https://example.com/backend`, is kept.
+ *
+ * @param path - The path, e.g. `/api/v1/upload/download-upload/<id>`.
+ * @returns The absolute URL.
+ */
+export const toPublicUrl = (path: string): string => {
+  const base = config.PUBLIC_BASE_URL.endsWith('/')
+    ? config.PUBLIC_BASE_URL
+    : `${config.PUBLIC_BASE_URL}/`;
+  return new URL(path.replace(/^\/+/, ''), base).href;
+};
@@ -2,16 +2,17 @@ import jwt from 'jsonwebtoken';
 import config from '../../config/config';
 
 /**
- * Generates a JWT token for a user based on their email and user ID.
+ * Generates a short-lived JWT access token for a user session.
  *
  * @param email - The user's email.
  * @param userId - The user's unique ID.
+ * @param sessionId - The ID of the session the token belongs to.
  * @returns {Promise<string>} - A promise that resolves to the signed JWT token.
  */
-const EncodeToken = async (email: string, userId: string): Promise<string> => {
+const EncodeToken = async (email: string, userId: string, sessionId: string): Promise<string> => {
   const KEY: string = config.JWT_SECRET;
   const EXPIRE: jwt.SignOptions = { expiresIn: config.JWT_EXPIRATION_TIME };
-  const PAYLOAD = { email, user_id: userId };
+  const PAYLOAD = { email, _id: userId, sid: sessionId };
 
   return jwt.sign(PAYLOAD, KEY, EXPIRE);
 };
@@ -0,0 +1,81 @@
+import { NextFunction, Request, Response } from 'express';
+import { Server } from 'http';
+import config from '../../config/config';
+import logger from '../logger/logger';
+
+// Set once a shutdown signal is received, and never reset
+let shuttingDown = false;
+
+/**
+ * @returns `true` once the server has started shutting down.
+ */
+export const isShuttingDown = (): boolean => shuttingDown;
+
+/**
+ * Middleware asking clients to close their keep-alive connection during shutdown, so
+ * sockets are released as soon as their last response is sent.
+ *
+ * @param req - The request object.
+ * @param res - The response object.
+ * @param next - The next middleware function.
+ */
+export const closeConnectionsOnShutdown = (
+  req: Request,
+  res: Response,
+  next: NextFunction
+): void => {
+  if (shuttingDown) res.setHeader('Connection', 'close');
+  next();
+};
+
+/**
+ * Shuts the server down gracefully on SIGTERM and SIGINT.
+ *
+ * The server stops accepting connections and lets in-flight requests finish; after
+ * `timeout` the remaining connections are cut. `cleanup` then releases the other
+ * dependencies, the logs are flushed and the process exits. Meanwhile the readiness
+ * probe reports the server as unavailable.
+ *
+ * @param server - The HTTP server to drain.
+ * @param cleanup - Releases the dependencies, e.g. stops workers and closes the database.
+ * @param timeout - Milliseconds to wait for in-flight requests (defaults to `SHUTDOWN_TIMEOUT`).
+ */
+const registerGracefulShutdown = (
+  server: Server,
+  cleanup: () => Promise<void>,
+  timeout: number = config.SHUTDOWN_TIMEOUT
+): void => {
+  const shutdown = async (signal: NodeJS.Signals) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
+
+    const drained = new Promise<void>((resolve) => server.close(() => resolve()));
+    // Keep-alive sockets become idle once their last response is sent
+    const sweeper = setInterval(() => server.closeIdleConnections(), 250);
+    server.closeIdleConnections();
+    const timer = setTimeout(() => {
+      logger.warn('Requests still running after the shutdown timeout; closing their connections');
+      server.closeAllConnections();
+    }, timeout);
+    await drained;
+    clearInterval(sweeper);
+    clearTimeout(timer);
+
+    let exitCode = 0;
+    try {
+      await cleanup();
+    } catch (error) {
+      logger.error('Failed to release resources during shutdown', { error });
+      exitCode = 1;
+    }
+    logger.info('Shutdown complete');
+    await logger.close();
+    process.exit(exitCode);
+  };
+
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+};
+
+export default registerGracefulShutdown;
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import type { LogEntry, LogSink, TLogLevel } from './logger';
+
+// ANSI colors for the pretty console format
+const levelColors: Record<TLogLevel, string> = {
+  debug: '\x1b[90m',
+  info: '\x1b[32m',
+  warn: '\x1b[33m',
+  error: '\x1b[31m',
+};
+const RESET = '\x1b[0m';
+
+/**
+ * Sink writing to stdout, or stderr for warnings and errors.
+ *
+ * @param format - `json` for one JSON object per line, `pretty` for a colored line for humans.
+ * @returns The console sink.
+ */
+export const createConsoleSink = (format: 'json' | 'pretty' = 'json'): LogSink => ({
+  name: 'console',
+  write: (entry) => {
+    const stream =
+      entry.level === 'warn' || entry.level === 'error' ? process.stderr : process.stdout;
+    if (format === 'json') {
+      stream.write(`${JSON.stringify(entry)}\n`);
+      return;
+    }
+    const { timestamp, level, message, hostname, pid, ...meta } = entry;
+    const details = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
+    stream.write(
+      `${levelColors[level]}${timestamp} ${level.toUpperCase().padEnd(5)}${RESET} ${message}${details}\n`
+    );
+  },
+});
+
+interface FileSinkOptions {
+  // Directory holding the log files
+  dir: string;
+  // Files are named `<fileName>-YYYY-MM-DD[.n].log`
+  fileName?: string;
+  // A new numbered file is started once the current one would exceed this many bytes
+  maxSize?: number;
+  // Files older than this many days are deleted
+  retentionDays?: number;
+}
+
+/**
+ * Sink appending JSON lines to a file, rotated daily and by size, with old files pruned.
+ *
+ * Writes go through a single append stream per file, so the directory is only checked
+ * when a file is opened, never on every entry.
+ *
+ * @param options - Directory, base file name, size limit and retention.
+ * @returns The file sink.
+ */
+export const createFileSink = ({
+  dir,
+  fileName = 'app',
+  maxSize = 10 * 1024 * 1024,
+  retentionDays = 14,
+}: FileSinkOptions): LogSink => {
+  const filePattern = new RegExp(`^${fileName}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.log$`);
+  let stream: fs.WriteStream | null = null;
+  let currentDate = '';
+  let index = 0;
+  let bytes = 0;
+
+  const filePath = () =>
+    path.join(dir, `${fileName}-${currentDate}${index ? `.${index}` : ''}.log`);
+
+  // Delete files whose date is past the retention period
+  const prune = async () => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    const files = await fs.promises.readdir(dir).catch(() => [] as string[]);
+    await Promise.all(
+      files
+        .filter((file) => {
+          const match = filePattern.exec(file);
+          return match !== null && match[1] < cutoff;
+        })
+        .map((file) => fs.promises.unlink(path.join(dir, file)).catch(() => undefined))
+    );
+  };
+
+  // Close the current file and open the next one
+  const open = (date: string) => {
+    stream?.end();
+    if (date !== currentDate) {
+      // Continue after the last file already written today, e.g. after a restart
+      fs.mkdirSync(dir, { recursive: true });
+      index = fs
+        .readdirSync(dir)
+        .map((file) => filePattern.exec(file))
+        .filter((match) => match !== null && match[1] === date)
+        .reduce((max, match) => Math.max(max, Number(match![2] ?? 0)), 0);
+      currentDate = date;
+      void prune();
+    } else {
+      index += 1;
+    }
+    const file = filePath();
+    bytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    if (bytes >= maxSize) {
+      index += 1;
+      bytes = 0;
+    }
+    stream = fs.createWriteStream(filePath(), { flags: 'a' });
+    stream.on('error', (error) => process.stderr.write(`Log file error: ${error.message}\n`));
+  };
+
+  return {
+    name: 'file',
+    write: (entry: LogEntry) => {
+      const line = `${JSON.stringify(entry)}\n`;
+      const size = Buffer.byteLength(line);
+      const date = entry.timestamp.slice(0, 10);
+      if (!stream || date !== currentDate || (bytes > 0 && bytes + size > maxSize)) {
+        open(date);
+      }
+      bytes += size;
+      stream!.write(line);
+    },
+    close: () =>
+      new Promise<void>((resolve) => {
+        if (!stream) return resolve();
+        stream.end(resolve);
+        stream = null;
+      }),
+  };
+};
@@ -1,40 +1,173 @@
-import fs from 'fs';
+import type { FormatFn } from 'morgan';
 import os from 'os';
 import path from 'path';
+import config from '../../config/config';
+import { getRequestContext } from '../context/request-context';
+import { createConsoleSink, createFileSink } from './log-sinks';
+import redact, { defaultRedactKeys } from './redact';
 
-// Define the path to the log directory
-const logDir = path.join(__dirname, '..', '..', '..', 'logs');
+/**
+ * Log levels, from the most to the least verbose.
+ */
+export const logLevels = ['debug', 'info', 'warn', 'error'] as const;
+export type TLogLevel = (typeof logLevels)[number];
 
-// Ensure the logs directory exists
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir);
+/**
+ * A single log record as handed to the sinks, already redacted.
+ */
+export interface LogEntry {
+  timestamp: string;
+  level: TLogLevel;
+  message: string;
+  hostname: string;
+  pid: number;
+  [key: string]: unknown;
 }
 
-// Function to log messages and ensure log directories are properly created
-export const logMessage = (message: string) => {
-  const now = new Date();
-  const dateAndTime = now.toDateString() + ' | ' + now.toTimeString();
-  const dateString = now.toISOString().split('T')[0]; // Format: YYYY-MM-DD
-  const logDirForToday = path.join(logDir, dateString);
-  const logFileForToday = path.join(logDirForToday, 'access.log');
-
-  // Ensure the directory for today's logs exists
-  if (!fs.existsSync(logDirForToday)) {
-    fs.mkdirSync(logDirForToday, { recursive: true });
-  }
+/**
+ * A destination for log entries (console, file, or anything custom).
+ */
+export interface LogSink {
+  name: string;
+  write(entry: LogEntry): void;
+  close?(): Promise<void>;
+}
+
+export interface Logger {
+  debug(message: string, meta?: Record<string, unknown>): void;
+  info(message: string, meta?: Record<string, unknown>): void;
+  warn(message: string, meta?: Record<string, unknown>): void;
+  error(message: string, meta?: Record<string, unknown>): void;
+  // Logger adding `context` to every entry, sharing the level and sinks of its parent
+  child(context: Record<string, unknown>): Logger;
+  addSink(sink: LogSink): void;
+  removeSink(name: string): void;
+  setLevel(level: TLogLevel): void;
+  // Flush and close every sink
+  close(): Promise<void>;
+}
 
-  // Log message format
-  const logMessage = `Host Name: ${os.hostname()} | ${dateAndTime} | [INFO]: ${message}\n`;
+interface LoggerOptions {
+  level?: TLogLevel;
+  sinks?: LogSink[];
+  // Keys whose values are replaced with `[REDACTED]`, defaults to `defaultRedactKeys`
+  redactKeys?: string[];
+}
+
+// State shared between a logger and its children
+interface LoggerState {
+  level: TLogLevel;
+  sinks: LogSink[];
+  redactKeys: Set<string>;
+}
 
-  // Write to log file
-  fs.appendFile(logFileForToday, logMessage, (err) => {
-    if (err) {
-      console.error('Failed to write to log file:', err.message);
+const buildLogger = (state: LoggerState, context: Record<string, unknown>): Logger => {
+  const log = (level: TLogLevel, message: string, meta: Record<string, unknown> = {}) => {
+    if (logLevels.indexOf(level) < logLevels.indexOf(state.level)) return;
+    // Tie the entry to the request being handled, if any
+    const request = getRequestContext();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      hostname: os.hostname(),
+      pid: process.pid,
+      ...(request && { requestId: request.requestId }),
+      ...(request?.user && { userId: request.user._id }),
+      ...(redact({ ...context, ...meta }, state.redactKeys) as Record<string, unknown>),
+    } as LogEntry;
+    for (const sink of state.sinks) {
+      try {
+        sink.write(entry);
+      } catch (error) {
+        // A failing sink must never take the request down with it
+        process.stderr.write(`Log sink "${sink.name}" failed: ${(error as Error).message}\n`);
+      }
     }
-  });
+  };
+
+  return {
+    debug: (message, meta) => log('debug', message, meta),
+    info: (message, meta) => log('info', message, meta),
+    warn: (message, meta) => log('warn', message, meta),
+    error: (message, meta) => log('error', message, meta),
+    child: (childContext) => buildLogger(state, { ...context, ...childContext }),
+    addSink: (sink) => {
+      state.sinks.push(sink);
+    },
+    removeSink: (name) => {
+      state.sinks = state.sinks.filter((sink) => sink.name !== name);
+    },
+    setLevel: (level) => {
+      state.level = level;
+    },
+    close: async () => {
+      await Promise.all(state.sinks.map((sink) => sink.close?.()));
+    },
+  };
 };
 
-// Function to return a writable stream for Morgan
+/**
+ * Creates a logger writing JSON entries to the given sinks.
+ *
+ * @param options - Minimum level, sinks and keys to redact.
+ * @returns The logger.
+ */
+export const createLogger = (options: LoggerOptions = {}): Logger =>
+  buildLogger(
+    {
+      level: options.level ?? 'info',
+      sinks: options.sinks ?? [],
+      redactKeys: new Set(
+        (options.redactKeys ?? defaultRedactKeys).map((key) => key.toLowerCase())
+      ),
+    },
+    {}
+  );
+
+// Build the sinks listed in LOG_SINKS
+const defaultSinks = config.LOG_SINKS.flatMap((name): LogSink[] => {
+  if (name === 'console') return [createConsoleSink(config.LOG_FORMAT)];
+  if (name === 'file') {
+    return [
+      createFileSink({
+        dir: path.resolve(config.LOG_DIR),
+        maxSize: config.LOG_MAX_SIZE,
+        retentionDays: config.LOG_RETENTION_DAYS,
+      }),
+    ];
+  }
+  return [];
+});
+
+/**
+ * Application logger configured from the LOG_* environment variables.
+ */
+const logger = createLogger({ level: config.LOG_LEVEL, sinks: defaultSinks });
+
+/**
+ * Morgan format producing one JSON object per request, parsed back by `loggerStream`.
+ */
+export const accessLogFormat: FormatFn = (tokens, req, res) =>
+  JSON.stringify({
+    requestId: res.getHeader('x-request-id'),
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || undefined,
+    responseTime: Number(tokens['response-time'](req, res)) || undefined,
+    contentLength: Number(tokens.res(req, res, 'content-length')) || undefined,
+    ip: tokens['remote-addr'](req, res),
+    userAgent: tokens['user-agent'](req, res),
+  });
+
+// Writable stream for Morgan, logging each request at a level matching its status
 export const loggerStream = {
-  write: (message: string) => logMessage(message.trim()),
+  write: (message: string) => {
+    const access = JSON.parse(message) as { status?: number };
+    const status = access.status ?? 0;
+    const level: TLogLevel = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    logger[level]('HTTP request', { type: 'access', ...access });
+  },
 };
+
+export default logger;
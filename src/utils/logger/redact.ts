@@ -0,0 +1,90 @@
+// Placeholder written in place of redacted values
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Keys whose values are never written to the logs, compared case-insensitively.
+ */
+export const defaultRedactKeys = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'password',
+  'currentPassword',
+  'newPassword',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'secret',
+  'apiKey',
+  'x-api-key',
+];
+
+// Nested values deeper than this are replaced instead of being walked
+const MAX_DEPTH = 10;
+
+/**
+ * Converts an error into a plain object, since its fields are not enumerable.
+ *
+ * @param error - The error to serialize.
+ * @returns The name, message, stack, cause and any custom enumerable fields.
+ */
+export const serializeError = (error: Error): Record<string, unknown> => {
+  const { cause } = error as { cause?: unknown };
+  return {
+    ...(error as unknown as Record<string, unknown>),
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...(cause !== undefined ? { cause } : {}),
+  };
+};
+
+/**
+ * Deep-copies a value for logging, replacing the values of sensitive keys with `[REDACTED]`.
+ *
+ * Errors are serialized, values with a `toJSON` method (dates, ObjectIds, documents) are
+ * converted first, and circular references are cut.
+ *
+ * @param value - The value to copy.
+ * @param keys - Lowercased keys to redact.
+ * @param depth - Current nesting depth.
+ * @param seen - Objects already on the path, to detect cycles.
+ * @returns The redacted copy.
+ */
+const redact = (
+  value: unknown,
+  keys: Set<string>,
+  depth: number = 0,
+  seen: WeakSet<object> = new WeakSet()
+): unknown => {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (seen.has(value)) return '[Circular]';
+
+  if (value instanceof Error) {
+    value = serializeError(value);
+  } else if (typeof (value as { toJSON?: unknown }).toJSON === 'function') {
+    const json = (value as { toJSON: () => unknown }).toJSON();
+    if (json === null || typeof json !== 'object') return json;
+    value = json;
+  }
+
+  seen.add(value as object);
+  let copy: unknown;
+  if (Array.isArray(value)) {
+    copy = value.map((item) => redact(item, keys, depth + 1, seen));
+  } else {
+    copy = Object.fromEntries(
+      Object.entries(value as Record<string, unknown>).map(([key, item]) => [
+        key,
+        keys.has(key.toLowerCase()) ? REDACTED : redact(item, keys, depth + 1, seen),
+      ])
+    );
+  }
+  seen.delete(value as object);
+  return copy;
+};
+
+export default redact;
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import mongoose, { Schema, Types } from 'mongoose';
+import {
+  createTestReferences,
+  resetDatabase,
+  startTestApp,
+  stopTestApp,
+} from '../../tests/test-harness';
+import SoftDelete from './soft-delete';
+
+/**
+ * Tests of the `onDelete` policies of references, run with `npm test`.
+ *
+ * Writers are referenced by books (cascade) and shelves (set-null); books by chapters
+ * (cascade) and loans (restrict). Writers, books and shelves have a trash.
+ * `relations` records audits, so it is imported once the harness has set up the
+ * configuration.
+ */
+
+const { ObjectId } = Schema.Types;
+
+const Writer = mongoose.model('Writer', new Schema({ name: String }).plugin(SoftDelete));
+const Book = mongoose.model(
+  'Book',
+  new Schema({ writer: { type: ObjectId, ref: 'Writer', onDelete: 'cascade' } }).plugin(SoftDelete)
+);
+mongoose.model(
+  'Chapter',
+  new Schema({ book: { type: ObjectId, ref: 'Book', onDelete: 'cascade' } })
+);
+mongoose.model('Loan', new Schema({ book: { type: ObjectId, ref: 'Book', onDelete: 'restrict' } }));
+const Shelf = mongoose.model(
+  'Shelf',
+  new Schema({
+    writers: { type: [{ type: ObjectId, ref: 'Writer' }], onDelete: 'set-null' },
+    featured: { type: ObjectId, ref: 'Writer', onDelete: 'set-null' },
+  }).plugin(SoftDelete)
+);
+
+// Inserts one document referencing the given IDs, e.g. `insert('Book', { writer: id })`
+const insert = async (modelName: string, refs: Record<string, string | string[]> = {}) => {
+  const fields = Object.fromEntries(
+    Object.entries(refs).map(([path, ids]) => [
+      path,
+      Array.isArray(ids) ? ids.map((id) => new Types.ObjectId(id)) : new Types.ObjectId(ids),
+    ])
+  );
+  const [id] = await createTestReferences(modelName, 1, fields);
+  return id;
+};
+
+// Inserts one document in the trash
+const insertDeleted = async (modelName: string, refs: Record<string, string> = {}) => {
+  const id = await insert(modelName, refs);
+  await mongoose
+    .model(modelName)
+    .collection.updateOne({ _id: new Types.ObjectId(id) }, { $set: { deletedAt: new Date() } });
+  return id;
+};
+
+// The IDs of every document of a model, the trash included
+const allIds = async (modelName: string) =>
+  (await mongoose.model(modelName).find().setOptions({ withDeleted: true }).distinct('_id'))
+    .map(String)
+    .sort();
+
+// The number of audit entries of a resource and action
+const countAudits = (resource: string, action: string) =>
+  mongoose.model('Audit').countDocuments({ resource, action });
+
+describe('delete policies', () => {
+  let relations: typeof import('./relations');
+
+  before(async () => {
+    await startTestApp();
+    relations = await import('./relations');
+  });
+  after(stopTestApp);
+  beforeEach(resetDatabase);
+
+  describe('findReferences', () => {
+    it('finds single and array references with their policies', () => {
+      const references = relations
+        .findReferences('Writer')
+        .map(({ model, path, array, onDelete }) => ({
+          model: model.modelName,
+          path,
+          array,
+          onDelete,
+        }));
+      assert.deepEqual(references, [
+        { model: 'Book', path: 'writer', array: false, onDelete: 'cascade' },
+        { model: 'Shelf', path: 'writers', array: true, onDelete: 'set-null' },
+        { model: 'Shelf', path: 'featured', array: false, onDelete: 'set-null' },
+      ]);
+    });
+  });
+
+  describe('assertDeletable', () => {
+    it('refuses to delete a document a restrict reference points at', async () => {
+      const writer = await insert('Writer');
+      const book = await insert('Book', { writer });
+      await insert('Loan', { book });
+      await assert.rejects(relations.assertDeletable(Book, [book]), {
+        statusCode: 409,
+        errors: [{ field: 'Loan.book', message: '1 loan document(s) still reference Book' }],
+      });
+    });
+
+    it('follows cascades, through the trash, to restrict references', async () => {
+      const writer = await insert('Writer');
+      const book = await insertDeleted('Book', { writer });
+      await insert('Loan', { book });
+      await assert.rejects(relations.assertDeletable(Writer, [writer]), {
+        statusCode: 409,
+        errors: [{ field: 'Loan.book', message: '1 loan document(s) still reference Book' }],
+      });
+    });
+
+    it('allows deletions that only cascade or clear references', async () => {
+      const writer = await insert('Writer');
+      const book = await insert('Book', { writer });
+      await insert('Chapter', { book });
+      await insert('Shelf', { writers: [writer], featured: writer });
+      await relations.assertDeletable(Writer, [writer]);
+    });
+  });
+
+  describe('applyDeletePolicies', () => {
+    it('deletes the referencing documents recursively, the trash included', async () => {
+      const [deleted, kept] = [await insert('Writer'), await insert('Writer')];
+      const books = [
+        await insert('Book', { writer: deleted }),
+        await insertDeleted('Book', { writer: deleted }),
+      ];
+      for (const book of books) await insert('Chapter', { book });
+      const keptBook = await insert('Book', { writer: kept });
+      const keptChapter = await insert('Chapter', { book: keptBook });
+
+      await Writer.deleteOne({ _id: deleted });
+      await relations.applyDeletePolicies(Writer, [deleted]);
+
+      assert.deepEqual(await allIds('Book'), [keptBook]);
+      assert.deepEqual(await allIds('Chapter'), [keptChapter]);
+      assert.deepEqual(await allIds('Writer'), [kept]);
+      assert.equal(await countAudits('book', 'delete'), 2);
+      assert.equal(await countAudits('chapter', 'delete'), 2);
+    });
+
+    it('pulls deleted IDs out of arrays and clears single references', async () => {
+      const [deleted, kept] = [await insert('Writer'), await insert('Writer')];
+      const shelf = await insert('Shelf', { writers: [deleted, kept], featured: deleted });
+      const trashedShelf = await insertDeleted('Shelf', { featured: kept });
+      await Shelf.collection.updateOne(
+        { _id: new Types.ObjectId(trashedShelf) },
+        { $set: { writers: [new Types.ObjectId(deleted)] } }
+      );
+
+      await Writer.deleteOne({ _id: deleted });
+      await relations.applyDeletePolicies(Writer, [deleted]);
+
+      const shelves = await Shelf.find().setOptions({ withDeleted: true }).lean();
+      const byId = new Map(shelves.map((doc) => [String(doc._id), doc]));
+      assert.deepEqual(byId.get(shelf)!.writers.map(String), [kept]);
+      assert.equal(byId.get(shelf)!.featured, null);
+      assert.deepEqual(byId.get(trashedShelf)!.writers, []);
+      assert.equal(String(byId.get(trashedShelf)!.featured), kept);
+      assert.equal(await countAudits('shelf', 'update'), 2);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import mongoose, { Model, SchemaType, Types } from 'mongoose';
+import { ConflictError, ErrorDetail } from '../../helpers/errors/app-error';
+import { auditServices } from '../../modules/audit/audit.service';
+
+/**
+ * What happens to the documents referencing a document when it is deleted:
+ *
+ * - `restrict`: the deletion is refused while any document references it.
+ * - `cascade`: the referencing documents are deleted too, applying their own policies.
+ * - `set-null`: the reference is cleared; array references lose the deleted IDs.
+ */
+export const deletePolicies = ['restrict', 'cascade', 'set-null'] as const;
+export type TDeletePolicy = (typeof deletePolicies)[number];
+
+// A ref path of a registered model, declared with an `onDelete` policy
+interface Reference {
+  model: Model<unknown>;
+  path: string;
+  array: boolean;
+  onDelete: TDeletePolicy;
+}
+
+type TId = Types.ObjectId | string;
+
+// Referencing documents in the trash count too, so restoring them never leaves a dangling ref
+const withDeleted = { withDeleted: true };
+
+// Audit resource of a model, i.e. its module name, e.g. `BlogPost` -> `blog-post`
+const toResource = (modelName: string): string =>
+  modelName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+/**
+ * Finds the paths of every registered model that reference a model and declare an
+ * `onDelete` policy, e.g. `author: { type: ObjectId, ref: 'User', onDelete: 'cascade' }`.
+ * Array paths declare the policy next to their type, e.g.
+ * `tags: { type: [{ type: ObjectId, ref: 'Tag' }], onDelete: 'set-null' }`.
+ *
+ * @param modelName - The referenced model.
+ * @returns The references, of any model including the referenced one.
+ */
+export const findReferences = (modelName: string): Reference[] =>
+  Object.values(mongoose.models).flatMap((model) => {
+    const references: Reference[] = [];
+    model.schema.eachPath((path, schemaType) => {
+      const { ref, onDelete } = schemaType.options as { ref?: unknown; onDelete?: TDeletePolicy };
+      const embedded = (schemaType as SchemaType & { embeddedSchemaType?: SchemaType })
+        .embeddedSchemaType;
+      if (onDelete && (ref ?? embedded?.options.ref) === modelName) {
+        references.push({ model, path, array: schemaType.instance === 'Array', onDelete });
+      }
+    });
+    return references;
+  });
+
+/**
+ * Lists the documents referencing the given ones through a reference, skipping those
+ * already visited.
+ */
+const findReferencing = async (reference: Reference, ids: TId[], seen: Set<string>) => {
+  const docs = await reference.model
+    .find({ [reference.path]: { $in: ids } })
+    .setOptions(withDeleted);
+  return docs.filter((doc) => !seen.has(`${reference.model.modelName}:${doc._id}`));
+};
+
+/**
+ * Checks that documents may be deleted: no `restrict` reference points at them, nor at
+ * the documents their `cascade` references would delete.
+ *
+ * Call it before deleting or moving documents to the trash.
+ *
+ * @param model - The model of the documents.
+ * @param ids - The IDs of the documents.
+ * @throws {ConflictError} - Listing the references that block the deletion.
+ */
+export const assertDeletable = async <T>(model: Model<T>, ids: TId[]): Promise<void> => {
+  const seen = new Set<string>();
+  const blocked: ErrorDetail[] = [];
+  const visit = async (modelName: string, targetIds: TId[]) => {
+    targetIds.forEach((id) => seen.add(`${modelName}:${id}`));
+    for (const reference of findReferences(modelName)) {
+      if (reference.onDelete === 'restrict') {
+        const count = await reference.model
+          .countDocuments({ [reference.path]: { $in: targetIds } })
+          .setOptions(withDeleted);
+        if (count) {
+          blocked.push({
+            field: `${reference.model.modelName}.${reference.path}`,
+            message: `${count} ${toResource(reference.model.modelName)} document(s) still reference ${modelName}`,
+          });
+        }
+      } else if (reference.onDelete === 'cascade') {
+        const docIds = (await findReferencing(reference, targetIds, seen)).map((doc) => doc._id);
+        if (docIds.length) await visit(reference.model.modelName, docIds);
+      }
+    }
+  };
+  await visit(model.modelName, ids);
+  if (blocked.length) {
+    throw new ConflictError(
+      `${model.modelName} is still referenced; delete or reassign the referencing documents first`,
+      blocked
+    );
+  }
+};
+
+/**
+ * Applies the `cascade` and `set-null` policies of the references to deleted documents,
+ * recording the changes in the audit trail. Cascades apply the policies of the documents
+ * they delete in turn; documents in the trash are deleted or updated as well.
+ *
+ * Call it once the documents are permanently deleted, after `assertDeletable`.
+ *
+ * @param model - The model of the deleted documents.
+ * @param ids - The IDs of the deleted documents.
+ * @param seen - Documents already deleted by the cascade, as `Model:id`.
+ */
+export const applyDeletePolicies = async <T>(
+  model: Model<T>,
+  ids: TId[],
+  seen: Set<string> = new Set()
+): Promise<void> => {
+  ids.forEach((id) => seen.add(`${model.modelName}:${id}`));
+  for (const reference of findReferences(model.modelName)) {
+    if (reference.onDelete === 'restrict') continue;
+    const { model: referencing, path } = reference;
+    const docs = await findReferencing(reference, ids, seen);
+    if (!docs.length) continue;
+    const docIds = docs.map((doc) => doc._id);
+    const resource = toResource(referencing.modelName);
+
+    if (reference.onDelete === 'cascade') {
+      await referencing.deleteMany({ _id: { $in: docIds } }).setOptions(withDeleted);
+      await auditServices.recordAudit(
+        resource,
+        'delete',
+        docs.map((doc) => ({ documentId: doc._id, before: doc }))
+      );
+      await applyDeletePolicies(referencing, docIds, seen);
+      continue;
+    }
+
+    // set-null: pull the IDs out of arrays, clear single references
+    const deleted = new Set(ids.map(String));
+    await referencing
+      .updateMany(
+        { _id: { $in: docIds } },
+        reference.array ? { $pull: { [path]: { $in: ids } } } : { $set: { [path]: null } }
+      )
+      .setOptions(withDeleted);
+    await auditServices.recordAudit(
+      resource,
+      'update',
+      docs.map((doc) => {
+        const value = doc.get(path);
+        return {
+          documentId: doc._id,
+          before: { [path]: value },
+          after: {
+            [path]: reference.array
+              ? (value as TId[]).filter((id) => !deleted.has(String(id)))
+              : null,
+          },
+        };
+      })
+    );
+  }
+};
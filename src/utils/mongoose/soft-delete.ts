@@ -0,0 +1,89 @@
+import { Aggregate, MongooseQueryMiddleware, Query, Schema, Types } from 'mongoose';
+
+/**
+ * Fields added to every document of a soft-deletable schema.
+ */
+export interface SoftDeleteFields {
+  // When the document was moved to the trash; null while it is live
+  deletedAt: Date | null;
+  // The user who moved it to the trash
+  deletedBy: Types.ObjectId | null;
+}
+
+// Query operations that only see live documents
+const queryMethods: MongooseQueryMiddleware[] = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+];
+
+// Schemas using the plugin, e.g. to skip metadata counts that would include the trash
+const softDeleteSchemas = new WeakSet<Schema>();
+
+/**
+ * Whether a filter decides about deleted documents itself.
+ */
+const namesDeletedAt = (filter: object | undefined): boolean =>
+  !!filter && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+/**
+ * @param schema - A Mongoose schema.
+ * @returns `true` if the schema uses the soft-delete plugin.
+ */
+export const hasSoftDelete = (schema: Schema): boolean => softDeleteSchemas.has(schema);
+
+/**
+ * Mongoose plugin adding `deletedAt` and `deletedBy` to a schema and hiding deleted
+ * documents from every query, count, aggregation and bulk write.
+ *
+ * A query sees the trash when its filter names `deletedAt` itself, e.g.
+ * `{ deletedAt: { $ne: null } }`, or when it sets the `withDeleted` option:
+ * `Model.findById(id).setOptions({ withDeleted: true })`.
+ *
+ * @param schema - The schema to extend.
+ */
+const SoftDelete = (schema: Schema): void => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+  softDeleteSchemas.add(schema);
+
+  schema.pre(
+    queryMethods,
+    { document: false, query: true },
+    function (this: Query<unknown, unknown>) {
+      if (this.getOptions().withDeleted || namesDeletedAt(this.getFilter())) return;
+      // Documents created before the plugin was added have no deletedAt and count as live
+      this.where({ deletedAt: null });
+    }
+  );
+
+  schema.pre('aggregate', function (this: Aggregate<unknown>) {
+    if ((this.options as { withDeleted?: boolean }).withDeleted) return;
+    const pipeline = this.pipeline();
+    // $geoNear must stay the first stage, so the filter goes right after it
+    const index = pipeline[0] && '$geoNear' in pipeline[0] ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  });
+
+  schema.pre('bulkWrite', function (ops) {
+    for (const op of ops) {
+      const write = Object.values(op)[0] as { filter?: Record<string, unknown> };
+      if (write.filter && !namesDeletedAt(write.filter)) {
+        write.filter = { ...write.filter, deletedAt: null };
+      }
+    }
+  });
+};
+
+export default SoftDelete;
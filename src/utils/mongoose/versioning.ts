@@ -0,0 +1,78 @@
+import { Document, Query, Schema, UpdateQuery } from 'mongoose';
+
+// Update operations that change documents in place
+const updateMethods = ['findOneAndUpdate', 'updateOne', 'updateMany'] as const;
+
+/**
+ * Whether an update already writes the version field itself.
+ */
+const touchesVersion = (update: UpdateQuery<unknown>, key: string): boolean =>
+  key in update ||
+  Object.values(update).some((value) => !!value && typeof value === 'object' && key in value);
+
+/**
+ * Adds a version increment to an update, unless it is a pipeline or sets the version itself.
+ */
+const withIncrement = (update: unknown, key: string): unknown => {
+  if (!update || Array.isArray(update)) return update;
+  const operations = update as UpdateQuery<unknown>;
+  if (touchesVersion(operations, key)) return update;
+  return { ...operations, $inc: { ...operations.$inc, [key]: 1 } };
+};
+
+/**
+ * @param doc - A document or lean object of a versioned model.
+ * @returns Its version; documents written before versioning was enabled are at version 0.
+ */
+export const getVersion = (doc: object): number => {
+  const { __v } = doc as { __v?: unknown };
+  return typeof __v === 'number' ? __v : 0;
+};
+
+/**
+ * Filter condition on the version field matching any of the given versions.
+ *
+ * @param versions - Accepted versions.
+ * @returns A condition for `__v`; version 0 also matches documents without the field.
+ */
+export const versionCondition = (versions: number[]) => ({
+  $in: versions.includes(0) ? [...versions, null] : versions,
+});
+
+/**
+ * Mongoose plugin incrementing the version key (`__v`) on every write, so it can back
+ * ETags and optimistic concurrency checks.
+ *
+ * Mongoose only bumps `__v` when a saved array changes; with this plugin `save()`,
+ * `findOneAndUpdate`, `updateOne`, `updateMany` and bulk updates all bump it. The
+ * schema must keep its version key (do not set `versionKey: false`).
+ *
+ * @param schema - The schema to version.
+ */
+const Versioning = (schema: Schema): void => {
+  const key = schema.get('versionKey');
+  if (typeof key !== 'string') {
+    throw new Error('The versioning plugin needs a schema with a versionKey');
+  }
+
+  schema.pre('save', function (this: Document) {
+    if (!this.isNew && this.isModified()) this.increment();
+  });
+
+  schema.pre(
+    [...updateMethods],
+    { document: false, query: true },
+    function (this: Query<unknown, unknown>) {
+      this.setUpdate(withIncrement(this.getUpdate(), key) as UpdateQuery<unknown>);
+    }
+  );
+
+  schema.pre('bulkWrite', function (ops) {
+    for (const op of ops) {
+      const write = ('updateOne' in op && op.updateOne) || ('updateMany' in op && op.updateMany);
+      if (write) write.update = withIncrement(write.update, key) as typeof write.update;
+    }
+  });
+};
+
+export default Versioning;
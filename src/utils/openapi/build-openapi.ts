@@ -0,0 +1,330 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import config from '../../config/config';
+import { RouteModule } from '../routes/load-route-modules';
+import { getMiddlewareDocs, TRouteDocs } from './route-docs';
+
+type JsonSchema = Record<string, unknown>;
+
+// Documentation written above a route in its route file
+interface RouteComment {
+  description?: string;
+  access?: string;
+  controller?: string;
+}
+
+// Minimal view of the Express router internals walked below
+interface RouterLayer {
+  handle?: unknown;
+  route?: {
+    path: string;
+    methods: Record<string, boolean>;
+    stack: { handle: unknown }[];
+  };
+}
+
+const envelopeProperties = {
+  message: { type: 'string' },
+  statusCode: { type: 'integer' },
+  path: { type: 'string', examples: ['/api/v1/user/get-user/many'] },
+  method: { type: 'string', examples: ['GET'] },
+  timestamp: { type: 'string', format: 'date-time' },
+  requestId: { type: 'string', description: 'Echo of the `X-Request-Id` response header' },
+};
+
+// Shared schemas, security schemes and responses
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token' },
+  },
+  schemas: {
+    ErrorDetail: {
+      type: 'object',
+      properties: { field: { type: 'string' }, message: { type: 'string' } },
+      required: ['message'],
+    },
+    SuccessResponse: {
+      type: 'object',
+      properties: { ...envelopeProperties, status: { const: true }, data: {} },
+      required: ['message', 'status', 'statusCode', 'path', 'method', 'timestamp'],
+    },
+    ErrorResponse: {
+      type: 'object',
+      properties: {
+        ...envelopeProperties,
+        status: { const: false },
+        errors: { type: 'array', items: { $ref: '#/components/schemas/ErrorDetail' } },
+        error: { description: 'Error details, only outside production' },
+      },
+      required: ['message', 'status', 'statusCode', 'path', 'method', 'timestamp'],
+    },
+    ValidationErrorResponse: {
+      allOf: [
+        { $ref: '#/components/schemas/ErrorResponse' },
+        {
+          type: 'object',
+          properties: { message: { const: 'Validation error' } },
+          required: ['errors'],
+        },
+      ],
+    },
+  },
+  responses: Object.fromEntries(
+    [
+      ['ValidationError', 'The request failed validation', 'ValidationErrorResponse'],
+      ['Unauthorized', 'Missing, invalid or revoked access token', 'ErrorResponse'],
+      ['Forbidden', 'The user lacks the required permission', 'ErrorResponse'],
+      ['NotFound', 'The resource does not exist', 'ErrorResponse'],
+      ['Conflict', 'The request conflicts with existing data', 'ErrorResponse'],
+      ['TooManyRequests', 'The rate limit of the route was reached', 'ErrorResponse'],
+      ['InternalError', 'Unexpected server error', 'ErrorResponse'],
+    ].map(([name, description, schema]) => [
+      name,
+      {
+        description,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } },
+      },
+    ])
+  ),
+};
+
+/**
+ * Converts a Zod schema to the JSON Schema dialect of OpenAPI 3.1, describing the request input.
+ *
+ * @param schema - The Zod schema.
+ * @returns The JSON Schema.
+ */
+const toJsonSchema = (schema: z.ZodType): JsonSchema => {
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema, {
+    io: 'input',
+    unrepresentable: 'any',
+  }) as JsonSchema;
+  return jsonSchema;
+};
+
+/**
+ * Reads the JSDoc block above each `router.<method>(...)` call of a route file.
+ *
+ * @param file - The route file.
+ * @returns The comments keyed by `<METHOD> <path>`, e.g. `GET /get-user/:id`.
+ */
+const readRouteComments = (file: string): Map<string, RouteComment> => {
+  const comments = new Map<string, RouteComment>();
+  const source = fs.readFileSync(file, 'utf8');
+  const pattern =
+    /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*router\.(get|post|put|patch|delete)\(\s*["'`]([^"'`]+)["'`]/g;
+
+  for (const [, block, method, routePath] of source.matchAll(pattern)) {
+    const tag = (name: string) =>
+      new RegExp(`@${name}\\s+([^\\n]*)`)
+        .exec(block)?.[1]
+        .replace(/\s*\*?\s*$/, '')
+        .trim();
+    comments.set(`${method.toUpperCase()} ${routePath}`, {
+      description: tag('description'),
+      access: tag('access'),
+      controller: /controller\s*-\s*\[\s*'(\w+)'/.exec(block)?.[1],
+    });
+  }
+  return comments;
+};
+
+/**
+ * Turns the properties of an object schema into OpenAPI parameters.
+ *
+ * @param schema - JSON Schema of the validated params or query.
+ * @param location - Where the parameters are sent.
+ * @returns The parameters.
+ */
+const toParameters = (schema: JsonSchema, location: 'path' | 'query') => {
+  const properties = (schema.properties ?? {}) as Record<string, JsonSchema>;
+  const required = new Set((schema.required ?? []) as string[]);
+  const parameters: { name: string; [key: string]: unknown }[] = Object.entries(properties).map(
+    ([name, property]) => ({
+      name,
+      in: location,
+      required: location === 'path' || required.has(name),
+      schema: property,
+    })
+  );
+  // Extra query keys are the `filter[field][operator]` filters of list routes
+  const extra = schema.additionalProperties as JsonSchema | undefined;
+  if (location === 'query' && extra && typeof extra === 'object') {
+    parameters.push({
+      name: 'filter',
+      in: 'query',
+      style: 'deepObject',
+      explode: true,
+      description: extra.description,
+      schema: {
+        type: 'object',
+        additionalProperties: {
+          oneOf: [{ type: 'string' }, { type: 'object', additionalProperties: { type: 'string' } }],
+        },
+      },
+    });
+  }
+  return parameters;
+};
+
+/**
+ * Builds the operation object of one route.
+ *
+ * @param module - Name of the module, used as tag.
+ * @param routePath - Path relative to the module router.
+ * @param docs - Documentation collected from the route's middlewares.
+ * @param comment - The route's JSDoc, if any.
+ * @returns The operation.
+ */
+const buildOperation = (
+  module: string,
+  routePath: string,
+  docs: TRouteDocs[],
+  comment: RouteComment = {}
+) => {
+  const authenticated = docs.some((doc) => doc.authenticated);
+  const permission = docs.find((doc) => doc.permission);
+  const validations = docs.flatMap((doc) => (doc.validation ? [doc.validation] : []));
+
+  // Path parameters always exist, even when no schema validates them
+  const pathNames = [...routePath.matchAll(/:(\w+)/g)].map((match) => match[1]);
+  const parameters = new Map<string, object>(
+    pathNames.map((name) => [
+      `path:${name}`,
+      { name, in: 'path', required: true, schema: { type: 'string' } },
+    ])
+  );
+  let requestBody: object | undefined;
+
+  for (const { source, schema } of validations) {
+    const jsonSchema = toJsonSchema(schema);
+    if (source === 'params' || source === 'query') {
+      const location = source === 'params' ? 'path' : 'query';
+      toParameters(jsonSchema, location)
+        .filter(({ name }) => location === 'query' || pathNames.includes(name))
+        .forEach((parameter) => parameters.set(`${location}:${parameter.name}`, parameter));
+    } else {
+      // Several body validators on one route must all pass
+      const previous = (requestBody as { content?: { 'application/json': { schema: object } } })
+        ?.content?.['application/json'].schema;
+      requestBody = {
+        required: true,
+        content: {
+          'application/json': { schema: previous ? { allOf: [previous, jsonSchema] } : jsonSchema },
+        },
+      };
+    }
+  }
+
+  // File uploads send the validated fields as a form, next to the file
+  const file = docs.find((doc) => doc.file)?.file;
+  if (file) {
+    const fields = (requestBody as { content?: { 'application/json': { schema: JsonSchema } } })
+      ?.content?.['application/json'].schema;
+    // One object, since a strict schema of the fields would reject the file next to them
+    const schema = {
+      ...fields,
+      type: 'object',
+      properties: {
+        [file.field]: { type: 'string', format: 'binary' },
+        ...(fields?.properties as object | undefined),
+      },
+      required: [file.field, ...((fields?.required as string[] | undefined) ?? [])],
+    };
+    requestBody = { required: true, content: { 'multipart/form-data': { schema } } };
+  }
+
+  const ref = (name: string) => ({ $ref: `#/components/responses/${name}` });
+  const responses: Record<string, object> = {
+    '2XX': {
+      description: 'Success',
+      content: {
+        'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } },
+      },
+    },
+  };
+  if (validations.length) responses['400'] = ref('ValidationError');
+  if (authenticated) responses['401'] = ref('Unauthorized');
+  if (permission) responses['403'] = ref('Forbidden');
+  if (pathNames.length) responses['404'] = ref('NotFound');
+  if (docs.some((doc) => doc.rateLimit)) responses['429'] = ref('TooManyRequests');
+  responses['500'] = ref('InternalError');
+
+  const permissionNote = permission
+    ? `Requires the \`${permission.permission}\` permission` +
+      (permission.ownerAllowed ? ` (or \`${permission.permission}:own\` on your own data)` : '') +
+      (permission.roles ? ` and the ${permission.roles.join(' or ')} role.` : '.')
+    : undefined;
+
+  return {
+    tags: [module],
+    ...(comment.description && { summary: comment.description }),
+    ...(comment.controller && { operationId: `${module}.${comment.controller}` }),
+    ...(permissionNote && { description: permissionNote }),
+    ...(parameters.size && { parameters: [...parameters.values()] }),
+    ...(requestBody && { requestBody }),
+    ...(authenticated && { security: [{ bearerAuth: [] }, { cookieAuth: [] }] }),
+    responses,
+  };
+};
+
+/**
+ * Builds an OpenAPI 3.1 document from the loaded route modules.
+ *
+ * Every route of every module router is listed. Request schemas come from the Zod
+ * validation middlewares on the route, security and permissions from `isAuthorized`
+ * and `authorize`, and summaries from the route's JSDoc `@description`.
+ *
+ * @param routeModules - The route modules mounted by the app.
+ * @returns The OpenAPI document.
+ */
+const buildOpenApiDocument = (routeModules: RouteModule[]) => {
+  const paths: Record<string, Record<string, object>> = {};
+
+  for (const { module, basePath, file, router } of routeModules) {
+    const comments = readRouteComments(file);
+    // Docs of `router.use(...)` middlewares apply to every route declared after them
+    const routerDocs: TRouteDocs[] = [];
+
+    for (const layer of router.stack as RouterLayer[]) {
+      if (!layer.route) {
+        const docs = getMiddlewareDocs(layer.handle);
+        if (docs) routerDocs.push(docs);
+        continue;
+      }
+
+      const { route } = layer;
+      const routeDocs = route.stack.flatMap((item) => getMiddlewareDocs(item.handle) ?? []);
+      const openApiPath = `${basePath}${route.path}`.replace(/:(\w+)/g, '{$1}');
+
+      for (const method of Object.keys(route.methods)) {
+        paths[openApiPath] = {
+          ...paths[openApiPath],
+          [method]: buildOperation(
+            module,
+            route.path,
+            [...routerDocs, ...routeDocs],
+            comments.get(`${method.toUpperCase()} ${route.path}`)
+          ),
+        };
+      }
+    }
+  }
+
+  const { version } = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', '..', '..', 'package.json'), 'utf8')
+  ) as { version: string };
+
+  return {
+    openapi: '3.1.0',
+    info: { title: `${config.APP_NAME} API`, version },
+    servers: [{ url: config.BASE_URL ? `${config.BASE_URL}:${config.PORT}` : '/' }],
+    tags: routeModules.map(({ module }) => ({ name: module })),
+    paths,
+    components,
+  };
+};
+
+export default buildOpenApiDocument;
@@ -0,0 +1,62 @@
+import { randomBytes } from 'crypto';
+import { Request, Response, Router } from 'express';
+
+// Swagger UI assets, pinned to a major version
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+const SWAGGER_UI_CDN = `${CDN_ORIGIN}/npm/swagger-ui-dist@5`;
+
+/**
+ * Creates the router serving the OpenAPI document and its viewer.
+ *
+ * - `GET /openapi.json` returns the document.
+ * - `GET /` returns a Swagger UI page rendering it.
+ *
+ * @param getDocument - Returns the OpenAPI document; called on every request to the JSON route.
+ * @returns The docs router, to be mounted e.g. on `/api/docs`.
+ */
+const createDocsRouter = (getDocument: () => object): Router => {
+  const router = Router();
+
+  router.get('/openapi.json', (req: Request, res: Response) => {
+    res.json(getDocument());
+  });
+
+  router.get('/', (req: Request, res: Response) => {
+    const nonce = randomBytes(16).toString('base64');
+    // Relax the default Content Security Policy for this page only
+    res.setHeader(
+      'Content-Security-Policy',
+      [
+        "default-src 'self'",
+        `script-src 'self' ${CDN_ORIGIN} 'nonce-${nonce}'`,
+        `style-src 'self' ${CDN_ORIGIN} 'unsafe-inline'`,
+        "img-src 'self' data: https:",
+        "connect-src 'self'",
+      ].join('; ')
+    );
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>API documentation</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"></script>
+    <script nonce="${nonce}">
+      window.ui = SwaggerUIBundle({
+        url: '${req.baseUrl}/openapi.json',
+        dom_id: '#swagger-ui',
+        withCredentials: true,
+      });
+    </script>
+  </body>
+</html>`);
+  });
+
+  return router;
+};
+
+export default createDocsRouter;
@@ -0,0 +1,46 @@
+import { z } from 'zod';
+
+/**
+ * What a middleware contributes to the documentation of the routes it guards.
+ */
+export interface TRouteDocs {
+  // Request part validated by the middleware, and its schema
+  validation?: {
+    source: 'body' | 'params' | 'query' | 'mixed';
+    schema: z.ZodType;
+  };
+  // The request is a `multipart/form-data` form carrying a file in this field
+  file?: { field: string };
+  // The route requires an access token
+  authenticated?: boolean;
+  // Permission required by `authorize`
+  permission?: string;
+  // Holders of `<permission>:own` are allowed on their own documents
+  ownerAllowed?: boolean;
+  // Only these roles may use the route
+  roles?: string[];
+  // Name of the rate-limit policy guarding the route
+  rateLimit?: string;
+}
+
+// Keyed by the middleware function itself, so tagging never changes its behavior
+const routeDocs = new WeakMap<object, TRouteDocs>();
+
+/**
+ * Attaches documentation to a middleware, read back when the OpenAPI document is built.
+ *
+ * @param middleware - The middleware to describe.
+ * @param docs - What the middleware means for the routes using it.
+ * @returns The same middleware.
+ */
+export const describeMiddleware = <T extends object>(middleware: T, docs: TRouteDocs): T => {
+  routeDocs.set(middleware, { ...routeDocs.get(middleware), ...docs });
+  return middleware;
+};
+
+/**
+ * @param middleware - A middleware found on a route.
+ * @returns The documentation attached to it, if any.
+ */
+export const getMiddlewareDocs = (middleware: unknown): TRouteDocs | undefined =>
+  typeof middleware === 'function' ? routeDocs.get(middleware) : undefined;
@@ -0,0 +1,17 @@
+import fs from 'fs';
+import path from 'path';
+import loadRouteModules from '../routes/load-route-modules';
+import buildOpenApiDocument from './build-openapi';
+
+/**
+ * Writes the OpenAPI document to disk without starting the server.
+ *
+ * Usage: `npm run openapi [output]`, the output defaulting to `docs/openapi.json`.
+ */
+const output = path.resolve(process.argv[2] || path.join('docs', 'openapi.json'));
+const routeModules = loadRouteModules(path.join(__dirname, '..', '..', 'modules'), '/api/v1');
+const document = buildOpenApiDocument(routeModules);
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, `${JSON.stringify(document, null, 2)}\n`);
+process.stdout.write(`OpenAPI document written to ${path.relative(process.cwd(), output)}\n`);
@@ -0,0 +1,256 @@
+import { Model, QueryFilter } from 'mongoose';
+import { isMongoId } from 'validator';
+import { SearchQueryInput, TFilterOperator } from '../../handlers/common-zod-validator';
+import { BadRequestError, ErrorDetail } from '../../helpers/errors/app-error';
+
+/**
+ * Per-resource whitelist and defaults for list queries.
+ */
+export interface ListQueryOptions {
+  // Fields matched case-insensitively by `searchKey`
+  searchFields?: string[];
+  // Fields that may be filtered, sorted and selected; defaults to every schema path not hidden with `select: false`
+  allowedFields?: string[];
+  // Sort used when the client sends none
+  defaultSort?: Record<string, 1 | -1>;
+  // Projection used when the client sends no `fields`
+  defaultProjection?: string;
+  // Ref fields the client may populate; none by default
+  populateFields?: string[];
+}
+
+/**
+ * Mongo query parts translated from a list request.
+ */
+export interface ListQuery<T> {
+  filter: QueryFilter<T>;
+  sort: Record<string, 1 | -1>;
+  // Empty when every field is returned
+  projection: string;
+  // Ref fields to replace with the documents they reference
+  populate: string[];
+}
+
+// Mongo operator of every filter operator; values are always passed as literals
+const mongoOperators: Record<TFilterOperator, string> = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  exists: '$exists',
+};
+
+// Schema types that can be compared with gt/gte/lt/lte
+const orderedTypes = ['Number', 'Date', 'String', 'Decimal128'];
+
+/**
+ * Escapes the characters that have a meaning in regular expressions.
+ *
+ * @param value - Text typed by a user.
+ * @returns A pattern matching the text literally.
+ */
+export const escapeRegex = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Error of the populate parameter when it names fields outside the whitelist
+const checkPopulate = (
+  fields: string[],
+  populateFields: string[] = []
+): ErrorDetail | undefined => {
+  const denied = fields.filter((field) => !populateFields.includes(field));
+  return denied.length
+    ? { field: 'populate', message: `Populating ${denied.join(', ')} is not allowed` }
+    : undefined;
+};
+
+/**
+ * Checks the fields a client asked to populate against the whitelist of a resource.
+ *
+ * Populated documents are read with the defaults of their own schema, so fields declared
+ * with `select: false`, such as password hashes, stay hidden.
+ *
+ * @param requested - The fields of the `populate` query parameter, if any.
+ * @param populateFields - The ref fields that may be populated.
+ * @returns The fields to populate.
+ * @throws {BadRequestError} - If a field may not be populated.
+ */
+export const resolvePopulate = (
+  requested: string[] | undefined,
+  populateFields: string[] = []
+): string[] => {
+  const fields = [...new Set(requested ?? [])];
+  const error = checkPopulate(fields, populateFields);
+  if (error) throw new BadRequestError('Invalid query parameters', [error]);
+  return fields;
+};
+
+/**
+ * Lists the schema paths a client may filter, sort and select by default.
+ *
+ * @param model - The model.
+ * @returns Every path except the version key and paths declared with `select: false`.
+ */
+export const getQueryableFields = <T>(model: Model<T>): string[] =>
+  Object.keys(model.schema.paths).filter(
+    (field) => field !== '__v' && model.schema.path(field).options.select !== false
+  );
+
+/**
+ * Converts a query string value to the type of a schema path.
+ *
+ * @param model - The model owning the path.
+ * @param field - The schema path.
+ * @param value - The raw value.
+ * @returns The converted value, or an error message.
+ */
+const castValue = <T>(
+  model: Model<T>,
+  field: string,
+  value: string
+): { value: unknown } | { error: string } => {
+  const schemaType = model.schema.path(field) as unknown as {
+    instance: string;
+    embeddedSchemaType?: { instance: string };
+  };
+  // Array fields match on their elements
+  const type =
+    schemaType.instance === 'Array' ? schemaType.embeddedSchemaType?.instance : schemaType.instance;
+
+  switch (type) {
+    case 'Number':
+    case 'Decimal128': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number)
+        ? { value: number }
+        : { error: 'Must be a number' };
+    }
+    case 'Date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? { error: 'Must be a valid date' } : { value: date };
+    }
+    case 'Boolean':
+      return value === 'true' || value === 'false'
+        ? { value: value === 'true' }
+        : { error: 'Must be true or false' };
+    case 'ObjectId':
+      return isMongoId(value) ? { value } : { error: 'Must be a valid MongoDB ObjectId' };
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Translates the `searchKey`, `filter`, `sort`, `fields` and `populate` of a validated list
+ * query into a Mongo filter, sort, projection and the fields to populate.
+ *
+ * Only whitelisted fields are accepted, operators are mapped from a fixed list, and values
+ * are cast to the field's schema type, so client input is never used as a query key.
+ *
+ * @param model - The model being listed.
+ * @param query - The validated query.
+ * @param options - Search fields, whitelists and defaults of the resource.
+ * @returns The filter, sort, projection and populated fields.
+ * @throws {BadRequestError} - If a field is not allowed or a value does not fit its field.
+ */
+const BuildListQuery = <T>(
+  model: Model<T>,
+  query: SearchQueryInput,
+  options: ListQueryOptions = {}
+): ListQuery<T> => {
+  const allowedFields = new Set(options.allowedFields ?? getQueryableFields(model));
+  const errors: ErrorDetail[] = [];
+  const conditions: Record<string, unknown>[] = [];
+
+  // Case-insensitive search over the search fields
+  if (query.searchKey && options.searchFields?.length) {
+    const pattern = escapeRegex(query.searchKey);
+    conditions.push({
+      $or: options.searchFields.map((field) => ({ [field]: { $regex: pattern, $options: 'i' } })),
+    });
+  }
+
+  // filter[field]=value and filter[field][op]=value
+  for (const [field, operations] of Object.entries(query.filter ?? {})) {
+    if (!allowedFields.has(field)) {
+      errors.push({ field: `filter[${field}]`, message: 'Filtering on this field is not allowed' });
+      continue;
+    }
+    const condition: Record<string, unknown> = {};
+    for (const [operator, raw] of Object.entries(operations) as [TFilterOperator, string][]) {
+      const name = `filter[${field}][${operator}]`;
+      if (operator === 'exists') {
+        if (raw !== 'true' && raw !== 'false') {
+          errors.push({ field: name, message: 'Must be true or false' });
+        } else {
+          condition.$exists = raw === 'true';
+        }
+        continue;
+      }
+      if (['gt', 'gte', 'lt', 'lte'].includes(operator)) {
+        const type = (model.schema.path(field) as unknown as { instance: string }).instance;
+        if (!orderedTypes.includes(type)) {
+          errors.push({ field: name, message: 'This field cannot be compared' });
+          continue;
+        }
+      }
+      const values = operator === 'in' || operator === 'nin' ? raw.split(',') : [raw];
+      const cast = values.map((value) => castValue(model, field, value));
+      const failed = cast.find((result) => 'error' in result);
+      if (failed && 'error' in failed) {
+        errors.push({ field: name, message: failed.error });
+        continue;
+      }
+      const castValues = cast.map((result) => (result as { value: unknown }).value);
+      condition[mongoOperators[operator]] =
+        operator === 'in' || operator === 'nin' ? castValues : castValues[0];
+    }
+    conditions.push({ [field]: condition });
+  }
+
+  // sort=-createdAt,name
+  let sort = options.defaultSort ?? {};
+  if (query.sort) {
+    sort = {};
+    for (const item of query.sort) {
+      const field = item.replace(/^-/, '');
+      if (!allowedFields.has(field)) {
+        errors.push({ field: 'sort', message: `Sorting on ${field} is not allowed` });
+      } else {
+        sort[field] = item.startsWith('-') ? -1 : 1;
+      }
+    }
+  }
+  // Break ties on _id so pages never overlap
+  if (Object.keys(sort).length && !('_id' in sort)) {
+    sort = { ...sort, _id: 1 };
+  }
+
+  // fields=name,email
+  let projection = options.defaultProjection ?? '';
+  if (query.fields) {
+    const denied = query.fields.filter((field) => !allowedFields.has(field));
+    if (denied.length) {
+      errors.push({ field: 'fields', message: `Selecting ${denied.join(', ')} is not allowed` });
+    }
+    projection = query.fields.join(' ');
+  }
+
+  // populate=author,tags
+  const populate = [...new Set(query.populate ?? [])];
+  const populateError = checkPopulate(populate, options.populateFields);
+  if (populateError) errors.push(populateError);
+
+  if (errors.length) throw new BadRequestError('Invalid query parameters', errors);
+
+  return {
+    filter: (conditions.length ? { $and: conditions } : {}) as QueryFilter<T>,
+    sort,
+    projection,
+    populate,
+  };
+};
+
+export default BuildListQuery;
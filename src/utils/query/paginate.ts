@@ -0,0 +1,195 @@
+import { HydratedDocument, Model, QueryFilter } from 'mongoose';
+import { SearchQueryInput } from '../../handlers/common-zod-validator';
+import { BadRequestError } from '../../helpers/errors/app-error';
+import { hasSoftDelete } from '../mongoose/soft-delete';
+import { ListQuery } from './build-list-query';
+
+/**
+ * One page of documents, with the pagination details of the requested mode.
+ */
+export interface PageResult<T> {
+  docs: HydratedDocument<T>[];
+  // Omitted when counting is turned off with `count=none`
+  totalData?: number;
+  // Page mode only
+  totalPages?: number;
+  // Cursor mode only, null when there is no page in that direction
+  nextCursor?: string | null;
+  prevCursor?: string | null;
+}
+
+/**
+ * Pagination details returned next to the documents of a list endpoint.
+ */
+export type PaginationResult = Omit<PageResult<unknown>, 'docs'>;
+
+// Decoded form of the opaque cursor tokens
+interface Cursor {
+  // Sort the cursor was issued for, e.g. `createdAt:-1,_id:1`
+  s: string;
+  // Sort key values of the boundary document, in sort order
+  v: unknown[];
+  // Direction: next or previous page
+  d: 'n' | 'p';
+}
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const encodeCursor = (cursor: Cursor): string =>
+  Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (token: string, signature: string): Cursor => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8')) as Cursor;
+    if (cursor.s === signature && Array.isArray(cursor.v) && ['n', 'p'].includes(cursor.d)) {
+      return cursor;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new BadRequestError('Invalid cursor', [
+    { field: 'cursor', message: 'The cursor is malformed or was issued for another sort' },
+  ]);
+};
+
+/**
+ * Builds the keyset condition selecting documents after (or before) a boundary document.
+ *
+ * For a sort `{ a: -1, _id: 1 }` and boundary values `(va, vid)` the documents after it are
+ * `a < va OR (a = va AND _id > vid)`.
+ *
+ * @param sort - The sort, ending with `_id`.
+ * @param values - Sort key values of the boundary document.
+ * @param forward - True for the documents after the boundary, false for those before it.
+ * @returns The Mongo condition.
+ */
+const keysetCondition = (sort: [string, 1 | -1][], values: unknown[], forward: boolean) => ({
+  $or: sort.map(([field, direction], index) => {
+    const ascending = (direction === 1) === forward;
+    return {
+      ...Object.fromEntries(sort.slice(0, index).map(([equalField], i) => [equalField, values[i]])),
+      [field]: { [ascending ? '$gt' : '$lt']: values[index] },
+    };
+  }),
+});
+
+/**
+ * Counts the matching documents as requested by `count`.
+ *
+ * `estimated` reads the collection metadata instead of scanning when no filter applies,
+ * and falls back to an exact count otherwise. Metadata counts include soft-deleted
+ * documents, so soft-deletable models always count exactly.
+ */
+const countDocuments = async <T>(
+  model: Model<T>,
+  filter: QueryFilter<T>,
+  mode: 'exact' | 'estimated' | 'none'
+): Promise<number | undefined> => {
+  if (mode === 'none') return undefined;
+  if (mode === 'estimated' && Object.keys(filter).length === 0 && !hasSoftDelete(model.schema)) {
+    return model.estimatedDocumentCount();
+  }
+  return model.countDocuments(filter);
+};
+
+/**
+ * Runs a list query in page mode or keyset (cursor) mode.
+ *
+ * - Page mode (default): `pageNo` and `showPerPage`, with `totalData` and `totalPages`.
+ * - Cursor mode (`paginate=cursor`, or any `cursor`): `showPerPage` documents after the
+ *   `cursor`, with opaque `nextCursor` and `prevCursor` tokens. The sort always ends
+ *   with `_id`, so pages stay stable while documents are added; deep pages cost the same
+ *   as the first one.
+ *
+ * `count=exact|estimated|none` controls the total count, which defaults to exact in page
+ * mode and to none in cursor mode.
+ *
+ * @param model - The model being listed.
+ * @param listQuery - Filter, sort, projection and populated fields from `BuildListQuery`.
+ * @param query - The validated query.
+ * @returns The documents and pagination details.
+ * @throws {BadRequestError} - If the cursor is invalid or belongs to another sort.
+ */
+const Paginate = async <T>(
+  model: Model<T>,
+  { filter, sort, projection, populate }: ListQuery<T>,
+  query: SearchQueryInput
+): Promise<PageResult<T>> => {
+  const { showPerPage = DEFAULT_PAGE_SIZE, pageNo = 1 } = query;
+  const cursorMode = query.paginate === 'cursor' || query.cursor !== undefined;
+
+  if (!cursorMode) {
+    const countMode = query.count ?? 'exact';
+    // Calculate the number of items to skip based on the page number
+    const skipItems = (pageNo - 1) * showPerPage;
+    const [docs, totalData] = await Promise.all([
+      model
+        .find(filter)
+        .sort(sort)
+        .skip(skipItems)
+        .limit(showPerPage)
+        .select(projection)
+        .populate(populate),
+      countDocuments(model, filter, countMode),
+    ]);
+    return {
+      docs,
+      ...(totalData !== undefined && {
+        totalData,
+        totalPages: Math.ceil(totalData / showPerPage),
+      }),
+    };
+  }
+
+  // The keyset needs a total order, so the sort always ends with _id
+  const sortEntries = Object.entries({ ...sort, _id: sort._id ?? 1 }) as [string, 1 | -1][];
+  const signature = sortEntries.map(([field, direction]) => `${field}:${direction}`).join(',');
+  const cursor = query.cursor ? decodeCursor(query.cursor, signature) : undefined;
+  const forward = cursor?.d !== 'p';
+
+  // Read one extra document to know whether another page follows
+  const pageFilter = cursor
+    ? { $and: [filter, keysetCondition(sortEntries, cursor.v, forward)] }
+    : filter;
+  const querySort = Object.fromEntries(
+    sortEntries.map(([field, direction]) => [field, forward ? direction : -direction])
+  ) as Record<string, 1 | -1>;
+  // Inclusive projections must still return the sort keys the cursors are built from
+  const select =
+    projection && !projection.startsWith('-')
+      ? `${projection} ${sortEntries.map(([field]) => field).join(' ')}`
+      : projection;
+
+  const [found, totalData] = await Promise.all([
+    model
+      .find(pageFilter as QueryFilter<T>)
+      .sort(querySort)
+      .limit(showPerPage + 1)
+      .select(select)
+      .populate(populate),
+    countDocuments(model, filter, query.count ?? 'none'),
+  ]);
+
+  const hasMore = found.length > showPerPage;
+  const docs = found.slice(0, showPerPage);
+  if (!forward) docs.reverse();
+
+  // Populated sort keys are read as the IDs they replaced
+  const sortValue = (doc: HydratedDocument<T>, field: string) =>
+    doc.populated(field) ?? doc.get(field);
+  const boundary = (doc: HydratedDocument<T> | undefined, d: Cursor['d']) =>
+    doc
+      ? encodeCursor({ s: signature, v: sortEntries.map(([field]) => sortValue(doc, field)), d })
+      : null;
+
+  return {
+    docs,
+    ...(totalData !== undefined && { totalData }),
+    // Going forward there is a next page if more were found; coming back there always is
+    nextCursor: forward && !hasMore ? null : boundary(docs[docs.length - 1], 'n'),
+    // Going forward from a cursor there always is a previous page; coming back if more were found
+    prevCursor: (forward ? !cursor : !hasMore) ? null : boundary(docs[0], 'p'),
+  };
+};
+
+export default Paginate;
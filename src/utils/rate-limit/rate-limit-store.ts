@@ -0,0 +1,90 @@
+/**
+ * Hits counted for a client within the current window.
+ */
+export interface TRateLimitHits {
+  hits: number;
+  // When the window ends and the count starts over
+  resetAt: Date;
+}
+
+/**
+ * A pluggable store counting the requests of rate-limit policies.
+ *
+ * Counts use fixed windows: the first hit on a key opens a window of `windowMs`
+ * milliseconds, and the count starts over once it ends. Keys are prefixed with the
+ * policy name, so one store serves every policy.
+ */
+export interface RateLimitStore {
+  name: string;
+  increment: (key: string, windowMs: number) => Promise<TRateLimitHits>;
+  decrement: (key: string) => Promise<void>;
+  reset: (key: string) => Promise<void>;
+  clear: () => Promise<void>;
+  close?: () => void;
+}
+
+/**
+ * Creates a store keeping counts in process memory. Expired windows are swept at most
+ * once a minute, while hits come in.
+ *
+ * @returns {RateLimitStore} - The in-memory store.
+ */
+export const createMemoryRateLimitStore = (): RateLimitStore => {
+  const windows = new Map<string, { hits: number; resetAt: number }>();
+  let nextSweep = Date.now() + 60 * 1000;
+
+  const sweep = (now: number) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+    nextSweep = now + 60 * 1000;
+  };
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      if (now >= nextSweep) sweep(now);
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { hits: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.hits++;
+      return { hits: window.hits, resetAt: new Date(window.resetAt) };
+    },
+    decrement: async (key) => {
+      const window = windows.get(key);
+      if (window && window.hits > 0) window.hits--;
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    },
+    clear: async () => {
+      windows.clear();
+    },
+  };
+};
+
+// Lazily created store shared by the whole process
+let activeStore: RateLimitStore | null = null;
+
+/**
+ * Returns the store of the rate limits, creating the in-memory store on first use.
+ *
+ * @returns {RateLimitStore} - The active store.
+ */
+export const getRateLimitStore = (): RateLimitStore => {
+  if (!activeStore) activeStore = createMemoryRateLimitStore();
+  return activeStore;
+};
+
+/**
+ * Replaces the active store, e.g. with a Redis adapter shared by several instances.
+ *
+ * @param {RateLimitStore} store - The store to use from now on.
+ */
+export const setRateLimitStore = (store: RateLimitStore): void => {
+  activeStore?.close?.();
+  activeStore = store;
+};
@@ -0,0 +1,59 @@
+import { Router } from 'express';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * A route file found under the modules directory, with the path it is mounted on.
+ */
+export interface RouteModule {
+  // Module name, e.g. `user` for `user.route.ts`
+  module: string;
+  // Mount path, e.g. `/api/v1/user`
+  basePath: string;
+  // Absolute path of the route file
+  file: string;
+  router: Router;
+  // Time spent requiring the file, in milliseconds
+  loadTime: number;
+}
+
+/**
+ * Recursively requires every `<name>.route.ts` (or `.js`) file below a directory.
+ *
+ * Each nested folder adds a segment to the mount path, so `modules/user/user.route.ts`
+ * loaded with `/api/v1` is mounted on `/api/v1/user`.
+ *
+ * @param basePath - Directory to search.
+ * @param baseRoute - Mount path for route files directly inside `basePath`.
+ * @returns The route modules, in alphabetical order.
+ */
+const loadRouteModules = (basePath: string, baseRoute: string): RouteModule[] => {
+  if (!fs.existsSync(basePath)) return [];
+
+  return fs
+    .readdirSync(basePath)
+    .sort()
+    .flatMap((item): RouteModule[] => {
+      const itemPath = path.join(basePath, item);
+
+      if (fs.statSync(itemPath).isDirectory()) {
+        return loadRouteModules(itemPath, `${baseRoute}/${item}`);
+      }
+      if (!/\.route\.(ts|js)$/.test(item) || item.endsWith('.d.ts')) return [];
+
+      const start = performance.now();
+      // Route files export their router with `module.exports`, loaded synchronously
+      const router: Router = module.require(itemPath);
+      return [
+        {
+          module: item.split('.')[0],
+          basePath: baseRoute,
+          file: itemPath,
+          router,
+          loadTime: performance.now() - start,
+        },
+      ];
+    });
+};
+
+export default loadRouteModules;
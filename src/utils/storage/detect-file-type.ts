@@ -0,0 +1,91 @@
+/**
+ * Recognizes uploaded files by their content rather than their name or the client's
+ * `Content-Type`, so a script renamed to `.png` is refused.
+ */
+
+interface FileType {
+  mimeType: string;
+  // Whether the first bytes of a file are those of this type
+  matches: (data: Buffer) => boolean;
+}
+
+// Whether the data holds the given bytes (or latin1 characters) at an offset
+const startsWith = (data: Buffer, signature: number[] | string, offset = 0): boolean => {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+  return bytes.every((byte, index) => data[offset + index] === byte);
+};
+
+/**
+ * Bytes of a file its type is recognized by: `detectFileType` needs no more.
+ */
+export const DETECTION_SAMPLE_SIZE = 8192;
+
+// Text formats have no signature: accept UTF-8 without NUL bytes, a telltale of binary files
+const isText = (data: Buffer): boolean => {
+  const sample = data.subarray(0, DETECTION_SAMPLE_SIZE);
+  if (sample.includes(0)) return false;
+  try {
+    // A character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isZip = (data: Buffer) => startsWith(data, [0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Every extension that can be allowed in `UPLOAD_ALLOWED_EXTENSIONS`, with the MIME
+ * type stored and served for it. Office documents are zip archives, and are only told
+ * apart from other archives by their extension.
+ */
+const fileTypes: Record<string, FileType> = {
+  jpg: { mimeType: 'image/jpeg', matches: (data) => startsWith(data, [0xff, 0xd8, 0xff]) },
+  jpeg: { mimeType: 'image/jpeg', matches: (data) => startsWith(data, [0xff, 0xd8, 0xff]) },
+  png: {
+    mimeType: 'image/png',
+    matches: (data) => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  gif: {
+    mimeType: 'image/gif',
+    matches: (data) => startsWith(data, 'GIF87a') || startsWith(data, 'GIF89a'),
+  },
+  webp: {
+    mimeType: 'image/webp',
+    matches: (data) => startsWith(data, 'RIFF') && startsWith(data, 'WEBP', 8),
+  },
+  pdf: { mimeType: 'application/pdf', matches: (data) => startsWith(data, '%PDF-') },
+  zip: { mimeType: 'application/zip', matches: isZip },
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    matches: isZip,
+  },
+  xlsx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    matches: isZip,
+  },
+  mp3: {
+    mimeType: 'audio/mpeg',
+    matches: (data) => startsWith(data, 'ID3') || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0),
+  },
+  mp4: { mimeType: 'video/mp4', matches: (data) => startsWith(data, 'ftyp', 4) },
+  txt: { mimeType: 'text/plain', matches: isText },
+  csv: { mimeType: 'text/csv', matches: isText },
+  json: { mimeType: 'application/json', matches: isText },
+  ndjson: { mimeType: 'application/x-ndjson', matches: isText },
+};
+
+export const fileTypeExtensions = Object.keys(fileTypes) as [string, ...string[]];
+
+/**
+ * Checks that the content of a file is of the type its extension claims.
+ *
+ * @param extension - The lowercase extension of the file name, without dot.
+ * @param data - The content of the file, or at least its first `DETECTION_SAMPLE_SIZE` bytes.
+ * @returns The MIME type of the extension, or null if the content does not match it.
+ */
+export const detectFileType = (extension: string, data: Buffer): string | null => {
+  const fileType = fileTypes[extension];
+  return fileType && data.length && fileType.matches(data) ? fileType.mimeType : null;
+};
@@ -0,0 +1,13 @@
+/**
+ * Formats a number of bytes for messages, e.g. `2 MB`.
+ *
+ * @param bytes - The size in bytes.
+ * @returns The size in the largest unit it reaches.
+ */
+const formatSize = (bytes: number): string => {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), 3);
+  return `${Math.round((bytes / 1024 ** exponent) * 10) / 10} ${units[exponent]}`;
+};
+
+export default formatSize;
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { ReadableStream } from 'stream/web';
+import config from '../../config/config';
+import type { StorageDriver } from './storage-driver';
+
+/**
+ * Where and how to reach an S3-compatible bucket.
+ */
+export interface S3StorageOptions {
+  // e.g. `http://localhost:9000` for MinIO; AWS S3 of `region` when omitted
+  endpoint?: string;
+  region: string;
+  bucket: string;
+  accessKeyId: string;
+  secretAccessKey: string;
+  // Address the bucket as `<endpoint>/<bucket>` instead of `<bucket>.<endpoint host>`
+  forcePathStyle: boolean;
+}
+
+const sha256 = (data: string | Buffer): string =>
+  crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key: string | Buffer, data: string): Buffer =>
+  crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of one path segment, as Signature Version 4 expects
+const encodeSegment = (segment: string): string =>
+  encodeURIComponent(segment).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+/**
+ * Signs a request with AWS Signature Version 4, returning the headers to send with it.
+ *
+ * @param options - The bucket settings holding the credentials and region.
+ * @param method - The HTTP method.
+ * @param url - The URL of the object.
+ * @param body - The payload, hashed into the signature.
+ * @param headers - Extra headers to sign, e.g. `content-type`.
+ * @returns The signed headers, including `authorization`.
+ */
+const signRequest = (
+  options: S3StorageOptions,
+  method: string,
+  url: URL,
+  body: Buffer,
+  headers: Record<string, string> = {}
+): Record<string, string> => {
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${options.region}/s3/aws4_request`;
+  const signed: Record<string, string> = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': sha256(body),
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...names.map((name) => `${name}:${signed[name]}`),
+    '',
+    names.join(';'),
+    signed['x-amz-content-sha256'],
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${options.secretAccessKey}`, date), options.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  // fetch sets Host itself, from the same URL
+  delete signed.host;
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${options.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Creates a driver that keeps files in an S3-compatible bucket (AWS S3, MinIO, R2, ...),
+ * talking to its REST API directly.
+ *
+ * @param {S3StorageOptions} options - The bucket settings (defaults to the `STORAGE_S3_*` settings).
+ * @returns {StorageDriver} - The S3 driver.
+ */
+export const createS3StorageDriver = (
+  options: S3StorageOptions = {
+    endpoint: config.STORAGE_S3_ENDPOINT,
+    region: config.STORAGE_S3_REGION,
+    bucket: config.STORAGE_S3_BUCKET,
+    accessKeyId: config.STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: config.STORAGE_S3_SECRET_ACCESS_KEY,
+    forcePathStyle: config.STORAGE_S3_FORCE_PATH_STYLE,
+  }
+): StorageDriver => {
+  const endpoint = new URL(options.endpoint ?? `https://s3.${options.region}.amazonaws.com`);
+
+  const objectUrl = (key: string): URL => {
+    const objectPath = key.split('/').map(encodeSegment).join('/');
+    const url = new URL(endpoint);
+    if (options.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${options.bucket}/${objectPath}`;
+    } else {
+      url.hostname = `${options.bucket}.${url.hostname}`;
+      url.pathname = `/${objectPath}`;
+    }
+    return url;
+  };
+
+  // Sends a signed request, failing on any status but the accepted ones
+  const send = async (
+    method: string,
+    key: string,
+    body: Buffer = Buffer.alloc(0),
+    headers?: Record<string, string>,
+    accepted: number[] = []
+  ): Promise<Response> => {
+    const url = objectUrl(key);
+    const response = await fetch(url, {
+      method,
+      headers: signRequest(options, method, url, body, headers),
+      body: body.length ? new Uint8Array(body) : undefined,
+    });
+    if (!response.ok && !accepted.includes(response.status)) {
+      const detail = await response.text();
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${detail.slice(0, 500)}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 's3',
+    put: async (key, data, contentType) => {
+      await send('PUT', key, data, { 'content-type': contentType });
+    },
+    get: async (key) => {
+      const response = await send('GET', key, undefined, undefined, [404]);
+      if (response.status === 404 || !response.body) return null;
+      return Readable.fromWeb(response.body as ReadableStream<Uint8Array>);
+    },
+    delete: async (key) => {
+      await send('DELETE', key, undefined, undefined, [404]);
+    },
+  };
+};
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import config from '../../config/config';
+import { toPublicUrl } from '../http/public-url';
+
+// Signature of a path valid until a Unix time, in seconds
+const sign = (path: string, expires: number): string =>
+  crypto
+    .createHmac('sha256', config.UPLOAD_SIGNING_SECRET)
+    .update(`${path}\n${expires}`)
+    .digest('hex');
+
+/**
+ * Builds an absolute URL, under `PUBLIC_BASE_URL`, to a path of the API that stays valid
+ * for a limited time, e.g. the download route of a private file. Anyone holding the URL
+ * can use it until then.
+ *
+ * @param path - The path, e.g. `/api/v1/upload/download-upload/<id>`.
+ * @param expiresIn - Seconds the URL stays valid (defaults to `UPLOAD_SIGNED_URL_TTL`).
+ * @returns The URL, carrying `expires` and `signature` query parameters, and its expiry.
+ */
+export const createSignedUrl = (
+  path: string,
+  expiresIn: number = config.UPLOAD_SIGNED_URL_TTL
+): { url: string; expiresAt: Date } => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({ expires: String(expires), signature: sign(path, expires) });
+  return {
+    url: `${toPublicUrl(path)}?${query}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Checks the `expires` and `signature` query parameters of a signed URL.
+ *
+ * @param path - The path the URL was signed for.
+ * @param expires - The `expires` parameter, a Unix time in seconds.
+ * @param signature - The `signature` parameter.
+ * @returns `true` if the signature is genuine and has not expired.
+ */
+export const verifySignedUrl = (path: string, expires: number, signature: string): boolean => {
+  if (!Number.isSafeInteger(expires) || expires * 1000 < Date.now()) return false;
+  const expected = Buffer.from(sign(path, expires), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
@@ -0,0 +1,113 @@
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import config from '../../config/config';
+import { createS3StorageDriver } from './s3-storage-driver';
+
+/**
+ * A pluggable place to keep the content of uploaded files, addressed by key.
+ *
+ * Keys are chosen by the upload service, e.g. `2024/06/<random>.png`. `get` resolves to
+ * null and `delete` does nothing when the key does not exist.
+ */
+export interface StorageDriver {
+  name: string;
+  put: (key: string, data: Buffer, contentType: string) => Promise<void>;
+  get: (key: string) => Promise<Readable | null>;
+  delete: (key: string) => Promise<void>;
+}
+
+/**
+ * Files stored by the `memory` driver, by key. Tests can read and clear this map.
+ */
+export const memoryStorage = new Map<string, Buffer>();
+
+/**
+ * Creates a driver that keeps files on the local disk.
+ *
+ * @param {string} dir - The directory to keep files in (defaults to `STORAGE_LOCAL_DIR`).
+ * @returns {StorageDriver} - The local driver.
+ */
+export const createLocalStorageDriver = (dir: string = config.STORAGE_LOCAL_DIR): StorageDriver => {
+  const root = path.resolve(dir);
+  // Keys never leave the storage directory, e.g. through `../`
+  const resolve = (key: string) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, data) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+    get: async (key) => {
+      const file = resolve(key);
+      try {
+        await fs.access(file);
+      } catch {
+        return null;
+      }
+      return createReadStream(file);
+    },
+    delete: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Creates a driver that keeps files in `memoryStorage`, for tests.
+ *
+ * @returns {StorageDriver} - The in-memory driver.
+ */
+export const createMemoryStorageDriver = (): StorageDriver => ({
+  name: 'memory',
+  put: async (key, data) => {
+    memoryStorage.set(key, data);
+  },
+  get: async (key) => {
+    const data = memoryStorage.get(key);
+    return data ? Readable.from([data]) : null;
+  },
+  delete: async (key) => {
+    memoryStorage.delete(key);
+  },
+});
+
+// Lazily created driver shared by the whole process
+let activeDriver: StorageDriver | null = null;
+
+/**
+ * Returns the driver selected by `STORAGE_DRIVER`, creating it on first use.
+ *
+ * @returns {StorageDriver} - The active driver.
+ */
+export const getStorageDriver = (): StorageDriver => {
+  if (!activeDriver) {
+    switch (config.STORAGE_DRIVER) {
+      case 'memory':
+        activeDriver = createMemoryStorageDriver();
+        break;
+      case 's3':
+        activeDriver = createS3StorageDriver();
+        break;
+      default:
+        activeDriver = createLocalStorageDriver();
+    }
+  }
+  return activeDriver;
+};
+
+/**
+ * Replaces the active driver, e.g. with another provider or a test double.
+ *
+ * @param {StorageDriver} driver - The driver to use from now on.
+ */
+export const setStorageDriver = (driver: StorageDriver): void => {
+  activeDriver = driver;
+};
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Types } from 'mongoose';
+import { parseCsv, toCsvCell, toCsvRow, unescapeCsvCell } from './csv';
+
+/**
+ * Unit tests of the CSV reader and writer, run with `npm test`.
+ *
+ * The module reads no configuration, so it is imported directly.
+ */
+
+// Parses CSV text, split into chunks of the given size, into its records
+const parse = async (text: string, chunkSize = text.length || 1): Promise<string[][]> => {
+  const data = Buffer.from(text);
+  const chunks: Buffer[] = [];
+  for (let start = 0; start < data.length; start += chunkSize) {
+    chunks.push(data.subarray(start, start + chunkSize));
+  }
+  const records: string[][] = [];
+  for await (const record of parseCsv(chunks)) records.push(record);
+  return records;
+};
+
+describe('parseCsv', () => {
+  it('splits records and cells, with LF or CRLF line endings', async () => {
+    assert.deepEqual(await parse('a,b\r\n1,2\n3,\n'), [
+      ['a', 'b'],
+      ['1', '2'],
+      ['3', ''],
+    ]);
+  });
+
+  it('reads quoted cells holding commas, doubled quotes and line breaks', async () => {
+    assert.deepEqual(await parse('"a,b","say ""hi""","two\r\nlines"'), [
+      ['a,b', 'say "hi"', 'two\r\nlines'],
+    ]);
+  });
+
+  it('skips the byte order mark and blank lines', async () => {
+    assert.deepEqual(await parse('\ufeffa\n\n\r\nb\n'), [['a'], ['b']]);
+  });
+
+  it('gives the same records whatever the chunks', async () => {
+    const text = 'name,note\r\n"Zoë ""Z""","multi\nline, with €"\r\nplain,x';
+    const whole = await parse(text);
+    assert.deepEqual(whole, [
+      ['name', 'note'],
+      ['Zoë "Z"', 'multi\nline, with €'],
+      ['plain', 'x'],
+    ]);
+    // One byte at a time also splits the multi-byte characters
+    assert.deepEqual(await parse(text, 1), whole);
+  });
+
+  it('fails when the content ends inside a quoted cell', async () => {
+    await assert.rejects(parse('a,"unfinished\n'), {
+      message: 'The file ends inside a quoted cell',
+    });
+  });
+});
+
+describe('toCsvCell', () => {
+  it('writes dates, IDs, arrays and empty values', () => {
+    const id = new Types.ObjectId();
+    assert.equal(toCsvCell(new Date('2024-05-01T00:00:00Z')), '2024-05-01T00:00:00.000Z');
+    assert.equal(toCsvCell(id), String(id));
+    assert.equal(toCsvCell(['a', 'b']), '"[""a"",""b""]"');
+    assert.equal(toCsvCell(null), '');
+    assert.equal(toCsvCell(undefined), '');
+    assert.equal(toCsvCell(42), '42');
+  });
+
+  it('escapes text spreadsheets would run as a formula', () => {
+    assert.equal(toCsvCell('=SUM(A1)'), "'=SUM(A1)");
+    assert.equal(toCsvCell('+1'), "'+1");
+    assert.equal(toCsvCell('-1'), "'-1");
+    assert.equal(toCsvCell('@cmd'), "'@cmd");
+    assert.equal(toCsvCell('plain'), 'plain');
+    // Numbers are not text, and stay as they are
+    assert.equal(toCsvCell(-1), '-1');
+  });
+});
+
+describe('unescapeCsvCell', () => {
+  it('restores any text written by toCsvCell, after parsing', async () => {
+    const values = [
+      '=HYPERLINK("http://example.com")',
+      '+1',
+      '-1',
+      '@cmd',
+      '\tindented',
+      "'quoted",
+      "''=twice",
+      "it's",
+      'a,b',
+      'plain',
+    ];
+    const [cells] = await parse(toCsvRow(values));
+    assert.deepEqual(cells.map(unescapeCsvCell), values);
+  });
+
+  it('keeps a leading quote that is not an escape', () => {
+    assert.equal(unescapeCsvCell("'plain"), "'plain");
+    assert.equal(unescapeCsvCell('plain'), 'plain');
+  });
+});
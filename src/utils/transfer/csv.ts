@@ -0,0 +1,119 @@
+import { Types } from 'mongoose';
+
+/**
+ * Reads and writes CSV as described by RFC 4180: comma separated cells, quoted with `"`
+ * when they hold a comma, quote or line break, with quotes doubled inside quoted cells.
+ */
+
+// Text starting with these is run as a formula by spreadsheets, or would lose its escape
+const escapedPrefix = /^[=+\-@\t\r']/;
+
+/**
+ * Turns a value into the text of a CSV cell.
+ *
+ * Dates become ISO strings, arrays and objects JSON, null and undefined empty cells.
+ * Text that spreadsheets would run as a formula, e.g. `=HYPERLINK(...)`, is prefixed
+ * with `'`; `unescapeCsvCell` removes it again.
+ *
+ * @param value - A field of a document.
+ * @returns The cell, quoted if needed.
+ */
+export const toCsvCell = (value: unknown): string => {
+  let text: string;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value instanceof Types.ObjectId || value instanceof Types.Decimal128) {
+    text = String(value);
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string') {
+    text = escapedPrefix.test(value) ? `'${value}` : value;
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Joins values into a CSV line, ending with CRLF.
+ *
+ * @param values - The values of the cells.
+ * @returns The line.
+ */
+export const toCsvRow = (values: unknown[]): string => `${values.map(toCsvCell).join(',')}\r\n`;
+
+/**
+ * Removes the `'` put in front of formula-like text by `toCsvCell`.
+ *
+ * @param cell - The text of a cell.
+ * @returns The original text.
+ */
+export const unescapeCsvCell = (cell: string): string =>
+  cell.startsWith("'") && escapedPrefix.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+/**
+ * Splits CSV text into records as it arrives, e.g. from a file read in chunks.
+ *
+ * Quoted cells may span lines, a leading byte order mark is skipped and blank lines are
+ * ignored. Both LF and CRLF line endings are accepted.
+ *
+ * @param chunks - The UTF-8 content, in pieces.
+ * @yields The cells of each record.
+ * @throws {Error} - If the content ends inside a quoted cell.
+ */
+export async function* parseCsv(chunks: AsyncIterable<Buffer> | Iterable<Buffer>) {
+  // Drops the byte order mark spreadsheets put in front of UTF-8 files
+  const decoder = new TextDecoder('utf-8');
+  let record: string[] = [];
+  let cell = '';
+  // Inside a quoted cell, and whether the last character was a quote in it
+  let quoted = false;
+  let quoteSeen = false;
+
+  // Whether the record holds more than the single empty cell of a blank line
+  const hasContent = () => record.length > 1 || record[0] !== '';
+
+  for await (const chunk of chunks) {
+    const text = decoder.decode(chunk, { stream: true });
+    const records: string[][] = [];
+    for (const char of text) {
+      if (quoted) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          // A doubled quote stands for a quote; any other character ends the quoted part
+          if (char === '"') {
+            cell += char;
+            continue;
+          }
+          quoted = false;
+        } else if (char === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          cell += char;
+          continue;
+        }
+      }
+      if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        record.push(cell);
+        if (hasContent()) records.push(record);
+        record = [];
+        cell = '';
+      } else if (char !== '\r') {
+        cell += char;
+      }
+    }
+    yield* records;
+  }
+
+  if (quoted && !quoteSeen) throw new Error('The file ends inside a quoted cell');
+  record.push(cell);
+  if (hasContent()) yield record;
+}
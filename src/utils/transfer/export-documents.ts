@@ -0,0 +1,108 @@
+import { Response } from 'express';
+import { HydratedDocument, Model } from 'mongoose';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getQueryableFields, ListQuery } from '../query/build-list-query';
+import { toCsvRow } from './csv';
+
+/**
+ * Formats documents are exported to; imports take `importFormats` of `import-documents.ts`.
+ */
+export const transferFormats = ['csv', 'ndjson', 'json'] as const;
+export type TTransferFormat = (typeof transferFormats)[number];
+
+const contentTypes: Record<TTransferFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Lists the CSV columns of an export: the selected fields, or every queryable field.
+ */
+const exportColumns = <T>(model: Model<T>, projection: string): string[] => {
+  const selected = projection.split(' ').filter(Boolean);
+  const columns =
+    selected.length && !selected[0].startsWith('-')
+      ? selected
+      : getQueryableFields(model).filter((field) => !selected.includes(`-${field}`));
+  return ['_id', ...columns.filter((column) => column !== '_id')];
+};
+
+// Reads a dotted path, e.g. `address.city`, of a serialized document
+const readPath = (doc: Record<string, unknown>, path: string): unknown =>
+  path.split('.').reduce<unknown>((value, key) => (value as Record<string, unknown>)?.[key], doc);
+
+/**
+ * Streams the documents matching a list query as CSV, NDJSON or a JSON array.
+ *
+ * Documents are read with a cursor and serialized one at a time with `toJSON`, so hidden
+ * fields stay hidden and memory use does not grow with the collection. The first
+ * document is read before returning, so query errors are thrown here rather than in the
+ * middle of the response.
+ *
+ * @param model - The model being exported.
+ * @param listQuery - Filter, sort, projection and populated fields from `BuildListQuery`.
+ * @param format - The format of the file.
+ * @returns The content of the file.
+ */
+export const exportDocuments = async <T>(
+  model: Model<T>,
+  { filter, sort, projection, populate }: ListQuery<T>,
+  format: TTransferFormat
+): Promise<Readable> => {
+  const columns = exportColumns(model, projection);
+  const cursor = model
+    .find(filter)
+    // Without a sort the export follows insertion order
+    .sort(Object.keys(sort).length ? sort : { _id: 1 })
+    .select(projection)
+    .populate(populate)
+    .cursor({ batchSize: 1000 });
+  const first = (await cursor.next()) as HydratedDocument<T> | null;
+
+  async function* chunks() {
+    try {
+      if (format === 'csv') yield toCsvRow(columns);
+      if (format === 'json') yield '[';
+      for (let doc = first, index = 0; doc; doc = await cursor.next(), index++) {
+        const json = doc.toJSON() as Record<string, unknown>;
+        if (format === 'csv') {
+          yield toCsvRow(columns.map((column) => readPath(json, column)));
+        } else if (format === 'ndjson') {
+          yield `${JSON.stringify(json)}\n`;
+        } else {
+          yield `${index ? ',' : ''}\n${JSON.stringify(json)}`;
+        }
+      }
+      if (format === 'json') yield first ? '\n]\n' : ']\n';
+    } finally {
+      // Also runs when the client goes away before the end
+      await cursor.close();
+    }
+  }
+
+  return Readable.from(chunks());
+};
+
+/**
+ * Sends an export as a file download, e.g. `blog-2024-05-01.csv`.
+ *
+ * @param res - The response object.
+ * @param name - The name of the resource, used in the file name.
+ * @param format - The format of the export.
+ * @param content - The content from `exportDocuments`.
+ * @returns {Promise<void>} - Resolves once the whole file is sent.
+ */
+export const sendExport = async (
+  res: Response,
+  name: string,
+  format: TTransferFormat,
+  content: Readable
+): Promise<void> => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', contentTypes[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  await pipeline(content, res);
+};
@@ -0,0 +1,378 @@
+import { UploadedFile } from 'express-fileupload';
+import fs from 'fs';
+import mongoose, { HydratedDocument, Model, QueryFilter } from 'mongoose';
+import { z } from 'zod';
+import config from '../../config/config';
+import { BadRequestError } from '../../helpers/errors/app-error';
+import { parseCsv, unescapeCsvCell } from './csv';
+
+/**
+ * Formats records are imported from. Both are read record by record as the file streams in.
+ */
+export const importFormats = ['csv', 'ndjson'] as const;
+export type TImportFormat = (typeof importFormats)[number];
+
+/**
+ * A problem with one record of an imported file.
+ */
+export interface ImportError {
+  // 1-based position of the record; the CSV header does not count
+  row: number;
+  field: string;
+  message: string;
+}
+
+/**
+ * The outcome of an import.
+ */
+export interface ImportReport {
+  dryRun: boolean;
+  // Records read from the file
+  total: number;
+  // Records that passed validation
+  valid: number;
+  // Records stored; none in a dry run
+  inserted: number;
+  // Records rejected, for the reasons listed in `errors`
+  failed: number;
+  // At most MAX_REPORTED_ERRORS problems, and MAX_ERRORS_PER_ROW per record, in file order
+  errors: ImportError[];
+  // Problems left out of `errors` by those caps
+  omittedErrors: number;
+}
+
+export interface ImportOptions<T> {
+  // Validate only, storing nothing
+  dryRun?: boolean;
+  // Records validated and inserted together (defaults to `IMPORT_BATCH_SIZE`)
+  batchSize?: number;
+  // Turns a validated record into the document to store, e.g. to hash a password
+  prepare?: (record: T) => object | Promise<object>;
+  // Called with each batch of stored documents, e.g. to record them in the audit trail
+  onInserted?: (docs: HydratedDocument<unknown>[]) => Promise<void>;
+}
+
+// Keeps the report readable, and small, when a whole file is wrong
+const MAX_REPORTED_ERRORS = 1000;
+const MAX_ERRORS_PER_ROW = 10;
+
+// Fields set by the database, as found in exports; they are dropped from imported records
+const systemFields = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// Lets unique checks see the documents in the trash, which still hold their values
+const withDeleted = { withDeleted: true };
+
+type RawRecord = { values: Record<string, unknown> } | { error: string };
+
+// Schema types whose cells hold JSON, as written by exports
+const jsonTypes = ['Array', 'Mixed', 'Embedded'];
+
+// Converts text to a number or boolean for paths of those types
+const castScalar = (instance: string | undefined, text: string): unknown => {
+  if (instance === 'Number' && text.trim() !== '' && Number.isFinite(Number(text))) {
+    return Number(text);
+  }
+  if (instance === 'Boolean' && (text === 'true' || text === 'false')) return text === 'true';
+  return text;
+};
+
+/**
+ * Converts the text of a CSV cell to the type of its schema path, so the create schema
+ * sees numbers, booleans and arrays. Text that does not convert is kept for the schema
+ * to reject.
+ */
+const castCell = <T>(model: Model<T>, column: string, cell: string): unknown => {
+  if (cell === '') return undefined;
+  const text = unescapeCsvCell(cell);
+  const schemaType = model.schema.path(column) as unknown as
+    { instance: string; embeddedSchemaType?: { instance: string } } | undefined;
+  const instance = schemaType?.instance;
+
+  if ((!instance || jsonTypes.includes(instance)) && /^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  // Arrays may also be written as comma separated lists
+  if (instance === 'Array') {
+    return text
+      .split(',')
+      .map((item) => castScalar(schemaType!.embeddedSchemaType?.instance, item.trim()));
+  }
+  return castScalar(instance, text);
+};
+
+/**
+ * Reads the records of a CSV file, checking its header against the accepted fields.
+ */
+async function* readCsv<T>(
+  model: Model<T>,
+  chunks: AsyncIterable<Buffer>,
+  fields: string[]
+): AsyncGenerator<RawRecord> {
+  let columns: string[] | undefined;
+  try {
+    for await (const cells of parseCsv(chunks)) {
+      if (!columns) {
+        columns = cells.map((column) => column.trim());
+        const unknown = columns.filter(
+          (column) => !fields.includes(column) && !systemFields.includes(column)
+        );
+        const repeated = columns.filter((column, index) => columns!.indexOf(column) !== index);
+        if (unknown.length || repeated.length) {
+          throw new BadRequestError('Invalid CSV header', [
+            ...unknown.map((column) => ({ field: column, message: 'Unknown column' })),
+            ...repeated.map((column) => ({ field: column, message: 'Repeated column' })),
+          ]);
+        }
+        continue;
+      }
+      if (cells.length !== columns.length) {
+        yield { error: `Expected ${columns.length} cells, found ${cells.length}` };
+        continue;
+      }
+      const values: Record<string, unknown> = {};
+      columns.forEach((column, index) => {
+        const value = castCell(model, column, cells[index]);
+        if (value !== undefined && !systemFields.includes(column)) values[column] = value;
+      });
+      yield { values };
+    }
+  } catch (error) {
+    if (error instanceof BadRequestError) throw error;
+    throw new BadRequestError('Invalid CSV file', [
+      { field: 'file', message: (error as Error).message },
+    ]);
+  }
+}
+
+// Drops the fields set by the database from an NDJSON record
+const readObject = (value: unknown): RawRecord => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Expected an object' };
+  }
+  return {
+    values: Object.fromEntries(
+      Object.entries(value).filter(([field]) => !systemFields.includes(field))
+    ),
+  };
+};
+
+/**
+ * Reads the records of an NDJSON file: one JSON object per line, blank lines ignored.
+ */
+async function* readNdjson(chunks: AsyncIterable<Buffer>): AsyncGenerator<RawRecord> {
+  const decoder = new TextDecoder('utf-8');
+  let rest = '';
+  const readLine = (line: string): RawRecord | undefined => {
+    if (!line.trim()) return undefined;
+    try {
+      return readObject(JSON.parse(line));
+    } catch {
+      return { error: 'Invalid JSON' };
+    }
+  };
+  for await (const chunk of chunks) {
+    const lines = (rest + decoder.decode(chunk, { stream: true })).split('\n');
+    rest = lines.pop()!;
+    for (const line of lines) {
+      const record = readLine(line);
+      if (record) yield record;
+    }
+  }
+  const record = readLine(rest);
+  if (record) yield record;
+}
+
+/**
+ * Lists the fields that must be unique on their own, from the unique indexes of a model.
+ */
+const getUniqueFields = <T>(model: Model<T>): string[] =>
+  model.schema
+    .indexes()
+    .filter(([fields, options]) => options?.unique && Object.keys(fields).length === 1)
+    .map(([fields]) => Object.keys(fields)[0]);
+
+/**
+ * Describes why a document was not stored by an unordered `insertMany`.
+ */
+const describeInsertError = (error: unknown): { field: string; message: string }[] => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map(({ path, message }) => ({ field: path, message }));
+  }
+  const { code, err } = error as {
+    code?: number;
+    err?: { code?: number; keyValue?: Record<string, unknown> };
+  };
+  // `code` is a getter of the driver's write error, lost when Mongoose copies it
+  if ((code ?? err?.code) === 11000) {
+    const fields = Object.keys(err?.keyValue ?? {});
+    return (fields.length ? fields : ['']).map((field) => ({
+      field,
+      message: 'Duplicate value for a unique field',
+    }));
+  }
+  return [{ field: '', message: 'Could not be stored' }];
+};
+
+/**
+ * Imports the records of an uploaded CSV or NDJSON file.
+ *
+ * The file is streamed from its temporary file, see `acceptFile`'s `tempFile`, or from
+ * memory when it was kept there. Records are read as the file is parsed and handled in
+ * batches: each record is
+ * validated with the create schema of the resource, unique fields are checked against
+ * the other records and the stored documents, then the valid records of the batch are
+ * inserted together. Invalid records are skipped and reported with their row, so one
+ * bad line never rejects the whole file; run with `dryRun` first to check a file
+ * without storing anything. Batches are stored as they go.
+ *
+ * CSV files need a header naming the fields. Cells are converted to the types of the
+ * model, empty cells are left out and arrays are written as JSON. Fields set by the
+ * database, such as `_id` and `createdAt`, are ignored, so exports can be imported again.
+ *
+ * @param model - The model to insert into.
+ * @param file - The uploaded `.csv` or `.ndjson` file, checked by `acceptFile`.
+ * @param schema - The create schema of the resource.
+ * @param options - Dry run, batch size and hooks of the resource.
+ * @returns {Promise<ImportReport>} - Counts and the problems found, by row.
+ * @throws {BadRequestError} - If the file cannot be read, or a CSV header names unknown fields.
+ */
+export const importDocuments = async <T, S extends z.ZodObject>(
+  model: Model<T>,
+  file: UploadedFile,
+  schema: S,
+  options: ImportOptions<z.output<S>> = {}
+): Promise<ImportReport> => {
+  const { dryRun = false, batchSize = config.IMPORT_BATCH_SIZE, prepare, onInserted } = options;
+  const format = file.name.split('.').pop()!.toLowerCase() as TImportFormat;
+  const report: ImportReport = {
+    dryRun,
+    total: 0,
+    valid: 0,
+    inserted: 0,
+    failed: 0,
+    errors: [],
+    omittedErrors: 0,
+  };
+  const uniqueFields = getUniqueFields(model);
+  // Values of unique fields seen so far, with the row holding them
+  const seen = new Map(uniqueFields.map((field) => [field, new Map<string, number>()]));
+
+  const reject = (row: number, problems: { field: string; message: string }[]) => {
+    report.failed++;
+    const room = Math.min(MAX_ERRORS_PER_ROW, MAX_REPORTED_ERRORS - report.errors.length);
+    const listed = problems.slice(0, Math.max(room, 0));
+    report.errors.push(...listed.map((problem) => ({ row, ...problem })));
+    report.omittedErrors += problems.length - listed.length;
+  };
+
+  const chunks: AsyncIterable<Buffer> = file.tempFilePath
+    ? fs.createReadStream(file.tempFilePath)
+    : (async function* () {
+        yield file.data;
+      })();
+  const records =
+    format === 'csv' ? readCsv(model, chunks, Object.keys(schema.shape)) : readNdjson(chunks);
+
+  const processBatch = async (batch: { row: number; record: RawRecord }[]) => {
+    // Validate the batch at once, since reference checks query the database
+    const parsed = await Promise.all(
+      batch.map(async ({ row, record }) => ({
+        row,
+        record,
+        result: 'values' in record ? await schema.safeParseAsync(record.values) : undefined,
+      }))
+    );
+    let accepted: { row: number; data: z.output<S> }[] = [];
+    for (const { row, record, result } of parsed) {
+      if ('error' in record) {
+        reject(row, [{ field: '', message: record.error }]);
+      } else if (!result!.success) {
+        reject(
+          row,
+          result!.error.issues.map((issue) => ({
+            field: issue.path.join(', '),
+            message: issue.message,
+          }))
+        );
+      } else {
+        accepted.push({ row, data: result!.data });
+      }
+    }
+
+    // Unique values must not repeat in the file, nor exist already, even in the trash
+    const taken = new Map<string, Set<string>>();
+    for (const field of uniqueFields) {
+      const values = accepted
+        .map(({ data }) => (data as Record<string, unknown>)[field])
+        .filter((value) => value !== undefined && value !== null);
+      const stored = values.length
+        ? await model
+            .find({ [field]: { $in: values } } as QueryFilter<T>)
+            .setOptions(withDeleted)
+            .distinct(field)
+        : [];
+      taken.set(field, new Set((stored as unknown[]).map(String)));
+    }
+    accepted = accepted.filter(({ row, data }) => {
+      const keys = uniqueFields.flatMap((field) => {
+        const value = (data as Record<string, unknown>)[field];
+        return value === undefined || value === null ? [] : [[field, String(value)]];
+      });
+      const problems = keys.flatMap(([field, key]) => {
+        const firstRow = seen.get(field)!.get(key);
+        if (taken.get(field)!.has(key)) return [{ field, message: `${field} already exists` }];
+        if (firstRow !== undefined) return [{ field, message: `Same ${field} as row ${firstRow}` }];
+        return [];
+      });
+      if (problems.length) {
+        reject(row, problems);
+        return false;
+      }
+      keys.forEach(([field, key]) => seen.get(field)!.set(key, row));
+      return true;
+    });
+    report.valid += accepted.length;
+    if (dryRun || !accepted.length) return;
+
+    const docs = await Promise.all(
+      accepted.map(({ data }) => (prepare ? prepare(data) : (data as object)))
+    );
+    // Unordered inserts store every document they can and report each failure by index
+    let results: unknown[];
+    try {
+      const result = await model.insertMany(docs as T[], { ordered: false, rawResult: true });
+      results = result.mongoose.results;
+    } catch (error) {
+      const { results: partial } = error as { results?: unknown[] };
+      if (!partial) throw error;
+      results = partial;
+    }
+    const inserted: HydratedDocument<unknown>[] = [];
+    results.forEach((result, index) => {
+      if (result instanceof mongoose.Document) {
+        inserted.push(result as HydratedDocument<unknown>);
+      } else {
+        const { index: failedIndex = index } = result as { index?: number };
+        reject(accepted[failedIndex].row, describeInsertError(result));
+      }
+    });
+    report.inserted += inserted.length;
+    if (inserted.length) await onInserted?.(inserted);
+  };
+
+  let batch: { row: number; record: RawRecord }[] = [];
+  for await (const record of records) {
+    report.total++;
+    batch.push({ row: report.total, record });
+    if (batch.length >= batchSize) {
+      await processBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await processBatch(batch);
+  return report;
+};